@@ -0,0 +1,192 @@
+/**
+ * ANPR access control — a whitelist of plates and the decision whether a
+ * plate read at a barrier should lift it.
+ *
+ * A permit names a plate and may restrict it to some barriers, a validity
+ * window (dates or timestamps), days of the week and a time of day (in the
+ * server's local time / TZ, like the scheduler; a window whose end is before
+ * its start runs overnight). A plate may hold several permits; the read is
+ * granted if any of them allows it.
+ *
+ * Plates are compared normalised — upper case, letters and digits only — so
+ * "ab12 cde" and "AB12CDE" are the same vehicle. Cameras report the same
+ * plate many times while a car waits; repeats at the same barrier within
+ * `dedupMs` return the earlier decision marked `duplicate`.
+ *
+ * Permits live in the state file's `access` section.
+ */
+
+const crypto = require('crypto');
+const { z } = require('zod');
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DEDUP_MS = 10000;
+
+// Why a read was refused, in the order a permit is checked. When no permit
+// grants, the one that got furthest gives the reason.
+const DENIALS = ['no_permit', 'disabled', 'not_yet_valid', 'expired', 'wrong_barrier', 'wrong_day', 'outside_hours'];
+
+function normalizePlate(plate) {
+  return String(plate || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// ─── Schemas ────────────────────────────────────────────────────────────────
+const dateSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'expected YYYY-MM-DD');
+const validitySchema = z.union([dateSchema, z.string().datetime({ offset: true })]);
+const timeSchema = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'expected HH:MM');
+
+const permitSchema = z.object({
+  plate: z.string().transform(normalizePlate).pipe(z.string().min(2, 'at least 2 letters or digits')),
+  holder: z.string().min(1).optional(),
+  reference: z.string().min(1).optional(),      // permit number, season ticket, …
+  barriers: z.union([z.literal('*'), z.array(z.number().int().min(1)).min(1)]).default('*'),
+  validFrom: validitySchema.optional(),         // a date is inclusive from its start…
+  validUntil: validitySchema.optional(),        // …and until its end
+  days: z.array(z.enum(DAY_NAMES)).min(1).optional(),
+  hours: z.object({ from: timeSchema, until: timeSchema }).strict()
+    .refine(h => h.from !== h.until, 'from and until must differ').optional(),
+  notes: z.string().optional(),
+  enabled: z.boolean().default(true)
+}).strict();
+
+function validationError(result) {
+  const err = new Error(result.error.issues.map(i => `${i.path.join('.') || '(root)'}: ${i.message}`).join('; '));
+  err.status = 400;
+  return err;
+}
+
+function parseWith(schema, body) {
+  const result = schema.safeParse(body || {});
+  if (!result.success) throw validationError(result);
+  return result.data;
+}
+
+function notFound(id) {
+  const err = new Error(`No permit ${id}`);
+  err.status = 404;
+  return err;
+}
+
+function localDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function localTime(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function beforeStart(validFrom, at) {
+  return dateSchema.safeParse(validFrom).success ? localDate(at) < validFrom : at < new Date(validFrom);
+}
+
+function afterEnd(validUntil, at) {
+  return dateSchema.safeParse(validUntil).success ? localDate(at) > validUntil : at > new Date(validUntil);
+}
+
+function withinHours({ from, until }, at) {
+  const now = localTime(at);
+  return from < until ? now >= from && now < until : now >= from || now < until;
+}
+
+// The first check the permit fails at `at`, or null if it allows the read
+function permitDenial(permit, barrierId, at) {
+  if (!permit.enabled) return 'disabled';
+  if (permit.validFrom && beforeStart(permit.validFrom, at)) return 'not_yet_valid';
+  if (permit.validUntil && afterEnd(permit.validUntil, at)) return 'expired';
+  if (permit.barriers !== '*' && !permit.barriers.includes(barrierId)) return 'wrong_barrier';
+  if (permit.days && !permit.days.includes(DAY_NAMES[at.getDay()])) return 'wrong_day';
+  if (permit.hours && !withinHours(permit.hours, at)) return 'outside_hours';
+  return null;
+}
+
+// ─── Access Control ─────────────────────────────────────────────────────────
+function createAccessControl({ store, dedupMs = DEDUP_MS, minConfidence = 0 }) {
+  const data = { permits: [], ...store.get('access', {}) };
+  const recent = new Map();   // "plate|barrier" → { at, decision }
+
+  function save() {
+    store.set('access', data);
+  }
+
+  function find(id) {
+    const permit = data.permits.find(p => p.id === id);
+    if (!permit) throw notFound(id);
+    return permit;
+  }
+
+  // ─── Permits ──────────────────────────────────────────────────────────────
+  // filter: { plate } — matched normalised, and as a prefix
+  function list(filter = {}) {
+    const plate = normalizePlate(filter.plate);
+    return data.permits.filter(p => !plate || p.plate.startsWith(plate));
+  }
+
+  function add(body) {
+    const permit = { id: crypto.randomBytes(6).toString('hex'), ...parseWith(permitSchema, body), createdAt: new Date().toISOString() };
+    data.permits.push(permit);
+    save();
+    return permit;
+  }
+
+  function update(id, body) {
+    const permit = find(id);
+    const { id: _id, createdAt, ...current } = permit;
+    Object.assign(permit, parseWith(permitSchema, { ...current, ...body }));
+    save();
+    return permit;
+  }
+
+  function remove(id) {
+    const permit = find(id);
+    data.permits.splice(data.permits.indexOf(permit), 1);
+    save();
+    return permit;
+  }
+
+  // ─── Decisions ────────────────────────────────────────────────────────────
+  // { granted, plate, barrierId, permit, holder, reason } — permit is the one
+  // that granted, or on a denial the one that came closest
+  function decide(plate, barrierId, at = new Date()) {
+    const normalized = normalizePlate(plate);
+    let closest = null;
+    let reason = 'no_permit';
+    for (const permit of data.permits) {
+      if (permit.plate !== normalized) continue;
+      const denial = permitDenial(permit, barrierId, at);
+      if (!denial) return { granted: true, plate: normalized, barrierId, permit: permit.id, holder: permit.holder || null, reason: null };
+      if (!closest || DENIALS.indexOf(denial) > DENIALS.indexOf(reason)) {
+        closest = permit;
+        reason = denial;
+      }
+    }
+    return { granted: false, plate: normalized, barrierId, permit: closest && closest.id, holder: (closest && closest.holder) || null, reason };
+  }
+
+  // A camera's read: a decision, refused below minConfidence, and marked
+  // `duplicate` if the same plate was decided at this barrier moments ago
+  function read({ plate, barrierId, confidence, at = new Date() }) {
+    const normalized = normalizePlate(plate);
+    const key = `${normalized}|${barrierId}`;
+    const last = recent.get(key);
+    if (last && at - last.at < dedupMs) return { ...last.decision, duplicate: true };
+
+    for (const [k, entry] of recent) if (at - entry.at >= dedupMs) recent.delete(k);
+    const decision = confidence !== undefined && confidence < minConfidence
+      ? { granted: false, plate: normalized, barrierId, permit: null, holder: null, reason: 'low_confidence' }
+      : decide(normalized, barrierId, at);
+    // Low-confidence reads aren't remembered; the next, better read decides
+    if (decision.reason !== 'low_confidence') recent.set(key, { at, decision });
+    return decision;
+  }
+
+  // Forget a decision, e.g. after the lift it granted failed
+  function forget(plate, barrierId) {
+    recent.delete(`${normalizePlate(plate)}|${barrierId}`);
+  }
+
+  return { list, add, update, remove, decide, read, forget };
+}
+
+module.exports = { DENIALS, normalizePlate, createAccessControl };
@@ -0,0 +1,250 @@
+/**
+ * Usage analytics — hourly aggregates built from the audit trail and the
+ * barrier and board state changes, for reports without rereading audit.log.
+ *
+ * Per hour (UTC) the file keeps:
+ *
+ *   barriers[id].actions[action]   count, by source and by user
+ *   barriers[id].opens / openMs    completed openings and their total time
+ *   boards[key].upMs / downMs      time the board was reachable or not
+ *
+ * Reports group those hours by hour, day or month in local time / TZ.
+ * Aggregates are held in memory and flushed to their own JSON file every
+ * `flushMs` and on stop(), so a crash loses at most that much; hours older
+ * than `retentionDays` are dropped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const HOUR_MS = 3600 * 1000;
+const BARRIER_ACTIONS = ['lift', 'close', 'stop'];
+const GROUPS = ['hour', 'day', 'month', 'total'];
+const REPORTS = {
+  actions: 'Barrier commands per barrier, by action and source (or by=user)',
+  'open-time': 'How long barriers stay open: openings, mean, longest and total',
+  uptime: 'Board uptime — time reachable and unreachable'
+};
+
+function hourKey(ms) {
+  return new Date(Math.floor(ms / HOUR_MS) * HOUR_MS).toISOString().slice(0, 13);
+}
+
+function hourStart(key) {
+  return Date.parse(`${key}:00:00Z`);
+}
+
+// The reporting period an hour falls in, in local time
+function periodOf(key, group) {
+  if (group === 'total') return 'total';
+  const d = new Date(hourStart(key));
+  const pad = n => String(n).padStart(2, '0');
+  const month = `${d.getFullYear()}-${pad(d.getMonth() + 1)}`;
+  if (group === 'month') return month;
+  const day = `${month}-${pad(d.getDate())}`;
+  return group === 'day' ? day : `${day} ${pad(d.getHours())}:00`;
+}
+
+function round(n, places = 1) {
+  const f = 10 ** places;
+  return Math.round(n * f) / f;
+}
+
+function createAnalytics({ file, log, retentionDays = 400, flushMs = 60000 }) {
+  let data = { hours: {} };
+  let existed = false;
+  try {
+    data = { hours: {}, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+    existed = true;
+  } catch (err) {
+    if (err.code !== 'ENOENT') log('ERROR', `Analytics file ${file} unreadable (${err.message}) — starting afresh`);
+  }
+  const openSince = {};   // barrierId → ms the barrier reached open
+  const links = {};       // boardKey → { up, since }
+  let dirty = false;
+  let timer = null;
+
+  function bucket(key) {
+    if (!data.hours[key]) data.hours[key] = { barriers: {}, boards: {} };
+    return data.hours[key];
+  }
+
+  function barrierBucket(ms, barrierId) {
+    const hour = bucket(hourKey(ms));
+    if (!hour.barriers[barrierId]) hour.barriers[barrierId] = { actions: {}, opens: 0, openMs: 0, maxOpenMs: 0 };
+    dirty = true;
+    return hour.barriers[barrierId];
+  }
+
+  // ─── Recording ────────────────────────────────────────────────────────────
+  // Any audit entry; only barrier commands count. `barrierId` overrides the
+  // entry's, for old entries that only name the barrier.
+  function recordAudit(entry, barrierId = entry.details && entry.details.barrierId) {
+    const m = /^barrier_(\w+)$/.exec(entry.action);
+    if (!m || !BARRIER_ACTIONS.includes(m[1]) || !barrierId) return;
+    const b = barrierBucket(Date.parse(entry.timestamp), barrierId);
+    const a = b.actions[m[1]] || (b.actions[m[1]] = { count: 0, sources: {}, users: {} });
+    a.count++;
+    a.sources[entry.source] = (a.sources[entry.source] || 0) + 1;
+    if (entry.user) a.users[entry.user] = (a.users[entry.user] || 0) + 1;
+  }
+
+  // An opening is counted in the hour it ends. Going unknown (board offline)
+  // ends it without a duration — we don't know when it closed.
+  function barrierState(barrierId, state, at = Date.now()) {
+    if (state === 'open') {
+      if (openSince[barrierId] === undefined) openSince[barrierId] = at;
+      return;
+    }
+    const since = openSince[barrierId];
+    delete openSince[barrierId];
+    if (since === undefined || state === 'unknown') return;
+    const b = barrierBucket(at, barrierId);
+    const ms = at - since;
+    b.opens++;
+    b.openMs += ms;
+    b.maxOpenMs = Math.max(b.maxOpenMs, ms);
+  }
+
+  // Adds the time since the last call to each board's up or down total,
+  // split at hour boundaries
+  function accrue(now = Date.now()) {
+    for (const [key, link] of Object.entries(links)) {
+      let t = link.since;
+      while (t < now) {
+        const end = Math.min((Math.floor(t / HOUR_MS) + 1) * HOUR_MS, now);
+        const hour = bucket(hourKey(t));
+        const board = hour.boards[key] || (hour.boards[key] = { upMs: 0, downMs: 0 });
+        board[link.up ? 'upMs' : 'downMs'] += end - t;
+        t = end;
+      }
+      link.since = now;
+      dirty = true;
+    }
+  }
+
+  function boardLink(boardKey, up, at = Date.now()) {
+    accrue(at);
+    links[boardKey] = { up, since: at };
+  }
+
+  function boardRemoved(boardKey, at = Date.now()) {
+    accrue(at);
+    delete links[boardKey];
+  }
+
+  // ─── Persistence ──────────────────────────────────────────────────────────
+  function flush() {
+    accrue();
+    const oldest = hourKey(Date.now() - retentionDays * 24 * HOUR_MS);
+    for (const key of Object.keys(data.hours)) if (key < oldest) { delete data.hours[key]; dirty = true; }
+    if (!dirty && existed) return;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(data));
+      fs.renameSync(tmp, file);
+      dirty = false;
+      existed = true;
+    } catch (err) {
+      log('ERROR', `Could not save analytics to ${file}: ${err.message}`);
+    }
+  }
+
+  function start() {
+    if (!timer) timer = setInterval(flush, flushMs);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+    flush();
+  }
+
+  // ─── Reports ──────────────────────────────────────────────────────────────
+  // options: { from, to (ms), group, barriers (ids, or null for all), by }
+  function hoursIn(from, to) {
+    accrue();
+    return Object.keys(data.hours).sort().filter(key => hourStart(key) >= from && hourStart(key) < to);
+  }
+
+  function collect(from, to, group, each) {
+    const rows = new Map();
+    for (const key of hoursIn(from, to)) {
+      each(data.hours[key], (rowKey, init) => {
+        const k = `${periodOf(key, group)}|${rowKey}`;
+        if (!rows.has(k)) rows.set(k, { period: periodOf(key, group), ...init });
+        return rows.get(k);
+      });
+    }
+    return [...rows.values()];
+  }
+
+  function wanted(barriers, id) {
+    return !barriers || barriers.includes(parseInt(id, 10));
+  }
+
+  function actionsReport({ from, to, group, barriers, by = 'source' }) {
+    return collect(from, to, group, (hour, row) => {
+      for (const [id, b] of Object.entries(hour.barriers)) {
+        if (!wanted(barriers, id)) continue;
+        for (const [action, a] of Object.entries(b.actions)) {
+          for (const [who, count] of Object.entries(by === 'user' ? a.users : a.sources)) {
+            row(`${id}|${action}|${who}`, { barrierId: parseInt(id, 10), action, [by]: who, count: 0 }).count += count;
+          }
+        }
+      }
+    });
+  }
+
+  function openTimeReport({ from, to, group, barriers }) {
+    const rows = collect(from, to, group, (hour, row) => {
+      for (const [id, b] of Object.entries(hour.barriers)) {
+        if (!wanted(barriers, id) || !b.opens) continue;
+        const r = row(id, { barrierId: parseInt(id, 10), opens: 0, totalOpenMs: 0, maxOpenMs: 0 });
+        r.opens += b.opens;
+        r.totalOpenMs += b.openMs;
+        r.maxOpenMs = Math.max(r.maxOpenMs, b.maxOpenMs);
+      }
+    });
+    return rows.map(({ totalOpenMs, maxOpenMs, ...r }) => ({
+      ...r,
+      meanOpenSec: round(totalOpenMs / r.opens / 1000),
+      maxOpenSec: round(maxOpenMs / 1000),
+      totalOpenSec: round(totalOpenMs / 1000)
+    }));
+  }
+
+  function uptimeReport({ from, to, group }) {
+    const rows = collect(from, to, group, (hour, row) => {
+      for (const [key, b] of Object.entries(hour.boards)) {
+        const r = row(key, { board: key, upMs: 0, downMs: 0 });
+        r.upMs += b.upMs;
+        r.downMs += b.downMs;
+      }
+    });
+    return rows.map(({ upMs, downMs, ...r }) => ({
+      ...r,
+      upSec: round(upMs / 1000, 0),
+      downSec: round(downMs / 1000, 0),
+      uptimePct: upMs + downMs ? round(100 * upMs / (upMs + downMs), 2) : null
+    }));
+  }
+
+  function report(name, options) {
+    if (name === 'actions') return actionsReport(options);
+    if (name === 'open-time') return openTimeReport(options);
+    if (name === 'uptime') return uptimeReport(options);
+    const err = new Error(`No report ${name} — expected ${Object.keys(REPORTS).join(', ')}`);
+    err.status = 404;
+    throw err;
+  }
+
+  return {
+    recordAudit, barrierState, boardLink, boardRemoved,
+    start, stop, flush, report,
+    get existed() { return existed; }
+  };
+}
+
+module.exports = { GROUPS, REPORTS, createAnalytics };
@@ -0,0 +1,296 @@
+/**
+ * Audit log — append-only JSON lines, hash-chained so edits and deletions
+ * show up when the log is verified.
+ *
+ * Each entry carries `seq`, the `prev` entry's hash and its own `hash`
+ * (SHA-256 of prev + the entry's JSON). The chain runs across rotated files:
+ * the live file is renamed to `<name>-<first timestamp>.log` when it passes
+ * `maxBytes` or (with `rotateDaily`) when the day changes.
+ *
+ * Lines written before chaining existed have no hash; they are readable but
+ * reported as legacy by verify().
+ *
+ * query() and verify() stream the files a chunk at a time, so a long history
+ * doesn't hold up the board heartbeats sharing the event loop.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+
+const GENESIS = '0'.repeat(64);
+
+function hashEntry(entry) {
+  const { hash, ...body } = entry;
+  return crypto.createHash('sha256').update(entry.prev + JSON.stringify(body)).digest('hex');
+}
+
+function localDay(iso) {
+  const d = new Date(iso);
+  return `${d.getFullYear()}-${d.getMonth() + 1}-${d.getDate()}`;
+}
+
+function readLines(file) {
+  try {
+    return fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim());
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+// The same, streamed: yields to the event loop between chunks
+async function* streamLines(file) {
+  let handle;
+  try {
+    handle = await fs.promises.open(file);
+  } catch (err) {
+    if (err.code === 'ENOENT') return;
+    throw err;
+  }
+  const lines = readline.createInterface({ input: handle.createReadStream({ encoding: 'utf8' }), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (line.trim()) yield line;
+  }
+}
+
+function parseLine(line) {
+  try { return JSON.parse(line); } catch (e) { return null; }
+}
+
+// `barrier` matches a barrier id or name in the entry's details; `visible`
+// is the caller's own test, e.g. for access scope
+function matches(entry, filter) {
+  if (filter.from && entry.timestamp < filter.from) return false;
+  if (filter.to && entry.timestamp > filter.to) return false;
+  if (filter.actions && !filter.actions.includes(entry.action)) return false;
+  if (filter.sources && !filter.sources.includes(entry.source)) return false;
+  if (filter.user && entry.user !== filter.user) return false;
+  if (filter.barrier) {
+    const d = entry.details || {};
+    const id = parseInt(filter.barrier, 10);
+    const hit = d.barrier === filter.barrier || d.barrierId === id ||
+      (Array.isArray(d.barriers) && d.barriers.includes(id));
+    if (!hit) return false;
+  }
+  if (filter.visible && !filter.visible(entry)) return false;
+  return true;
+}
+
+function createAuditLog({ file, maxBytes = 10 * 1024 * 1024, rotateDaily = true, log, onWriteError }) {
+  const dir = path.dirname(file);
+  const ext = path.extname(file) || '.log';
+  const base = path.basename(file, path.extname(file));
+  const rotatedPattern = new RegExp(`^${base.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}-(\\d{8}T\\d{6}(?:-\\d+)?)${ext.replace('.', '\\.')}$`);
+
+  let head = { seq: 0, hash: GENESIS };
+  let currentSize = 0;
+  let currentDay = null;     // local day of the live file's first entry
+  let currentFirst = null;   // timestamp of the live file's first entry
+  const pending = [];        // entries that failed to write, retried on the next append
+  let failing = false;
+
+  // Rotated files oldest first, then the live file. Same-second rotations
+  // get a -n suffix, which a plain sort would put before the unsuffixed one.
+  function files() {
+    let rotated = [];
+    try {
+      const order = (name) => {
+        const [stamp, n = '0'] = rotatedPattern.exec(name)[1].split('-');
+        return [stamp, parseInt(n, 10)];
+      };
+      rotated = fs.readdirSync(dir).filter(name => rotatedPattern.test(name)).sort((a, b) => {
+        const [sa, na] = order(a);
+        const [sb, nb] = order(b);
+        return sa < sb ? -1 : sa > sb ? 1 : na - nb;
+      });
+    } catch (err) { /* no directory yet */ }
+    return [...rotated.map(name => path.join(dir, name)), file];
+  }
+
+  // ─── Startup ──────────────────────────────────────────────────────────────
+  // Picks the chain up where the last run left it. A live file that still
+  // holds unchained lines is rotated away so the new chain starts clean.
+  function open() {
+    const lines = readLines(file);
+    const entries = lines.map(parseLine).filter(Boolean);
+    if (entries.some(e => !e.hash)) {
+      if (entries.length) rotate(entries[0].timestamp);
+    } else if (entries.length) {
+      currentFirst = entries[0].timestamp;
+      currentDay = localDay(currentFirst);
+      currentSize = fs.statSync(file).size;
+    }
+
+    // The head is the newest chained entry in any file
+    for (const f of files().reverse()) {
+      const last = readLines(f).map(parseLine).filter(e => e && e.hash).pop();
+      if (last) { head = { seq: last.seq, hash: last.hash }; break; }
+    }
+    return { head, files: files().length };
+  }
+
+  function rotate(firstTimestamp) {
+    const stamp = (firstTimestamp || new Date().toISOString()).replace(/[-:]/g, '').slice(0, 15);
+    let target = path.join(dir, `${base}-${stamp}${ext}`);
+    for (let n = 1; fs.existsSync(target); n++) target = path.join(dir, `${base}-${stamp}-${n}${ext}`);
+    try {
+      fs.renameSync(file, target);
+      log('INFO', `Audit log rotated to ${path.basename(target)}`);
+    } catch (err) {
+      if (err.code !== 'ENOENT') log('ERROR', `Audit log rotation failed: ${err.message}`);
+    }
+    currentSize = 0;
+    currentDay = null;
+    currentFirst = null;
+  }
+
+  function needsRotation(entry) {
+    if (!currentFirst) return false;
+    if (maxBytes && currentSize >= maxBytes) return true;
+    return rotateDaily && localDay(entry.timestamp) !== currentDay;
+  }
+
+  // ─── Writing ──────────────────────────────────────────────────────────────
+  function write(entry) {
+    if (needsRotation(entry)) rotate(currentFirst);
+    const line = JSON.stringify(entry) + '\n';
+    fs.appendFileSync(file, line);
+    currentSize += Buffer.byteLength(line);
+    if (!currentFirst) {
+      currentFirst = entry.timestamp;
+      currentDay = localDay(entry.timestamp);
+    }
+  }
+
+  // Entries are chained when created, so a failed write keeps its place in
+  // the chain and goes out with the next successful one
+  function append(fields) {
+    const entry = { seq: head.seq + 1, timestamp: new Date().toISOString(), ...fields, prev: head.hash };
+    entry.hash = hashEntry(entry);
+    head = { seq: entry.seq, hash: entry.hash };
+    pending.push(entry);
+    try {
+      while (pending.length) {
+        write(pending[0]);
+        pending.shift();
+      }
+      if (failing) log('INFO', 'Audit log writable again');
+      failing = false;
+    } catch (err) {
+      if (!failing) {
+        log('ERROR', `Audit log write failed: ${err.message} — ${pending.length} entr${pending.length === 1 ? 'y' : 'ies'} held in memory`);
+        if (onWriteError) onWriteError(err);
+      }
+      failing = true;
+    }
+    return entry;
+  }
+
+  // ─── Reading ──────────────────────────────────────────────────────────────
+  // Newest-first pagination: offset 0 is the latest page; each page is
+  // returned oldest to newest. Only the newest offset + limit matches are
+  // kept while scanning; `total` counts them all.
+  async function query(filter = {}, { offset = 0, limit = 100 } = {}) {
+    const keep = offset + limit;
+    const found = [];
+    let total = 0;
+    const add = (entry) => {
+      total++;
+      found.push(entry);
+      if (found.length > keep) found.shift();
+    };
+    const all = files();
+    for (let i = 0; i < all.length; i++) {
+      // Rotated files are named after their first entry, so whole files
+      // outside the range can be skipped
+      if (filter.to && i < all.length - 1) {
+        const m = rotatedPattern.exec(path.basename(all[i]));
+        if (m && stampToIso(m[1]) > filter.to) continue;
+      }
+      if (filter.from && i < all.length - 1) {
+        const next = rotatedPattern.exec(path.basename(all[i + 1]));
+        // Names are truncated to the second, hence the extra second of slack
+        if (next && Date.parse(`${stampToIso(next[1])}Z`) + 1000 <= Date.parse(filter.from)) continue;
+      }
+      for await (const line of streamLines(all[i])) {
+        const entry = parseLine(line);
+        if (entry && matches(entry, filter)) add(entry);
+      }
+    }
+    for (const entry of pending) if (matches(entry, filter)) add(entry);
+    const end = Math.max(0, found.length - offset);
+    return { total, entries: found.slice(Math.max(0, end - limit), end) };
+  }
+
+  function stampToIso(stamp) {
+    const s = stamp.slice(0, 15);
+    return `${s.slice(0, 4)}-${s.slice(4, 6)}-${s.slice(6, 8)}T${s.slice(9, 11)}:${s.slice(11, 13)}:${s.slice(13, 15)}`;
+  }
+
+  // ─── Verification ─────────────────────────────────────────────────────────
+  // Walks every file in order. An edited line fails its own hash; a deleted
+  // line breaks the next entry's `prev` and leaves a gap in `seq`.
+  async function verify() {
+    // Taken up front: appends carry on while the files are streamed
+    const written = head.seq - pending.length;
+    const problems = [];
+    const report = [];
+    let prev = null;
+    let expectSeq = null;
+    let legacy = 0;
+    let checked = 0;
+
+    for (const f of files()) {
+      const summary = { file: path.basename(f), entries: 0, firstSeq: null, lastSeq: null };
+      for await (const line of streamLines(f)) {
+        summary.entries++;
+        const where = { file: summary.file, line: summary.entries };
+        const entry = parseLine(line);
+        if (!entry) { problems.push({ ...where, error: 'unparseable line' }); continue; }
+        if (!entry.hash) {
+          if (prev === null) legacy++;
+          else problems.push({ ...where, error: 'unchained entry inside the chain' });
+          continue;
+        }
+        checked++;
+        if (summary.firstSeq === null) summary.firstSeq = entry.seq;
+        summary.lastSeq = entry.seq;
+        if (hashEntry(entry) !== entry.hash) problems.push({ ...where, seq: entry.seq, error: 'hash mismatch — entry edited' });
+        if (prev === null) {
+          if (entry.prev !== GENESIS) problems.push({ ...where, seq: entry.seq, error: `history before seq ${entry.seq} missing` });
+        } else {
+          if (entry.prev !== prev) problems.push({ ...where, seq: entry.seq, error: 'previous hash mismatch — entry deleted, inserted or reordered' });
+          if (entry.seq !== expectSeq) problems.push({ ...where, seq: entry.seq, error: `sequence jumps from ${expectSeq - 1} to ${entry.seq}` });
+        }
+        prev = entry.hash;
+        expectSeq = entry.seq + 1;
+      }
+      report.push(summary);
+    }
+
+    // Lines cut from the end, or every file deleted, leave no broken link;
+    // compare with what this process knows it wrote
+    if (expectSeq === null && written > 0) {
+      problems.push({ file: path.basename(file), error: `no chained entries found but ${written} entries were written` });
+    } else if (expectSeq !== null && expectSeq - 1 < written) {
+      problems.push({ file: path.basename(file), error: `log ends at seq ${expectSeq - 1} but ${written} entries were written` });
+    }
+
+    return {
+      ok: problems.length === 0,
+      checked,
+      legacy,
+      head,
+      unwritten: pending.length,
+      files: report,
+      problems: problems.slice(0, 100),
+      problemCount: problems.length
+    };
+  }
+
+  return { open, append, query, verify, files };
+}
+
+module.exports = { GENESIS, hashEntry, createAuditLog };
@@ -0,0 +1,300 @@
+/**
+ * Users, API tokens and roles.
+ *
+ *   viewer      status, audit log, schedules
+ *   operator    + lift / close / stop, cancel timed closes
+ *   supervisor  + holds, emergency off, schedule changes
+ *   admin       + users and tokens
+ *
+ * Users and tokens carry a barrier scope ('*' or a list of barrier ids) and a
+ * site scope ('*' or a list of site keys); a barrier command needs the role,
+ * the barrier's site and the barrier in scope. People log in
+ * to the UI with a password and get a session cookie; devices and scripts use
+ * a bearer token. The legacy API_KEY still works and acts as an admin token.
+ *
+ * With no users, no tokens and no API_KEY, auth is off and every request is
+ * an anonymous admin — the behaviour of installs that predate accounts.
+ */
+
+const crypto = require('crypto');
+const { z } = require('zod');
+
+const ROLES = ['viewer', 'operator', 'supervisor', 'admin'];
+const SESSION_COOKIE = 'bc_session';
+const SESSION_TTL_MS = 12 * 3600 * 1000;
+
+const scopeSchema = z.union([z.literal('*'), z.array(z.number().int().min(1))]);
+const siteScopeSchema = z.union([z.literal('*'), z.array(z.string().regex(/^[A-Za-z0-9_-]+$/, 'not a site key'))]);
+
+const userSchema = z.object({
+  username: z.string().regex(/^[a-z0-9._-]{2,32}$/i, '2-32 letters, digits, dot, dash or underscore'),
+  name: z.string().optional(),
+  password: z.string().min(8, 'at least 8 characters'),
+  role: z.enum(ROLES),
+  barriers: scopeSchema.default('*'),
+  sites: siteScopeSchema.default('*'),
+  disabled: z.boolean().default(false)
+}).strict();
+
+const tokenSchema = z.object({
+  name: z.string().min(1),
+  role: z.enum(ROLES),
+  barriers: scopeSchema.default('*'),
+  sites: siteScopeSchema.default('*')
+}).strict();
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function parseWith(schema, body) {
+  const result = schema.safeParse(body || {});
+  if (!result.success) {
+    throw httpError(400, result.error.issues.map(i => `${i.path.join('.') || '(root)'}: ${i.message}`).join('; '));
+  }
+  return result.data;
+}
+
+// ─── Secrets ────────────────────────────────────────────────────────────────
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return `scrypt:${salt}:${crypto.scryptSync(password, salt, 32).toString('hex')}`;
+}
+
+function checkPassword(password, stored) {
+  const [, salt, hash] = (stored || '').split(':');
+  if (!salt || !hash) return false;
+  const actual = crypto.scryptSync(password, salt, 32);
+  return crypto.timingSafeEqual(actual, Buffer.from(hash, 'hex'));
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const ha = Buffer.from(sha256(a), 'hex');
+  const hb = Buffer.from(sha256(b), 'hex');
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i > 0) cookies[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return cookies;
+}
+
+// ─── Permissions ────────────────────────────────────────────────────────────
+function hasRole(identity, role) {
+  return ROLES.indexOf(identity.role) >= ROLES.indexOf(role);
+}
+
+// `barriers` is a barrier id, a list of ids, or '*' for "every barrier"
+function canAccess(identity, barriers) {
+  if (identity.barriers === '*') return true;
+  if (barriers === '*') return false;
+  return [].concat(barriers).every(id => identity.barriers.includes(parseInt(id, 10)));
+}
+
+// Accounts from before sites have no site scope, which means every site
+function canAccessSite(identity, site) {
+  return !identity.sites || identity.sites === '*' || identity.sites.includes(site);
+}
+
+// ─── Accounts ───────────────────────────────────────────────────────────────
+function createAuth({ store, apiKey, log }) {
+  const data = { users: [], tokens: [], ...store.get('auth', {}) };
+  const sessions = new Map();   // session id → { username | tokenId, expires }
+
+  function save() {
+    store.set('auth', data);
+  }
+
+  function enabled() {
+    return !!apiKey || data.users.length > 0 || data.tokens.length > 0;
+  }
+
+  function publicUser(user) {
+    const { passwordHash, ...rest } = user;
+    return rest;
+  }
+
+  function publicToken(token) {
+    const { hash, ...rest } = token;
+    return rest;
+  }
+
+  function userIdentity(user) {
+    return { type: 'user', name: user.username, role: user.role, barriers: user.barriers, sites: user.sites || '*' };
+  }
+
+  function tokenIdentity(token) {
+    return { type: 'token', name: `token:${token.name}`, role: token.role, barriers: token.barriers, sites: token.sites || '*' };
+  }
+
+  const API_KEY_IDENTITY = { type: 'api_key', name: 'api-key', role: 'admin', barriers: '*', sites: '*' };
+
+  // A bearer secret is the legacy API key or one of our tokens
+  function secretIdentity(secret) {
+    if (!secret) return null;
+    if (apiKey && safeEqual(secret, apiKey)) return { identity: API_KEY_IDENTITY };
+    const token = data.tokens.find(t => t.hash === sha256(secret));
+    if (!token) return null;
+    return { identity: tokenIdentity(token), tokenId: token.id };
+  }
+
+  // Accounts are looked up on every request, so disabling a user or deleting
+  // a token ends its sessions straight away
+  function sessionIdentity(session) {
+    if (!session || session.expires <= Date.now()) return null;
+    if (session.username) {
+      const user = data.users.find(u => u.username === session.username);
+      return user && !user.disabled ? userIdentity(user) : null;
+    }
+    if (session.tokenId) {
+      const token = data.tokens.find(t => t.id === session.tokenId);
+      return token ? tokenIdentity(token) : null;
+    }
+    return apiKey ? API_KEY_IDENTITY : null;
+  }
+
+  // ─── Resolving a request ──────────────────────────────────────────────────
+  // Returns { identity, method } or null. `method` is session | token | api_key | none.
+  function authenticate(req) {
+    if (!enabled()) {
+      return { identity: { type: 'anonymous', name: 'anonymous', role: 'admin', barriers: '*', sites: '*' }, method: 'none' };
+    }
+
+    const sid = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (sid) {
+      const identity = sessionIdentity(sessions.get(sid));
+      if (identity) {
+        sessions.get(sid).expires = Date.now() + SESSION_TTL_MS;
+        return { identity, method: 'session' };
+      }
+      sessions.delete(sid);
+    }
+
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    const secret = bearer ? bearer[1].trim() : req.headers['x-api-key'] || req.query.api_key;
+    const found = secretIdentity(secret);
+    if (found) return { identity: found.identity, method: found.identity.type };
+    return null;
+  }
+
+  // ─── Sessions ─────────────────────────────────────────────────────────────
+  // Password for people; an API token (or the API key) also works so a
+  // kiosk can be signed in without a user account.
+  function login({ username, password, token } = {}) {
+    const sid = crypto.randomBytes(32).toString('hex');
+    const expires = Date.now() + SESSION_TTL_MS;
+    if (token) {
+      const found = secretIdentity(String(token).trim());
+      if (!found) throw httpError(401, 'Invalid token');
+      sessions.set(sid, { tokenId: found.tokenId, expires });
+      return { sid, identity: found.identity };
+    }
+    const user = data.users.find(u => u.username === username);
+    // Hash anyway so a wrong username takes as long as a wrong password
+    const ok = checkPassword(String(password || ''), user ? user.passwordHash : `scrypt:${'0'.repeat(32)}:${'0'.repeat(64)}`);
+    if (!user || !ok || user.disabled) throw httpError(401, 'Invalid username or password');
+    sessions.set(sid, { username: user.username, expires });
+    return { sid, identity: userIdentity(user) };
+  }
+
+  function logout(req) {
+    sessions.delete(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+  }
+
+  // ─── Users ────────────────────────────────────────────────────────────────
+  function listUsers() {
+    return data.users.map(publicUser);
+  }
+
+  function addUser(body) {
+    const { password, ...fields } = parseWith(userSchema, body);
+    if (data.users.some(u => u.username === fields.username)) throw httpError(409, `User ${fields.username} already exists`);
+    const user = { ...fields, passwordHash: hashPassword(password), createdAt: new Date().toISOString() };
+    data.users.push(user);
+    save();
+    return publicUser(user);
+  }
+
+  function updateUser(username, body) {
+    const user = data.users.find(u => u.username === username);
+    if (!user) throw httpError(404, `No user ${username}`);
+    const { password, ...fields } = parseWith(userSchema.partial().omit({ username: true }), body);
+    const next = { ...user, ...fields };
+    if (password) next.passwordHash = hashPassword(password);
+    assertAdminRemains(data.users.map(u => (u === user ? next : u)));
+    Object.assign(user, next);
+    // Re-enabling an account must not bring its old sessions back
+    if (password || next.disabled) endSessions(username);
+    save();
+    return publicUser(user);
+  }
+
+  function deleteUser(username) {
+    const i = data.users.findIndex(u => u.username === username);
+    if (i < 0) throw httpError(404, `No user ${username}`);
+    assertAdminRemains(data.users.filter((u, j) => j !== i));
+    const [user] = data.users.splice(i, 1);
+    endSessions(username);
+    save();
+    return publicUser(user);
+  }
+
+  // Nobody may lock the site out of user management
+  function assertAdminRemains(users) {
+    if (users.length > 0 && !users.some(u => u.role === 'admin' && !u.disabled)) {
+      throw httpError(409, 'At least one enabled admin user is required');
+    }
+  }
+
+  function endSessions(username) {
+    for (const [sid, session] of sessions) if (session.username === username) sessions.delete(sid);
+  }
+
+  // ─── Tokens ───────────────────────────────────────────────────────────────
+  function listTokens() {
+    return data.tokens.map(publicToken);
+  }
+
+  // The secret is returned once and only its hash is kept
+  function addToken(body, createdBy) {
+    const fields = parseWith(tokenSchema, body);
+    const secret = `bc_${crypto.randomBytes(24).toString('base64url')}`;
+    const token = { id: crypto.randomBytes(6).toString('hex'), ...fields, hash: sha256(secret), createdBy, createdAt: new Date().toISOString() };
+    data.tokens.push(token);
+    save();
+    return { ...publicToken(token), token: secret };
+  }
+
+  function deleteToken(id) {
+    const i = data.tokens.findIndex(t => t.id === id);
+    if (i < 0) throw httpError(404, `No token ${id}`);
+    const [token] = data.tokens.splice(i, 1);
+    save();
+    return publicToken(token);
+  }
+
+  // First start: ADMIN_PASSWORD creates the admin account
+  function bootstrap(username, password) {
+    if (data.users.length > 0 || !password) return;
+    addUser({ username, password, role: 'admin' });
+    log('INFO', `Created admin user "${username}"`);
+  }
+
+  return {
+    enabled, authenticate, login, logout,
+    listUsers, addUser, updateUser, deleteUser,
+    listTokens, addToken, deleteToken, bootstrap
+  };
+}
+
+module.exports = { ROLES, SESSION_COOKIE, SESSION_TTL_MS, hasRole, canAccess, canAccessSite, createAuth };
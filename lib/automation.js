@@ -0,0 +1,200 @@
+/**
+ * Barrier automation — loop-driven auto-close.
+ *
+ * When a barrier with `automation` configured is lifted, a cycle starts —
+ * unless a schedule lifted it or the lift has a duration, which keep it open
+ * on purpose (and, like any other command, end a running cycle):
+ *
+ *   waiting_vehicle → vehicle_present → clearing → (waiting_safety) → close
+ *
+ * The vehicle loop must see a car arrive and then clear before the barrier
+ * closes. `arriveTimeoutMs` closes a barrier nobody drove through, and
+ * `maxOpenMs` is a watchdog for cars that stall on the loop. Nothing here
+ * ever closes while the safety loop reports a vehicle (or can't be read).
+ * Every stage is audited with a cycle id so a vehicle's passage can be
+ * reconstructed from the log.
+ *
+ * A close that fails (board offline, barrier held) is audited once and then
+ * retried quietly, backing off from `retryMs` to `maxRetryMs`, until it
+ * succeeds or `giveUpMs` after the first failure — either outcome is audited.
+ */
+
+const RETRY_MS = 5000;
+const MAX_RETRY_MS = 5 * 60 * 1000;
+const GIVE_UP_MS = 60 * 60 * 1000;
+
+function createAutomation({ getBarriers, getSensors, latch, audit, log, retryMs = RETRY_MS, maxRetryMs = MAX_RETRY_MS, giveUpMs = GIVE_UP_MS }) {
+  const cycles = {};   // barrierId → active cycle
+
+  function settings(barrierId) {
+    const barrier = getBarriers()[barrierId];
+    return barrier && barrier.automation && barrier.automation.autoClose ? barrier.automation : null;
+  }
+
+  function clearTimers(cycle) {
+    for (const key of Object.keys(cycle.timers)) {
+      clearTimeout(cycle.timers[key]);
+      delete cycle.timers[key];
+    }
+  }
+
+  function record(cycle, action, details = {}) {
+    const barrier = getBarriers()[cycle.barrierId];
+    audit(action, { barrier: barrier ? barrier.name : `Barrier ${cycle.barrierId}`, barrierId: cycle.barrierId, cycle: cycle.id, ...details }, 'automation');
+  }
+
+  function setStage(cycle, stage) {
+    cycle.stage = stage;
+    cycle.since = Date.now();
+  }
+
+  function end(barrierId) {
+    const cycle = cycles[barrierId];
+    if (!cycle) return null;
+    clearTimers(cycle);
+    delete cycles[barrierId];
+    return cycle;
+  }
+
+  function start(barrierId, source) {
+    const cfg = settings(barrierId);
+    if (!cfg) return;
+    end(barrierId);
+    const cycle = { id: `${barrierId}-${Date.now().toString(36)}`, barrierId, source, startedAt: Date.now(), timers: {} };
+    cycles[barrierId] = cycle;
+    setStage(cycle, 'waiting_vehicle');
+    record(cycle, 'auto_cycle_started', { liftedBy: source });
+
+    if (cfg.maxOpenMs) {
+      cycle.timers.maxOpen = setTimeout(() => {
+        record(cycle, 'auto_max_open', { openMs: Date.now() - cycle.startedAt });
+        requestClose(cycle, 'max_open');
+      }, cfg.maxOpenMs);
+    }
+
+    if (getSensors(barrierId).vehicle === true) {
+      vehicleArrived(cycle);
+    } else if (cfg.arriveTimeoutMs) {
+      cycle.timers.arrive = setTimeout(() => {
+        record(cycle, 'auto_no_vehicle', { waitedMs: cfg.arriveTimeoutMs });
+        requestClose(cycle, 'no_vehicle');
+      }, cfg.arriveTimeoutMs);
+    }
+  }
+
+  function vehicleArrived(cycle) {
+    clearTimeout(cycle.timers.arrive);
+    clearTimeout(cycle.timers.clear);
+    clearTimeout(cycle.timers.retry);
+    cycle.failure = null;   // a later close starts its retries afresh
+    setStage(cycle, 'vehicle_present');
+    record(cycle, 'auto_vehicle_arrived');
+  }
+
+  function vehicleCleared(cycle) {
+    const cfg = settings(cycle.barrierId);
+    setStage(cycle, 'clearing');
+    record(cycle, 'auto_vehicle_cleared', { closeInMs: cfg.clearDelayMs });
+    cycle.timers.clear = setTimeout(() => requestClose(cycle, 'vehicle_passed'), cfg.clearDelayMs);
+  }
+
+  // Close unless something is (or may be) under the arm; in that case wait
+  // for the safety loop to clear and come back here.
+  async function requestClose(cycle, reason) {
+    if (cycles[cycle.barrierId] !== cycle) return;
+    cycle.closeReason = reason;
+    const sensors = getSensors(cycle.barrierId);
+    const blockedBy = sensors.safety === true || sensors.safety === null ? 'safety'
+      : reason === 'vehicle_passed' && sensors.vehicle === true ? 'vehicle' : null;
+    if (blockedBy) {
+      if (cycle.stage !== 'waiting_safety') {
+        setStage(cycle, 'waiting_safety');
+        record(cycle, 'auto_close_deferred', { reason, blockedBy, loop: sensors[blockedBy] === null ? 'unknown' : 'occupied' });
+      }
+      // Unknown loop state produces no input events, so poll until it's readable
+      clearTimeout(cycle.timers.retry);
+      cycle.timers.retry = setTimeout(() => requestClose(cycle, reason), retryMs);
+      return;
+    }
+
+    setStage(cycle, 'closing');
+    try {
+      await latch(cycle.barrierId, 'close', 'automation');
+      end(cycle.barrierId);
+      const details = { reason, cycleMs: Date.now() - cycle.startedAt };
+      if (cycle.failure) details.attempts = cycle.failure.attempts + 1;
+      record(cycle, 'auto_close', details);
+    } catch (err) {
+      if (cycles[cycle.barrierId] !== cycle) return;
+      closeFailed(cycle, reason, err);
+    }
+  }
+
+  function closeFailed(cycle, reason, err) {
+    if (!cycle.failure) {
+      cycle.failure = { since: Date.now(), attempts: 0, delayMs: retryMs };
+      log('WARN', `Auto-close of barrier ${cycle.barrierId} failed: ${err.message} — retrying`);
+      record(cycle, 'auto_close_failed', { reason, error: err.message, retryInMs: retryMs });
+    }
+    const failure = cycle.failure;
+    failure.attempts++;
+    failure.error = err.message;
+    if (Date.now() - failure.since >= giveUpMs) {
+      end(cycle.barrierId);
+      log('WARN', `Auto-close of barrier ${cycle.barrierId} abandoned after ${failure.attempts} attempts: ${err.message}`);
+      record(cycle, 'auto_close_abandoned', { reason, error: err.message, attempts: failure.attempts, failingMs: Date.now() - failure.since });
+      return;
+    }
+    setStage(cycle, 'retrying');
+    const delayMs = failure.delayMs;
+    failure.delayMs = Math.min(delayMs * 2, maxRetryMs);
+    cycle.timers.retry = setTimeout(() => requestClose(cycle, reason), delayMs);
+  }
+
+  // ─── Hooks ────────────────────────────────────────────────────────────────
+  function onBarrierAction({ barrierId, action, source, durationSec }) {
+    if (action === 'lift' && source !== 'schedule' && !durationSec) return start(barrierId, source);
+    if (source === 'automation') return;
+    const cycle = end(barrierId);
+    if (cycle) record(cycle, 'auto_cycle_cancelled', { by: source, action, stage: cycle.stage });
+  }
+
+  function onBarrierInput({ barrierId, signal, value }) {
+    const cycle = cycles[barrierId];
+    if (!cycle) return;
+    if (signal === 'vehicle') {
+      if (value && cycle.stage !== 'vehicle_present' && cycle.stage !== 'closing') {
+        vehicleArrived(cycle);
+      } else if (!value && cycle.stage === 'vehicle_present') {
+        vehicleCleared(cycle);
+      }
+    } else if (signal === 'safety' && !value && cycle.stage === 'waiting_safety') {
+      clearTimeout(cycle.timers.retry);
+      requestClose(cycle, cycle.closeReason);
+    }
+  }
+
+  // Emergency off, shutdown, or the barrier vanishing from config
+  function cancel(barrierId, by) {
+    const cycle = end(barrierId);
+    if (cycle && by) record(cycle, 'auto_cycle_cancelled', { by, stage: cycle.stage });
+  }
+
+  function cancelAll(by) {
+    for (const barrierId of Object.keys(cycles)) cancel(barrierId, by);
+  }
+
+  function status(barrierId) {
+    const cfg = settings(barrierId);
+    if (!cfg) return null;
+    const cycle = cycles[barrierId];
+    if (!cycle) return { enabled: true, stage: 'idle' };
+    const result = { enabled: true, stage: cycle.stage, cycle: cycle.id, since: new Date(cycle.since).toISOString(), startedAt: new Date(cycle.startedAt).toISOString() };
+    if (cycle.failure) Object.assign(result, { attempts: cycle.failure.attempts, error: cycle.failure.error });
+    return result;
+  }
+
+  return { onBarrierAction, onBarrierInput, cancel, cancelAll, status };
+}
+
+module.exports = { createAutomation };
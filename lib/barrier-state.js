@@ -0,0 +1,125 @@
+/**
+ * Barrier state machine — what the arm is doing, not which relay is on.
+ *
+ *   unknown ─┬─ lift ──▶ opening ──(armUp | travel time)──▶ open
+ *            └─ close ─▶ closing ──(armDown | travel time)─▶ closed
+ *   stop / emergency off ▶ stopped        interlock or limit fault ▶ fault
+ *
+ * With limit switches configured, they decide when a move has finished and
+ * a move that doesn't reach its limit in `limitTimeoutMs` is a fault. Without
+ * them, the barrier is assumed to arrive after `travelMs`.
+ */
+
+const STATES = ['closed', 'opening', 'open', 'closing', 'stopped', 'fault', 'unknown'];
+
+const DEFAULT_TRAVEL_MS = 6000;
+const DEFAULT_LIMIT_TIMEOUT_MS = 15000;
+
+function createBarrierStates({ getBarriers, getSensors, onChange }) {
+  const machines = {};   // barrierId → { state, since, reason, timer }
+
+  function machine(barrierId) {
+    if (!machines[barrierId]) machines[barrierId] = { state: 'unknown', since: Date.now(), reason: 'startup', timer: null };
+    return machines[barrierId];
+  }
+
+  function hasLimits(barrier) {
+    return !!(barrier.inputs && (barrier.inputs.armUp || barrier.inputs.armDown));
+  }
+
+  function transition(barrierId, state, reason) {
+    const m = machine(barrierId);
+    clearTimeout(m.timer);
+    m.timer = null;
+    if (m.state === state) { m.reason = reason; return; }
+    const previous = m.state;
+    m.state = state;
+    m.since = Date.now();
+    m.reason = reason;
+    onChange({ barrierId: parseInt(barrierId, 10), state, previous, reason, since: new Date(m.since).toISOString() });
+  }
+
+  // Start a move and arrange for it to finish: by travel time without limit
+  // switches, or by a fault if the expected limit never closes.
+  function startMove(barrierId, moving, target, limit) {
+    const barrier = getBarriers()[barrierId];
+    const sensors = getSensors(barrierId);
+    if (sensors[limit] === true) return transition(barrierId, target, `${limit} already made`);
+    transition(barrierId, moving, 'command');
+    const m = machine(barrierId);
+    if (hasLimits(barrier) && barrier.inputs[limit]) {
+      const ms = barrier.limitTimeoutMs || DEFAULT_LIMIT_TIMEOUT_MS;
+      m.timer = setTimeout(() => transition(barrierId, 'fault', `${limit} not reached in ${ms / 1000}s`), ms);
+    } else {
+      m.timer = setTimeout(() => transition(barrierId, target, 'travel time elapsed'), barrier.travelMs || DEFAULT_TRAVEL_MS);
+    }
+  }
+
+  // ─── Inputs ───────────────────────────────────────────────────────────────
+  function onCommand(barrierId, action) {
+    if (!getBarriers()[barrierId]) return;
+    if (action === 'lift') startMove(barrierId, 'opening', 'open', 'armUp');
+    else if (action === 'close') startMove(barrierId, 'closing', 'closed', 'armDown');
+    else if (action === 'stop' || action === 'emergency_off') settle(barrierId, 'stopped', action);
+  }
+
+  // Stop commands leave the arm wherever it is — the limits may still tell us
+  function settle(barrierId, fallback, reason) {
+    const { arm } = getSensors(barrierId);
+    if (arm === 'up') transition(barrierId, 'open', reason);
+    else if (arm === 'down') transition(barrierId, 'closed', reason);
+    else transition(barrierId, fallback, reason);
+  }
+
+  function onInput(barrierId, signal, value, sensors) {
+    if (signal !== 'armUp' && signal !== 'armDown') return;
+    const m = machine(barrierId);
+    if (sensors.arm === 'fault') return transition(barrierId, 'fault', 'both limit switches made');
+    if (value) {
+      transition(barrierId, signal === 'armUp' ? 'open' : 'closed', `${signal} made`);
+    } else if ((signal === 'armUp' && m.state === 'open') || (signal === 'armDown' && m.state === 'closed')) {
+      // Arm left its limit without a command from us
+      transition(barrierId, 'unknown', `${signal} released without command`);
+    }
+  }
+
+  // First reading after startup or reconnect. Limits win; otherwise a latched
+  // lift relay means the arm is up.
+  function onBoardOnline(barrierId, coils) {
+    const m = machine(barrierId);
+    if (m.state !== 'unknown') return;
+    const barrier = getBarriers()[barrierId];
+    const { arm } = getSensors(barrierId);
+    if (arm === 'up') transition(barrierId, 'open', 'armUp made');
+    else if (arm === 'down') transition(barrierId, 'closed', 'armDown made');
+    else if (arm === 'fault') transition(barrierId, 'fault', 'both limit switches made');
+    else if (!hasLimits(barrier) && coils[barrier.lift]) transition(barrierId, 'open', 'lift relay latched');
+  }
+
+  function onBoardOffline(barrierId) {
+    transition(barrierId, 'unknown', 'board offline');
+  }
+
+  function fault(barrierId, reason) {
+    transition(barrierId, 'fault', reason);
+  }
+
+  function remove(barrierId) {
+    const m = machines[barrierId];
+    if (m) clearTimeout(m.timer);
+    delete machines[barrierId];
+  }
+
+  function status(barrierId) {
+    const m = machine(barrierId);
+    return { state: m.state, since: new Date(m.since).toISOString(), timeInStateMs: Date.now() - m.since, reason: m.reason };
+  }
+
+  function stopAll() {
+    for (const m of Object.values(machines)) clearTimeout(m.timer);
+  }
+
+  return { onCommand, onInput, onBoardOnline, onBoardOffline, fault, remove, status, stopAll };
+}
+
+module.exports = { STATES, createBarrierStates };
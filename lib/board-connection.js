@@ -0,0 +1,290 @@
+/**
+ * Persistent board connection — one long-lived socket per relay board.
+ *
+ * Requests are queued FIFO and sent one at a time; TCP replies are matched to
+ * their request by MBAP transaction ID and anything else on the wire is
+ * discarded. A failed connect backs off exponentially between
+ * `reconnectMinMs` and `reconnectMaxMs`, and so does a connection the board
+ * closes before answering anything (connection limit reached, reboot loop);
+ * the backoff only resets once a request succeeds.
+ *
+ * `getConfig()` returns the board's current { host, port, unitId } and
+ * `isRTU()` says which framing to use for the next request; both are read
+ * per request so auto-detection and hot reload take effect straight away.
+ * `onResult(fc, seconds, err)` is called after every request, for metrics;
+ * `onTraffic(record)`, if given, gets the raw frames of every request — the
+ * bytes sent, each chunk received with its arrival time, and the outcome —
+ * for lib/traffic-capture.
+ */
+
+const net = require('net');
+const { buildTCPFrame, buildRTUFrame, parseTCPResponse, parseRTUResponse } = require('./modbus');
+
+// What went wrong with a request: timeout, crc (corrupt frame), exception or
+// connection
+function errorKind(err) {
+  if (err.exceptionCode !== undefined) return 'exception';
+  if (err.message === 'Modbus timeout') return 'timeout';
+  if (err.message === 'CRC mismatch' || err.message === 'Short Modbus TCP frame') return 'crc';
+  return 'connection';
+}
+
+// The reply to the request in flight ({ useRTU, tid }) from the bytes received
+// so far: { rest, pdu } or { rest, err } once complete, just { rest } while
+// not. TCP frames for other transactions (late replies to timed-out requests)
+// are skipped. Pure, so a capture can be replayed through it.
+function takeReply(rx, { useRTU, tid }) {
+  if (useRTU) {
+    try {
+      const pdu = parseRTUResponse(rx);
+      return pdu ? { rest: Buffer.alloc(0), pdu } : { rest: rx };
+    } catch (err) {
+      return { rest: Buffer.alloc(0), err };
+    }
+  }
+
+  // Modbus TCP: split the stream on MBAP length and match transaction IDs
+  while (rx.length >= 7) {
+    const frameLen = 6 + rx.readUInt16BE(4);
+    if (rx.length < frameLen) break;
+    const frame = rx.slice(0, frameLen);
+    rx = rx.slice(frameLen);
+    if (frame.readUInt16BE(0) !== tid) continue;
+    try {
+      const pdu = parseTCPResponse(frame);
+      return pdu ? { rest: rx, pdu } : { rest: rx, err: new Error('Short Modbus TCP frame') };
+    } catch (err) {
+      return { rest: rx, err };
+    }
+  }
+  return { rest: rx };
+}
+
+function createBoardConnection({ getConfig, isRTU, timeoutMs = 5000, keepAliveMs = 5000, reconnectMinMs = 500, reconnectMaxMs = 30000, onResult = () => {}, onTraffic = null }) {
+  const conn = {
+    socket: null,
+    connected: false,
+    connecting: null,        // Promise while a connect attempt is in progress
+    closed: false,
+    backoffMs: reconnectMinMs,
+    retryAt: 0,
+    lastError: null,
+    answered: false,         // whether the current socket has answered a request
+    reconnectTimer: null,
+    queue: [],
+    running: false,
+    inFlight: null,          // { tid, useRTU, chunks, resolve, reject, timer }
+    rx: Buffer.alloc(0),
+    transactionId: 0
+  };
+
+  function scheduleReconnect() {
+    if (conn.closed || conn.reconnectTimer) return;
+    conn.reconnectTimer = setTimeout(() => {
+      conn.reconnectTimer = null;
+      conn.retryAt = Math.min(conn.retryAt, Date.now());   // timers may fire a millisecond early
+      connect().catch(() => { /* logged by heartbeat; next attempt already scheduled */ });
+    }, Math.max(0, conn.retryAt - Date.now()));
+  }
+
+  function failInFlight(err) {
+    const pending = conn.inFlight;
+    if (!pending) return;
+    conn.inFlight = null;
+    clearTimeout(pending.timer);
+    pending.reject(err);
+  }
+
+  function connect() {
+    if (conn.connected) return Promise.resolve();
+    if (conn.connecting) return conn.connecting;
+    if (conn.closed) return Promise.reject(new Error('Board connection closed'));
+    if (Date.now() < conn.retryAt) {
+      const retryIn = Math.ceil((conn.retryAt - Date.now()) / 1000);
+      return Promise.reject(new Error(`${conn.lastError || 'Not connected'} (retry in ${retryIn}s)`));
+    }
+    const cfg = getConfig();
+    conn.connecting = new Promise((resolve, reject) => {
+      const socket = new net.Socket();
+      const timer = setTimeout(() => socket.destroy(new Error('Connect timeout')), timeoutMs);
+
+      socket.once('connect', () => {
+        clearTimeout(timer);
+        conn.connecting = null;
+        // Closed (board removed, shutdown) while the connect was in progress
+        if (conn.closed) {
+          socket.destroy();
+          return reject(new Error('Board connection closed'));
+        }
+        socket.setNoDelay(true);
+        socket.setKeepAlive(true, keepAliveMs);
+        conn.socket = socket;
+        conn.connected = true;
+        conn.answered = false;
+        conn.rx = Buffer.alloc(0);
+        resolve();
+      });
+
+      socket.on('data', onData);
+
+      socket.on('error', (err) => {
+        clearTimeout(timer);
+        if (!conn.connected && conn.connecting) {
+          conn.connecting = null;
+          conn.lastError = err.message;
+          conn.retryAt = Date.now() + conn.backoffMs;
+          conn.backoffMs = Math.min(conn.backoffMs * 2, reconnectMaxMs);
+          scheduleReconnect();
+          reject(err);
+        }
+      });
+
+      socket.on('close', () => {
+        clearTimeout(timer);
+        if (conn.socket !== socket) return;
+        conn.socket = null;
+        conn.connected = false;
+        failInFlight(new Error('Socket closed'));
+        // A drop after the board has answered may just be an idle timeout —
+        // reconnect straight away. One that never answered is refusing us.
+        if (conn.answered) {
+          conn.retryAt = Date.now();
+        } else {
+          conn.lastError = 'Closed by the board before any reply';
+          conn.retryAt = Date.now() + conn.backoffMs;
+          conn.backoffMs = Math.min(conn.backoffMs * 2, reconnectMaxMs);
+        }
+        scheduleReconnect();
+      });
+
+      socket.connect(cfg.port, cfg.host);
+    });
+    return conn.connecting;
+  }
+
+  function onData(chunk) {
+    conn.rx = Buffer.concat([conn.rx, chunk]);
+    const pending = conn.inFlight;
+    if (!pending) { conn.rx = Buffer.alloc(0); return; }
+    pending.chunks.push({ offsetMs: performance.now() - pending.started, data: chunk });
+
+    const reply = takeReply(conn.rx, pending);
+    conn.rx = reply.rest;
+    if (reply.err || reply.pdu) settle(pending, reply.err || null, reply.pdu);
+  }
+
+  function settle(pending, err, pdu) {
+    if (conn.inFlight !== pending) return;
+    conn.inFlight = null;
+    clearTimeout(pending.timer);
+    if (pdu) {
+      conn.answered = true;
+      conn.backoffMs = reconnectMinMs;
+    }
+    if (err) pending.reject(err); else pending.resolve(pdu);
+  }
+
+  // Drop the socket so stale bytes from an unanswered request can't be
+  // mistaken for the next reply (RTU frames carry no transaction ID).
+  function reset() {
+    const socket = conn.socket;
+    if (!socket) return;
+    conn.socket = null;
+    conn.connected = false;
+    socket.destroy();
+  }
+
+  function traffic(job, useRTU, frame, at, chunks, latencyMs, err) {
+    if (!onTraffic) return;
+    onTraffic({
+      at,
+      protocol: useRTU ? 'rtu' : 'tcp',
+      unitId: getConfig().unitId,
+      fc: job.fc,
+      request: frame,
+      chunks,
+      latencyMs,
+      outcome: err ? errorKind(err) : 'ok',
+      error: err ? err.message : null
+    });
+  }
+
+  async function send(job) {
+    try {
+      await connect();
+    } catch (err) {
+      traffic(job, isRTU(), null, new Date(), [], null, err);   // never sent
+      throw err;
+    }
+    const cfg = getConfig();
+    const useRTU = isRTU();
+    const frame = useRTU
+      ? buildRTUFrame(cfg.unitId, job.fc, job.data)
+      : buildTCPFrame(++conn.transactionId, cfg.unitId, job.fc, job.data);
+    return new Promise((resolve, reject) => {
+      const at = new Date();
+      const finish = (err, pdu) => {
+        traffic(job, useRTU, frame, at, pending.chunks, performance.now() - pending.started, err);
+        if (err) reject(err); else resolve(pdu);
+      };
+      const pending = {
+        tid: useRTU ? null : frame.readUInt16BE(0),
+        useRTU,
+        started: performance.now(),
+        chunks: [],
+        resolve: pdu => finish(null, pdu),
+        reject: err => finish(err),
+        timer: setTimeout(() => {
+          settle(pending, new Error('Modbus timeout'));
+          reset();
+        }, timeoutMs)
+      };
+      conn.inFlight = pending;
+      conn.rx = Buffer.alloc(0);
+      conn.socket.write(frame);
+    });
+  }
+
+  async function pump() {
+    if (conn.running) return;
+    conn.running = true;
+    while (conn.queue.length > 0) {
+      const job = conn.queue.shift();
+      const started = performance.now();
+      try {
+        const pdu = await send(job);
+        onResult(job.fc, (performance.now() - started) / 1000, null);
+        job.resolve(pdu);
+      } catch (err) {
+        onResult(job.fc, (performance.now() - started) / 1000, err);
+        job.reject(err);
+      }
+    }
+    conn.running = false;
+  }
+
+  return {
+    // Resolves with the response PDU (function code first)
+    request(fc, data) {
+      if (conn.closed) return Promise.reject(new Error('Board connection closed'));
+      return new Promise((resolve, reject) => {
+        conn.queue.push({ fc, data, resolve, reject });
+        pump();
+      });
+    },
+    reset,
+    close() {
+      conn.closed = true;
+      clearTimeout(conn.reconnectTimer);
+      for (const job of conn.queue.splice(0)) job.reject(new Error('Board connection closed'));
+      failInFlight(new Error('Board connection closed'));
+      if (conn.socket) conn.socket.destroy();
+      conn.socket = null;
+      conn.connected = false;
+    },
+    get connected() { return conn.connected; },
+    get queueDepth() { return conn.queue.length + (conn.inFlight ? 1 : 0); }
+  };
+}
+
+module.exports = { errorKind, takeReply, createBoardConnection };
@@ -0,0 +1,149 @@
+/**
+ * Relay board operations on top of the board connections — coil and input
+ * reads, interlock-checked coil writes with a single-coil fallback for
+ * firmware without FC 0x0F, protocol auto-detection, and the coil sequences
+ * behind the barrier commands.
+ *
+ * Boards, their runtime state and connections are looked up by key on every
+ * call, so hot reload can swap them underneath.
+ */
+
+const { readBitsRequest, decodeBits, writeCoilRequest, writeCoilsRequest } = require('./modbus');
+
+// Ordered [role, value] steps per barrier command. Releases come first so the
+// single-coil fallback never has two opposing relays on at once.
+const BARRIER_SEQUENCES = {
+  lift: [['close', false], ['stop', false], ['lift', true]],
+  close: [['lift', false], ['close', true]],
+  stop: [['lift', false], ['close', false], ['stop', true]],
+  release: [['close', false]]   // end of the close pulse
+};
+
+function barrierCoilChanges(barrier, action) {
+  const sequence = BARRIER_SEQUENCES[action];
+  if (!sequence) throw new Error(`Unknown action: ${action}`);
+  return sequence.map(([role, value]) => [barrier[role], value]);
+}
+
+function createBoardIO({ getBoard, getState, getConnection, interlock, log }) {
+  function modbusRequest(boardKey, fc, data) {
+    const conn = getConnection(boardKey);
+    if (!conn) return Promise.reject(new Error(`Unknown board: ${boardKey}`));
+    return conn.request(fc, data);
+  }
+
+  // Serialises multi-frame sequences (barrier actions, all-off) per board so a
+  // heartbeat or another command can't land between their writes. Callers
+  // queue behind each other instead of being skipped.
+  function withBoardLock(boardKey, fn) {
+    const state = getState(boardKey);
+    const run = state.lock.then(fn, fn);
+    state.lock = run.catch(() => {});
+    return run;
+  }
+
+  // ─── Reads and Writes ─────────────────────────────────────────────────────
+  async function readBits(boardKey, fc, startAddr, qty) {
+    const pdu = await modbusRequest(boardKey, fc, readBitsRequest(startAddr, qty));
+    return decodeBits(pdu, qty);
+  }
+
+  function readCoils(boardKey, startAddr, qty) {
+    return readBits(boardKey, 0x01, startAddr, qty);
+  }
+
+  function readDiscreteInputs(boardKey, startAddr, qty) {
+    return readBits(boardKey, 0x02, startAddr, qty);
+  }
+
+  async function writeCoil(boardKey, addr, value) {
+    await modbusRequest(boardKey, 0x05, writeCoilRequest(addr, value));
+  }
+
+  async function writeMultipleCoils(boardKey, startAddr, values) {
+    const pdu = await modbusRequest(boardKey, 0x0F, writeCoilsRequest(startAddr, values));
+    if (pdu.readUInt16BE(1) !== startAddr || pdu.readUInt16BE(3) !== values.length) {
+      throw new Error(`FC15 echo mismatch: addr=${pdu.readUInt16BE(1)} qty=${pdu.readUInt16BE(3)}`);
+    }
+  }
+
+  // Apply a set of coil changes in one FC 0x0F frame. `changes` is an ordered
+  // list of [addr, value]; the order only matters for the single-coil fallback,
+  // where releases must be listed before the coils they make way for.
+  // Anything that energises a coil is checked against the interlock using a
+  // fresh read of the board, which also supplies the untouched coils inside the
+  // written span. Call inside withBoardLock.
+  async function setCoils(boardKey, changes) {
+    const cfg = getBoard(boardKey);
+    const state = getState(boardKey);
+    const multi = cfg.multiCoilWrite !== false && state.multiCoilWrite !== false;
+
+    let current = null;
+    if (changes.some(([, value]) => value)) {
+      current = await readCoils(boardKey, 0, cfg.channels);
+      state.coils = current;
+      interlock.check(boardKey, current, changes, { sequential: !multi });
+    }
+
+    if (multi) {
+      const addrs = changes.map(([addr]) => addr);
+      const start = Math.min(...addrs);
+      const span = Math.max(...addrs) - start + 1;
+      try {
+        let values;
+        if (current) values = current.slice(start, start + span);
+        else if (span === changes.length) values = new Array(span).fill(false);
+        else values = await readCoils(boardKey, start, span);
+        for (const [addr, value] of changes) values[addr - start] = value;
+        await writeMultipleCoils(boardKey, start, values);
+        values.forEach((v, i) => { state.coils[start + i] = v; });
+        state.multiCoilWrite = true;
+        return;
+      } catch (err) {
+        // Illegal function: this board/firmware doesn't do FC 0x0F
+        if (err.exceptionCode !== 1) throw err;
+        state.multiCoilWrite = false;
+        log('WARN', `${cfg.name}: FC 0x0F rejected — falling back to single-coil writes`);
+        if (current) interlock.check(boardKey, current, changes, { sequential: true });
+      }
+    }
+
+    for (const [addr, value] of changes) {
+      await writeCoil(boardKey, addr, value);
+      state.coils[addr] = value;
+    }
+  }
+
+  async function allCoilsOff(boardKey) {
+    const cfg = getBoard(boardKey);
+    await setCoils(boardKey, Array.from({ length: cfg.channels }, (_, i) => [i, false]));
+  }
+
+  // ─── Auto-Detect Protocol Mode ────────────────────────────────────────────
+  // Sets state.useRTU to whichever framing the board answers; false if neither
+  async function autoDetect(boardKey) {
+    const cfg = getBoard(boardKey);
+    const state = getState(boardKey);
+    const testData = readBitsRequest(0, cfg.channels);
+
+    // Try TCP first
+    state.useRTU = false;
+    try { await modbusRequest(boardKey, 0x01, testData); log('INFO', `${cfg.name}: TCP mode`); return true; }
+    catch (e) { /* fall through */ }
+
+    // Try RTU on a fresh socket so a late TCP reply can't be read as RTU
+    getConnection(boardKey).reset();
+    state.useRTU = true;
+    try { await modbusRequest(boardKey, 0x01, testData); log('INFO', `${cfg.name}: RTU mode`); return true; }
+    catch (e) { /* fall through */ }
+
+    return false;
+  }
+
+  return {
+    withBoardLock, readCoils, readDiscreteInputs, writeCoil, writeMultipleCoils,
+    setCoils, allCoilsOff, autoDetect
+  };
+}
+
+module.exports = { BARRIER_SEQUENCES, barrierCoilChanges, createBoardIO };
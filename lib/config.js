@@ -0,0 +1,387 @@
+/**
+ * Site configuration — boards and barriers loaded from a JSON or YAML file.
+ *
+ * One server can run several car parks ("sites"): the file then has a
+ * `sites` map, each with its own boards, barriers and occupancy, instead of
+ * top-level ones. Board keys and barrier ids stay unique across sites, so the
+ * rest of the server keeps one flat BOARDS / BARRIERS map and each entry
+ * records its site. A file without `sites` is a single site, DEFAULT_SITE.
+ *
+ * Channel numbers in the file are 1-based, matching the CH1…CHn labels on the
+ * boards and in the UI. They are converted to 0-based coil addresses here so
+ * the rest of the server never has to think about it. Digital inputs are
+ * numbered the same way.
+ *
+ * Relays that aren't part of a barrier can be named as auxiliary `outputs`
+ * (gate lights, a "car park full" sign) and switched on their own.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { z } = require('zod');
+const { ROLES } = require('./interlock');
+
+// ─── Schema ─────────────────────────────────────────────────────────────────
+const keyPattern = /^[A-Za-z0-9_-]+$/;
+
+const boardSchema = z.object({
+  name: z.string().min(1),
+  host: z.string().min(1),
+  port: z.number().int().min(1).max(65535).default(4196),
+  unitId: z.number().int().min(0).max(255).default(1),
+  channels: z.number().int().min(1).max(32),
+  inputs: z.number().int().min(0).max(32).default(0),   // digital inputs polled with FC 0x02
+  // Set false for firmware that silently ignores FC 0x0F (rejections are detected automatically)
+  multiCoilWrite: z.boolean().optional()
+}).strict();
+
+const channelSchema = z.number().int().min(1);
+
+// Barrier signals read from digital inputs
+const SIGNALS = ['vehicle', 'safety', 'armUp', 'armDown', 'help'];
+
+// An input is its 1-based number, or { input, activeLow } for NC contacts
+const inputSchema = z.union([
+  z.number().int().min(1),
+  z.object({ input: z.number().int().min(1), activeLow: z.boolean().default(false) }).strict()
+]);
+
+const barrierInputsSchema = z.object({
+  board: z.string().min(1).optional(),    // defaults to the barrier's own board
+  vehicle: inputSchema.optional(),        // vehicle-present (exit) loop
+  safety: inputSchema.optional(),         // safety loop under the arm
+  armUp: inputSchema.optional(),          // arm fully up limit switch
+  armDown: inputSchema.optional(),        // arm fully down limit switch
+  help: inputSchema.optional()            // driver help point push button
+}).strict();
+
+const roleSchema = z.enum(ROLES);
+
+// Loop-driven auto-close (see lib/automation.js). null disables a timeout.
+const automationSchema = z.object({
+  autoClose: z.boolean().default(true),
+  arriveTimeoutMs: z.number().int().min(1000).nullable().default(60000),
+  clearDelayMs: z.number().int().min(0).default(2000),
+  maxOpenMs: z.number().int().min(1000).nullable().default(300000)
+}).strict();
+
+const barrierSchema = z.object({
+  name: z.string().min(1),
+  board: z.string().min(1),
+  lift: channelSchema,
+  close: channelSchema,
+  stop: channelSchema,
+  // Pairs of roles that must never be ON together (defaults in lib/interlock.js)
+  interlocks: z.array(z.tuple([roleSchema, roleSchema]).refine(([a, b]) => a !== b, 'an interlock needs two different roles'))
+    .optional(),
+  inputs: barrierInputsSchema.optional(),
+  automation: automationSchema.optional(),
+  travelMs: z.number().int().min(500).optional(),         // assumed travel time without limit switches
+  limitTimeoutMs: z.number().int().min(1000).optional(),  // with limit switches: fault if not reached
+  openAlertMs: z.number().int().min(1000).nullable().optional(),  // alarm when open this long (null: never)
+  direction: z.enum(['entry', 'exit']).optional(),   // counts towards occupancy
+  cameras: z.array(z.string().regex(keyPattern, 'camera ids may only contain letters, digits, _ and -')).optional()   // ANPR cameras reading here
+}).strict();
+
+// latched: stays as switched; momentary: a PULSE_MS press; timed: switches
+// itself off after durationMs (or the duration asked for)
+const OUTPUT_MODES = ['latched', 'momentary', 'timed'];
+
+const outputSchema = z.object({
+  name: z.string().min(1),
+  board: z.string().min(1),
+  channel: channelSchema,
+  mode: z.enum(OUTPUT_MODES).default('latched'),
+  durationMs: z.number().int().min(1000).optional()
+}).strict().superRefine((output, ctx) => {
+  if ((output.mode === 'timed') !== (output.durationMs !== undefined)) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['durationMs'], message: 'timed outputs need durationMs, and only they take it' });
+  }
+});
+
+const DEFAULT_SITE = 'default';
+
+const siteFields = {
+  boards: z.record(z.string().regex(keyPattern, 'board keys may only contain letters, digits, _ and -'), boardSchema)
+    .refine(boards => Object.keys(boards).length > 0, 'at least one board is required'),
+  barriers: z.record(z.string().regex(/^[1-9]\d*$/, 'barrier ids must be positive integers'), barrierSchema),
+  outputs: z.record(z.string().regex(keyPattern, 'output keys may only contain letters, digits, _ and -'), outputSchema).default({}),
+  // Vehicles counted in through entry barriers and out through exit ones
+  occupancy: z.object({ capacity: z.number().int().min(1) }).strict().optional()
+};
+
+// Cross-checks within one site. `cameras` is shared between sites, since a
+// camera id must name a single barrier server-wide.
+function checkSite(site, ctx, at = [], cameras = new Map()) {
+  const used = new Map();   // "board:channel" → "barrier N lift"
+  for (const [id, barrier] of Object.entries(site.barriers)) {
+    const board = site.boards[barrier.board];
+    if (!board) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: [...at, 'barriers', id, 'board'], message: `unknown board "${barrier.board}"` });
+      continue;
+    }
+    for (const role of ROLES) {
+      const channel = barrier[role];
+      if (channel > board.channels) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: [...at, 'barriers', id, role],
+          message: `channel ${channel} exceeds ${barrier.board} channel count (${board.channels})`
+        });
+        continue;
+      }
+      const slot = `${barrier.board}:${channel}`;
+      if (used.has(slot)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: [...at, 'barriers', id, role],
+          message: `${barrier.board} CH${channel} already used by ${used.get(slot)}`
+        });
+      } else {
+        used.set(slot, `barrier ${id} ${role}`);
+      }
+    }
+    for (const camera of barrier.cameras || []) {
+      if (cameras.has(camera)) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: [...at, 'barriers', id, 'cameras'], message: `camera "${camera}" already reads at barrier ${cameras.get(camera)}` });
+      }
+      cameras.set(camera, id);
+    }
+    if (barrier.automation && barrier.automation.autoClose && !(barrier.inputs && barrier.inputs.vehicle)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: [...at, 'barriers', id, 'automation'], message: 'auto-close needs a vehicle loop input' });
+    }
+    if (barrier.inputs) {
+      const inputBoardKey = barrier.inputs.board || barrier.board;
+      const inputBoard = site.boards[inputBoardKey];
+      if (!inputBoard) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: [...at, 'barriers', id, 'inputs', 'board'], message: `unknown board "${inputBoardKey}"` });
+        continue;
+      }
+      for (const signal of SIGNALS) {
+        const spec = barrier.inputs[signal];
+        if (spec === undefined) continue;
+        const input = typeof spec === 'number' ? spec : spec.input;
+        if (input > inputBoard.inputs) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            path: [...at, 'barriers', id, 'inputs', signal],
+            message: `input ${input} exceeds ${inputBoardKey} input count (${inputBoard.inputs})`
+          });
+        }
+      }
+    }
+  }
+  for (const [key, output] of Object.entries(site.outputs)) {
+    const board = site.boards[output.board];
+    if (!board) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: [...at, 'outputs', key, 'board'], message: `unknown board "${output.board}"` });
+      continue;
+    }
+    const slot = `${output.board}:${output.channel}`;
+    if (output.channel > board.channels) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: [...at, 'outputs', key, 'channel'],
+        message: `channel ${output.channel} exceeds ${output.board} channel count (${board.channels})`
+      });
+    } else if (used.has(slot)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: [...at, 'outputs', key, 'channel'], message: `${output.board} CH${output.channel} already used by ${used.get(slot)}` });
+    } else {
+      used.set(slot, `output ${key}`);
+    }
+  }
+}
+
+const singleSiteSchema = z.object(siteFields).strict().superRefine((site, ctx) => checkSite(site, ctx));
+
+const multiSiteSchema = z.object({
+  defaultSite: z.string().optional(),   // what the routes without /api/sites/:site act on; the first site otherwise
+  sites: z.record(z.string().regex(keyPattern, 'site keys may only contain letters, digits, _ and -'),
+    z.object({ name: z.string().min(1), ...siteFields }).strict())
+    .refine(sites => Object.keys(sites).length > 0, 'at least one site is required')
+}).strict().superRefine((cfg, ctx) => {
+  const cameras = new Map();
+  const boards = new Map();     // board key → site
+  const barriers = new Map();   // barrier id → site
+  const outputs = new Map();    // output key → site
+  for (const [key, site] of Object.entries(cfg.sites)) {
+    checkSite(site, ctx, ['sites', key], cameras);
+    for (const board of Object.keys(site.boards)) {
+      if (boards.has(board)) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['sites', key, 'boards', board], message: `board key "${board}" already used by site ${boards.get(board)}` });
+      }
+      boards.set(board, key);
+    }
+    for (const id of Object.keys(site.barriers)) {
+      if (barriers.has(id)) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['sites', key, 'barriers', id], message: `barrier ${id} already used by site ${barriers.get(id)}` });
+      }
+      barriers.set(id, key);
+    }
+    for (const output of Object.keys(site.outputs)) {
+      if (outputs.has(output)) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['sites', key, 'outputs', output], message: `output key "${output}" already used by site ${outputs.get(output)}` });
+      }
+      outputs.set(output, key);
+    }
+  }
+  if (cfg.defaultSite !== undefined && !cfg.sites[cfg.defaultSite]) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['defaultSite'], message: `unknown site "${cfg.defaultSite}"` });
+  }
+});
+
+// ─── Built-In Defaults ──────────────────────────────────────────────────────
+// Used when no config file exists, so existing installs keep working with the
+// BOARDn_* environment overrides they already have.
+function defaultSiteConfig() {
+  return {
+    boards: {
+      board1: {
+        host: process.env.BOARD1_HOST || '10.10.10.64',
+        port: parseInt(process.env.BOARD1_PORT || '4196', 10),
+        unitId: parseInt(process.env.BOARD1_UNIT || '1', 10),
+        channels: 6,
+        name: 'Board 1 (Main)'
+      },
+      board2: {
+        host: process.env.BOARD2_HOST || '10.10.10.65',
+        port: parseInt(process.env.BOARD2_PORT || '4196', 10),
+        unitId: parseInt(process.env.BOARD2_UNIT || '1', 10),
+        channels: 3,
+        name: 'Board 2 (Barrier 3)'
+      }
+    },
+    barriers: {
+      1: { board: 'board1', lift: 1, close: 2, stop: 3, name: 'Barrier 1' },
+      2: { board: 'board1', lift: 4, close: 5, stop: 6, name: 'Barrier 2' },
+      3: { board: 'board2', lift: 1, close: 2, stop: 3, name: 'Barrier 3' }
+    }
+  };
+}
+
+// ─── Parsing & Validation ───────────────────────────────────────────────────
+function parseConfigText(text, file) {
+  const ext = path.extname(file).toLowerCase();
+  if (ext === '.yaml' || ext === '.yml') return yaml.load(text);
+  return JSON.parse(text);
+}
+
+function formatIssues(error) {
+  return error.issues.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`);
+}
+
+// Validate a raw config object and convert it to the runtime shape: one flat
+// map each of boards, barriers and outputs, tagged with their site; barrier
+// ids become numbers and channels become 0-based coil addresses (an output's
+// in `addr`).
+function validateSiteConfig(raw) {
+  const multi = !!raw && typeof raw === 'object' && 'sites' in raw;
+  const result = (multi ? multiSiteSchema : singleSiteSchema).safeParse(raw);
+  if (!result.success) {
+    const err = new Error(`Invalid site config:\n  ${formatIssues(result.error).join('\n  ')}`);
+    err.issues = formatIssues(result.error);
+    throw err;
+  }
+  const parsed = multi ? result.data.sites : { [DEFAULT_SITE]: { name: 'Car park', ...result.data } };
+  const sites = {};
+  const boards = {};
+  const barriers = {};
+  const outputs = {};
+  for (const [site, cfg] of Object.entries(parsed)) {
+    sites[site] = { name: cfg.name, occupancy: cfg.occupancy || null };
+    for (const [key, board] of Object.entries(cfg.boards)) boards[key] = { ...board, site };
+    for (const [id, barrier] of Object.entries(cfg.barriers)) {
+      barriers[parseInt(id, 10)] = {
+        ...barrier,
+        lift: barrier.lift - 1,
+        close: barrier.close - 1,
+        stop: barrier.stop - 1,
+        inputs: barrier.inputs ? normaliseInputs(barrier.inputs, barrier.board) : undefined,
+        site
+      };
+    }
+    for (const [key, { channel, ...output }] of Object.entries(cfg.outputs)) {
+      outputs[key] = { ...output, addr: channel - 1, site };
+    }
+  }
+  const defaultSite = multi ? result.data.defaultSite || Object.keys(sites)[0] : DEFAULT_SITE;
+  return { boards, barriers, outputs, sites, defaultSite };
+}
+
+// { board, vehicle: 2 } → { board, vehicle: { addr: 1, activeLow: false } }
+function normaliseInputs(inputs, defaultBoard) {
+  const out = { board: inputs.board || defaultBoard };
+  for (const signal of SIGNALS) {
+    const spec = inputs[signal];
+    if (spec === undefined) continue;
+    out[signal] = typeof spec === 'number'
+      ? { addr: spec - 1, activeLow: false }
+      : { addr: spec.input - 1, activeLow: spec.activeLow };
+  }
+  return out;
+}
+
+function loadSiteConfig(file) {
+  if (!file || !fs.existsSync(file)) return { ...validateSiteConfig(defaultSiteConfig()), source: 'built-in defaults' };
+  const raw = parseConfigText(fs.readFileSync(file, 'utf8'), file);
+  return { ...validateSiteConfig(raw), source: file };
+}
+
+// The files a config may come from, in order of preference: explicit
+// SITE_CONFIG, else site.json / site.yaml / site.yml next to server.js
+function configCandidates(baseDir) {
+  if (process.env.SITE_CONFIG) return [path.resolve(process.env.SITE_CONFIG)];
+  return ['site.json', 'site.yaml', 'site.yml'].map(f => path.join(baseDir, f));
+}
+
+// The candidate in use: the first that exists, else the first
+function resolveConfigPath(baseDir) {
+  const candidates = configCandidates(baseDir);
+  return candidates.find(f => fs.existsSync(f)) || candidates[0];
+}
+
+// ─── Hot Reload ─────────────────────────────────────────────────────────────
+// fs.watchFile polls stat(), which survives editors that save by rename.
+// Every candidate is watched, so whichever is created later is picked up,
+// and one earlier in the list takes over as it would on a restart.
+function watchSiteConfig(files, onChange, onError, intervalMs = 1000) {
+  const candidates = [].concat(files);
+  const inUse = () => candidates.find(f => fs.existsSync(f)) || null;
+  let current = inUse();
+  const listeners = candidates.map(file => {
+    const listener = (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+      const next = inUse();
+      if (file !== current && file !== next) return;   // a candidate that isn't in use
+      if (!next) {
+        onError(new Error(`${file} removed — keeping current config`));
+        return;
+      }
+      let cfg;
+      try {
+        cfg = loadSiteConfig(next);
+      } catch (err) {
+        onError(err);
+        return;
+      }
+      current = next;
+      onChange(cfg);
+    };
+    fs.watchFile(file, { interval: intervalMs }, listener);
+    return [file, listener];
+  });
+  return () => listeners.forEach(([file, listener]) => fs.unwatchFile(file, listener));
+}
+
+module.exports = {
+  DEFAULT_SITE,
+  SIGNALS,
+  OUTPUT_MODES,
+  defaultSiteConfig,
+  validateSiteConfig,
+  loadSiteConfig,
+  configCandidates,
+  resolveConfigPath,
+  watchSiteConfig
+};
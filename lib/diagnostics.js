@@ -0,0 +1,257 @@
+/**
+ * Board diagnostics — probes a relay board the way a field engineer would
+ * when it misbehaves: Modbus TCP and RTU-over-TCP framing at several unit
+ * ids, FC01 coil and FC02 input reads, and the Waveshare proprietary
+ * protocol some firmware speaks instead of Modbus.
+ *
+ * Each probe opens its own socket, sends one frame and records the raw
+ * request and reply as hex with the connect and reply times, so a stray
+ * reply can't be taken for the next probe's. Probes only read. With
+ * `write: { channel }` one FC05 probe also writes that relay back to the
+ * state the FC01 probe just read, which tests writes without moving it.
+ *
+ * Standalone: node lib/diagnostics.js --host 10.10.10.64 [--port 4196] [--unit 1] [--channels 8]
+ */
+
+const net = require('net');
+const { z } = require('zod');
+const {
+  buildTCPFrame, buildRTUFrame, parseTCPResponse, parseRTUResponse,
+  readBitsRequest, decodeBits, writeCoilRequest
+} = require('./modbus');
+
+const PROBE_TIMEOUT_MS = 2000;
+const WAVESHARE_SETTLE_MS = 200;   // no length in that protocol: wait this long for more bytes
+const WAVESHARE_READ_RELAYS = Buffer.from([0xFE, 0xFE, 0x00, 0x01, 0x00, 0x12, 0x00, 0x13]);
+
+const optionsSchema = z.object({
+  unitIds: z.array(z.number().int().min(0).max(255)).min(1).max(8).optional(),
+  timeoutMs: z.number().int().min(100).max(10000).optional(),
+  exclusive: z.boolean().optional(),             // server side: drop the live connection while probing
+  write: z.object({ channel: z.number().int().min(1) }).strict().optional()
+}).strict();
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Request body in, options out — 400 on anything unexpected
+function parseOptions(body, channels) {
+  const result = optionsSchema.safeParse(body || {});
+  if (!result.success) {
+    throw httpError(400, result.error.issues.map(i => `${i.path.join('.') || '(root)'}: ${i.message}`).join('; '));
+  }
+  if (result.data.write && result.data.write.channel > channels) {
+    throw httpError(400, `write.channel: the board has ${channels} channels`);
+  }
+  return result.data;
+}
+
+// ─── One Probe ──────────────────────────────────────────────────────────────
+// Sends `frame` on a fresh socket; `parse(bytes)` returns the decoded reply,
+// null while incomplete, or throws. Without a parser the reply is whatever
+// arrives until the line has been quiet for `settleMs`. Resolves with the
+// probe's record.
+function probe({ host, port, timeoutMs }, frame, parse = null, settleMs = WAVESHARE_SETTLE_MS) {
+  return new Promise((resolve) => {
+    const socket = new net.Socket();
+    const started = performance.now();
+    let connectMs = null;
+    let sentAt = null;
+    let rx = Buffer.alloc(0);
+    let settle = null;
+    let done = false;
+
+    const ms = since => Math.round((performance.now() - since) * 10) / 10;
+
+    function finish(result, extra = {}) {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      clearTimeout(settle);
+      socket.destroy();
+      resolve({
+        request: frame.toString('hex'),
+        response: rx.length ? rx.toString('hex') : null,
+        connectMs,
+        replyMs: sentAt !== null && rx.length ? ms(sentAt) : null,
+        result,
+        ...extra
+      });
+    }
+
+    // Bytes that never made a whole reply are 'partial' — unless any will do
+    const ended = () => (rx.length ? (parse ? 'partial' : 'ok') : null);
+    const timer = setTimeout(() => (connectMs === null
+      ? finish('error', { error: 'Connect timeout' })
+      : finish(ended() || 'timeout')), timeoutMs);
+
+    socket.once('connect', () => {
+      connectMs = ms(started);
+      sentAt = performance.now();
+      socket.write(frame);
+    });
+    socket.on('data', (chunk) => {
+      rx = Buffer.concat([rx, chunk]);
+      if (!parse) {
+        clearTimeout(settle);
+        settle = setTimeout(() => finish('ok'), settleMs);
+        return;
+      }
+      try {
+        const decoded = parse(rx);
+        if (decoded !== null) finish('ok', { decoded });
+      } catch (err) {
+        finish(err.exceptionCode !== undefined ? 'exception' : 'invalid', { error: err.message });
+      }
+    });
+    socket.on('error', err => finish('error', { error: err.message }));
+    socket.on('close', () => finish(ended() || 'closed'));
+    socket.connect(port, host);
+  });
+}
+
+// ─── Modbus Probes ──────────────────────────────────────────────────────────
+function modbusFrame(protocol, unitId, fc, data, tid) {
+  return protocol === 'tcp' ? buildTCPFrame(tid, unitId, fc, data) : buildRTUFrame(unitId, fc, data);
+}
+
+// Reply bytes → PDU, or null while incomplete. A reply from another unit or
+// to another transaction is an answer, just not to this probe.
+function modbusParser(protocol, unitId, tid) {
+  return (rx) => {
+    if (protocol === 'rtu') {
+      const pdu = parseRTUResponse(rx);
+      if (pdu && rx[0] !== unitId) throw new Error(`Reply from unit ${rx[0]}`);
+      return pdu;
+    }
+    if (rx.length < 7 || rx.length < 6 + rx.readUInt16BE(4)) return null;
+    if (rx.readUInt16BE(0) !== tid) throw new Error(`Reply to transaction ${rx.readUInt16BE(0)}`);
+    const pdu = parseTCPResponse(rx.slice(0, 6 + rx.readUInt16BE(4)));
+    if (!pdu) throw new Error('Short Modbus TCP frame');
+    return pdu;
+  };
+}
+
+const FC_LABELS = { 0x01: 'FC01 read coils', 0x02: 'FC02 read inputs', 0x05: 'FC05 write coil' };
+
+async function modbusProbe(target, { protocol, unitId, fc, data, decode }, tid) {
+  const record = await probe(target, modbusFrame(protocol, unitId, fc, data, tid), modbusParser(protocol, unitId, tid));
+  const { decoded, ...rest } = record;
+  return {
+    label: `${protocol.toUpperCase()} unit ${unitId} — ${FC_LABELS[fc]}`,
+    protocol,
+    unitId,
+    fc,
+    ...rest,
+    ...(decoded ? { values: decode(decoded) } : {})
+  };
+}
+
+// Any reply counts: it shows the board speaks something other than Modbus
+async function waveshareProbe(target) {
+  const record = await probe(target, WAVESHARE_READ_RELAYS);
+  return { label: 'Waveshare protocol — read relays', protocol: 'waveshare', unitId: null, fc: null, ...record };
+}
+
+// ─── Run ────────────────────────────────────────────────────────────────────
+// board: { host, port, unitId, channels, inputs }. Probes run one at a time.
+async function diagnose(board, { unitIds, timeoutMs = PROBE_TIMEOUT_MS, write } = {}) {
+  const target = { host: board.host, port: board.port, timeoutMs };
+  const units = [...new Set([board.unitId, ...(unitIds || [1, 0, 255])])];
+  const started = new Date();
+  const probes = [];
+  let tid = 0;
+
+  const coils = { data: readBitsRequest(0, board.channels), decode: pdu => decodeBits(pdu, board.channels) };
+  for (const unitId of units) {
+    for (const protocol of ['tcp', 'rtu']) {
+      probes.push(await modbusProbe(target, { protocol, unitId, fc: 0x01, ...coils }, ++tid));
+    }
+  }
+
+  const inputs = board.inputs || 8;
+  for (const protocol of ['tcp', 'rtu']) {
+    probes.push(await modbusProbe(target, {
+      protocol, unitId: board.unitId, fc: 0x02,
+      data: readBitsRequest(0, inputs), decode: pdu => decodeBits(pdu, inputs)
+    }, ++tid));
+  }
+
+  probes.push(await waveshareProbe(target));
+
+  if (write) {
+    // Written back as read, in whichever framing answered at the board's unit
+    const read = probes.find(p => p.fc === 0x01 && p.unitId === board.unitId && p.result === 'ok');
+    if (read) {
+      const value = read.values[write.channel - 1];
+      const p = await modbusProbe(target, {
+        protocol: read.protocol, unitId: board.unitId, fc: 0x05,
+        data: writeCoilRequest(write.channel - 1, value), decode: () => ({ channel: write.channel, value })
+      }, ++tid);
+      probes.push({ ...p, label: `${p.label} — CH${write.channel} back to ${value ? 'ON' : 'off'}` });
+    } else {
+      probes.push({
+        label: `FC05 write coil — CH${write.channel}`, protocol: null, unitId: board.unitId, fc: 0x05,
+        request: null, response: null, connectMs: null, replyMs: null,
+        result: 'skipped', error: `No FC01 reply at unit ${board.unitId} to take the relay state from`
+      });
+    }
+  }
+
+  return {
+    host: board.host,
+    port: board.port,
+    startedAt: started.toISOString(),
+    durationMs: Date.now() - started.getTime(),
+    writes: !!write,
+    probes,
+    summary: summarise(board, probes)
+  };
+}
+
+// What answered, and what to change in the config if it wasn't what's set
+function summarise(board, probes) {
+  const answered = probes.filter(p => p.fc === 0x01 && (p.result === 'ok' || p.result === 'exception'));
+  const answers = answered.map(p => ({ protocol: p.protocol, unitId: p.unitId, result: p.result }));
+  const reachable = probes.some(p => p.connectMs !== null);
+  const waveshare = probes.some(p => p.protocol === 'waveshare' && p.result === 'ok');
+  const inputs = probes.some(p => p.fc === 0x02 && p.result === 'ok');
+
+  let advice;
+  const ok = answered.filter(p => p.result === 'ok');
+  if (!reachable) advice = `Nothing accepts connections at ${board.host}:${board.port} — check power, cabling and the address`;
+  else if (ok.some(p => p.unitId === board.unitId)) advice = `Answers Modbus ${ok.find(p => p.unitId === board.unitId).protocol.toUpperCase()} at unit ${board.unitId} as configured`;
+  else if (ok.length) advice = `No reply at unit ${board.unitId}, but unit ${ok[0].unitId} answers — set unitId: ${ok[0].unitId}`;
+  else if (waveshare) advice = 'Speaks the Waveshare protocol, not Modbus — switch the board to Modbus in its web or config tool';
+  else advice = 'Accepts connections but answers no probe — check the serial settings behind the gateway';
+
+  return { reachable, answers, inputs, waveshare, advice };
+}
+
+module.exports = { PROBE_TIMEOUT_MS, parseOptions, diagnose };
+
+if (require.main === module) {
+  const arg = (name, fallback) => {
+    const i = process.argv.indexOf(`--${name}`);
+    return i > 0 ? process.argv[i + 1] : fallback;
+  };
+  const board = {
+    host: arg('host', '10.10.10.64'),
+    port: parseInt(arg('port', '4196'), 10),
+    unitId: parseInt(arg('unit', '1'), 10),
+    channels: parseInt(arg('channels', '8'), 10),
+    inputs: parseInt(arg('inputs', '8'), 10)
+  };
+  console.log(`Diagnosing ${board.host}:${board.port} (read-only)`);
+  diagnose(board).then((report) => {
+    for (const p of report.probes) {
+      console.log(`\n${p.label}: ${p.result}${p.error ? ` (${p.error})` : ''}`);
+      console.log(`  sent      ${p.request}`);
+      if (p.response) console.log(`  received  ${p.response} after ${p.replyMs} ms`);
+    }
+    console.log(`\n${report.summary.advice}`);
+  });
+}
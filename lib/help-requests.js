@@ -0,0 +1,124 @@
+/**
+ * Help requests — drivers stuck at a barrier press a help point (a digital
+ * input or an HTTP call) and wait for an operator.
+ *
+ * Each press opens a pending request for the barrier; pressing again while
+ * one is pending only counts the press. The operator resolves it as lifted,
+ * refused or redirected (sent to an intercom, the site office…) and must say
+ * why. The server lifts the barrier before resolve() when the outcome is
+ * lifted, so a request whose lift failed stays pending.
+ *
+ * Pending requests and the last `keepResolved` resolved ones live in the
+ * state file's `help` section.
+ */
+
+const crypto = require('crypto');
+const { z } = require('zod');
+
+const OUTCOMES = ['lifted', 'refused', 'redirected'];
+const KEEP_RESOLVED = 200;
+
+const resolutionSchema = z.object({
+  outcome: z.enum(OUTCOMES),
+  reason: z.string().trim().min(1, 'reason is required').max(500),
+  redirectTo: z.string().trim().min(1).max(200).optional()   // where a redirected driver was sent
+}).strict().refine(r => r.outcome === 'redirected' || r.redirectTo === undefined, {
+  message: 'redirectTo only applies to redirected',
+  path: ['redirectTo']
+});
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function createHelpRequests({ store, keepResolved = KEEP_RESOLVED }) {
+  const data = { pending: [], resolved: [], ...store.get('help', {}) };
+
+  function save() {
+    store.set('help', data);
+  }
+
+  // ─── Requests ─────────────────────────────────────────────────────────────
+  // origin: 'input' or 'api'; point names the help point (or the caller).
+  // Returns { request, repeat } — repeat when one was already pending.
+  function open({ barrierId, origin, point = null, message = null }, at = new Date()) {
+    const existing = data.pending.find(r => r.barrierId === barrierId);
+    if (existing) {
+      existing.presses++;
+      existing.lastPressAt = at.toISOString();
+      save();
+      return { request: existing, repeat: true };
+    }
+    const request = {
+      id: crypto.randomBytes(6).toString('hex'),
+      barrierId,
+      origin,
+      point,
+      message,
+      createdAt: at.toISOString(),
+      lastPressAt: at.toISOString(),
+      presses: 1
+    };
+    data.pending.push(request);
+    save();
+    return { request, repeat: false };
+  }
+
+  // The pending request and its checked resolution — throws before anything
+  // is done about it (like lifting the barrier)
+  function check(id, body) {
+    const request = data.pending.find(r => r.id === id);
+    if (!request) {
+      if (data.resolved.some(r => r.id === id)) throw httpError(409, `Help request ${id} is already resolved`);
+      throw httpError(404, `No help request ${id}`);
+    }
+    const result = resolutionSchema.safeParse(body || {});
+    if (!result.success) {
+      throw httpError(400, result.error.issues.map(i => `${i.path.join('.') || '(root)'}: ${i.message}`).join('; '));
+    }
+    return { request, resolution: result.data };
+  }
+
+  function resolve(id, body, by, at = new Date()) {
+    const { request, resolution } = check(id, body);
+    data.pending = data.pending.filter(r => r.id !== id);
+    const resolved = {
+      ...request,
+      ...resolution,
+      redirectTo: resolution.redirectTo || null,
+      resolvedBy: by,
+      resolvedAt: at.toISOString(),
+      responseMs: at - new Date(request.createdAt)
+    };
+    data.resolved = [resolved, ...data.resolved].slice(0, keepResolved);
+    save();
+    return resolved;
+  }
+
+  // A barrier gone from the config can't be lifted for anyone; drops and
+  // returns its pending request, if any
+  function drop(barrierId) {
+    const request = data.pending.find(r => r.barrierId === barrierId);
+    if (!request) return null;
+    data.pending = data.pending.filter(r => r !== request);
+    save();
+    return request;
+  }
+
+  // ─── Queries ──────────────────────────────────────────────────────────────
+  // Oldest first — the order to answer them in
+  function pending() {
+    return [...data.pending];
+  }
+
+  // Newest first
+  function resolved(limit = 50) {
+    return data.resolved.slice(0, limit);
+  }
+
+  return { open, check, resolve, drop, pending, resolved };
+}
+
+module.exports = { OUTCOMES, createHelpRequests };
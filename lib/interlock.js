@@ -0,0 +1,84 @@
+/**
+ * Interlock — per-barrier rules about which relays may be energised together.
+ *
+ * A rule is a pair of barrier roles that must never both be ON, e.g.
+ * ['lift', 'close']. Every coil change is checked before it goes to the board,
+ * and the heartbeat checks what the board actually reports.
+ */
+
+const ROLES = ['lift', 'close', 'stop'];
+
+// Lift and close fight each other; stop must be released before lift
+const DEFAULT_INTERLOCKS = [['lift', 'close'], ['stop', 'lift']];
+
+function interlockError(violations) {
+  const err = new Error(`Interlock: ${violations.map(v => v.message).join('; ')}`);
+  err.status = 409;
+  err.violations = violations;
+  return err;
+}
+
+function createInterlock(getBarriers) {
+  function rulesFor(barrier) {
+    return barrier.interlocks || DEFAULT_INTERLOCKS;
+  }
+
+  function barriersOn(boardKey) {
+    return Object.entries(getBarriers())
+      .filter(([, b]) => b.board === boardKey)
+      .map(([id, b]) => ({ id: parseInt(id, 10), barrier: b }));
+  }
+
+  // Illegal combinations in a full board coil state. `onlyAddrs` limits the
+  // check to barriers that own at least one of those coils.
+  function violations(boardKey, coils, onlyAddrs = null) {
+    const found = [];
+    for (const { id, barrier } of barriersOn(boardKey)) {
+      if (onlyAddrs && !ROLES.some(role => onlyAddrs.has(barrier[role]))) continue;
+      for (const [a, b] of rulesFor(barrier)) {
+        if (coils[barrier[a]] && coils[barrier[b]]) {
+          found.push({
+            barrierId: id,
+            barrier: barrier.name,
+            roles: [a, b],
+            channels: [barrier[a] + 1, barrier[b] + 1],
+            message: `${barrier.name} ${a} and ${b} both ON`
+          });
+        }
+      }
+    }
+    return found;
+  }
+
+  // Throw if applying `changes` ([addr, value] pairs) to `coils` would leave a
+  // touched barrier in an illegal state. With `sequential`, every intermediate
+  // state is checked too, since single-coil writes land one at a time.
+  function check(boardKey, coils, changes, { sequential = false } = {}) {
+    const touched = new Set(changes.map(([addr]) => addr));
+    const next = coils.slice();
+    for (const [addr, value] of changes) {
+      next[addr] = value;
+      if (sequential) {
+        const found = violations(boardKey, next, touched);
+        if (found.length) throw interlockError(found);
+      }
+    }
+    const found = violations(boardKey, next, touched);
+    if (found.length) throw interlockError(found);
+  }
+
+  // Coil changes that clear the given violations: release both sides
+  function safeChanges(found) {
+    const barriers = getBarriers();
+    const releases = new Map();
+    for (const v of found) {
+      const barrier = barriers[v.barrierId];
+      for (const role of v.roles) releases.set(barrier[role], false);
+    }
+    return [...releases.entries()];
+  }
+
+  return { violations, check, safeChanges };
+}
+
+module.exports = { ROLES, DEFAULT_INTERLOCKS, createInterlock };
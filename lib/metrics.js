@@ -0,0 +1,106 @@
+/**
+ * Prometheus metrics — a small registry of counters, gauges and histograms
+ * rendered in the text exposition format for GET /metrics.
+ *
+ * Counters and histograms are updated as things happen. Gauges that mirror
+ * live state (board up, SSE clients) take a `collect` function that returns
+ * [labels, value] pairs and is called on every scrape.
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function createMetrics({ prefix = '' } = {}) {
+  const metrics = [];
+
+  function register(type, name, help, labelNames) {
+    const metric = { type, name: prefix + name, help, labelNames, series: new Map() };
+    metrics.push(metric);
+    return metric;
+  }
+
+  // Series are keyed on the label values in declaration order
+  function series(metric, labels, init) {
+    const values = metric.labelNames.map(n => (labels[n] === undefined || labels[n] === null ? '' : String(labels[n])));
+    const key = JSON.stringify(values);
+    if (!metric.series.has(key)) {
+      const named = {};
+      metric.labelNames.forEach((n, i) => { named[n] = values[i]; });
+      metric.series.set(key, { labels: named, ...init() });
+    }
+    return metric.series.get(key);
+  }
+
+  // ─── Types ────────────────────────────────────────────────────────────────
+  function counter(name, help, labelNames = []) {
+    const metric = register('counter', name, help, labelNames);
+    return {
+      inc(labels = {}, n = 1) { series(metric, labels, () => ({ value: 0 })).value += n; }
+    };
+  }
+
+  function gauge(name, help, labelNames = [], collect = null) {
+    const metric = register('gauge', name, help, labelNames);
+    metric.collect = collect;
+    return {
+      set(labels, value) { series(metric, labels, () => ({ value: 0 })).value = value; }
+    };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const metric = register('histogram', name, help, labelNames);
+    metric.buckets = buckets;
+    return {
+      observe(labels, value) {
+        const s = series(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+        buckets.forEach((le, i) => { if (value <= le) s.counts[i]++; });
+        s.sum += value;
+        s.count++;
+      }
+    };
+  }
+
+  // ─── Exposition ───────────────────────────────────────────────────────────
+  function render() {
+    const lines = [];
+    for (const metric of metrics) {
+      if (metric.collect) {
+        metric.series.clear();
+        for (const [labels, value] of metric.collect()) series(metric, labels, () => ({})).value = value;
+      }
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      for (const s of metric.series.values()) {
+        if (metric.type !== 'histogram') {
+          lines.push(`${metric.name}${formatLabels(s.labels)} ${formatValue(s.value)}`);
+          continue;
+        }
+        metric.buckets.forEach((le, i) => {
+          lines.push(`${metric.name}_bucket${formatLabels({ ...s.labels, le: formatValue(le) })} ${s.counts[i]}`);
+        });
+        lines.push(`${metric.name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+        lines.push(`${metric.name}_sum${formatLabels(s.labels)} ${s.sum}`);
+        lines.push(`${metric.name}_count${formatLabels(s.labels)} ${s.count}`);
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+module.exports = { DEFAULT_BUCKETS, createMetrics };
@@ -0,0 +1,129 @@
+/**
+ * Modbus codec — framing for Modbus TCP (MBAP header) and RTU-over-TCP
+ * (unit id + PDU + CRC-16), and the request/response PDUs for the coil and
+ * discrete input function codes the relay boards speak.
+ *
+ * Pure functions only; sockets and queuing live in lib/board-connection.
+ */
+
+// ─── CRC-16 for Modbus RTU ──────────────────────────────────────────────────
+function crc16(buffer) {
+  let crc = 0xFFFF;
+  for (let i = 0; i < buffer.length; i++) {
+    crc ^= buffer[i];
+    for (let j = 0; j < 8; j++) {
+      crc = (crc & 1) ? (crc >> 1) ^ 0xA001 : crc >> 1;
+    }
+  }
+  return crc;
+}
+
+function appendCRC(buffer) {
+  const out = Buffer.alloc(buffer.length + 2);
+  buffer.copy(out);
+  out.writeUInt16LE(crc16(buffer), buffer.length);
+  return out;
+}
+
+function verifyCRC(buffer) {
+  if (buffer.length < 4) return false;
+  return crc16(buffer.slice(0, -2)) === buffer.readUInt16LE(buffer.length - 2);
+}
+
+// ─── Framing ────────────────────────────────────────────────────────────────
+function buildTCPFrame(tid, unitId, fc, data) {
+  const pdu = Buffer.concat([Buffer.from([fc]), data]);
+  const mbap = Buffer.alloc(7);
+  mbap.writeUInt16BE(tid & 0xFFFF, 0);
+  mbap.writeUInt16BE(0, 2);
+  mbap.writeUInt16BE(pdu.length + 1, 4);
+  mbap.writeUInt8(unitId, 6);
+  return Buffer.concat([mbap, pdu]);
+}
+
+function buildRTUFrame(unitId, fc, data) {
+  return appendCRC(Buffer.concat([Buffer.from([unitId, fc]), data]));
+}
+
+function modbusException(fc, code) {
+  const err = new Error(`Modbus exception: FC=${fc}, code=${code}`);
+  err.functionCode = fc;
+  err.exceptionCode = code;
+  return err;
+}
+
+// A complete MBAP frame in, its PDU out (null if too short)
+function parseTCPResponse(response) {
+  if (response.length < 9) return null;
+  const fc = response.readUInt8(7);
+  if (fc & 0x80) throw modbusException(fc & 0x7F, response.readUInt8(8));
+  return response.slice(7);
+}
+
+// The bytes received so far in, the PDU out — or null while the frame is
+// still incomplete. Throws on an exception reply or a bad CRC.
+function parseRTUResponse(response) {
+  if (response.length < 5) return null;
+  const fc = response.readUInt8(1);
+  if (fc & 0x80) {
+    if (response.length >= 5 && verifyCRC(response.slice(0, 5)))
+      throw modbusException(fc & 0x7F, response.readUInt8(2));
+    return null;
+  }
+  let expectedLen;
+  if (fc === 0x01 || fc === 0x02) {
+    if (response.length < 4) return null;
+    expectedLen = 3 + response.readUInt8(2) + 2;
+  } else if (fc === 0x05 || fc === 0x06 || fc === 0x0F || fc === 0x10) {
+    expectedLen = 8;
+  } else {
+    expectedLen = response.length;
+  }
+  if (response.length < expectedLen) return null;
+  const frame = response.slice(0, expectedLen);
+  if (!verifyCRC(frame)) throw new Error('CRC mismatch');
+  return frame.slice(1, expectedLen - 2);
+}
+
+// ─── PDUs ───────────────────────────────────────────────────────────────────
+// Request data (everything after the function code) for FC01 / FC02
+function readBitsRequest(startAddr, qty) {
+  const data = Buffer.alloc(4);
+  data.writeUInt16BE(startAddr, 0);
+  data.writeUInt16BE(qty, 2);
+  return data;
+}
+
+// FC01 / FC02 response PDU → array of booleans
+function decodeBits(pdu, qty) {
+  const bits = [];
+  for (let i = 0; i < qty; i++) {
+    bits.push(!!(pdu[2 + Math.floor(i / 8)] & (1 << (i % 8))));
+  }
+  return bits;
+}
+
+// FC05
+function writeCoilRequest(addr, value) {
+  const data = Buffer.alloc(4);
+  data.writeUInt16BE(addr, 0);
+  data.writeUInt16BE(value ? 0xFF00 : 0x0000, 2);
+  return data;
+}
+
+// FC0F
+function writeCoilsRequest(startAddr, values) {
+  const byteCount = Math.ceil(values.length / 8);
+  const data = Buffer.alloc(5 + byteCount);
+  data.writeUInt16BE(startAddr, 0);
+  data.writeUInt16BE(values.length, 2);
+  data.writeUInt8(byteCount, 4);
+  values.forEach((on, i) => { if (on) data[5 + Math.floor(i / 8)] |= 1 << (i % 8); });
+  return data;
+}
+
+module.exports = {
+  crc16, appendCRC, verifyCRC,
+  buildTCPFrame, buildRTUFrame, modbusException, parseTCPResponse, parseRTUResponse,
+  readBitsRequest, decodeBits, writeCoilRequest, writeCoilsRequest
+};
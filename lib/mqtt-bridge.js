@@ -0,0 +1,247 @@
+/**
+ * MQTT bridge — publishes board and barrier state, forwards audit events and
+ * takes barrier commands, for site automation and Home Assistant.
+ *
+ *   <prefix>/status                 online | offline (retained; offline is the Last Will)
+ *   <prefix>/board/<key>/state      board JSON (retained)
+ *   <prefix>/barrier/<id>/state     barrier JSON (retained)
+ *   <prefix>/barrier/<id>/set       ← lift | close | stop, or { "action": "lift", "duration": 300 }
+ *   <prefix>/barrier/<id>/result    outcome of each command
+ *   <prefix>/occupancy              vehicle count and capacity (retained)
+ *   <prefix>/site/<key>/occupancy   the same per site, when there are several
+ *   <prefix>/audit                  barrier, output and board audit entries
+ *
+ * State topics are only republished when their content changes. With a
+ * discovery prefix, every barrier appears in Home Assistant as a gate cover
+ * and every board as a connectivity sensor. Logins, plate reads and the
+ * rest of the audit log stay off the broker.
+ */
+
+const mqtt = require('mqtt');
+
+const ACTIONS = ['lift', 'close', 'stop'];
+const AUDIT_ACTIONS = /^(barrier|output|board)_/;
+
+function occupancyPayload({ count, capacity, available, full, override }) {
+  return { count, capacity, available, full, override: !!override };
+}
+
+function boardPayload(board) {
+  return {
+    name: board.name,
+    connected: board.connected,
+    mode: board.mode,
+    channels: board.channels.map(ch => ch.active),
+    inputs: board.inputs.map(input => input.active)
+  };
+}
+
+// Without the counters that tick every second (timeInStateMs, remainingMs),
+// so an unchanged barrier isn't republished
+function barrierPayload(barrier) {
+  const timedClose = barrier.timedClose && {
+    closeAt: barrier.timedClose.closeAt,
+    durationSec: barrier.timedClose.durationSec,
+    liftedBy: barrier.timedClose.liftedBy
+  };
+  return {
+    id: barrier.id,
+    name: barrier.name,
+    board: barrier.board,
+    state: barrier.state,
+    since: barrier.stateSince,
+    reason: barrier.stateReason,
+    lift: barrier.lift,
+    close: barrier.close,
+    stop: barrier.stop,
+    sensors: barrier.sensors,
+    automation: barrier.automation,
+    timedClose: timedClose || null,
+    hold: barrier.hold
+  };
+}
+
+// "lift" or { "action": "lift", "duration": 300 }
+function parseCommand(text) {
+  const trimmed = text.trim();
+  let command = { action: trimmed.toLowerCase() };
+  if (trimmed.startsWith('{')) {
+    try { command = JSON.parse(trimmed); } catch (e) { throw new Error('Invalid JSON command'); }
+    command.action = String(command.action || '').toLowerCase();
+  }
+  if (!ACTIONS.includes(command.action)) throw new Error(`Unknown action "${command.action}" — expected ${ACTIONS.join(', ')}`);
+  return command;
+}
+
+function createMqttBridge({
+  url, username, password, clientId,
+  prefix = 'site', discoveryPrefix = 'homeassistant', publishIntervalMs = 5000,
+  getStatus, command, log, connect = mqtt.connect
+}) {
+  const statusTopic = `${prefix}/status`;
+  const nodeId = `barrier_control_${prefix.replace(/[^A-Za-z0-9_-]/g, '_')}`;
+  const published = new Map();   // retained topic → last payload
+  let client = null;
+  let timer = null;
+  let pending = false;
+  let connected = false;
+
+  // ─── Publishing ───────────────────────────────────────────────────────────
+  function publishRetained(topic, payload) {
+    const text = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    if (published.get(topic) === text) return;
+    published.set(topic, text);
+    client.publish(topic, text, { retain: true, qos: 1 });
+  }
+
+  // An empty retained message deletes the topic (and the HA entity)
+  function clearRetained(topic) {
+    if (!published.has(topic)) return;
+    published.delete(topic);
+    client.publish(topic, '', { retain: true, qos: 1 });
+  }
+
+  function device() {
+    return { identifiers: [nodeId], name: `Barrier Control (${prefix})`, manufacturer: 'WispAyr', model: 'barrier-control' };
+  }
+
+  function availability() {
+    return { availability_topic: statusTopic, payload_available: 'online', payload_not_available: 'offline' };
+  }
+
+  function coverConfig(barrier) {
+    return {
+      name: barrier.name,
+      unique_id: `${nodeId}_barrier_${barrier.id}`,
+      device_class: 'gate',
+      command_topic: `${prefix}/barrier/${barrier.id}/set`,
+      state_topic: `${prefix}/barrier/${barrier.id}/state`,
+      value_template: '{{ value_json.state }}',
+      payload_open: 'lift',
+      payload_close: 'close',
+      payload_stop: 'stop',
+      state_open: 'open',
+      state_opening: 'opening',
+      state_closed: 'closed',
+      state_closing: 'closing',
+      state_stopped: 'stopped',
+      json_attributes_topic: `${prefix}/barrier/${barrier.id}/state`,
+      ...availability(),
+      device: device()
+    };
+  }
+
+  function boardSensorConfig(key, board) {
+    return {
+      name: `${board.name} connection`,
+      unique_id: `${nodeId}_board_${key}`,
+      device_class: 'connectivity',
+      state_topic: `${prefix}/board/${key}/state`,
+      value_template: "{{ 'ON' if value_json.connected else 'OFF' }}",
+      ...availability(),
+      device: device()
+    };
+  }
+
+  // Publishes whatever changed; topics of removed boards and barriers are cleared
+  function sync() {
+    pending = false;
+    if (!connected) return;
+    const status = getStatus();
+    const wanted = new Set([statusTopic]);
+    const want = (topic, payload) => { wanted.add(topic); publishRetained(topic, payload); };
+
+    for (const board of status.boards) {
+      want(`${prefix}/board/${board.key}/state`, boardPayload(board));
+      if (discoveryPrefix) want(`${discoveryPrefix}/binary_sensor/${nodeId}/board_${board.key}/config`, boardSensorConfig(board.key, board));
+    }
+    for (const barrier of status.barriers) {
+      want(`${prefix}/barrier/${barrier.id}/state`, barrierPayload(barrier));
+      if (discoveryPrefix) want(`${discoveryPrefix}/cover/${nodeId}/barrier_${barrier.id}/config`, coverConfig(barrier));
+    }
+    if (status.occupancy) want(`${prefix}/occupancy`, occupancyPayload(status.occupancy));
+    const sites = status.sites || [];
+    if (sites.length > 1) {
+      for (const site of sites) want(`${prefix}/site/${site.key}/occupancy`, occupancyPayload(site.occupancy));
+    }
+    for (const topic of [...published.keys()]) if (!wanted.has(topic)) clearRetained(topic);
+  }
+
+  // Coalesces bursts of changes into one sync
+  function notify() {
+    if (pending || !connected) return;
+    pending = true;
+    setImmediate(sync);
+  }
+
+  function publishAudit(entry) {
+    if (connected && AUDIT_ACTIONS.test(entry.action)) client.publish(`${prefix}/audit`, JSON.stringify(entry), { qos: 0 });
+  }
+
+  // ─── Commands ─────────────────────────────────────────────────────────────
+  async function onMessage(topic, message) {
+    const match = new RegExp(`^${prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}/barrier/(\\d+)/set$`).exec(topic);
+    if (!match) return;
+    const barrierId = parseInt(match[1], 10);
+    const result = { barrierId, timestamp: new Date().toISOString() };
+    try {
+      const cmd = parseCommand(message.toString());
+      result.action = cmd.action;
+      await command(barrierId, cmd.action, { duration: cmd.duration });
+      result.success = true;
+    } catch (err) {
+      result.success = false;
+      result.error = err.message;
+      log('WARN', `MQTT command ${topic} "${message.toString().slice(0, 100)}" failed: ${err.message}`);
+    }
+    if (client) client.publish(`${prefix}/barrier/${barrierId}/result`, JSON.stringify(result), { qos: 1 });
+  }
+
+  // ─── Connection ───────────────────────────────────────────────────────────
+  function start() {
+    client = connect(url, {
+      username,
+      password,
+      clientId: clientId || `${nodeId}_${Math.random().toString(16).slice(2, 8)}`,
+      will: { topic: statusTopic, payload: 'offline', retain: true, qos: 1 }
+    });
+
+    client.on('connect', () => {
+      connected = true;
+      log('INFO', `MQTT connected to ${url} (prefix ${prefix})`);
+      // The broker may have lost our retained topics; send everything again
+      published.clear();
+      publishRetained(statusTopic, 'online');
+      client.subscribe(`${prefix}/barrier/+/set`, { qos: 1 });
+      sync();
+    });
+    client.on('close', () => {
+      if (connected) log('WARN', `MQTT disconnected from ${url} — reconnecting`);
+      connected = false;
+    });
+    client.on('error', (err) => log('ERROR', `MQTT: ${err.message}`));
+    client.on('message', onMessage);
+
+    timer = setInterval(notify, publishIntervalMs);
+  }
+
+  // Says goodbye properly, so the Last Will isn't needed
+  function stop() {
+    clearInterval(timer);
+    if (!client) return Promise.resolve();
+    const c = client;
+    client = null;
+    return new Promise((resolve) => {
+      if (!connected) return c.end(true, {}, () => resolve());
+      connected = false;
+      c.publish(statusTopic, 'offline', { retain: true, qos: 1 }, () => c.end(false, {}, () => resolve()));
+    });
+  }
+
+  return {
+    start, stop, notify, publishAudit,
+    get connected() { return connected; }
+  };
+}
+
+module.exports = { ACTIONS, parseCommand, createMqttBridge };
@@ -0,0 +1,139 @@
+/**
+ * Occupancy — how many vehicles are in the car park, from the entry and exit
+ * barriers.
+ *
+ * The server reports each vehicle that passes an entry or exit barrier
+ * (vehicle()); operators correct drift by hand (correct()). Once the count
+ * reaches the site's capacity the car park is full, and entry barriers refuse
+ * automatic lifts until it drops — or until a supervisor's override, which
+ * lets them through anyway (optionally until a given time).
+ *
+ * Daily totals (entries, exits, corrections, peak and low) are kept for
+ * reporting, in local time / TZ like the scheduler. The count, override and
+ * history live in the state file's `occupancy` section (one per site, see
+ * `section`).
+ */
+
+const HISTORY_DAYS = 400;
+
+function localDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// getCapacity() → the configured capacity, or null for none
+function createOccupancy({ store, getCapacity, historyDays = HISTORY_DAYS, section = 'occupancy' }) {
+  const data = { count: 0, override: null, history: {}, ...store.get(section, {}) };
+
+  function save() {
+    store.set(section, data);
+  }
+
+  // Today's totals, started from the current count
+  function day(at) {
+    const key = localDate(at);
+    if (!data.history[key]) {
+      data.history[key] = { entries: 0, exits: 0, corrections: 0, peak: data.count, low: data.count };
+      const days = Object.keys(data.history).sort();
+      for (const old of days.slice(0, Math.max(days.length - historyDays, 0))) delete data.history[old];
+    }
+    return data.history[key];
+  }
+
+  function setCount(count, at) {
+    data.count = count;
+    const today = day(at);
+    today.peak = Math.max(today.peak, count);
+    today.low = Math.min(today.low, count);
+  }
+
+  function override(now = new Date()) {
+    if (data.override && data.override.until && new Date(data.override.until) <= now) {
+      data.override = null;
+      save();
+    }
+    return data.override;
+  }
+
+  function full() {
+    const capacity = getCapacity();
+    return capacity !== null && data.count >= capacity;
+  }
+
+  // ─── Counting ─────────────────────────────────────────────────────────────
+  // A vehicle went through an entry or exit barrier. Never counts below zero.
+  function vehicle(direction, at = new Date()) {
+    const today = day(at);
+    if (direction === 'entry') {
+      today.entries++;
+      setCount(data.count + 1, at);
+    } else {
+      today.exits++;
+      setCount(Math.max(data.count - 1, 0), at);
+    }
+    save();
+    return data.count;
+  }
+
+  // body: { count } to set it, or { delta } to adjust it
+  function correct({ count, delta }, at = new Date()) {
+    if ((count === undefined) === (delta === undefined)) throw httpError(400, 'give either count or delta');
+    const next = count !== undefined ? count : data.count + delta;
+    if (!Number.isInteger(next) || next < 0) throw httpError(400, 'count must be a whole number, 0 or more');
+    const previous = data.count;
+    day(at).corrections++;
+    setCount(next, at);
+    save();
+    return { previous, count: next };
+  }
+
+  // ─── Override ─────────────────────────────────────────────────────────────
+  function setOverride({ reason, by, until = null }) {
+    data.override = { reason, by, since: new Date().toISOString(), until };
+    save();
+    return data.override;
+  }
+
+  function clearOverride() {
+    const previous = override();
+    data.override = null;
+    save();
+    return previous;
+  }
+
+  // Whether an entry barrier should refuse an automatic lift right now
+  function refusesEntry() {
+    return full() && !override();
+  }
+
+  // ─── Reporting ────────────────────────────────────────────────────────────
+  function status() {
+    const capacity = getCapacity();
+    const today = data.history[localDate(new Date())] || { entries: 0, exits: 0, corrections: 0, peak: data.count, low: data.count };
+    return {
+      count: data.count,
+      capacity,
+      available: capacity === null ? null : Math.max(capacity - data.count, 0),
+      full: full(),
+      override: override(),
+      today
+    };
+  }
+
+  // Days in [from, to] (YYYY-MM-DD, inclusive), oldest first
+  function history(from = '0000-00-00', to = '9999-99-99') {
+    return Object.keys(data.history).sort()
+      .filter(date => date >= from && date <= to)
+      .map(date => ({ date, ...data.history[date] }));
+  }
+
+  return { vehicle, correct, full, refusesEntry, setOverride, clearOverride, status, history };
+}
+
+module.exports = { createOccupancy };
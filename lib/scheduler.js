@@ -0,0 +1,373 @@
+/**
+ * Scheduler — calendar rules that lift or close barriers on their own.
+ *
+ * Rules are cron expressions (minute hour day-of-month month day-of-week, in
+ * the server's local time / TZ) with an optional date range and a bank
+ * holiday policy. One-off overrides either fire a single action at a given
+ * time or suspend rules for a window ("keep barrier 2 open tonight").
+ * Everything runs at minute resolution.
+ *
+ * Rules and overrides may belong to a site, and then '*' means every barrier
+ * of that site. Rules, overrides and holidays live in the state file's
+ * `schedule` section and are edited through the REST API.
+ */
+
+const { z } = require('zod');
+
+// ─── Cron ───────────────────────────────────────────────────────────────────
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+function parseCronValue(text, field) {
+  const lower = text.toLowerCase();
+  if (field.names && field.names.includes(lower)) return field.names.indexOf(lower) + field.offset;
+  if (!/^\d+$/.test(text)) throw new Error(`bad ${field.name} "${text}"`);
+  const n = parseInt(text, 10);
+  if (n < field.min || n > field.max) throw new Error(`${field.name} ${n} out of range ${field.min}-${field.max}`);
+  return n;
+}
+
+function parseCronField(expr, field) {
+  const values = new Set();
+  for (const part of expr.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!(step >= 1)) throw new Error(`bad step in ${field.name} "${part}"`);
+    let lo, hi;
+    if (range === '*') {
+      lo = field.min;
+      hi = field.max;
+    } else if (range.includes('-')) {
+      const [a, b] = range.split('-');
+      lo = parseCronValue(a, field);
+      hi = parseCronValue(b, field);
+      if (lo > hi) throw new Error(`bad range in ${field.name} "${range}"`);
+    } else {
+      lo = parseCronValue(range, field);
+      hi = stepText === undefined ? lo : field.max;
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+function parseCron(expr) {
+  const parts = expr.trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error('cron needs 5 fields: minute hour day-of-month month day-of-week');
+  const [minute, hour, dom, month, dow] = parts.map((p, i) => parseCronField(p, CRON_FIELDS[i]));
+  if (dow.has(7)) dow.add(0);
+  return { minute, hour, dom, month, dow, domAny: parts[2] === '*', dowAny: parts[4] === '*' };
+}
+
+function cronDayMatches(cron, date) {
+  if (!cron.month.has(date.getMonth() + 1)) return false;
+  const domOk = cron.dom.has(date.getDate());
+  const dowOk = cron.dow.has(date.getDay());
+  // Classic cron: when both day fields are restricted, either may match
+  if (!cron.domAny && !cron.dowAny) return domOk || dowOk;
+  return domOk && dowOk;
+}
+
+function cronMatches(cron, date) {
+  return cron.minute.has(date.getMinutes()) && cron.hour.has(date.getHours()) && cronDayMatches(cron, date);
+}
+
+// Fire times in (after, before], skipping whole days and hours that can't match
+function cronTimes(cron, after, before, limit = 100) {
+  const times = [];
+  const t = new Date(after.getTime());
+  t.setSeconds(0, 0);
+  t.setMinutes(t.getMinutes() + 1);
+  while (t <= before && times.length < limit) {
+    if (!cronDayMatches(cron, t)) {
+      t.setHours(24, 0, 0, 0);
+    } else if (!cron.hour.has(t.getHours())) {
+      t.setHours(t.getHours() + 1, 0, 0, 0);
+    } else {
+      if (cron.minute.has(t.getMinutes())) times.push(new Date(t.getTime()));
+      t.setMinutes(t.getMinutes() + 1);
+    }
+  }
+  return times;
+}
+
+// ─── Schemas ────────────────────────────────────────────────────────────────
+const dateSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'expected YYYY-MM-DD');
+const barriersSchema = z.union([z.literal('*'), z.array(z.number().int().min(1)).min(1)]);
+const siteSchema = z.string().regex(/^[A-Za-z0-9_-]+$/, 'not a site key').optional();
+
+const ruleSchema = z.object({
+  name: z.string().min(1),
+  site: siteSchema,
+  barriers: barriersSchema,
+  action: z.enum(['lift', 'close']),
+  cron: z.string().superRefine((expr, ctx) => {
+    try { parseCron(expr); } catch (err) { ctx.addIssue({ code: z.ZodIssueCode.custom, message: err.message }); }
+  }),
+  from: dateSchema.optional(),              // first day the rule applies (inclusive)
+  until: dateSchema.optional(),             // last day the rule applies (inclusive)
+  holidays: z.enum(['any', 'skip', 'only']).default('skip'),
+  enabled: z.boolean().default(true)
+}).strict();
+
+const overrideSchema = z.discriminatedUnion('action', [
+  // Fire once
+  z.object({
+    action: z.enum(['lift', 'close']),
+    site: siteSchema,
+    barriers: barriersSchema,
+    at: z.string().datetime({ offset: true }),
+    reason: z.string().optional()
+  }).strict(),
+  // Suspend rules for these barriers over a window
+  z.object({
+    action: z.literal('suspend'),
+    site: siteSchema,
+    barriers: barriersSchema,
+    from: z.string().datetime({ offset: true }),
+    until: z.string().datetime({ offset: true }),
+    reason: z.string().optional()
+  }).strict()
+]);
+
+const holidaysSchema = z.array(z.object({ date: dateSchema, name: z.string().default('') }).strict());
+
+function validationError(result) {
+  const err = new Error(result.error.issues.map(i => `${i.path.join('.') || '(root)'}: ${i.message}`).join('; '));
+  err.status = 400;
+  return err;
+}
+
+function parseWith(schema, body) {
+  const result = schema.safeParse(body);
+  if (!result.success) throw validationError(result);
+  return result.data;
+}
+
+function notFound(what, id) {
+  const err = new Error(`No ${what} ${id}`);
+  err.status = 404;
+  return err;
+}
+
+function localDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// ─── Scheduler ──────────────────────────────────────────────────────────────
+const OVERRIDE_GRACE_MS = 15 * 60 * 1000;   // one-offs missed by longer than this are dropped
+
+function createScheduler({ store, getBarriers, latch, audit, log }) {
+  const data = { rules: [], overrides: [], holidays: [], ...store.get('schedule', {}) };
+  const compiled = new Map();   // rule id → parsed cron
+  let timer = null;
+  let lastTick = null;
+
+  function save() {
+    store.set('schedule', data);
+  }
+
+  function cronFor(rule) {
+    if (!compiled.has(rule.id)) compiled.set(rule.id, parseCron(rule.cron));
+    return compiled.get(rule.id);
+  }
+
+  function newId(prefix) {
+    return `${prefix}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  // A rule or override with a site only ever touches that site's barriers
+  function barrierIds(barriers, site) {
+    const known = Object.entries(getBarriers()).filter(([, b]) => !site || b.site === site).map(([id]) => Number(id));
+    return barriers === '*' ? known : barriers.filter(id => known.includes(id));
+  }
+
+  function isHoliday(date) {
+    const day = localDate(date);
+    return data.holidays.some(h => h.date === day);
+  }
+
+  function ruleAppliesOn(rule, date) {
+    if (!rule.enabled) return false;
+    const day = localDate(date);
+    if (rule.from && day < rule.from) return false;
+    if (rule.until && day > rule.until) return false;
+    const holiday = isHoliday(date);
+    if (rule.holidays === 'skip' && holiday) return false;
+    if (rule.holidays === 'only' && !holiday) return false;
+    return true;
+  }
+
+  function suspended(barrierId, date) {
+    return data.overrides.some(o => o.action === 'suspend' &&
+      barrierIds(o.barriers, o.site).includes(barrierId) &&
+      new Date(o.from) <= date && date < new Date(o.until));
+  }
+
+  async function run(action, ids, details) {
+    if (ids.length === 0) return;
+    audit('schedule_triggered', { ...details, action, barriers: ids }, 'schedule');
+    for (const id of ids) {
+      try {
+        await latch(id, action, 'schedule');
+      } catch (err) {
+        log('WARN', `Scheduled ${action} of barrier ${id} failed: ${err.message}`);
+        audit('schedule_failed', { ...details, action, barrierId: id, error: err.message }, 'schedule');
+      }
+    }
+  }
+
+  // ─── Tick ─────────────────────────────────────────────────────────────────
+  async function tick(now) {
+    // Each minute is processed exactly once, even if timers drift. Truncated
+    // in UTC: local setSeconds() maps the repeated hour onto its first pass.
+    const minute = new Date(Math.floor(now.getTime() / 60000) * 60000);
+    if (lastTick && minute.getTime() <= lastTick) return;
+    lastTick = minute.getTime();
+
+    // When the clocks go back the same wall-clock hour comes round twice;
+    // rules have had their run the first time, as upcoming() shows them
+    const hourAgo = new Date(minute.getTime() - 3600 * 1000);
+    const repeatedHour = hourAgo.getHours() === minute.getHours();
+
+    for (const rule of repeatedHour ? [] : data.rules) {
+      if (!ruleAppliesOn(rule, minute) || !cronMatches(cronFor(rule), minute)) continue;
+      const ids = barrierIds(rule.barriers, rule.site).filter(id => !suspended(id, minute));
+      await run(rule.action, ids, { rule: rule.id, name: rule.name });
+    }
+
+    let changed = false;
+    for (const o of data.overrides.slice()) {
+      if (o.action === 'suspend') {
+        if (new Date(o.until) <= now) { data.overrides.splice(data.overrides.indexOf(o), 1); changed = true; }
+        continue;
+      }
+      const at = new Date(o.at);
+      if (at > now) continue;
+      data.overrides.splice(data.overrides.indexOf(o), 1);
+      changed = true;
+      if (now - at > OVERRIDE_GRACE_MS) {
+        audit('schedule_override_missed', { override: o.id, action: o.action, at: o.at }, 'schedule');
+        continue;
+      }
+      await run(o.action, barrierIds(o.barriers, o.site), { override: o.id, reason: o.reason });
+    }
+    if (changed) save();
+  }
+
+  function scheduleNext() {
+    const now = Date.now();
+    timer = setTimeout(async () => {
+      try {
+        await tick(new Date());
+      } catch (err) {
+        log('ERROR', `Scheduler tick failed: ${err.message}`);
+      }
+      scheduleNext();
+    }, 60000 - (now % 60000) + 50);
+  }
+
+  function start() {
+    if (timer) return;
+    lastTick = Math.floor(Date.now() / 60000) * 60000;   // don't replay the current minute on boot
+    scheduleNext();
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  // ─── Upcoming ─────────────────────────────────────────────────────────────
+  function upcoming(hours = 48, limit = 50) {
+    const now = new Date();
+    const until = new Date(now.getTime() + hours * 3600 * 1000);
+    const list = [];
+    for (const rule of data.rules) {
+      if (!rule.enabled) continue;
+      for (const at of cronTimes(cronFor(rule), now, until, limit)) {
+        if (!ruleAppliesOn(rule, at)) continue;
+        const ids = barrierIds(rule.barriers, rule.site).filter(id => !suspended(id, at));
+        if (ids.length) list.push({ at: at.toISOString(), action: rule.action, barriers: ids, rule: rule.id, name: rule.name, site: rule.site || null });
+      }
+    }
+    for (const o of data.overrides) {
+      if (o.action === 'suspend' || new Date(o.at) > until) continue;
+      list.push({ at: new Date(o.at).toISOString(), action: o.action, barriers: barrierIds(o.barriers, o.site), override: o.id, name: o.reason || 'One-off override', site: o.site || null });
+    }
+    return list.sort((a, b) => a.at.localeCompare(b.at)).slice(0, limit);
+  }
+
+  // ─── CRUD ─────────────────────────────────────────────────────────────────
+  function list() {
+    return { rules: data.rules, overrides: data.overrides, holidays: data.holidays };
+  }
+
+  function addRule(body) {
+    const rule = { id: newId('rule'), ...parseWith(ruleSchema, body) };
+    data.rules.push(rule);
+    save();
+    return rule;
+  }
+
+  function updateRule(id, body) {
+    const i = data.rules.findIndex(r => r.id === id);
+    if (i < 0) throw notFound('rule', id);
+    const { id: _ignored, ...current } = data.rules[i];
+    const rule = { id, ...parseWith(ruleSchema, { ...current, ...body }) };
+    data.rules[i] = rule;
+    compiled.delete(id);
+    save();
+    return rule;
+  }
+
+  function deleteRule(id) {
+    const i = data.rules.findIndex(r => r.id === id);
+    if (i < 0) throw notFound('rule', id);
+    const [rule] = data.rules.splice(i, 1);
+    compiled.delete(id);
+    save();
+    return rule;
+  }
+
+  function addOverride(body) {
+    const parsed = parseWith(overrideSchema, body);
+    if (parsed.action === 'suspend' && new Date(parsed.until) <= new Date(parsed.from)) {
+      throw validationError({ error: { issues: [{ path: ['until'], message: 'must be after from' }] } });
+    }
+    const override = { id: newId('ovr'), ...parsed };
+    data.overrides.push(override);
+    save();
+    return override;
+  }
+
+  function deleteOverride(id) {
+    const i = data.overrides.findIndex(o => o.id === id);
+    if (i < 0) throw notFound('override', id);
+    const [override] = data.overrides.splice(i, 1);
+    save();
+    return override;
+  }
+
+  function setHolidays(body) {
+    data.holidays = parseWith(holidaysSchema, body).sort((a, b) => a.date.localeCompare(b.date));
+    save();
+    return data.holidays;
+  }
+
+  return {
+    start, stop, tick, upcoming,
+    list, addRule, updateRule, deleteRule, addOverride, deleteOverride, setHolidays
+  };
+}
+
+module.exports = { parseCron, cronMatches, cronTimes, createScheduler };
@@ -0,0 +1,248 @@
+/**
+ * Simulated Waveshare relay board — a local TCP server that speaks Modbus TCP
+ * or RTU-over-TCP, for development without hardware and for tests.
+ *
+ * Supports FC01 read coils, FC02 read discrete inputs, FC05 write single coil
+ * and FC0F write multiple coils. Faults can be queued for the next requests:
+ *
+ *   timeout    swallow the request, never reply
+ *   crc        reply with a corrupted CRC (RTU) or a truncated frame (TCP)
+ *   exception  reply with a Modbus exception (`code`, default 4)
+ *   drop       close the connection instead of replying
+ *
+ * The framing and CRC are written independently of lib/modbus on purpose, so
+ * a bug in the real codec can't be mirrored here and go unnoticed.
+ *
+ * Standalone: node lib/simulator.js [--port 4196] [--rtu] [--channels 8] [--inputs 8]
+ */
+
+const net = require('net');
+
+const FAULTS = ['timeout', 'crc', 'exception', 'drop'];
+
+function crc16(buf) {
+  let crc = 0xFFFF;
+  for (const byte of buf) {
+    crc ^= byte;
+    for (let i = 0; i < 8; i++) crc = crc & 1 ? (crc >> 1) ^ 0xA001 : crc >> 1;
+  }
+  return crc;
+}
+
+function withCRC(buf) {
+  const out = Buffer.alloc(buf.length + 2);
+  buf.copy(out);
+  out.writeUInt16LE(crc16(buf), buf.length);
+  return out;
+}
+
+function packBits(bits) {
+  const bytes = Buffer.alloc(Math.ceil(bits.length / 8));
+  bits.forEach((on, i) => { if (on) bytes[i >> 3] |= 1 << (i & 7); });
+  return bytes;
+}
+
+// Length of the RTU request at the start of `buf`, or 0 if incomplete
+function rtuRequestLength(buf) {
+  if (buf.length < 2) return 0;
+  const fc = buf[1];
+  if (fc === 0x0F || fc === 0x10) return buf.length >= 7 ? 9 + buf[6] : 0;
+  return 8;
+}
+
+function createSimulatedBoard({ host = '127.0.0.1', port = 0, mode = 'tcp', unitId = 1, channels = 8, inputs = 8, multiCoilWrite = true, log = () => {} } = {}) {
+  const board = {
+    mode,
+    unitId,
+    coils: new Array(channels).fill(false),
+    inputs: new Array(inputs).fill(false),
+    faults: [],
+    requests: 0,
+    connections: 0,
+    port: null,
+    delayMs: 0
+  };
+  const sockets = new Set();
+  let server = null;
+
+  // ─── Request Handling ─────────────────────────────────────────────────────
+  function exception(fc, code) {
+    return Buffer.from([fc | 0x80, code]);
+  }
+
+  function readBits(bits, fc, data) {
+    const start = data.readUInt16BE(0);
+    const quantity = data.readUInt16BE(2);
+    if (quantity < 1 || quantity > 2000) return exception(fc, 3);
+    if (start + quantity > bits.length) return exception(fc, 2);
+    const packed = packBits(bits.slice(start, start + quantity));
+    return Buffer.concat([Buffer.from([fc, packed.length]), packed]);
+  }
+
+  // PDU in, PDU out
+  function handle(pdu) {
+    const fc = pdu[0];
+    const data = pdu.slice(1);
+    if (fc === 0x01) return readBits(board.coils, fc, data);
+    if (fc === 0x02) return readBits(board.inputs, fc, data);
+    if (fc === 0x05) {
+      const addr = data.readUInt16BE(0);
+      const value = data.readUInt16BE(2);
+      if (value !== 0xFF00 && value !== 0x0000) return exception(fc, 3);
+      if (addr >= board.coils.length) return exception(fc, 2);
+      board.coils[addr] = value === 0xFF00;
+      return pdu.slice(0, 5);
+    }
+    if (fc === 0x0F && multiCoilWrite) {
+      const start = data.readUInt16BE(0);
+      const quantity = data.readUInt16BE(2);
+      if (start + quantity > board.coils.length) return exception(fc, 2);
+      for (let i = 0; i < quantity; i++) board.coils[start + i] = !!(data[5 + (i >> 3)] & (1 << (i & 7)));
+      return pdu.slice(0, 5);
+    }
+    return exception(fc, 1);
+  }
+
+  function takeFault(fc) {
+    const fault = board.faults.find(f => f.fc === undefined || f.fc === fc);
+    if (!fault) return null;
+    if (--fault.count <= 0) board.faults.splice(board.faults.indexOf(fault), 1);
+    return fault;
+  }
+
+  function reply(socket, frame) {
+    if (board.delayMs) setTimeout(() => socket.writable && socket.write(frame), board.delayMs);
+    else socket.write(frame);
+  }
+
+  function respond(socket, pdu, wrap) {
+    board.requests++;
+    const fault = takeFault(pdu[0]);
+    if (fault && fault.type === 'timeout') return;
+    if (fault && fault.type === 'drop') return socket.destroy();
+    const out = fault && fault.type === 'exception' ? exception(pdu[0], fault.code || 4) : handle(pdu);
+    reply(socket, wrap(out, fault && fault.type === 'crc'));
+  }
+
+  // ─── Framing ──────────────────────────────────────────────────────────────
+  function onTCP(socket, buf) {
+    while (buf.length >= 8) {
+      if (buf.readUInt16BE(2) !== 0) return Buffer.alloc(0);   // not MBAP — discard
+      const total = 6 + buf.readUInt16BE(4);
+      if (buf.length < total) break;
+      const header = buf.slice(0, 7);
+      const pdu = buf.slice(7, total);
+      buf = buf.slice(total);
+      respond(socket, pdu, (out, corrupt) => {
+        const mbap = Buffer.from(header);
+        mbap.writeUInt16BE(out.length + 1, 4);
+        const frame = Buffer.concat([mbap, out]);
+        return corrupt ? frame.slice(0, frame.length - 1) : frame;
+      });
+    }
+    return buf;
+  }
+
+  // A real RTU device stays silent on frames with a bad CRC or another
+  // unit id, which is what makes a Modbus TCP probe time out
+  function onRTU(socket, buf) {
+    for (;;) {
+      const len = rtuRequestLength(buf);
+      if (!len || buf.length < len) return buf;
+      const frame = buf.slice(0, len);
+      buf = buf.slice(len);
+      if (crc16(frame.slice(0, len - 2)) !== frame.readUInt16LE(len - 2)) return Buffer.alloc(0);
+      if (frame[0] !== board.unitId) continue;
+      respond(socket, frame.slice(1, len - 2), (out, corrupt) => {
+        const reply = withCRC(Buffer.concat([Buffer.from([board.unitId]), out]));
+        if (corrupt) reply[reply.length - 1] ^= 0xFF;
+        return reply;
+      });
+    }
+  }
+
+  // ─── Control ──────────────────────────────────────────────────────────────
+  function start() {
+    return new Promise((resolve, reject) => {
+      server = net.createServer((socket) => {
+        board.connections++;
+        sockets.add(socket);
+        let buf = Buffer.alloc(0);
+        socket.on('data', (chunk) => {
+          buf = Buffer.concat([buf, chunk]);
+          buf = board.mode === 'rtu' ? onRTU(socket, buf) : onTCP(socket, buf);
+        });
+        socket.on('error', () => {});
+        socket.on('close', () => sockets.delete(socket));
+      });
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        board.port = server.address().port;
+        log('INFO', `Simulated board listening on ${host}:${board.port} (${board.mode === 'rtu' ? 'RTU-over-TCP' : 'Modbus TCP'}, ${channels} relays, ${inputs} inputs)`);
+        resolve(board.port);
+      });
+    });
+  }
+
+  function stop() {
+    for (const socket of sockets) socket.destroy();
+    sockets.clear();
+    return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+  }
+
+  // Kick every client off, as a board reboot or cable pull would
+  function dropConnections() {
+    for (const socket of sockets) socket.destroy();
+  }
+
+  // `count` requests (optionally only function code `fc`) get the fault
+  function inject({ type, count = 1, fc, code } = {}) {
+    if (!FAULTS.includes(type)) throw new Error(`Unknown fault "${type}" — expected ${FAULTS.join(', ')}`);
+    const fault = { type, count, fc, code };
+    board.faults.push(fault);
+    return fault;
+  }
+
+  function clearFaults() {
+    board.faults.length = 0;
+  }
+
+  function setInput(index, active) {
+    if (index < 0 || index >= board.inputs.length) throw new Error(`No input ${index + 1}`);
+    board.inputs[index] = !!active;
+  }
+
+  function status() {
+    return {
+      mode: board.mode,
+      port: board.port,
+      unitId: board.unitId,
+      coils: board.coils.slice(),
+      inputs: board.inputs.slice(),
+      faults: board.faults.map(f => ({ ...f })),
+      requests: board.requests,
+      connections: board.connections
+    };
+  }
+
+  return Object.assign(board, { start, stop, dropConnections, inject, clearFaults, setInput, status });
+}
+
+module.exports = { FAULTS, createSimulatedBoard };
+
+if (require.main === module) {
+  const arg = (name, fallback) => {
+    const i = process.argv.indexOf(`--${name}`);
+    return i > 0 ? process.argv[i + 1] : fallback;
+  };
+  const board = createSimulatedBoard({
+    host: arg('host', '0.0.0.0'),
+    port: parseInt(arg('port', '4196'), 10),
+    mode: process.argv.includes('--rtu') ? 'rtu' : 'tcp',
+    unitId: parseInt(arg('unit', '1'), 10),
+    channels: parseInt(arg('channels', '8'), 10),
+    inputs: parseInt(arg('inputs', '8'), 10),
+    log: (level, msg) => console.log(`[${level}] ${msg}`)
+  });
+  board.start().catch((err) => { console.error(err.message); process.exit(1); });
+}
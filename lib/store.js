@@ -0,0 +1,46 @@
+/**
+ * Persistent runtime state — a small JSON file of named sections that has to
+ * survive a restart (pending timed closes, holds, …).
+ *
+ * Writes go to a temp file and are renamed into place, so a crash mid-write
+ * leaves the previous version intact.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function createStore(file, log) {
+  let data = {};
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      const aside = `${file}.corrupt-${Date.now()}`;
+      log('ERROR', `State file ${file} unreadable (${err.message}) — moved to ${aside}`);
+      try { fs.renameSync(file, aside); } catch (e) { /* leave it */ }
+    }
+  }
+
+  function save() {
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+      fs.renameSync(tmp, file);
+    } catch (err) {
+      log('ERROR', `Could not save state to ${file}: ${err.message}`);
+    }
+  }
+
+  return {
+    get(section, fallback) {
+      return Object.prototype.hasOwnProperty.call(data, section) ? data[section] : fallback;
+    },
+    set(section, value) {
+      data[section] = value;
+      save();
+    }
+  };
+}
+
+module.exports = { createStore };
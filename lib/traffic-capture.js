@@ -0,0 +1,148 @@
+/**
+ * Modbus traffic capture — a per-board ring buffer of the raw request and
+ * reply frames, for boards that flap or misbehave in ways the logs can't show.
+ *
+ * Each record (from lib/board-connection's onTraffic) keeps the frame sent,
+ * every chunk received with its arrival time after sending, the latency and
+ * the outcome (ok, timeout, crc, exception or connection). Requests that never
+ * went out because the board couldn't be reached are kept too, without a frame.
+ *
+ * A capture downloads as JSON, or as pcap with link type USER0 (147): each
+ * packet is one direction byte (0 to the board, 1 from it) followed by the
+ * bytes as they crossed the wire — in Wireshark, decode USER0 as "mbtcp" or
+ * "mbrtu" to read it.
+ *
+ * replay() feeds a JSON capture back through the reply parser the connection
+ * uses, chunk by chunk, so framing bugs reproduce without the hardware:
+ *
+ *   node lib/traffic-capture.js replay board2-capture.json
+ */
+
+const fs = require('fs');
+const { errorKind, takeReply } = require('./board-connection');
+
+const CAPTURE_SIZE = 500;
+const MAX_CAPTURE_SIZE = 10000;
+const LINKTYPE_USER0 = 147;
+
+function createTrafficCapture({ size = CAPTURE_SIZE } = {}) {
+  const records = [];
+  const startedAt = new Date().toISOString();
+  let seq = 0;
+
+  function record(entry) {
+    records.push({ seq: ++seq, ...entry });
+    if (records.length > size) records.shift();
+  }
+
+  // ─── Export ───────────────────────────────────────────────────────────────
+  function toJSON() {
+    return {
+      startedAt,
+      size,
+      recorded: seq,
+      dropped: seq - records.length,
+      records: records.map(r => ({
+        seq: r.seq,
+        at: r.at.toISOString(),
+        protocol: r.protocol,
+        unitId: r.unitId,
+        fc: r.fc,
+        request: r.request ? r.request.toString('hex') : null,
+        response: r.chunks.length ? Buffer.concat(r.chunks.map(c => c.data)).toString('hex') : null,
+        chunks: r.chunks.map(c => ({ offsetMs: round(c.offsetMs), data: c.data.toString('hex') })),
+        latencyMs: r.latencyMs === null ? null : round(r.latencyMs),
+        outcome: r.outcome,
+        error: r.error
+      }))
+    };
+  }
+
+  function toPcap() {
+    const header = Buffer.alloc(24);
+    header.writeUInt32LE(0xA1B2C3D4, 0);
+    header.writeUInt16LE(2, 4);
+    header.writeUInt16LE(4, 6);
+    header.writeUInt32LE(65535, 16);
+    header.writeUInt32LE(LINKTYPE_USER0, 20);
+    const packets = [header];
+    for (const r of records) {
+      if (!r.request) continue;
+      const sent = r.at.getTime() * 1000;
+      packets.push(pcapPacket(sent, 0, r.request));
+      for (const c of r.chunks) packets.push(pcapPacket(sent + Math.round(c.offsetMs * 1000), 1, c.data));
+    }
+    return Buffer.concat(packets);
+  }
+
+  return {
+    record, toJSON, toPcap,
+    get size() { return size; },
+    get length() { return records.length; },
+    get recorded() { return seq; }
+  };
+}
+
+function round(ms) {
+  return Math.round(ms * 1000) / 1000;
+}
+
+function pcapPacket(micros, direction, data) {
+  const header = Buffer.alloc(16);
+  header.writeUInt32LE(Math.floor(micros / 1e6), 0);
+  header.writeUInt32LE(micros % 1e6, 4);
+  header.writeUInt32LE(data.length + 1, 8);
+  header.writeUInt32LE(data.length + 1, 12);
+  return Buffer.concat([header, Buffer.from([direction]), data]);
+}
+
+// ─── Replay ─────────────────────────────────────────────────────────────────
+// capture: the JSON export. Per record, what the parser makes of the received
+// chunks now: an outcome as recorded, or 'incomplete' if the bytes never made
+// a reply — which is what a recorded timeout or dropped connection should
+// give. `matches` says whether that agrees with the recording.
+function replay(capture) {
+  return capture.records.filter(r => r.request).map((r) => {
+    const request = Buffer.from(r.request, 'hex');
+    const pending = { useRTU: r.protocol === 'rtu', tid: r.protocol === 'rtu' ? null : request.readUInt16BE(0) };
+    let rx = Buffer.alloc(0);
+    let reply = null;
+    for (const chunk of r.chunks) {
+      rx = Buffer.concat([rx, Buffer.from(chunk.data, 'hex')]);
+      const result = takeReply(rx, pending);
+      rx = result.rest;
+      if (result.err || result.pdu) { reply = result; break; }
+    }
+
+    let outcome = 'incomplete';
+    if (reply) outcome = reply.err ? errorKind(reply.err) : 'ok';
+    return {
+      seq: r.seq,
+      at: r.at,
+      protocol: r.protocol,
+      recorded: r.outcome,
+      replayed: outcome,
+      pdu: reply && reply.pdu ? reply.pdu.toString('hex') : null,
+      error: reply && reply.err ? reply.err.message : null,
+      matches: outcome === r.outcome || (outcome === 'incomplete' && (r.outcome === 'timeout' || r.outcome === 'connection'))
+    };
+  });
+}
+
+module.exports = { CAPTURE_SIZE, MAX_CAPTURE_SIZE, createTrafficCapture, replay };
+
+if (require.main === module) {
+  const [command, file] = process.argv.slice(2);
+  if (command !== 'replay' || !file) {
+    console.error('Usage: node lib/traffic-capture.js replay <capture.json>');
+    process.exit(2);
+  }
+  const results = replay(JSON.parse(fs.readFileSync(file, 'utf8')));
+  for (const r of results) {
+    const detail = r.pdu ? ` pdu ${r.pdu}` : (r.error ? ` (${r.error})` : '');
+    console.log(`${r.matches ? ' ' : '!'} #${r.seq} ${r.at} ${r.protocol} recorded ${r.recorded}, replayed ${r.replayed}${detail}`);
+  }
+  const mismatches = results.filter(r => !r.matches).length;
+  console.log(`\n${results.length} requests replayed, ${mismatches} differ from the recording`);
+  process.exit(mismatches ? 1 : 0);
+}
@@ -0,0 +1,241 @@
+/**
+ * Outbound webhooks — POST a JSON payload to subscribed URLs when something
+ * happens: every audit action, board online/offline, barrier left open.
+ *
+ * A subscription lists the events it wants ('*' for all, or a prefix such as
+ * 'barrier_*'). Each payload is signed with the subscription's secret:
+ *
+ *   X-Barrier-Signature: sha256=<hex HMAC-SHA256 of the raw body>
+ *
+ * Failed deliveries (network error, timeout, 408, 429, 5xx) are retried with
+ * backoff; other 4xx responses are final. The most recent deliveries are kept
+ * in memory for the delivery log — retries pending at shutdown are lost.
+ */
+
+const crypto = require('crypto');
+const { z } = require('zod');
+
+const RETRY_DELAYS_MS = [5000, 30000, 120000, 600000, 1800000];   // after attempts 1…5
+const DELIVERY_TIMEOUT_MS = 10000;
+const MAX_DELIVERIES = 500;
+
+const eventPattern = z.string().regex(/^(\*|[a-z0-9_]+\*?)$/, 'an event name, a prefix ending in *, or *');
+
+const webhookSchema = z.object({
+  name: z.string().min(1),
+  url: z.string().url().refine(u => /^https?:\/\//i.test(u), 'must be an http(s) URL'),
+  events: z.array(eventPattern).min(1),
+  secret: z.string().min(16, 'at least 16 characters').optional(),
+  enabled: z.boolean().default(true)
+}).strict();
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function parseWith(schema, body) {
+  const result = schema.safeParse(body || {});
+  if (!result.success) {
+    throw httpError(400, result.error.issues.map(i => `${i.path.join('.') || '(root)'}: ${i.message}`).join('; '));
+  }
+  return result.data;
+}
+
+function sign(secret, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+function eventMatches(patterns, event) {
+  return patterns.some(p => p === '*' || p === event || (p.endsWith('*') && event.startsWith(p.slice(0, -1))));
+}
+
+function retryable(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+function createWebhooks({ store, log, retryDelaysMs = RETRY_DELAYS_MS, timeoutMs = DELIVERY_TIMEOUT_MS, maxDeliveries = MAX_DELIVERIES }) {
+  const data = { subscriptions: [], ...store.get('webhooks', {}) };
+  const deliveries = [];   // oldest first, capped at maxDeliveries
+  const timers = new Map();   // delivery id → retry timer
+  let stopped = false;
+
+  function save() {
+    store.set('webhooks', data);
+  }
+
+  function find(id) {
+    const sub = data.subscriptions.find(s => s.id === id);
+    if (!sub) throw httpError(404, `No webhook ${id}`);
+    return sub;
+  }
+
+  function publicWebhook(sub) {
+    const { secret, ...rest } = sub;
+    return rest;
+  }
+
+  // ─── Subscriptions ────────────────────────────────────────────────────────
+  function list() {
+    return data.subscriptions.map(publicWebhook);
+  }
+
+  // The secret is returned here and never again
+  function add(body) {
+    const fields = parseWith(webhookSchema, body);
+    const sub = {
+      id: crypto.randomBytes(6).toString('hex'),
+      ...fields,
+      secret: fields.secret || crypto.randomBytes(24).toString('base64url'),
+      createdAt: new Date().toISOString()
+    };
+    data.subscriptions.push(sub);
+    save();
+    return { ...publicWebhook(sub), secret: sub.secret };
+  }
+
+  function update(id, body) {
+    const sub = find(id);
+    Object.assign(sub, parseWith(webhookSchema.partial(), body));
+    save();
+    return publicWebhook(sub);
+  }
+
+  function remove(id) {
+    const sub = find(id);
+    data.subscriptions.splice(data.subscriptions.indexOf(sub), 1);
+    save();
+    return publicWebhook(sub);
+  }
+
+  // ─── Delivery ─────────────────────────────────────────────────────────────
+  function record(sub, event, payloadData) {
+    const delivery = {
+      id: crypto.randomBytes(8).toString('hex'),
+      webhook: sub.id,
+      webhookName: sub.name,
+      event,
+      status: 'pending',
+      attempts: 0,
+      responseStatus: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      lastAttemptAt: null,
+      nextAttemptAt: null,
+      deliveredAt: null,
+      payload: { event, timestamp: new Date().toISOString(), data: payloadData }
+    };
+    delivery.payload.id = delivery.id;
+    deliveries.push(delivery);
+    while (deliveries.length > maxDeliveries) {
+      const dropped = deliveries.shift();
+      clearTimeout(timers.get(dropped.id));
+      timers.delete(dropped.id);
+    }
+    return delivery;
+  }
+
+  // Signs with the subscription's current secret and URL, so a retry after
+  // an update goes to the new endpoint
+  async function attempt(delivery) {
+    timers.delete(delivery.id);
+    const sub = data.subscriptions.find(s => s.id === delivery.webhook);
+    if (!sub) return finish(delivery, 'failed', null, 'webhook deleted');
+
+    const body = JSON.stringify(delivery.payload);
+    delivery.attempts++;
+    delivery.lastAttemptAt = new Date().toISOString();
+    delivery.nextAttemptAt = null;
+    let status = null;
+    let error = null;
+    try {
+      const res = await fetch(sub.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'barrier-control-webhooks',
+          'X-Barrier-Event': delivery.event,
+          'X-Barrier-Delivery': delivery.id,
+          'X-Barrier-Signature': sign(sub.secret, body)
+        },
+        body,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      status = res.status;
+      await res.arrayBuffer().catch(() => {});
+      if (res.ok) return finish(delivery, 'delivered', status, null);
+      error = `HTTP ${status}`;
+    } catch (err) {
+      error = err.name === 'TimeoutError' ? `no response in ${timeoutMs / 1000}s` : (err.cause && err.cause.message) || err.message;
+    }
+
+    const delay = retryDelaysMs[delivery.attempts - 1];
+    if ((status === null || retryable(status)) && delay !== undefined && !stopped) {
+      delivery.status = 'retrying';
+      delivery.responseStatus = status;
+      delivery.error = error;
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      timers.set(delivery.id, setTimeout(() => attempt(delivery), delay));
+      return;
+    }
+    finish(delivery, 'failed', status, error);
+    log('WARN', `Webhook ${sub.name}: ${delivery.event} not delivered after ${delivery.attempts} attempt(s) — ${error}`);
+  }
+
+  function finish(delivery, status, responseStatus, error) {
+    delivery.status = status;
+    delivery.responseStatus = responseStatus;
+    delivery.error = error;
+    if (status === 'delivered') delivery.deliveredAt = new Date().toISOString();
+  }
+
+  // Queues a delivery to every enabled subscription that wants `event`
+  function dispatch(event, payloadData) {
+    if (stopped) return [];
+    const subs = data.subscriptions.filter(s => s.enabled && eventMatches(s.events, event));
+    return subs.map((sub) => {
+      const delivery = record(sub, event, payloadData);
+      attempt(delivery);
+      return delivery;
+    });
+  }
+
+  // A 'ping' to one subscription, whatever its events and even if disabled
+  function test(id) {
+    const sub = find(id);
+    const delivery = record(sub, 'ping', { message: `Test delivery for ${sub.name}` });
+    attempt(delivery);
+    return delivery;
+  }
+
+  // Sends a delivery again now, with a fresh set of retries
+  function redeliver(deliveryId) {
+    const old = deliveries.find(d => d.id === deliveryId);
+    if (!old) throw httpError(404, `No delivery ${deliveryId}`);
+    const sub = find(old.webhook);
+    const delivery = record(sub, old.event, old.payload.data);
+    attempt(delivery);
+    return delivery;
+  }
+
+  // Newest first. filter: { webhook, event, status }
+  function deliveryLog(filter = {}, limit = 100) {
+    return deliveries
+      .filter(d => (!filter.webhook || d.webhook === filter.webhook) &&
+        (!filter.event || d.event === filter.event) &&
+        (!filter.status || d.status === filter.status))
+      .slice(-limit)
+      .reverse();
+  }
+
+  function stop() {
+    stopped = true;
+    for (const timer of timers.values()) clearTimeout(timer);
+    timers.clear();
+  }
+
+  return { list, add, update, remove, dispatch, test, redeliver, deliveryLog, stop };
+}
+
+module.exports = { RETRY_DELAYS_MS, sign, eventMatches, createWebhooks };
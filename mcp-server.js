@@ -9,20 +9,24 @@
  *   node mcp-server.js
  *
  * Connects to the barrier control REST API at http://localhost:3000
- * (configurable via BARRIER_API_URL env var).
+ * (configurable via BARRIER_API_URL env var). Authenticates with an API
+ * token from BARRIER_API_TOKEN (or the legacy API_KEY); what the tools may do
+ * depends on that token's role and barrier scope.
  */
 
-const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const { McpServer, ResourceTemplate } = require('@modelcontextprotocol/sdk/server/mcp.js');
 const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
 const { z } = require('zod');
 
 const API_URL = process.env.BARRIER_API_URL || 'http://localhost:3000';
+const API_TOKEN = process.env.BARRIER_API_TOKEN || null;
 const API_KEY = process.env.API_KEY || null;
 
 // ─── HTTP Helper ─────────────────────────────────────────────────────────────
 async function apiCall(method, path, body = null) {
     const headers = { 'Content-Type': 'application/json', 'X-Source': 'mcp' };
-    if (API_KEY) headers['X-API-Key'] = API_KEY;
+    if (API_TOKEN) headers['Authorization'] = `Bearer ${API_TOKEN}`;
+    else if (API_KEY) headers['X-API-Key'] = API_KEY;
 
     const opts = { method, headers };
     if (body) opts.body = JSON.stringify(body);
@@ -34,6 +38,24 @@ async function apiCall(method, path, body = null) {
     return data;
 }
 
+// Site-scoped routes — without a site they act on the server's default site
+function sitePath(site, route) {
+    return site ? `/api/sites/${encodeURIComponent(site)}${route}` : `/api${route}`;
+}
+
+const siteArg = z.string().optional().describe('Site key (as listed by barrier_status); defaults to the server\'s default site');
+
+const STATE_ICONS = {
+    closed: '⬇️', opening: '↗️', open: '⬆️', closing: '↘️', stopped: '⏹', fault: '⚠️', unknown: '❔'
+};
+
+function formatDuration(ms) {
+    const s = Math.floor(ms / 1000);
+    if (s < 60) return `${s}s`;
+    if (s < 3600) return `${Math.floor(s / 60)}m ${s % 60}s`;
+    return `${Math.floor(s / 3600)}h ${Math.floor((s % 3600) / 60)}m`;
+}
+
 // ─── MCP Server Setup ────────────────────────────────────────────────────────
 const server = new McpServer({
     name: 'barrier-control',
@@ -45,12 +67,17 @@ const server = new McpServer({
 
 server.tool(
     'barrier_lift',
-    'Lift (open) a car park barrier. The barrier will stay open until stopped or closed.',
-    { barrier_id: z.number().int().min(1).max(3).describe('Barrier number (1, 2, or 3)') },
-    async ({ barrier_id }) => {
+    'Lift (open) a car park barrier. Without a duration it stays open until stopped or closed; with duration_seconds the server closes it automatically (e.g. for a delivery).',
+    {
+        barrier_id: z.number().int().min(1).describe('Barrier number (as listed by barrier_status)'),
+        duration_seconds: z.number().int().min(1).max(86400).optional().describe('Close automatically after this many seconds'),
+        site: siteArg
+    },
+    async ({ barrier_id, duration_seconds, site }) => {
         try {
-            const result = await apiCall('POST', `/api/barrier/${barrier_id}/lift`);
-            return { content: [{ type: 'text', text: `✓ ${result.barrier} lifted (CH${result.channel})` }] };
+            const result = await apiCall('POST', sitePath(site, `/barrier/${barrier_id}/lift`), duration_seconds ? { duration: duration_seconds } : null);
+            const until = result.timedClose ? `, closes at ${result.timedClose.closeAt.slice(11, 19)} UTC` : '';
+            return { content: [{ type: 'text', text: `✓ ${result.barrier} lifted (CH${result.channel}${until})` }] };
         } catch (err) {
             return { content: [{ type: 'text', text: `✗ Failed to lift barrier ${barrier_id}: ${err.message}` }], isError: true };
         }
@@ -60,10 +87,10 @@ server.tool(
 server.tool(
     'barrier_close',
     'Close a car park barrier. The close relay auto-releases after 4 seconds.',
-    { barrier_id: z.number().int().min(1).max(3).describe('Barrier number (1, 2, or 3)') },
-    async ({ barrier_id }) => {
+    { barrier_id: z.number().int().min(1).describe('Barrier number (as listed by barrier_status)'), site: siteArg },
+    async ({ barrier_id, site }) => {
         try {
-            const result = await apiCall('POST', `/api/barrier/${barrier_id}/close`);
+            const result = await apiCall('POST', sitePath(site, `/barrier/${barrier_id}/close`));
             return { content: [{ type: 'text', text: `✓ ${result.barrier} closing (CH${result.channel}, auto-release in 4s)` }] };
         } catch (err) {
             return { content: [{ type: 'text', text: `✗ Failed to close barrier ${barrier_id}: ${err.message}` }], isError: true };
@@ -74,10 +101,10 @@ server.tool(
 server.tool(
     'barrier_stop',
     'Stop a barrier — cancels any active lift or close operation and releases those relays.',
-    { barrier_id: z.number().int().min(1).max(3).describe('Barrier number (1, 2, or 3)') },
-    async ({ barrier_id }) => {
+    { barrier_id: z.number().int().min(1).describe('Barrier number (as listed by barrier_status)'), site: siteArg },
+    async ({ barrier_id, site }) => {
         try {
-            const result = await apiCall('POST', `/api/barrier/${barrier_id}/stop`);
+            const result = await apiCall('POST', sitePath(site, `/barrier/${barrier_id}/stop`));
             return { content: [{ type: 'text', text: `✓ ${result.barrier} stopped (CH${result.channel})` }] };
         } catch (err) {
             return { content: [{ type: 'text', text: `✗ Failed to stop barrier ${barrier_id}: ${err.message}` }], isError: true };
@@ -85,32 +112,81 @@ server.tool(
     }
 );
 
+server.tool(
+    'barrier_cancel_timed_close',
+    'Cancel the pending automatic close of a barrier that was lifted with a duration. The barrier stays open.',
+    { barrier_id: z.number().int().min(1).describe('Barrier number (as listed by barrier_status)'), site: siteArg },
+    async ({ barrier_id, site }) => {
+        try {
+            const result = await apiCall('DELETE', sitePath(site, `/barrier/${barrier_id}/timed-close`));
+            return { content: [{ type: 'text', text: `✓ ${result.barrier} timed close cancelled — staying open` }] };
+        } catch (err) {
+            return { content: [{ type: 'text', text: `✗ Failed to cancel timed close for barrier ${barrier_id}: ${err.message}` }], isError: true };
+        }
+    }
+);
+
 server.tool(
     'barrier_status',
-    'Get the current status of all barriers and relay boards — shows which relays are active and board connectivity.',
-    {},
-    async () => {
+    'Get the current status of all barriers, auxiliary outputs and relay boards — barrier state (closed/opening/open/closing/stopped/fault/unknown) and how long it has been in it, any hold (held open / locked closed), pending driver help requests, active relays, board connectivity and car park occupancy. With several sites, shows one site and lists the others.',
+    { site: siteArg },
+    async ({ site }) => {
         try {
-            const status = await apiCall('GET', '/api/status');
+            const status = await apiCall('GET', sitePath(site, '/status'));
             const lines = [];
 
+            // Sites
+            if (status.sites && status.sites.length > 1) {
+                const here = status.sites.find(s => s.key === status.site);
+                lines.push(`# ${here ? here.name : status.site} (site ${status.site})`);
+                lines.push(`Other sites: ${status.sites.filter(s => s.key !== status.site).map(s => `${s.name} (${s.key})`).join(', ')}\n`);
+            }
+
             // Boards
             lines.push('## Relay Boards');
             for (const board of status.boards) {
                 const icon = board.connected ? '🟢' : '🔴';
-                lines.push(`${icon} ${board.name} (${board.host}:${board.port}) — ${board.connected ? board.mode : 'Offline'}`);
-                const chs = board.channels.map(ch => `CH${ch.channel}:${ch.active ? 'ON' : 'off'}`).join(' ');
+                lines.push(`${icon} ${board.name} [${board.key}] (${board.host}:${board.port}) — ${board.connected ? board.mode : 'Offline'}`);
+                const chs = board.channels.map(ch => `CH${ch.channel}${ch.label ? ` (${ch.label})` : ''}:${ch.active ? 'ON' : 'off'}`).join(' ');
                 lines.push(`   Channels: ${chs}`);
             }
 
+            // Occupancy
+            const occ = status.occupancy;
+            if (occ && (occ.capacity !== null || status.barriers.some(b => b.direction))) {
+                const of = occ.capacity === null ? '' : ` / ${occ.capacity}`;
+                const full = occ.full ? ` — FULL${occ.override ? ` (override: ${occ.override.reason})` : ', automatic entry lifts refused'}` : '';
+                lines.push(`\n## Occupancy\n${occ.count}${of} vehicles${full} (today: ${occ.today.entries} in, ${occ.today.exits} out)`);
+            }
+
             // Barriers
             lines.push('\n## Barriers');
             for (const b of status.barriers) {
-                let state = 'Idle';
-                if (b.lift) state = '⬆️ Lifting';
-                else if (b.close) state = '⬇️ Closing';
-                else if (b.stop) state = '⏹ Stopped';
-                lines.push(`${b.name}: ${state}`);
+                const state = `${STATE_ICONS[b.state] || ''} ${b.state}`.trim();
+                const elapsed = b.state === 'unknown' ? '' : ` for ${formatDuration(b.timeInStateMs)}`;
+                const relays = ['lift', 'close', 'stop'].filter(r => b[r]).join('+') || 'none';
+                lines.push(`${b.name}: ${state}${elapsed} (${b.stateReason}; relays: ${relays})`);
+                if (b.hold) {
+                    const until = b.hold.expiresAt ? ` until ${b.hold.expiresAt.slice(11, 19)} UTC` : '';
+                    lines.push(`   🔒 ${b.hold.mode === 'open' ? 'HELD OPEN' : 'LOCKED CLOSED'} by ${b.hold.owner}${until} — ${b.hold.reason} (commands refused)`);
+                }
+                if (b.helpRequest) {
+                    lines.push(`   🛎 HELP REQUESTED (${b.helpRequest.point}) — waiting ${formatDuration(b.helpRequest.waitingMs)}`);
+                }
+                if (b.timedClose) {
+                    lines.push(b.timedClose.blocked
+                        ? `   Auto-close REFUSED — ${b.timedClose.error} (close it or cancel the timed close)`
+                        : `   Auto-close at ${b.timedClose.closeAt.slice(11, 19)} UTC (in ${formatDuration(b.timedClose.remainingMs)})`);
+                }
+            }
+
+            // Outputs
+            if (status.outputs && status.outputs.length) {
+                lines.push('\n## Outputs');
+                for (const o of status.outputs) {
+                    const off = o.offBlocked ? `, off REFUSED — ${o.offError}` : o.offAt ? `, off at ${o.offAt.slice(11, 19)} UTC` : '';
+                    lines.push(`${o.name} (${o.key}, ${o.board} CH${o.channel}, ${o.mode}): ${o.on ? 'ON' : 'off'}${off} — actions: ${o.actions.join(', ')}`);
+                }
             }
 
             return { content: [{ type: 'text', text: lines.join('\n') }] };
@@ -120,14 +196,57 @@ server.tool(
     }
 );
 
+server.tool(
+    'output_switch',
+    'Switch an auxiliary output (a light, sign or buzzer on a relay no barrier uses). Latched and timed outputs take on/off — a timed one switches itself off after its configured time, or duration_seconds; momentary ones take pulse.',
+    {
+        output: z.string().describe('Output key (as listed by barrier_status)'),
+        action: z.enum(['on', 'off', 'pulse']).describe('on or off, or pulse for a momentary output'),
+        duration_seconds: z.number().int().min(1).max(86400).optional().describe('Timed outputs only: switch off after this many seconds'),
+        site: siteArg
+    },
+    async ({ output, action, duration_seconds, site }) => {
+        try {
+            const result = await apiCall('POST', sitePath(site, `/outputs/${encodeURIComponent(output)}/${action}`), duration_seconds ? { duration: duration_seconds } : null);
+            const o = result.output;
+            const until = o.offAt ? `, off at ${o.offAt.slice(11, 19)} UTC` : '';
+            const done = action === 'pulse' ? `pulsed for ${o.pulseMs} ms` : `switched ${action}`;
+            return { content: [{ type: 'text', text: `✓ ${o.name} ${done} (${o.board} CH${o.channel}${until})` }] };
+        } catch (err) {
+            return { content: [{ type: 'text', text: `✗ Failed to switch output ${output}: ${err.message}` }], isError: true };
+        }
+    }
+);
+
+server.tool(
+    'relay_channel',
+    'ADMIN: switch one relay channel of a board directly, barrier relays included — for commissioning and wiring checks. Energising is still checked against the interlock. Prefer barrier and output tools for normal operation.',
+    {
+        board: z.string().describe('Board key (as listed by barrier_status)'),
+        channel: z.number().int().min(1).describe('Channel number, 1-based'),
+        on: z.boolean().describe('true to energise the relay, false to release it'),
+        site: siteArg
+    },
+    async ({ board, channel, on, site }) => {
+        try {
+            const result = await apiCall('PUT', sitePath(site, `/boards/${encodeURIComponent(board)}/channels/${channel}`), { on });
+            const label = result.label ? ` (${result.label})` : '';
+            return { content: [{ type: 'text', text: `✓ ${board} CH${channel}${label} ${on ? 'ON' : 'off'}` }] };
+        } catch (err) {
+            return { content: [{ type: 'text', text: `✗ Failed to switch ${board} CH${channel}: ${err.message}` }], isError: true };
+        }
+    }
+);
+
 server.tool(
     'emergency_off',
-    'EMERGENCY: Turn off ALL relays on ALL boards immediately. Use this to stop all barrier movement.',
-    {},
-    async () => {
+    'EMERGENCY: Turn off ALL relays on ALL boards immediately. Use this to stop all barrier movement. Without a site it covers every site.',
+    { site: z.string().optional().describe('Only this site\'s boards (site key)') },
+    async ({ site }) => {
         try {
-            await apiCall('POST', '/api/emergency-off');
-            return { content: [{ type: 'text', text: '⚠ EMERGENCY ALL OFF — all relays on all boards turned off' }] };
+            await apiCall('POST', site ? sitePath(site, '/emergency-off') : '/api/emergency-off');
+            const where = site ? `at site ${site}` : 'on all boards';
+            return { content: [{ type: 'text', text: `⚠ EMERGENCY ALL OFF — all relays ${where} turned off` }] };
         } catch (err) {
             return { content: [{ type: 'text', text: `✗ Emergency off failed: ${err.message}` }], isError: true };
         }
@@ -136,17 +255,27 @@ server.tool(
 
 server.tool(
     'audit_log',
-    'View the recent audit log showing all barrier actions, who triggered them, and when.',
-    { limit: z.number().int().min(1).max(100).optional().default(20).describe('Number of entries to return (default 20)') },
-    async ({ limit }) => {
+    'View the audit log showing barrier actions, who triggered them, and when. Optionally filter by barrier, action or start time.',
+    {
+        limit: z.number().int().min(1).max(100).optional().default(20).describe('Number of entries to return (default 20)'),
+        barrier_id: z.number().int().min(1).optional().describe('Only entries for this barrier'),
+        action: z.string().optional().describe('Only these actions, comma-separated (e.g. barrier_lift,emergency_off)'),
+        since: z.string().optional().describe('Only entries at or after this ISO date/time')
+    },
+    async ({ limit, barrier_id, action, since }) => {
         try {
-            const entries = await apiCall('GET', `/api/audit?limit=${limit}`);
+            const params = new URLSearchParams({ limit: String(limit) });
+            if (barrier_id) params.set('barrier', String(barrier_id));
+            if (action) params.set('action', action);
+            if (since) params.set('from', since);
+            const entries = await apiCall('GET', `/api/audit?${params}`);
             if (entries.length === 0) {
-                return { content: [{ type: 'text', text: 'No audit entries yet.' }] };
+                return { content: [{ type: 'text', text: 'No matching audit entries.' }] };
             }
             const lines = entries.map(e => {
-                const ts = e.timestamp.slice(11, 19);
-                return `${ts} [${e.source}] ${e.action} — ${JSON.stringify(e.details)}`;
+                const ts = e.timestamp.slice(0, 19).replace('T', ' ');
+                const who = e.user ? `${e.source}/${e.user}` : e.source;
+                return `${ts} [${who}] ${e.action} — ${JSON.stringify(e.details)}`;
             });
             return { content: [{ type: 'text', text: lines.join('\n') }] };
         } catch (err) {
@@ -167,6 +296,37 @@ server.resource(
     }
 );
 
+async function readOccupancy(uri, site) {
+    const [current, history] = await Promise.all([apiCall('GET', sitePath(site, '/occupancy')), apiCall('GET', sitePath(site, '/occupancy/history'))]);
+    return { contents: [{ uri: uri.href, mimeType: 'application/json', text: JSON.stringify({ ...current, history }, null, 2) }] };
+}
+
+server.resource(
+    'occupancy',
+    'barrier://occupancy',
+    { description: 'Car park occupancy at the default site — vehicle count, capacity, override and the last 31 days of daily totals. Other sites are barrier://sites/{site}/occupancy', mimeType: 'application/json' },
+    async (uri) => readOccupancy(uri)
+);
+
+// One per site the token can see
+server.resource(
+    'site-occupancy',
+    new ResourceTemplate('barrier://sites/{site}/occupancy', {
+        list: async () => {
+            const sites = await apiCall('GET', '/api/sites');
+            return {
+                resources: sites.map(s => ({
+                    uri: `barrier://sites/${encodeURIComponent(s.key)}/occupancy`,
+                    name: `${s.name} occupancy`,
+                    mimeType: 'application/json'
+                }))
+            };
+        }
+    }),
+    { description: 'Car park occupancy at one site — vehicle count, capacity, override and the last 31 days of daily totals', mimeType: 'application/json' },
+    async (uri, { site }) => readOccupancy(uri, decodeURIComponent(site))
+);
+
 // ─── Start ───────────────────────────────────────────────────────────────────
 async function main() {
     const transport = new StdioServerTransport();
@@ -5,14 +5,37 @@ let polling = null;
 let actionInProgress = {};
 let eventSource = null;
 let lastStatus = null;
+let timedCloseAt = {};     // barrierId → epoch ms of the pending timed close
+let timedCloseBlocked = {};   // barrierId → why the server refused that close
+let currentUser = null;    // { name, role, barriers } from /api/auth/me
+let authEnabled = false;
+let started = false;
+let sites = [];            // sites the user may see, from /api/sites
+let currentSite = null;    // key of the site on screen
 
 // ─── DOM References ──────────────────────────────────────────────────────────
 const boardBadges = document.getElementById('boardBadges');
+const occupancyBadge = document.getElementById('occupancyBadge');
+const siteSelect = document.getElementById('siteSelect');
+const emergencyLabel = document.getElementById('emergencyLabel');
+const emergencyAllButton = document.getElementById('btn-emergency-all');
 const barriersGrid = document.getElementById('barriersGrid');
 const boardsOverview = document.getElementById('boardsOverview');
 const logEntries = document.getElementById('logEntries');
+const scheduleUpcoming = document.getElementById('scheduleUpcoming');
+const helpPanel = document.getElementById('helpPanel');
+const helpQueue = document.getElementById('helpQueue');
+const reportForm = document.getElementById('reportForm');
+const reportTable = document.getElementById('reportTable');
+const diagnosticsPanel = document.getElementById('diagnosticsPanel');
+const diagnoseForm = document.getElementById('diagnoseForm');
+const diagnoseResult = document.getElementById('diagnoseResult');
+const userBadge = document.getElementById('userBadge');
+const loginOverlay = document.getElementById('loginOverlay');
+const loginForm = document.getElementById('loginForm');
 
 // ─── Logging ─────────────────────────────────────────────────────────────────
+// `message` is HTML: anything from the server goes through escapeHtml first
 function addLog(message, type = 'info') {
     const entry = document.createElement('div');
     entry.className = `log-entry log-${type}`;
@@ -22,18 +45,90 @@ function addLog(message, type = 'info') {
     while (logEntries.children.length > 50) logEntries.removeChild(logEntries.lastChild);
 }
 
+// ─── Sites ───────────────────────────────────────────────────────────────────
+// Everything about barriers goes through /api/sites/:site once the site is known
+function siteApi(route) {
+    return currentSite ? `${API_BASE}/api/sites/${encodeURIComponent(currentSite)}${route}` : `${API_BASE}/api${route}`;
+}
+
+async function fetchSites() {
+    try {
+        const res = await fetch(`${API_BASE}/api/sites`);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        sites = await res.json();
+    } catch (err) {
+        sites = [];
+    }
+    const saved = localStorage.getItem('barrierControlSite');
+    const site = sites.find(s => s.key === saved) || sites.find(s => s.default) || sites[0];
+    currentSite = site ? site.key : null;
+    renderSites();
+}
+
+// The switcher and the per-site emergency button only show with several sites
+function renderSites() {
+    const multi = sites.length > 1;
+    siteSelect.hidden = !multi;
+    siteSelect.innerHTML = sites.map(s => `<option value="${escapeHtml(s.key)}"${s.key === currentSite ? ' selected' : ''}>${escapeHtml(s.name)}</option>`).join('');
+    emergencyAllButton.hidden = !multi;
+    const site = sites.find(s => s.key === currentSite);
+    emergencyLabel.textContent = multi && site ? `EMERGENCY — ALL OFF AT ${site.name.toUpperCase()}` : 'EMERGENCY — ALL OFF';
+}
+
+function switchSite(key) {
+    currentSite = key;
+    localStorage.setItem('barrierControlSite', key);
+    renderSites();
+    barriersGrid.innerHTML = '';
+    lastStatus = null;
+    timedCloseAt = {};
+    timedCloseBlocked = {};
+    eventSource.close();
+    connectSSE();
+    fetchStatus();
+    fetchSchedule();
+    fetchReport();
+    fetchHelp();
+}
+
 // ─── SSE — Real-Time Events ─────────────────────────────────────────────────
 function connectSSE() {
-    eventSource = new EventSource(`${API_BASE}/api/events`);
+    eventSource = new EventSource(siteApi('/events'));
     eventSource.onmessage = (event) => {
         try {
             const data = JSON.parse(event.data);
             if (data.type === 'connected') return;
+            if (data.type === 'sensors' || data.type === 'barrier_state') {
+                fetchStatus();
+                return;
+            }
+            if (data.type === 'occupancy') {
+                updateOccupancy(data);
+                return;
+            }
+            if (data.type === 'help_request') {
+                helpChime();
+                if (!data.repeat) addLog(`🛎 <strong>Help requested</strong> — ${escapeHtml(data.request.barrier)}`, 'error');
+                fetchHelp();
+                fetchStatus();
+                return;
+            }
+            if (data.type === 'help_resolved') {
+                fetchHelp();
+                fetchStatus();
+                return;
+            }
+            if (data.type === 'alarm') {
+                addLog(`⚠ <strong>ALARM</strong> — ${escapeHtml(data.message)}`, 'error');
+                fetchStatus();
+                return;
+            }
             // Audit event from server
             if (data.action) {
-                const src = data.source === 'ui' ? '' : ` [${data.source}]`;
+                const src = data.source === 'ui' ? '' : ` [${escapeHtml(data.source)}]`;
                 const detail = data.details?.barrier || data.action;
-                addLog(`${src} <strong>${data.action}</strong> — ${detail}`, 'success');
+                addLog(`${src} <strong>${escapeHtml(data.action)}</strong> — ${escapeHtml(detail)}`, 'success');
+                if (data.action.startsWith('schedule_')) fetchSchedule();
                 // Refresh status immediately
                 fetchStatus();
             }
@@ -48,7 +143,8 @@ function connectSSE() {
 // ─── Status Polling ──────────────────────────────────────────────────────────
 async function fetchStatus() {
     try {
-        const res = await fetch(`${API_BASE}/api/status`);
+        const res = await fetch(siteApi('/status'));
+        if (res.status === 401) return showLogin();
         if (!res.ok) throw new Error(`HTTP ${res.status}`);
         const data = await res.json();
         lastStatus = data;
@@ -63,9 +159,11 @@ async function fetchStatus() {
 }
 
 function updateUI(data) {
+    updateOccupancy(data.occupancy, data.barriers);
     updateBoardBadges(data.boards);
     updateBarrierCards(data.barriers, data.boards);
-    updateBoardsOverview(data.boards);
+    updateBoardsOverview(data.boards, data.outputs);
+    updateDiagnoseBoards(data.boards);
 }
 
 // ─── Board Connection Badges ─────────────────────────────────────────────────
@@ -79,6 +177,34 @@ function updateBoardBadges(boards) {
   `).join('');
 }
 
+// ─── Occupancy Badge ─────────────────────────────────────────────────────────
+// Shown once there is a capacity or a counting barrier
+function updateOccupancy(occupancy, barriers = lastStatus && lastStatus.barriers) {
+    if (!occupancy) return;
+    const counting = (barriers || []).some(b => b.direction);
+    occupancyBadge.hidden = occupancy.capacity === null && !counting;
+    const level = occupancy.full ? 'full' : occupancy.capacity && occupancy.available <= occupancy.capacity * 0.1 ? 'nearly-full' : '';
+    occupancyBadge.className = `occupancy-badge ${level}`;
+    const of = occupancy.capacity === null ? '' : ` / ${occupancy.capacity}`;
+    const label = occupancy.full ? (occupancy.override ? 'FULL — override' : 'FULL') : 'Occupancy';
+    occupancyBadge.innerHTML = `<span class="occupancy-label">${label}</span><span class="occupancy-count">${occupancy.count}${of}</span>`;
+    occupancyBadge.title = occupancy.override ? `Override by ${occupancy.override.by}: ${occupancy.override.reason}` : '';
+}
+
+// ─── Barrier State ───────────────────────────────────────────────────────────
+const STATE_LABELS = {
+    closed: 'Closed', opening: 'Opening', open: 'Open', closing: 'Closing',
+    stopped: 'Stopped', fault: 'Fault', unknown: 'Unknown'
+};
+const STATE_CLASSES = { opening: 'active', open: 'active', closing: 'active', stopped: 'active', fault: 'fault' };
+
+function formatDuration(ms) {
+    const s = Math.floor(ms / 1000);
+    if (s < 60) return `${s}s`;
+    if (s < 3600) return `${Math.floor(s / 60)}m`;
+    return `${Math.floor(s / 3600)}h ${Math.floor((s % 3600) / 60)}m`;
+}
+
 // ─── Dynamic Barrier Cards ───────────────────────────────────────────────────
 function updateBarrierCards(barriers, boards) {
     if (!barriers) return;
@@ -100,7 +226,7 @@ function updateBarrierCards(barriers, boards) {
           </div>
           <div>
             <h2>${b.name}</h2>
-            <span class="barrier-status" id="barrier${b.id}Status">Idle</span>
+            <span class="barrier-status" id="barrier${b.id}Status">Unknown</span>
           </div>
         </div>
         <div class="channel-indicators" id="barrier${b.id}Channels">
@@ -108,6 +234,7 @@ function updateBarrierCards(barriers, boards) {
           <div class="indicator" data-action="close"><span class="ind-dot"></span>Close</div>
           <div class="indicator" data-action="stop"><span class="ind-dot"></span>Stop</div>
         </div>
+        <div class="sensor-indicators" id="barrier${b.id}Sensors"></div>
         <div class="barrier-controls">
           <button class="btn btn-lift" onclick="barrierAction(${b.id}, 'lift')" id="btn-${b.id}-lift">
             <svg width="22" height="22" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><path d="M12 19V5M5 12l7-7 7 7"/></svg>
@@ -122,6 +249,19 @@ function updateBarrierCards(barriers, boards) {
             Close
           </button>
         </div>
+        <div class="timed-lift">
+          <label for="duration-${b.id}">Lift for</label>
+          <select id="duration-${b.id}">
+            <option value="">Until closed</option>
+            <option value="300">5 min</option>
+            <option value="900">15 min</option>
+            <option value="1800">30 min</option>
+            <option value="3600">1 hour</option>
+            <option value="14400">4 hours</option>
+          </select>
+          <span class="timed-close" id="barrier${b.id}TimedClose"></span>
+        </div>
+        <div class="barrier-hold" id="barrier${b.id}Hold"></div>
       `;
             barriersGrid.appendChild(card);
         });
@@ -131,20 +271,123 @@ function updateBarrierCards(barriers, boards) {
     barriers.forEach(b => {
         const statusEl = document.getElementById(`barrier${b.id}Status`);
         if (statusEl) {
-            if (b.lift) { statusEl.textContent = 'Lifting'; statusEl.className = 'barrier-status active'; }
-            else if (b.close) { statusEl.textContent = 'Closing'; statusEl.className = 'barrier-status active'; }
-            else if (b.stop) { statusEl.textContent = 'Stopped'; statusEl.className = 'barrier-status active'; }
-            else { statusEl.textContent = 'Idle'; statusEl.className = 'barrier-status'; }
+            const label = STATE_LABELS[b.state] || 'Unknown';
+            statusEl.textContent = b.state === 'unknown' ? label : `${label} · ${formatDuration(b.timeInStateMs)}`;
+            statusEl.title = b.stateReason || '';
+            statusEl.className = `barrier-status ${STATE_CLASSES[b.state] || ''}`;
         }
 
         const indicators = document.querySelectorAll(`.barrier-card[data-barrier="${b.id}"] .indicator`);
         const states = [b.lift, b.close, b.stop];
         indicators.forEach((ind, i) => ind.classList.toggle('active', states[i]));
+
+        if (b.timedClose) timedCloseAt[b.id] = Date.now() + b.timedClose.remainingMs;
+        else delete timedCloseAt[b.id];
+        if (b.timedClose && b.timedClose.blocked) timedCloseBlocked[b.id] = b.timedClose.error;
+        else delete timedCloseBlocked[b.id];
+
+        const sensorsEl = document.getElementById(`barrier${b.id}Sensors`);
+        if (sensorsEl) sensorsEl.innerHTML = renderSensors(b.sensors || {}) + renderAutomation(b.automation);
+
+        const holdEl = document.getElementById(`barrier${b.id}Hold`);
+        if (holdEl) holdEl.innerHTML = renderHold(b.id, b.hold);
+        const card = document.querySelector(`.barrier-card[data-barrier="${b.id}"]`);
+        card.classList.toggle('held', !!b.hold);
+        card.classList.toggle('help-pending', !!b.helpRequest);
+        if (!actionInProgress[`${b.id}-lift`] && !actionInProgress[`${b.id}-close`] && !actionInProgress[`${b.id}-stop`]) {
+            card.querySelectorAll('.btn').forEach(btn => btn.disabled = !!b.hold || !can('operator'));
+        }
     });
 }
 
+// ─── Holds ───────────────────────────────────────────────────────────────────
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function renderHold(barrierId, hold) {
+    if (!hold) {
+        if (!can('supervisor')) return '';
+        return `<button class="btn-link" onclick="placeHold(${barrierId}, 'open')">Hold open</button>
+          <button class="btn-link" onclick="placeHold(${barrierId}, 'closed')">Lock closed</button>`;
+    }
+    const until = hold.expiresAt
+        ? ` until ${new Date(hold.expiresAt).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' })}`
+        : '';
+    const release = can('supervisor') ? `<button class="btn-link" onclick="releaseHold(${barrierId})">Release</button>` : '';
+    return `<span class="hold-banner">🔒 ${hold.mode === 'open' ? 'Held open' : 'Locked closed'} by ${escapeHtml(hold.owner)}${until} — ${escapeHtml(hold.reason)}</span>
+      ${release}`;
+}
+
+async function placeHold(barrierId, mode) {
+    const reason = window.prompt(`Reason for ${mode === 'open' ? 'holding the barrier open' : 'locking the barrier closed'}:`);
+    if (!reason || !reason.trim()) return;
+    try {
+        const res = await fetch(siteApi(`/barrier/${barrierId}/hold`), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Source': 'ui' },
+            body: JSON.stringify({ mode, reason })
+        });
+        const data = await res.json();
+        if (res.ok && data.success) addLog(`🔒 ${escapeHtml(data.barrier)} ${mode === 'open' ? 'held open' : 'locked closed'} — ${escapeHtml(reason)}`, 'success');
+        else addLog(`✗ Hold failed: ${escapeHtml(data.error)}`, 'error');
+    } catch (err) {
+        addLog(`✗ Hold error: ${escapeHtml(err.message)}`, 'error');
+    } finally {
+        fetchStatus();
+    }
+}
+
+async function releaseHold(barrierId) {
+    try {
+        const res = await fetch(siteApi(`/barrier/${barrierId}/hold`), {
+            method: 'DELETE',
+            headers: { 'X-Source': 'ui' }
+        });
+        const data = await res.json();
+        if (res.ok && data.success) addLog(`✓ ${escapeHtml(data.barrier)} hold released`, 'success');
+        else addLog(`✗ Release failed: ${escapeHtml(data.error)}`, 'error');
+    } catch (err) {
+        addLog(`✗ Release error: ${escapeHtml(err.message)}`, 'error');
+    } finally {
+        fetchStatus();
+    }
+}
+
+// ─── Loop & Limit Switch Sensors ─────────────────────────────────────────────
+const ARM_LABELS = { up: 'Arm up', down: 'Arm down', between: 'Arm moving', fault: 'Limit fault', unknown: 'Arm unknown' };
+
+function renderSensors(sensors) {
+    const chips = [];
+    if (sensors.arm) {
+        chips.push(`<div class="sensor-chip arm-${sensors.arm}"><span class="ind-dot"></span>${ARM_LABELS[sensors.arm]}</div>`);
+    }
+    if (sensors.vehicle !== undefined) {
+        const label = sensors.vehicle === null ? 'Loop unknown' : sensors.vehicle ? 'Vehicle present' : 'No vehicle';
+        chips.push(`<div class="sensor-chip ${sensors.vehicle ? 'vehicle' : ''}"><span class="ind-dot"></span>${label}</div>`);
+    }
+    return chips.join('');
+}
+
+const AUTOMATION_LABELS = {
+    idle: 'Auto-close',
+    waiting_vehicle: 'Auto: awaiting vehicle',
+    vehicle_present: 'Auto: vehicle on loop',
+    clearing: 'Auto: closing soon',
+    waiting_safety: 'Auto: loop occupied',
+    closing: 'Auto: closing',
+    retrying: 'Auto: close retrying'
+};
+
+function renderAutomation(automation) {
+    if (!automation) return '';
+    const active = automation.stage !== 'idle';
+    return `<div class="sensor-chip ${active ? 'vehicle' : ''}"><span class="ind-dot"></span>${AUTOMATION_LABELS[automation.stage] || automation.stage}</div>`;
+}
+
 // ─── Boards Overview ─────────────────────────────────────────────────────────
-function updateBoardsOverview(boards) {
+// Channels show what they drive; admins can switch any of them by hand
+function updateBoardsOverview(boards, outputs = []) {
     if (!boards) return;
     boardsOverview.innerHTML = boards.map(b => `
     <div class="board-section">
@@ -155,15 +398,254 @@ function updateBoardsOverview(boards) {
       </div>
       <div class="channels-grid">
         ${b.channels.map(ch => `
-          <div class="channel-chip ${ch.active ? 'active' : ''}">
+          <div class="channel-chip ${ch.active ? 'active' : ''} ${can('admin') ? 'switchable' : ''}"
+            ${can('admin') ? `onclick="switchChannel('${b.key}', ${ch.channel}, ${!ch.active})" title="Switch ${ch.active ? 'off' : 'on'}"` : ''}>
             <span class="chip-dot"></span>CH${ch.channel}
+            ${ch.label ? `<span class="chip-label">${escapeHtml(ch.label)}</span>` : ''}
           </div>
         `).join('')}
       </div>
+      ${(outputs || []).filter(o => o.board === b.key).map(renderOutput).join('')}
+      ${b.inputs && b.inputs.length ? `
+      <div class="channels-grid inputs-grid">
+        ${b.inputs.map(di => `
+          <div class="channel-chip input-chip ${di.active ? 'active' : ''}">
+            <span class="chip-dot"></span>DI${di.input}
+          </div>
+        `).join('')}
+      </div>` : ''}
     </div>
   `).join('');
 }
 
+// ─── Auxiliary Outputs ───────────────────────────────────────────────────────
+const OUTPUT_DONE = { on: 'on', off: 'off', pulse: 'pulsed' };
+
+function renderOutput(o) {
+    let state = o.on ? (o.offAt ? `On · off in ${formatCountdown(o.remainingMs)}` : 'On') : 'Off';
+    if (o.offBlocked) state = `On · off refused — ${escapeHtml(o.offError)}`;
+    let button;
+    if (o.mode === 'momentary') button = `<button class="btn-link" onclick="outputAction('${o.key}', 'pulse')">Pulse</button>`;
+    else if (o.on) button = `<button class="btn-link" onclick="outputAction('${o.key}', 'off')">Turn off</button>`;
+    else button = `<button class="btn-link" onclick="outputAction('${o.key}', 'on')">${o.mode === 'timed' ? `On for ${formatDuration(o.durationMs)}` : 'Turn on'}</button>`;
+    return `
+      <div class="output-row ${o.on ? 'active' : ''}">
+        <span class="chip-dot"></span>
+        <span class="output-name">${escapeHtml(o.name)}</span>
+        <span class="output-meta">CH${o.channel} · ${o.mode}</span>
+        <span class="output-state">${state}</span>
+        ${can('operator') ? button : ''}
+      </div>`;
+}
+
+async function outputAction(key, action) {
+    try {
+        const res = await fetch(siteApi(`/outputs/${key}/${action}`), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Source': 'ui' }
+        });
+        const data = await res.json();
+        if (res.ok && data.success) addLog(`✓ ${escapeHtml(data.output.name)} ${OUTPUT_DONE[action]} — CH${data.output.channel}`, 'success');
+        else addLog(`✗ ${escapeHtml(key)} ${action} failed: ${escapeHtml(data.error)}`, 'error');
+    } catch (err) {
+        addLog(`✗ ${escapeHtml(key)} ${action} error: ${escapeHtml(err.message)}`, 'error');
+    } finally {
+        fetchStatus();
+    }
+}
+
+// Raw relay control (admin) — barrier relays included, so ask first
+async function switchChannel(boardKey, channel, on) {
+    const board = lastStatus && lastStatus.boards.find(b => b.key === boardKey);
+    const ch = board && board.channels[channel - 1];
+    const what = ch && ch.label ? `CH${channel} (${ch.label})` : `CH${channel}`;
+    if (!window.confirm(`Switch ${board ? board.name : boardKey} ${what} ${on ? 'ON' : 'off'}?`)) return;
+    try {
+        const res = await fetch(siteApi(`/boards/${boardKey}/channels/${channel}`), {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', 'X-Source': 'ui' },
+            body: JSON.stringify({ on })
+        });
+        const data = await res.json();
+        if (res.ok && data.success) addLog(`✓ ${escapeHtml(boardKey)} ${what} ${on ? 'ON' : 'off'}`, 'success');
+        else addLog(`✗ ${escapeHtml(boardKey)} CH${channel} failed: ${escapeHtml(data.error)}`, 'error');
+    } catch (err) {
+        addLog(`✗ ${escapeHtml(boardKey)} CH${channel} error: ${escapeHtml(err.message)}`, 'error');
+    } finally {
+        fetchStatus();
+    }
+}
+
+// ─── Schedule ────────────────────────────────────────────────────────────────
+function barrierNames(ids) {
+    const known = lastStatus ? lastStatus.barriers : [];
+    return ids.map(id => (known.find(b => b.id === id) || {}).name || `Barrier ${id}`).join(', ');
+}
+
+async function fetchSchedule() {
+    try {
+        const res = await fetch(siteApi('/schedules/upcoming?hours=48'));
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        renderSchedule(await res.json());
+    } catch (err) { /* keep the last list */ }
+}
+
+function renderSchedule(upcoming) {
+    if (!upcoming.length) {
+        scheduleUpcoming.innerHTML = '<div class="schedule-empty">No scheduled transitions</div>';
+        return;
+    }
+    scheduleUpcoming.innerHTML = upcoming.map(t => {
+        const at = new Date(t.at);
+        const when = at.toLocaleString('en-GB', { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+        return `
+    <div class="schedule-row">
+      <span class="schedule-time">${when}</span>
+      <span class="schedule-action ${t.action}">${t.action === 'lift' ? 'Lift' : 'Close'}</span>
+      <span class="schedule-barriers">${barrierNames(t.barriers)}</span>
+      <span class="schedule-name">${t.override ? '⚑ ' : ''}${t.name}</span>
+    </div>`;
+    }).join('');
+}
+
+// ─── Reports ─────────────────────────────────────────────────────────────────
+const REPORT_COLUMNS = {
+    period: 'Period', barrier: 'Barrier', name: 'Board', action: 'Action', source: 'Source', user: 'User',
+    count: 'Count', opens: 'Openings', meanOpenSec: 'Mean open', maxOpenSec: 'Longest', totalOpenSec: 'Total open',
+    upSec: 'Up', downSec: 'Down', uptimePct: 'Uptime'
+};
+const DURATION_COLUMNS = ['meanOpenSec', 'maxOpenSec', 'totalOpenSec', 'upSec', 'downSec'];
+
+function reportUrl(format) {
+    const [report, by] = document.getElementById('reportType').value.split('|');
+    const params = new URLSearchParams({ group: document.getElementById('reportGroup').value });
+    const from = document.getElementById('reportFrom').value;
+    const to = document.getElementById('reportTo').value;
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    if (by) params.set('by', by);
+    if (format) params.set('format', format);
+    return siteApi(`/reports/${report}?${params}`);
+}
+
+function formatReportValue(column, value) {
+    if (value === null || value === undefined) return '—';
+    if (DURATION_COLUMNS.includes(column)) return formatDuration(value * 1000);
+    if (column === 'uptimePct') return `${value}%`;
+    return escapeHtml(String(value));
+}
+
+async function fetchReport(event) {
+    if (event) event.preventDefault();
+    document.getElementById('reportCsv').href = reportUrl('csv');
+    try {
+        const res = await fetch(reportUrl());
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        renderReport(data.rows);
+    } catch (err) {
+        reportTable.innerHTML = `<div class="schedule-empty">Report failed: ${escapeHtml(err.message)}</div>`;
+    }
+}
+
+function renderReport(rows) {
+    if (!rows.length) {
+        reportTable.innerHTML = '<div class="schedule-empty">Nothing recorded in this period</div>';
+        return;
+    }
+    const columns = Object.keys(rows[0]).filter(c => REPORT_COLUMNS[c]);
+    reportTable.innerHTML = `
+    <div class="report-table-wrap">
+      <table class="report-table">
+        <thead><tr>${columns.map(c => `<th>${REPORT_COLUMNS[c]}</th>`).join('')}</tr></thead>
+        <tbody>${rows.map(r => `<tr>${columns.map(c => `<td class="${typeof r[c] === 'number' ? 'num' : ''}">${formatReportValue(c, r[c])}</td>`).join('')}</tr>`).join('')}</tbody>
+      </table>
+    </div>`;
+}
+
+// ─── Board Diagnostics ───────────────────────────────────────────────────────
+// Admins only. Probes run on the server against the board's own address;
+// a write test writes one relay back to the state it was just read in.
+function updateDiagnoseBoards(boards) {
+    diagnosticsPanel.hidden = !can('admin');
+    if (!boards) return;
+    const select = document.getElementById('diagnoseBoard');
+    const keys = boards.map(b => b.key).join();
+    if (select.dataset.keys === keys) return;
+    const chosen = select.value;
+    select.dataset.keys = keys;
+    select.innerHTML = boards.map(b => `<option value="${escapeHtml(b.key)}">${escapeHtml(b.name)} — ${escapeHtml(b.host)}:${b.port}</option>`).join('');
+    if (boards.some(b => b.key === chosen)) select.value = chosen;
+    updateDiagnoseChannels();
+}
+
+function updateDiagnoseChannels() {
+    const board = lastStatus && lastStatus.boards.find(b => b.key === document.getElementById('diagnoseBoard').value);
+    document.getElementById('diagnoseWrite').innerHTML = '<option value="">Read only</option>' +
+        (board ? board.channels.map(ch => `<option value="${ch.channel}">Write test on CH${ch.channel}</option>`).join('') : '');
+}
+
+async function runDiagnostics(event) {
+    event.preventDefault();
+    const boardKey = document.getElementById('diagnoseBoard').value;
+    if (!boardKey) return;
+    const body = {
+        unitIds: document.getElementById('diagnoseUnits').value.split(/[\s,]+/).filter(Boolean).map(Number),
+        exclusive: document.getElementById('diagnoseExclusive').checked
+    };
+    if (!body.unitIds.length) delete body.unitIds;
+    const channel = document.getElementById('diagnoseWrite').value;
+    if (channel) body.write = { channel: parseInt(channel, 10) };
+
+    const button = document.getElementById('diagnoseRun');
+    button.disabled = true;
+    diagnoseResult.innerHTML = '<div class="schedule-empty">Probing…</div>';
+    try {
+        const res = await fetch(siteApi(`/boards/${encodeURIComponent(boardKey)}/diagnose`), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Source': 'ui' },
+            body: JSON.stringify(body)
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        renderDiagnostics(data);
+        addLog(`Diagnosed ${escapeHtml(data.name)}: ${escapeHtml(data.summary.advice)}`, 'info');
+    } catch (err) {
+        diagnoseResult.innerHTML = `<div class="schedule-empty">Diagnostics failed: ${escapeHtml(err.message)}</div>`;
+    } finally {
+        button.disabled = false;
+    }
+}
+
+function probeDetail(p) {
+    if (p.error) return escapeHtml(p.error);
+    if (!p.values) return '';
+    if (p.fc === 5) return `CH${p.values.channel} ${p.values.value ? 'ON' : 'off'}`;
+    return p.values.map(v => (v ? '1' : '0')).join('');
+}
+
+function renderDiagnostics(report) {
+    const ms = v => (v === null ? '—' : v.toFixed(1));
+    diagnoseResult.innerHTML = `
+    <div class="diagnose-summary">${escapeHtml(report.summary.advice)}
+      <span class="diagnose-meta">${escapeHtml(report.host)}:${report.port} · ${report.probes.length} probes in ${(report.durationMs / 1000).toFixed(1)}s${report.writes ? ' · with write test' : ''}</span>
+    </div>
+    <div class="report-table-wrap">
+      <table class="report-table diagnose-table">
+        <thead><tr><th>Probe</th><th>Result</th><th>Connect ms</th><th>Reply ms</th><th>Sent</th><th>Received</th><th>Detail</th></tr></thead>
+        <tbody>${report.probes.map(p => `<tr>
+          <td>${escapeHtml(p.label)}</td>
+          <td><span class="probe-result probe-${p.result}">${p.result}</span></td>
+          <td class="num">${ms(p.connectMs)}</td>
+          <td class="num">${ms(p.replyMs)}</td>
+          <td class="hex">${p.request || ''}</td>
+          <td class="hex">${p.response || ''}</td>
+          <td>${probeDetail(p)}</td>
+        </tr>`).join('')}</tbody>
+      </table>
+    </div>`;
+}
+
 // ─── Barrier Actions ─────────────────────────────────────────────────────────
 async function barrierAction(barrierId, action) {
     const key = `${barrierId}-${action}`;
@@ -176,23 +658,28 @@ async function barrierAction(barrierId, action) {
     const buttons = card.querySelectorAll('.btn');
     buttons.forEach(b => b.disabled = true);
 
+    const durationEl = document.getElementById(`duration-${barrierId}`);
+    const duration = action === 'lift' && durationEl && durationEl.value ? parseInt(durationEl.value, 10) : null;
+
     actionInProgress[key] = true;
     btn.classList.add('pulsing');
-    addLog(`Barrier ${barrierId} → <strong>${action.toUpperCase()}</strong>`, 'info');
+    addLog(`Barrier ${barrierId} → <strong>${action.toUpperCase()}</strong>${duration ? ` for ${formatDuration(duration * 1000)}` : ''}`, 'info');
 
     try {
-        const res = await fetch(`${API_BASE}/api/barrier/${barrierId}/${action}`, {
+        const res = await fetch(siteApi(`/barrier/${barrierId}/${action}`), {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json', 'X-Source': 'ui' }
+            headers: { 'Content-Type': 'application/json', 'X-Source': 'ui' },
+            body: JSON.stringify(duration ? { duration } : {})
         });
         const data = await res.json();
         if (res.ok && data.success) {
-            addLog(`✓ ${data.barrier} ${action} — CH${data.channel}`, 'success');
+            addLog(`✓ ${escapeHtml(data.barrier)} ${action} — CH${escapeHtml(data.channel)}`, 'success');
+            if (durationEl) durationEl.value = '';
         } else {
-            addLog(`✗ Barrier ${barrierId} ${action} failed: ${data.error}`, 'error');
+            addLog(`✗ Barrier ${barrierId} ${action} failed: ${escapeHtml(data.error)}`, 'error');
         }
     } catch (err) {
-        addLog(`✗ Barrier ${barrierId} ${action} error: ${err.message}`, 'error');
+        addLog(`✗ Barrier ${barrierId} ${action} error: ${escapeHtml(err.message)}`, 'error');
     } finally {
         actionInProgress[key] = false;
         btn.classList.remove('pulsing');
@@ -201,17 +688,60 @@ async function barrierAction(barrierId, action) {
     }
 }
 
+// ─── Timed Close Countdown ───────────────────────────────────────────────────
+function formatCountdown(ms) {
+    const s = Math.ceil(ms / 1000);
+    const h = Math.floor(s / 3600);
+    const m = Math.floor((s % 3600) / 60);
+    const pad = n => String(n).padStart(2, '0');
+    return h ? `${h}:${pad(m)}:${pad(s % 60)}` : `${m}:${pad(s % 60)}`;
+}
+
+function updateCountdowns() {
+    document.querySelectorAll('.help-waiting').forEach(el => {
+        el.textContent = `waiting ${formatCountdown(Date.now() - Date.parse(el.dataset.since))}`;
+    });
+    document.querySelectorAll('.barrier-card').forEach(card => {
+        const id = card.dataset.barrier;
+        const el = document.getElementById(`barrier${id}TimedClose`);
+        if (!el) return;
+        if (!timedCloseAt[id]) { el.innerHTML = ''; return; }
+        const remaining = Math.max(0, timedCloseAt[id] - Date.now());
+        let text = remaining > 0 ? `Closes in ${formatCountdown(remaining)}` : 'Closing…';
+        if (id in timedCloseBlocked) text = `Timed close refused — ${escapeHtml(timedCloseBlocked[id])}`;
+        el.innerHTML = `${text} <button class="btn-link" onclick="cancelTimedClose(${id})">Cancel</button>`;
+    });
+}
+
+async function cancelTimedClose(barrierId) {
+    try {
+        const res = await fetch(siteApi(`/barrier/${barrierId}/timed-close`), {
+            method: 'DELETE',
+            headers: { 'X-Source': 'ui' }
+        });
+        const data = await res.json();
+        if (res.ok && data.success) addLog(`✓ ${escapeHtml(data.barrier)} timed close cancelled — staying open`, 'success');
+        else addLog(`✗ Cancel timed close failed: ${escapeHtml(data.error)}`, 'error');
+    } catch (err) {
+        addLog(`✗ Cancel timed close error: ${escapeHtml(err.message)}`, 'error');
+    } finally {
+        fetchStatus();
+    }
+}
+
 // ─── Emergency All Off ───────────────────────────────────────────────────────
-async function emergencyOff() {
+// The site on screen, or with `everySite` all of them
+async function emergencyOff(everySite = false) {
     const btn = document.getElementById('btn-emergency');
     if (btn.disabled) return;
+    if (everySite && !window.confirm('Turn off every relay at every site?')) return;
 
-    const allButtons = document.querySelectorAll('.btn, .btn-emergency');
+    const allButtons = document.querySelectorAll('.btn, .btn-emergency, .btn-emergency-all');
     allButtons.forEach(b => b.disabled = true);
-    addLog('⚠ <strong>EMERGENCY ALL OFF</strong>', 'error');
+    addLog(`⚠ <strong>EMERGENCY ALL OFF</strong>${everySite ? ' — every site' : ''}`, 'error');
 
     try {
-        const res = await fetch(`${API_BASE}/api/emergency-off`, {
+        const res = await fetch(everySite ? `${API_BASE}/api/emergency-off` : siteApi('/emergency-off'), {
             method: 'POST',
             headers: { 'Content-Type': 'application/json', 'X-Source': 'ui' }
         });
@@ -219,25 +749,202 @@ async function emergencyOff() {
         if (res.ok && data.success) {
             addLog('✓ All relays OFF', 'success');
         } else {
-            addLog(`✗ Emergency off failed: ${data.error}`, 'error');
+            addLog(`✗ Emergency off failed: ${escapeHtml(data.error)}`, 'error');
         }
     } catch (err) {
-        addLog(`✗ Emergency off error: ${err.message}`, 'error');
+        addLog(`✗ Emergency off error: ${escapeHtml(err.message)}`, 'error');
     } finally {
         allButtons.forEach(b => b.disabled = false);
         fetchStatus();
     }
 }
 
+// ─── Sign-in ─────────────────────────────────────────────────────────────────
+const ROLES = ['viewer', 'operator', 'supervisor', 'admin'];
+
+function can(role) {
+    return !!currentUser && ROLES.indexOf(currentUser.role) >= ROLES.indexOf(role);
+}
+
+async function checkSession() {
+    try {
+        const res = await fetch(`${API_BASE}/api/auth/me`);
+        if (!res.ok) return false;
+        const data = await res.json();
+        setUser(data.user, data.authEnabled);
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+function setUser(user, enabled) {
+    currentUser = user;
+    authEnabled = enabled;
+    userBadge.hidden = !enabled;
+    if (enabled) {
+        userBadge.innerHTML = `${escapeHtml(user.name)}<span class="user-role">${user.role}</span>
+          <button class="btn-link" onclick="logout()">Sign out</button>`;
+    }
+    document.getElementById('btn-emergency').disabled = !can('supervisor');
+}
+
+function showLogin() {
+    loginOverlay.hidden = false;
+    document.getElementById('loginUser').focus();
+}
+
+async function login(event) {
+    event.preventDefault();
+    const token = document.getElementById('loginToken').value.trim();
+    const body = token ? { token } : {
+        username: document.getElementById('loginUser').value.trim(),
+        password: document.getElementById('loginPassword').value
+    };
+    const errorEl = document.getElementById('loginError');
+    errorEl.textContent = '';
+    try {
+        const res = await fetch(`${API_BASE}/api/auth/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await res.json();
+        if (!res.ok) { errorEl.textContent = data.error; return; }
+        loginForm.reset();
+        loginOverlay.hidden = true;
+        setUser(data.user, true);
+        addLog(`Signed in as <strong>${escapeHtml(data.user.name)}</strong> (${escapeHtml(data.user.role)})`, 'success');
+        // Cards are built for the barriers this user can see
+        barriersGrid.innerHTML = '';
+        start();
+        fetchStatus();
+        fetchSchedule();
+    } catch (err) {
+        errorEl.textContent = err.message;
+    }
+}
+
+async function logout() {
+    try {
+        await fetch(`${API_BASE}/api/auth/logout`, { method: 'POST' });
+    } finally {
+        currentUser = null;
+        barriersGrid.innerHTML = '';
+        showLogin();
+    }
+}
+
+// ─── Help Requests ───────────────────────────────────────────────────────────
+let audioContext = null;
+
+// Two-tone chime, made with Web Audio so there is no sound file to serve
+function helpChime() {
+    try {
+        audioContext = audioContext || new AudioContext();
+        audioContext.resume();
+        [880, 660].forEach((freq, i) => {
+            const t = audioContext.currentTime + i * 0.25;
+            const osc = audioContext.createOscillator();
+            const gain = audioContext.createGain();
+            osc.frequency.value = freq;
+            gain.gain.setValueAtTime(0.25, t);
+            gain.gain.exponentialRampToValueAtTime(0.001, t + 0.4);
+            osc.connect(gain).connect(audioContext.destination);
+            osc.start(t);
+            osc.stop(t + 0.4);
+        });
+    } catch (e) { /* no audio — the queue and log still show it */ }
+}
+
+async function fetchHelp() {
+    try {
+        const res = await fetch(siteApi('/help'));
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        renderHelp((await res.json()).pending);
+    } catch (err) { /* keep the last queue */ }
+}
+
+function renderHelp(pending) {
+    helpPanel.hidden = pending.length === 0;
+    helpQueue.innerHTML = pending.map(r => {
+        const from = r.message ? `${escapeHtml(r.point)}: “${escapeHtml(r.message)}”` : escapeHtml(r.point);
+        const presses = r.presses > 1 ? ` · pressed ${r.presses}×` : '';
+        const actions = can('operator') ? `
+      <button class="btn-link" onclick="resolveHelp('${r.id}', 'lifted')">Lift</button>
+      <button class="btn-link" onclick="resolveHelp('${r.id}', 'refused')">Refuse</button>
+      <button class="btn-link" onclick="resolveHelp('${r.id}', 'redirected')">Redirect</button>` : '';
+        return `
+    <div class="help-row">
+      <span class="help-barrier">🛎 ${escapeHtml(r.barrier)}</span>
+      <span class="help-from">${from}${presses}</span>
+      <span class="help-waiting" data-since="${r.createdAt}">waiting ${formatCountdown(r.waitingMs)}</span>
+      <span class="help-actions">${actions}</span>
+    </div>`;
+    }).join('');
+}
+
+const HELP_PROMPTS = { lifted: 'Reason for lifting:', refused: 'Reason for refusing:', redirected: 'Reason for redirecting:' };
+
+async function resolveHelp(id, outcome) {
+    const reason = window.prompt(HELP_PROMPTS[outcome]);
+    if (!reason || !reason.trim()) return;
+    const body = { outcome, reason };
+    if (outcome === 'redirected') {
+        const to = window.prompt('Redirected to (optional, e.g. intercom, site office):');
+        if (to && to.trim()) body.redirectTo = to;
+    }
+    try {
+        const res = await fetch(siteApi(`/help/${id}/resolve`), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Source': 'ui' },
+            body: JSON.stringify(body)
+        });
+        const data = await res.json();
+        if (res.ok && data.success) addLog(`✓ Help at ${escapeHtml(data.request.barrier)} ${outcome} — ${escapeHtml(reason)}`, 'success');
+        else addLog(`✗ Help request failed: ${escapeHtml(data.error)}`, 'error');
+    } catch (err) {
+        addLog(`✗ Help request error: ${escapeHtml(err.message)}`, 'error');
+    } finally {
+        fetchHelp();
+        fetchStatus();
+    }
+}
+
 // ─── Init ────────────────────────────────────────────────────────────────────
-function init() {
+async function init() {
     addLog('Connecting to relay boards…', 'info');
+    loginForm.addEventListener('submit', login);
+    siteSelect.addEventListener('change', () => switchSite(siteSelect.value));
+    reportForm.addEventListener('submit', fetchReport);
+    diagnoseForm.addEventListener('submit', runDiagnostics);
+    document.getElementById('diagnoseBoard').addEventListener('change', updateDiagnoseChannels);
+    if (!await checkSession()) return showLogin();
+    start();
+}
+
+async function start() {
+    if (started) return;
+    started = true;
+    await fetchSites();
     fetchStatus();
     connectSSE();
     polling = setInterval(fetchStatus, POLL_INTERVAL);
+    setInterval(updateCountdowns, 1000);
+    fetchSchedule();
+    setInterval(fetchSchedule, 60000);
+    fetchReport();
+    fetchHelp();
 }
 
 window.barrierAction = barrierAction;
 window.emergencyOff = emergencyOff;
+window.cancelTimedClose = cancelTimedClose;
+window.placeHold = placeHold;
+window.releaseHold = releaseHold;
+window.resolveHelp = resolveHelp;
+window.outputAction = outputAction;
+window.switchChannel = switchChannel;
+window.logout = logout;
 
 init();
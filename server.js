@@ -1,8 +1,28 @@
 const express = require('express');
 const cors = require('cors');
-const net = require('net');
 const path = require('path');
 const fs = require('fs');
+const { DEFAULT_SITE, SIGNALS, loadSiteConfig, configCandidates, resolveConfigPath, watchSiteConfig } = require('./lib/config');
+const { ROLES, createInterlock } = require('./lib/interlock');
+const { createAutomation } = require('./lib/automation');
+const { createBarrierStates } = require('./lib/barrier-state');
+const { createStore } = require('./lib/store');
+const { createScheduler } = require('./lib/scheduler');
+const { createAuditLog } = require('./lib/audit-log');
+const { createSimulatedBoard } = require('./lib/simulator');
+const { errorKind, createBoardConnection } = require('./lib/board-connection');
+const { barrierCoilChanges, createBoardIO } = require('./lib/board-io');
+const { createMetrics } = require('./lib/metrics');
+const { createWebhooks } = require('./lib/webhooks');
+const { createMqttBridge } = require('./lib/mqtt-bridge');
+const { createAccessControl } = require('./lib/access-control');
+const { createOccupancy } = require('./lib/occupancy');
+const { createHelpRequests } = require('./lib/help-requests');
+const { parseOptions: parseDiagnoseOptions, diagnose } = require('./lib/diagnostics');
+const { CAPTURE_SIZE, MAX_CAPTURE_SIZE, createTrafficCapture } = require('./lib/traffic-capture');
+const { GROUPS: REPORT_GROUPS, REPORTS, createAnalytics } = require('./lib/analytics');
+const { SESSION_COOKIE, SESSION_TTL_MS, hasRole, canAccess, canAccessSite, createAuth } = require('./lib/auth');
+const EventEmitter = require('events');
 
 // ─── Configuration ──────────────────────────────────────────────────────────
 const SERVER_PORT = parseInt(process.env.PORT || '3000', 10);
@@ -10,196 +30,134 @@ const PULSE_MS = parseInt(process.env.PULSE_MS || '500', 10);
 const HEARTBEAT_MS = parseInt(process.env.HEARTBEAT_MS || '5000', 10);
 const MODBUS_TIMEOUT = parseInt(process.env.MODBUS_TIMEOUT || '5000', 10);
 const CLOSE_RELEASE_MS = parseInt(process.env.CLOSE_RELEASE_MS || '4000', 10);
-const API_KEY = process.env.API_KEY || null;  // Optional API key for remote access
+const RECONNECT_MIN_MS = parseInt(process.env.RECONNECT_MIN_MS || '500', 10);
+const RECONNECT_MAX_MS = parseInt(process.env.RECONNECT_MAX_MS || '30000', 10);
+const API_KEY = process.env.API_KEY || null;  // Legacy shared key — acts as an admin token
+const ADMIN_USER = process.env.ADMIN_USER || 'admin';
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || null;  // Creates ADMIN_USER on first start
 const AUDIT_LOG_FILE = process.env.AUDIT_LOG || path.join(__dirname, 'audit.log');
+const AUDIT_MAX_BYTES = parseInt(process.env.AUDIT_MAX_BYTES || String(10 * 1024 * 1024), 10);  // 0 = no size limit
+const AUDIT_ROTATE_DAILY = process.env.AUDIT_ROTATE_DAILY !== 'false';
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const STATE_FILE = process.env.STATE_FILE || path.join(DATA_DIR, 'state.json');
+const ANALYTICS_FILE = process.env.ANALYTICS_FILE || path.join(DATA_DIR, 'analytics.json');
+const ANALYTICS_RETENTION_DAYS = parseInt(process.env.ANALYTICS_RETENTION_DAYS || '400', 10);
+const MAX_LIFT_DURATION_S = 24 * 3600;
+// Alarm when a barrier stays open this long (0 = never); per barrier: openAlertMs
+const OPEN_ALERT_MS = parseInt(process.env.OPEN_ALERT_MS || String(15 * 60 * 1000), 10);
+// Simulator mode: every configured board is replaced by a local simulated one
+const SIMULATOR = process.env.SIMULATOR === '1' || process.argv.includes('--simulate');
+const SIMULATOR_MODE = process.env.SIMULATOR_MODE === 'rtu' ? 'rtu' : 'tcp';
+// MQTT bridge — off unless MQTT_URL is set (e.g. mqtt://broker:1883)
+const MQTT_URL = process.env.MQTT_URL || null;
+const MQTT_PREFIX = process.env.MQTT_PREFIX || 'site';
+const MQTT_DISCOVERY_PREFIX = process.env.MQTT_DISCOVERY_PREFIX ?? 'homeassistant';  // '' = no Home Assistant discovery
+// ANPR: reads below this confidence (0–100) are refused; repeats within the window are ignored
+const ANPR_MIN_CONFIDENCE = parseFloat(process.env.ANPR_MIN_CONFIDENCE || '0');
+const ANPR_DEDUP_MS = parseInt(process.env.ANPR_DEDUP_MS || '10000', 10);
+
+// ─── Site Config ────────────────────────────────────────────────────────────
+const SITE_CONFIG_FILE = resolveConfigPath(__dirname);
+
+// ─── Sites ──────────────────────────────────────────────────────────────────
+// The car parks this server runs (see lib/config). Boards and barriers record
+// their site; routes under /api/sites/:site act on that one, the same routes
+// without the prefix on the default site.
+const SITES = {};   // key → { name, occupancy: { capacity } | null }
+let defaultSite = DEFAULT_SITE;
 
 // ─── Board Registry ─────────────────────────────────────────────────────────
-// Each board has its own Modbus connection, heartbeat, and state
-const BOARDS = {
-  board1: {
-    host: process.env.BOARD1_HOST || '10.10.10.64',
-    port: parseInt(process.env.BOARD1_PORT || '4196', 10),
-    unitId: parseInt(process.env.BOARD1_UNIT || '1', 10),
-    channels: 6,
-    name: 'Board 1 (Main)'
-  },
-  board2: {
-    host: process.env.BOARD2_HOST || '10.10.10.65',
-    port: parseInt(process.env.BOARD2_PORT || '4196', 10),
-    unitId: parseInt(process.env.BOARD2_UNIT || '1', 10),
-    channels: 3,
-    name: 'Board 2 (Barrier 3)'
-  }
-};
+// Each board has its own Modbus connection, heartbeat, and state.
+// Populated from the site config and updated in place on hot reload.
+const BOARDS = {};
 
 // ─── Barrier → Board+Channel Mapping ────────────────────────────────────────
-const BARRIERS = {
-  1: { board: 'board1', lift: 0, close: 1, stop: 2, name: 'Barrier 1' },
-  2: { board: 'board1', lift: 3, close: 4, stop: 5, name: 'Barrier 2' },
-  3: { board: 'board2', lift: 0, close: 1, stop: 2, name: 'Barrier 3' }
-};
+const BARRIERS = {};
 
 // ─── Per-Board Runtime State ────────────────────────────────────────────────
 const boardState = {};
-for (const [key, cfg] of Object.entries(BOARDS)) {
-  boardState[key] = {
+
+function createBoardState(cfg) {
+  return {
     reachable: false,
     modeDetected: false,
     useRTU: false,
-    commandLock: false,
+    lock: Promise.resolve(),
+    multiCoilWrite: null,      // null until the board has accepted or rejected FC 0x0F
+    interlockFault: null,      // last alarmed violation, so a stuck fault alarms once
+    heartbeatBusy: false,
     coils: new Array(cfg.channels).fill(false),
-    transactionId: 0
+    inputs: null,              // digital input states once the first FC 0x02 read succeeds
+    inputsError: null,
+    link: null                 // last alerted link state: null until the first heartbeat, then online | offline
   };
 }
 
 // Close auto-release timers per barrier
 const closeTimers = {};
 
-// ─── CRC-16 for Modbus RTU ──────────────────────────────────────────────────
-function crc16(buffer) {
-  let crc = 0xFFFF;
-  for (let i = 0; i < buffer.length; i++) {
-    crc ^= buffer[i];
-    for (let j = 0; j < 8; j++) {
-      crc = (crc & 1) ? (crc >> 1) ^ 0xA001 : crc >> 1;
-    }
-  }
-  return crc;
-}
+// Internal events (input changes etc.) for subsystems built on top of the boards
+const events = new EventEmitter();
 
-function appendCRC(buffer) {
-  const out = Buffer.alloc(buffer.length + 2);
-  buffer.copy(out);
-  out.writeUInt16LE(crc16(buffer), buffer.length);
-  return out;
-}
+// ─── Interlock ──────────────────────────────────────────────────────────────
+const interlock = createInterlock(() => BARRIERS);
 
-function verifyCRC(buffer) {
-  if (buffer.length < 4) return false;
-  return crc16(buffer.slice(0, -2)) === buffer.readUInt16LE(buffer.length - 2);
-}
+// ─── Metrics ────────────────────────────────────────────────────────────────
+// Served on GET /metrics for Prometheus. Board and SSE gauges are read from
+// live state at scrape time; the rest are counted as things happen.
+const metrics = createMetrics({ prefix: 'barrier_control_' });
+const FC_NAMES = { 0x01: 'read_coils', 0x02: 'read_inputs', 0x05: 'write_coil', 0x0F: 'write_coils' };
 
-// ─── Modbus Framing ─────────────────────────────────────────────────────────
-function buildTCPFrame(boardKey, unitId, fc, data) {
+function boardMode(boardKey) {
   const state = boardState[boardKey];
-  const tid = (++state.transactionId) & 0xFFFF;
-  const pdu = Buffer.concat([Buffer.from([fc]), data]);
-  const mbap = Buffer.alloc(7);
-  mbap.writeUInt16BE(tid, 0);
-  mbap.writeUInt16BE(0, 2);
-  mbap.writeUInt16BE(pdu.length + 1, 4);
-  mbap.writeUInt8(unitId, 6);
-  return Buffer.concat([mbap, pdu]);
-}
-
-function buildRTUFrame(unitId, fc, data) {
-  return appendCRC(Buffer.concat([Buffer.from([unitId, fc]), data]));
-}
-
-function parseTCPResponse(response) {
-  if (response.length < 9) return null;
-  const fc = response.readUInt8(7);
-  if (fc & 0x80) throw new Error(`Modbus exception: FC=${fc & 0x7F}, code=${response.readUInt8(8)}`);
-  return response.slice(7);
-}
-
-function parseRTUResponse(response) {
-  if (response.length < 5) return null;
-  const fc = response.readUInt8(1);
-  if (fc & 0x80) {
-    if (response.length >= 5 && verifyCRC(response.slice(0, 5)))
-      throw new Error(`Modbus exception: FC=${fc & 0x7F}, code=${response.readUInt8(2)}`);
-    return null;
-  }
-  let expectedLen;
-  if (fc === 0x01 || fc === 0x02) {
-    if (response.length < 4) return null;
-    expectedLen = 3 + response.readUInt8(2) + 2;
-  } else if (fc === 0x05 || fc === 0x06) {
-    expectedLen = 8;
-  } else {
-    expectedLen = response.length;
-  }
-  if (response.length < expectedLen) return null;
-  const frame = response.slice(0, expectedLen);
-  if (!verifyCRC(frame)) throw new Error('CRC mismatch');
-  return frame.slice(1, expectedLen - 2);
+  if (!state.modeDetected) return 'unknown';
+  return state.useRTU ? 'rtu' : 'tcp';
 }
 
-// ─── Board-Aware Modbus Request ─────────────────────────────────────────────
-function modbusRequest(boardKey, fc, data) {
-  const cfg = BOARDS[boardKey];
-  const state = boardState[boardKey];
-  return new Promise((resolve, reject) => {
-    const frame = state.useRTU
-      ? buildRTUFrame(cfg.unitId, fc, data)
-      : buildTCPFrame(boardKey, cfg.unitId, fc, data);
-
-    const socket = new net.Socket();
-    let responded = false;
-    let chunks = [];
-
-    const timeout = setTimeout(() => {
-      if (!responded) { responded = true; socket.destroy(); reject(new Error('Modbus timeout')); }
-    }, MODBUS_TIMEOUT);
-
-    socket.connect(cfg.port, cfg.host, () => socket.write(frame));
-
-    socket.on('data', (chunk) => {
-      if (responded) return;
-      chunks.push(chunk);
-      const buf = Buffer.concat(chunks);
-      try {
-        const pdu = state.useRTU ? parseRTUResponse(buf) : parseTCPResponse(buf);
-        if (pdu) { responded = true; clearTimeout(timeout); socket.end(); resolve(pdu); }
-      } catch (err) { responded = true; clearTimeout(timeout); socket.end(); reject(err); }
-    });
+metrics.gauge('board_up', 'Whether the board answered its last heartbeat', ['board'],
+  () => Object.keys(BOARDS).map(key => [{ board: key }, boardState[key].reachable ? 1 : 0]));
+metrics.gauge('board_mode', 'Detected protocol per board: tcp, rtu or unknown (value always 1)', ['board', 'mode'],
+  () => Object.keys(BOARDS).map(key => [{ board: key, mode: boardMode(key) }, 1]));
+const boardDisconnects = metrics.counter('board_disconnects_total', 'Times a board went from online to offline', ['board']);
+const modbusDuration = metrics.histogram('modbus_request_duration_seconds', 'Round trip time of successful Modbus requests', ['board', 'function']);
+const modbusErrors = metrics.counter('modbus_errors_total', 'Failed Modbus requests by kind: timeout, crc (corrupt frame), exception or connection', ['board', 'kind']);
+const barrierActions = metrics.counter('barrier_actions_total', 'Barrier commands carried out, by barrier id, action and source', ['barrier', 'action', 'source']);
+const emergencyOffs = metrics.counter('emergency_off_total', 'Emergency all-off commands');
+metrics.gauge('sse_clients', 'Connected real-time event stream clients', [], () => [[{}, sseClients.size]]);
 
-    socket.on('error', (err) => { if (!responded) { responded = true; clearTimeout(timeout); reject(err); } });
-    socket.on('close', () => { if (!responded) { responded = true; clearTimeout(timeout); reject(new Error('Socket closed')); } });
-  });
+function recordModbusResult(boardKey, fc, seconds, err) {
+  if (err) modbusErrors.inc({ board: boardKey, kind: errorKind(err) });
+  else modbusDuration.observe({ board: boardKey, function: FC_NAMES[fc] || String(fc) }, seconds);
 }
 
-// ─── Board Modbus Operations ────────────────────────────────────────────────
-async function readCoils(boardKey, startAddr, qty) {
-  const data = Buffer.alloc(4);
-  data.writeUInt16BE(startAddr, 0);
-  data.writeUInt16BE(qty, 2);
-  const pdu = await modbusRequest(boardKey, 0x01, data);
-  const coils = [];
-  for (let i = 0; i < qty; i++) {
-    coils.push(!!(pdu[2 + Math.floor(i / 8)] & (1 << (i % 8))));
-  }
-  return coils;
-}
+// ─── Board Connections and Operations ───────────────────────────────────────
+// One persistent connection per board (lib/board-connection); reads, writes
+// and auto-detection go through lib/board-io. Boards being captured
+// (lib/traffic-capture) get their raw frames recorded too.
+const connections = {};
+const captures = {};
 
-async function writeCoil(boardKey, addr, value) {
-  const data = Buffer.alloc(4);
-  data.writeUInt16BE(addr, 0);
-  data.writeUInt16BE(value ? 0xFF00 : 0x0000, 2);
-  await modbusRequest(boardKey, 0x05, data);
+function connectBoard(boardKey) {
+  return createBoardConnection({
+    getConfig: () => BOARDS[boardKey],
+    isRTU: () => boardState[boardKey].useRTU,
+    timeoutMs: MODBUS_TIMEOUT,
+    keepAliveMs: HEARTBEAT_MS,
+    reconnectMinMs: RECONNECT_MIN_MS,
+    reconnectMaxMs: RECONNECT_MAX_MS,
+    onResult: (fc, seconds, err) => recordModbusResult(boardKey, fc, seconds, err),
+    onTraffic: record => captures[boardKey] && captures[boardKey].record(record)
+  });
 }
 
-// ─── Auto-Detect Protocol Mode Per Board ────────────────────────────────────
-async function autoDetectBoard(boardKey) {
-  const cfg = BOARDS[boardKey];
-  const state = boardState[boardKey];
-  const testData = Buffer.alloc(4);
-  testData.writeUInt16BE(0, 0);
-  testData.writeUInt16BE(cfg.channels, 2);
-
-  // Try TCP first
-  state.useRTU = false;
-  try { await modbusRequest(boardKey, 0x01, testData); log('INFO', `${cfg.name}: TCP mode`); return true; }
-  catch (e) { /* fall through */ }
-
-  // Try RTU
-  state.useRTU = true;
-  try { await modbusRequest(boardKey, 0x01, testData); log('INFO', `${cfg.name}: RTU mode`); return true; }
-  catch (e) { /* fall through */ }
-
-  return false;
-}
+const boardIO = createBoardIO({
+  getBoard: (boardKey) => BOARDS[boardKey],
+  getState: (boardKey) => boardState[boardKey],
+  getConnection: (boardKey) => connections[boardKey],
+  interlock,
+  log
+});
+const { withBoardLock, readCoils, readDiscreteInputs, setCoils, allCoilsOff } = boardIO;
 
 // ─── Heartbeat Per Board ────────────────────────────────────────────────────
 const heartbeatTimers = {};
@@ -207,11 +165,20 @@ const heartbeatTimers = {};
 async function heartbeatBoard(boardKey) {
   const cfg = BOARDS[boardKey];
   const state = boardState[boardKey];
-  if (state.commandLock) return;
+  // A slow board (auto-detect can take two timeouts) mustn't stack heartbeats
+  if (state.heartbeatBusy) return;
+  state.heartbeatBusy = true;
+  try {
+    await withBoardLock(boardKey, () => pollBoard(boardKey, cfg, state));
+  } finally {
+    state.heartbeatBusy = false;
+  }
+}
 
+async function pollBoard(boardKey, cfg, state) {
   if (!state.modeDetected) {
-    state.modeDetected = await autoDetectBoard(boardKey);
-    if (!state.modeDetected) return;
+    state.modeDetected = await boardIO.autoDetect(boardKey);
+    if (!state.modeDetected) return boardLinkChanged(boardKey, false, 'no reply to Modbus TCP or RTU');
   }
 
   try {
@@ -221,52 +188,362 @@ async function heartbeatBoard(boardKey) {
       state.reachable = true;
       log('INFO', `✓ ${cfg.name} online [${coils.map((c, i) => `CH${i + 1}:${c ? 'ON' : 'off'}`).join(', ')}]`);
     }
+    boardLinkChanged(boardKey, true);
+    await enforceInterlock(boardKey, coils);
+    if (cfg.inputs > 0) await pollInputs(boardKey, cfg, state);
+    for (const id of barriersOnBoard(boardKey)) barrierStates.onBoardOnline(id, state.coils);
   } catch (err) {
     if (state.reachable) {
       state.reachable = false;
+      boardDisconnects.inc({ board: boardKey });
       log('WARN', `✗ ${cfg.name} offline: ${err.message}`);
+      for (const id of barriersOnBoard(boardKey)) barrierStates.onBoardOffline(id);
     }
     state.modeDetected = false;
+    state.inputs = null;
+    boardLinkChanged(boardKey, false, err.message);
   }
 }
 
+// Board online/offline alerts (webhooks, UI alarm). A board found up on the
+// first heartbeat isn't news; one found down is.
+function boardLinkChanged(boardKey, online, reason) {
+  const state = boardState[boardKey];
+  const link = online ? 'online' : 'offline';
+  if (state.link === link) return;
+  const first = state.link === null;
+  state.link = link;
+  analytics.boardLink(boardKey, online);
+  if (first && online) return;
+  const cfg = BOARDS[boardKey];
+  const details = { board: boardKey, name: cfg.name, host: cfg.host, port: cfg.port, barriers: barriersOnBoard(boardKey).map(Number) };
+  if (online) {
+    webhooks.dispatch('board_online', details);
+  } else {
+    webhooks.dispatch('board_offline', { ...details, error: reason });
+    broadcast({ type: 'alarm', alarm: 'board_offline', message: `${cfg.name} offline: ${reason}`, ...details });
+  }
+}
+
+// ─── Digital Inputs ─────────────────────────────────────────────────────────
+// Loop detectors and arm limit switches wired to the boards' DI terminals.
+// A failed DI read doesn't take the board offline — relays still work.
+async function pollInputs(boardKey, cfg, state) {
+  let inputs;
+  try {
+    inputs = await readDiscreteInputs(boardKey, 0, cfg.inputs);
+  } catch (err) {
+    if (err.exceptionCode === undefined) throw err;
+    if (state.inputsError !== err.message) log('WARN', `${cfg.name}: digital inputs unavailable — ${err.message}`);
+    state.inputsError = err.message;
+    state.inputs = null;
+    return;
+  }
+  state.inputsError = null;
+
+  const before = {};
+  for (const [id, barrier] of Object.entries(BARRIERS)) {
+    if (barrier.inputs && barrier.inputs.board === boardKey) before[id] = barrierSensors(barrier);
+  }
+  state.inputs = inputs;
+  for (const [id, prev] of Object.entries(before)) {
+    const barrier = BARRIERS[id];
+    const sensors = barrierSensors(barrier);
+    for (const signal of SIGNALS) {
+      if (sensors[signal] === undefined || sensors[signal] === prev[signal]) continue;
+      events.emit('barrier_input', { barrierId: parseInt(id, 10), signal, value: sensors[signal], previous: prev[signal], sensors });
+    }
+    if (sensors.arm !== prev.arm || sensors.vehicle !== prev.vehicle) {
+      broadcast({ type: 'sensors', barrierId: parseInt(id, 10), barrier: barrier.name, ...sensors });
+    }
+  }
+}
+
+// Current signal values for a barrier. A configured signal is null while its
+// board's inputs are unknown; unconfigured signals are left out.
+function barrierSensors(barrier) {
+  if (!barrier.inputs) return {};
+  const state = boardState[barrier.inputs.board];
+  const inputs = state && state.inputs;
+  const sensors = {};
+  for (const signal of SIGNALS) {
+    const spec = barrier.inputs[signal];
+    if (!spec) continue;
+    sensors[signal] = inputs ? inputs[spec.addr] !== spec.activeLow : null;
+  }
+  if (barrier.inputs.armUp || barrier.inputs.armDown) sensors.arm = armPosition(sensors);
+  return sensors;
+}
+
+function armPosition({ armUp, armDown }) {
+  if (armUp === null || armDown === null) return 'unknown';
+  if (armUp && armDown) return 'fault';     // both limits made: wiring or switch fault
+  if (armUp) return 'up';
+  if (armDown) return 'down';
+  // Only one limit fitted and it's open: we know where the arm isn't
+  if (armUp === undefined || armDown === undefined) return 'unknown';
+  return 'between';
+}
+
+// ─── Interlock Watchdog ─────────────────────────────────────────────────────
+// The board can report a combination we would never send: a relay left
+// latched across a restart, a half-applied write, or the board's own web page.
+// Release the offending relays and raise an alarm once per distinct fault.
+async function enforceInterlock(boardKey, coils) {
+  const cfg = BOARDS[boardKey];
+  const state = boardState[boardKey];
+  const found = interlock.violations(boardKey, coils);
+  if (found.length === 0) { state.interlockFault = null; return; }
+
+  const changes = interlock.safeChanges(found);
+  let forced = true;
+  try {
+    await setCoils(boardKey, changes);
+  } catch (err) {
+    forced = false;
+    log('ERROR', `${cfg.name}: could not force safe state — ${err.message}`);
+  }
+
+  const signature = found.map(v => v.message).join('; ');
+  if (state.interlockFault === signature) return;
+  state.interlockFault = signature;
+  log('WARN', `⚠ ${cfg.name} interlock fault: ${signature}`);
+  const details = {
+    board: boardKey,
+    violations: found.map(({ barrierId, barrier, roles, channels }) => ({ barrierId, barrier, roles, channels })),
+    released: changes.map(([addr]) => addr + 1),
+    forced
+  };
+  for (const v of found) barrierStates.fault(v.barrierId, `interlock: ${v.message}`);
+  audit('interlock_fault', details, 'system');
+  broadcast({ type: 'alarm', alarm: 'interlock_fault', message: `${cfg.name}: ${signature}`, ...details });
+}
+
+let heartbeatsRunning = false;
+
+function startHeartbeat(boardKey) {
+  heartbeatBoard(boardKey);
+  heartbeatTimers[boardKey] = setInterval(() => heartbeatBoard(boardKey), HEARTBEAT_MS);
+}
+
+function stopHeartbeat(boardKey) {
+  if (heartbeatTimers[boardKey]) clearInterval(heartbeatTimers[boardKey]);
+  delete heartbeatTimers[boardKey];
+}
+
 function startHeartbeats() {
+  heartbeatsRunning = true;
+  for (const boardKey of Object.keys(BOARDS)) startHeartbeat(boardKey);
+}
+
+// ─── Applying Site Config (startup + hot reload) ─────────────────────────────
+function addBoard(boardKey, cfg) {
+  BOARDS[boardKey] = { ...cfg };
+  boardState[boardKey] = createBoardState(cfg);
+  connections[boardKey] = connectBoard(boardKey);
+  if (heartbeatsRunning) startHeartbeat(boardKey);
+}
+
+async function removeBoard(boardKey, { releaseRelays }) {
+  stopHeartbeat(boardKey);
+  if (releaseRelays && boardState[boardKey].reachable) {
+    try { await withBoardLock(boardKey, () => allCoilsOff(boardKey)); } catch (e) { /* best effort */ }
+  }
+  connections[boardKey].close();
+  analytics.boardRemoved(boardKey);
+  delete connections[boardKey];
+  delete captures[boardKey];
+  delete BOARDS[boardKey];
+  delete boardState[boardKey];
+}
+
+function connectionChanged(a, b) {
+  return a.host !== b.host || a.port !== b.port || a.unitId !== b.unitId ||
+    a.channels !== b.channels || a.inputs !== b.inputs;
+}
+
+function barrierChanged(a, b) {
+  return a.board !== b.board || a.lift !== b.lift || a.close !== b.close || a.stop !== b.stop;
+}
+
+function outputChanged(a, b) {
+  return a.board !== b.board || a.addr !== b.addr || a.mode !== b.mode;
+}
+
+async function applySiteConfig(cfg) {
+  const summary = { added: [], removed: [], reconnected: [], barriers: [], outputs: [] };
+
+  // Barriers first, so nothing keeps pointing at a board that is going away
+  for (const [id, barrier] of Object.entries(BARRIERS)) {
+    const next = cfg.barriers[id];
+    if (!next || barrierChanged(barrier, next) || connectionChanged(BOARDS[barrier.board], cfg.boards[barrier.board] || {})) {
+      if (closeTimers[id]) { clearTimeout(closeTimers[id]); closeTimers[id] = null; }
+    }
+    if (!next) {
+      automation.cancel(id, 'config_reload');
+      barrierStates.remove(id);
+      clearTimedClose(id);
+      releaseHold(id);
+      const help = helpRequests.drop(parseInt(id, 10));
+      if (help) audit('help_dropped', { barrier: barrier.name, barrierId: help.barrierId, id: help.id, reason: 'barrier removed from config' }, 'system');
+      delete BARRIERS[id];
+      summary.barriers.push(`-${id}`);
+    }
+  }
+
+  // An output that goes away or moves is switched off where it was
+  for (const [key, output] of Object.entries(OUTPUTS)) {
+    const next = cfg.outputs[key];
+    if (next && !outputChanged(output, next)) continue;
+    clearOutputOff(key);
+    if (boardState[output.board].reachable) {
+      try { await withBoardLock(output.board, () => setCoils(output.board, [[output.addr, false]])); } catch (e) { /* best effort */ }
+    }
+    if (!next) {
+      delete OUTPUTS[key];
+      summary.outputs.push(`-${key}`);
+    }
+  }
+
   for (const boardKey of Object.keys(BOARDS)) {
-    heartbeatBoard(boardKey);
-    heartbeatTimers[boardKey] = setInterval(() => heartbeatBoard(boardKey), HEARTBEAT_MS);
+    const next = cfg.boards[boardKey];
+    if (!next) {
+      await removeBoard(boardKey, { releaseRelays: true });
+      summary.removed.push(boardKey);
+    } else if (connectionChanged(BOARDS[boardKey], next)) {
+      await removeBoard(boardKey, { releaseRelays: false });
+      addBoard(boardKey, next);
+      summary.reconnected.push(boardKey);
+    } else {
+      Object.assign(BOARDS[boardKey], next);
+    }
+  }
+  for (const [boardKey, next] of Object.entries(cfg.boards)) {
+    if (!BOARDS[boardKey]) { addBoard(boardKey, next); summary.added.push(boardKey); }
+  }
+
+  for (const [id, next] of Object.entries(cfg.barriers)) {
+    if (!BARRIERS[id]) summary.barriers.push(`+${id}`);
+    else if (barrierChanged(BARRIERS[id], next)) summary.barriers.push(`~${id}`);
+    BARRIERS[id] = { ...next };
+  }
+  for (const [key, next] of Object.entries(cfg.outputs)) {
+    if (!OUTPUTS[key]) summary.outputs.push(`+${key}`);
+    else if (outputChanged(OUTPUTS[key], next)) summary.outputs.push(`~${key}`);
+    OUTPUTS[key] = { ...next };
+  }
+  for (const key of Object.keys(SITES)) if (!cfg.sites[key]) delete SITES[key];
+  Object.assign(SITES, cfg.sites);
+  defaultSite = cfg.defaultSite;
+  return summary;
+}
+
+async function reloadSiteConfig(cfg) {
+  try {
+    const summary = await applySiteConfig(SIMULATOR ? await simulateBoards(cfg) : cfg);
+    log('INFO', `Site config reloaded from ${cfg.source}`);
+    audit('config_reloaded', summary, 'system');
+  } catch (err) {
+    log('ERROR', `Site config reload failed: ${err.message}`);
+  }
+}
+
+// ─── Simulator ──────────────────────────────────────────────────────────────
+// Starts (or reuses) a simulated board per configured board and points the
+// config at it. Boards keep their port across reloads, so nothing reconnects
+// unless the relay or input count changed.
+const simulators = {};   // boardKey → simulated board
+
+async function simulateBoards(cfg) {
+  const boards = {};
+  for (const [key, board] of Object.entries(cfg.boards)) {
+    let sim = simulators[key];
+    if (sim && (sim.coils.length !== board.channels || sim.inputs.length !== board.inputs || sim.unitId !== board.unitId)) {
+      await sim.stop();
+      sim = null;
+    }
+    if (!sim) {
+      sim = createSimulatedBoard({
+        mode: SIMULATOR_MODE,
+        unitId: board.unitId,
+        channels: board.channels,
+        inputs: board.inputs,
+        multiCoilWrite: board.multiCoilWrite !== false,
+        log
+      });
+      await sim.start();
+      simulators[key] = sim;
+    }
+    boards[key] = { ...board, host: '127.0.0.1', port: sim.port };
   }
+  for (const key of Object.keys(simulators)) {
+    if (!cfg.boards[key]) { await simulators[key].stop(); delete simulators[key]; }
+  }
+  return { ...cfg, boards };
 }
 
 // ─── Audit Log ──────────────────────────────────────────────────────────────
-const auditEntries = [];          // In-memory ring buffer (last 500)
-const MAX_AUDIT_ENTRIES = 500;
-
-function audit(action, details, source = 'ui') {
-  const entry = {
-    timestamp: new Date().toISOString(),
-    action,
-    source,
-    details,
-  };
-  auditEntries.push(entry);
-  if (auditEntries.length > MAX_AUDIT_ENTRIES) auditEntries.shift();
+// Hash-chained, rotated JSON lines (lib/audit-log). The chain head is read
+// back on startup, and /api/audit queries the files rather than memory.
+const auditLog = createAuditLog({
+  file: AUDIT_LOG_FILE,
+  maxBytes: AUDIT_MAX_BYTES,
+  rotateDaily: AUDIT_ROTATE_DAILY,
+  log,
+  onWriteError: (err) => broadcast({ type: 'alarm', alarm: 'audit_write_failed', message: `Audit log write failed: ${err.message}` })
+});
+const auditHistory = auditLog.open();
 
-  // Append to file
-  try {
-    fs.appendFileSync(AUDIT_LOG_FILE, JSON.stringify(entry) + '\n');
-  } catch (e) { /* ignore write errors */ }
+// `user` is the authenticated identity behind the action; null for the system
+function audit(action, details, source = 'ui', user = null) {
+  const entry = auditLog.append({ action, source, user, details });
 
   // Broadcast via SSE
-  sseClients.forEach(res => {
-    res.write(`data: ${JSON.stringify(entry)}\n\n`);
-  });
+  broadcast(entry);
+  webhooks.dispatch(action, entry);
+  if (mqttBridge) mqttBridge.publishAudit(entry);
+  analytics.recordAudit(entry);
 
-  log('AUDIT', `[${source}] ${action}: ${JSON.stringify(details)}`);
+  log('AUDIT', `[${source}${user ? `/${user}` : ''}] ${action}: ${JSON.stringify(details)}`);
 }
 
 // ─── SSE for Real-Time UI Updates ───────────────────────────────────────────
 const sseClients = new Set();
 
+// The site an event is about, if it is about one. Event streams opened
+// under /api/sites/:site only get their own site's events.
+function eventSite(payload) {
+  const details = payload.details || {};
+  if (payload.site || details.site) return payload.site || details.site;
+  const barrierId = payload.barrierId ?? details.barrierId ?? (payload.request && payload.request.barrierId);
+  if (barrierId !== undefined && BARRIERS[barrierId]) return BARRIERS[barrierId].site;
+  const board = BOARDS[payload.board] || BOARDS[details.board];
+  return board ? board.site : null;
+}
+
+// Whether a scoped caller may see an event or audit entry: its site and any
+// barriers it names must be in their scope
+function visibleTo(user, payload) {
+  if (user.barriers === '*' && (!user.sites || user.sites === '*')) return true;
+  const site = eventSite(payload);
+  if (site && !canAccessSite(user, site)) return false;
+  const details = payload.details || {};
+  const barrierId = payload.barrierId ?? details.barrierId ?? (payload.request && payload.request.barrierId);
+  if (barrierId !== undefined && barrierId !== null && !canAccess(user, barrierId)) return false;
+  return !Array.isArray(details.barriers) || canAccess(user, details.barriers);
+}
+
+function broadcast(payload) {
+  const site = eventSite(payload);
+  sseClients.forEach(res => {
+    if (res.site && site && res.site !== site) return;
+    if (!visibleTo(res.user, payload)) return;
+    res.write(`data: ${JSON.stringify(payload)}\n\n`);
+  });
+  // Anything worth telling the UI may have changed a state topic
+  if (mqttBridge) mqttBridge.notify();
+}
+
 // ─── Structured Logging ─────────────────────────────────────────────────────
 function log(level, msg) {
   const ts = new Date().toISOString().slice(11, 19);
@@ -274,207 +551,1719 @@ function log(level, msg) {
 }
 
 // ─── Barrier Actions ────────────────────────────────────────────────────────
-async function latchBarrierAction(barrierId, action, source = 'ui') {
+// `durationSec` on a lift schedules the close (see Timed Lifts below).
+// `reason` (why it was done) and `helpRequest` (the help request it answers)
+// are recorded in the audit entry.
+async function latchBarrierAction(barrierId, action, source = 'ui', { durationSec, user = null, reason = null, helpRequest = null } = {}) {
   const barrier = BARRIERS[barrierId];
   if (!barrier) throw new Error(`Unknown barrier: ${barrierId}`);
+  assertNotHeld(barrierId);
+  if (action === 'lift') assertCapacity(barrierId, source);
   const boardKey = barrier.board;
   const state = boardState[boardKey];
   if (!state.reachable) throw new Error(`${BOARDS[boardKey].name} not connected`);
 
-  state.commandLock = true;
-  try {
-    if (action === 'lift') {
-      if (closeTimers[barrierId]) { clearTimeout(closeTimers[barrierId]); closeTimers[barrierId] = null; }
-      await writeCoil(boardKey, barrier.close, false);
-      await writeCoil(boardKey, barrier.lift, true);
-    } else if (action === 'close') {
-      if (closeTimers[barrierId]) { clearTimeout(closeTimers[barrierId]); closeTimers[barrierId] = null; }
-      await writeCoil(boardKey, barrier.lift, false);
-      await writeCoil(boardKey, barrier.close, true);
+  await withBoardLock(boardKey, async () => {
+    if (closeTimers[barrierId]) { clearTimeout(closeTimers[barrierId]); closeTimers[barrierId] = null; }
+    await setCoils(boardKey, barrierCoilChanges(barrier, action));
+    if (action === 'close') {
       closeTimers[barrierId] = setTimeout(async () => {
         try {
-          await writeCoil(boardKey, barrier.close, false);
+          await withBoardLock(boardKey, () => setCoils(boardKey, barrierCoilChanges(barrier, 'release')));
           audit('close_auto_release', { barrier: barrier.name }, 'system');
         } catch (e) {
           log('WARN', `${barrier.name} close auto-release failed: ${e.message}`);
         }
         closeTimers[barrierId] = null;
       }, CLOSE_RELEASE_MS);
-    } else if (action === 'stop') {
-      if (closeTimers[barrierId]) { clearTimeout(closeTimers[barrierId]); closeTimers[barrierId] = null; }
-      await writeCoil(boardKey, barrier.lift, false);
-      await writeCoil(boardKey, barrier.close, false);
-      await writeCoil(boardKey, barrier.stop, true);
     }
-  } finally {
-    state.commandLock = false;
+  });
+  const details = { barrier: barrier.name, barrierId, channel: barrier[action] + 1 };
+  if (action === 'lift' && durationSec) {
+    const closeAt = scheduleTimedClose(barrierId, durationSec, user || source);
+    Object.assign(details, { duration: durationSec, closeAt });
+  } else {
+    clearTimedClose(barrierId);
   }
-  audit(`barrier_${action}`, { barrier: barrier.name, barrierId, channel: barrier[action] + 1 }, source);
+  if (reason) details.reason = reason;
+  if (helpRequest) details.helpRequest = helpRequest;
+  audit(`barrier_${action}`, details, source, user);
+  barrierActions.inc({ barrier: barrierId, action, source });
+  events.emit('barrier_action', { barrierId, action, source, user, durationSec: durationSec || null });
 }
 
-async function emergencyOff(source = 'ui') {
-  for (const [boardKey, cfg] of Object.entries(BOARDS)) {
-    const state = boardState[boardKey];
-    if (!state.reachable) continue;
-    state.commandLock = true;
-    try {
-      for (let i = 0; i < cfg.channels; i++) {
-        await writeCoil(boardKey, i, false);
-      }
-    } finally {
-      state.commandLock = false;
-    }
+// Every board, or with `site` only that site's
+async function emergencyOff(source = 'ui', user = null, site = null) {
+  const boards = Object.keys(BOARDS).filter(key => !site || BOARDS[key].site === site);
+  const barriers = Object.keys(BARRIERS).filter(id => !site || BARRIERS[id].site === site);
+  for (const boardKey of boards) {
+    if (!boardState[boardKey].reachable) continue;
+    await withBoardLock(boardKey, () => allCoilsOff(boardKey));
   }
   // Cancel all close timers
   for (const key of Object.keys(closeTimers)) {
-    if (closeTimers[key]) { clearTimeout(closeTimers[key]); closeTimers[key] = null; }
+    if (closeTimers[key] && barriers.includes(String(key))) { clearTimeout(closeTimers[key]); closeTimers[key] = null; }
+  }
+  if (site) barriers.forEach(id => automation.cancel(id, 'emergency_off'));
+  else automation.cancelAll('emergency_off');
+  for (const id of Object.keys(timedCloses)) if (barriers.includes(id)) clearTimedClose(id);
+  for (const key of Object.keys(outputOffs)) if (OUTPUTS[key] && boards.includes(OUTPUTS[key].board)) clearOutputOff(key);
+  const releasedHolds = Object.keys(holds).filter(id => barriers.includes(id)).map(id => { releaseHold(id); return parseInt(id); });
+  for (const id of barriers) {
+    if (boardState[BARRIERS[id].board].reachable) barrierStates.onCommand(id, 'emergency_off');
   }
-  audit('emergency_off', { boards: Object.keys(BOARDS) }, source);
+  audit('emergency_off', { site, boards, releasedHolds }, source, user);
+  emergencyOffs.inc();
 }
 
-function getFullStatus() {
-  const barriers = Object.entries(BARRIERS).map(([id, b]) => {
+// One site's boards and barriers, or with no site everything (the default
+// site's occupancy, and every site's in `sites`)
+function getFullStatus(site = null) {
+  const barriers = Object.entries(BARRIERS).filter(([, b]) => !site || b.site === site).map(([id, b]) => {
     const coils = boardState[b.board].coils;
+    const motion = barrierStates.status(id);
     return {
       id: parseInt(id),
       name: b.name,
+      site: b.site,
       board: b.board,
+      direction: b.direction || null,
+      state: motion.state,
+      stateSince: motion.since,
+      timeInStateMs: motion.timeInStateMs,
+      stateReason: motion.reason,
       lift: coils[b.lift] || false,
       close: coils[b.close] || false,
-      stop: coils[b.stop] || false
+      stop: coils[b.stop] || false,
+      sensors: barrierSensors(b),
+      automation: automation.status(id),
+      timedClose: timedCloseStatus(id),
+      hold: holdStatus(id),
+      helpRequest: helpStatus(id)
     };
   });
 
-  const boards = Object.entries(BOARDS).map(([key, cfg]) => ({
+  const boards = Object.entries(BOARDS).filter(([, cfg]) => !site || cfg.site === site).map(([key, cfg]) => ({
     key,
     name: cfg.name,
+    site: cfg.site,
     host: cfg.host,
     port: cfg.port,
     connected: boardState[key].reachable,
     mode: boardState[key].useRTU ? 'RTU-over-TCP' : 'Modbus TCP',
-    channels: boardState[key].coils.map((active, i) => ({ channel: i + 1, active }))
+    channels: boardState[key].coils.map((active, i) => ({ channel: i + 1, active, label: channelLabel(key, i), output: outputAt(key, i) })),
+    inputs: (boardState[key].inputs || []).map((active, i) => ({ input: i + 1, active })),
+    capturing: !!captures[key]
   }));
 
-  return { boards, barriers };
+  return { site: site || defaultSite, boards, barriers, outputs: outputList(site), occupancy: occupancyFor(site || defaultSite).status(), sites: siteList() };
 }
 
-// ─── Express App ────────────────────────────────────────────────────────────
-const app = express();
-app.use(cors());
-app.use(express.json());
-app.use(express.static(path.join(__dirname, 'public')));
+function siteList() {
+  return Object.entries(SITES).map(([key, s]) => ({ key, name: s.name, default: key === defaultSite, occupancy: occupancyFor(key).status() }));
+}
 
-// Optional API key middleware for non-browser clients
-function apiAuth(req, res, next) {
-  if (!API_KEY) return next();
-  // Skip auth for UI assets and SSE
-  if (req.path === '/' || req.path.startsWith('/api/events') || !req.path.startsWith('/api/')) return next();
-  const provided = req.headers['x-api-key'] || req.query.api_key;
-  if (provided === API_KEY) return next();
-  res.status(401).json({ error: 'Invalid API key' });
+// ─── Barrier State Machine ──────────────────────────────────────────────────
+const barrierStates = createBarrierStates({
+  getBarriers: () => BARRIERS,
+  getSensors: (barrierId) => BARRIERS[barrierId] ? barrierSensors(BARRIERS[barrierId]) : {},
+  onChange: (change) => {
+    const barrier = BARRIERS[change.barrierId];
+    events.emit('barrier_state', change);
+    broadcast({ type: 'barrier_state', barrier: barrier ? barrier.name : undefined, ...change });
+  }
+});
+events.on('barrier_action', ({ barrierId, action }) => barrierStates.onCommand(barrierId, action));
+events.on('barrier_input', ({ barrierId, signal, value, sensors }) => barrierStates.onInput(barrierId, signal, value, sensors));
+
+function barriersOnBoard(boardKey) {
+  return Object.keys(BARRIERS).filter(id => BARRIERS[id].board === boardKey);
 }
-app.use(apiAuth);
 
-// SSE endpoint — real-time event stream
-app.get('/api/events', (req, res) => {
-  res.writeHead(200, {
-    'Content-Type': 'text/event-stream',
-    'Cache-Control': 'no-cache',
-    Connection: 'keep-alive'
-  });
-  res.write(`data: ${JSON.stringify({ type: 'connected' })}\n\n`);
-  sseClients.add(res);
-  req.on('close', () => sseClients.delete(res));
+// ─── Automation ─────────────────────────────────────────────────────────────
+const automation = createAutomation({
+  getBarriers: () => BARRIERS,
+  getSensors: (barrierId) => BARRIERS[barrierId] ? barrierSensors(BARRIERS[barrierId]) : {},
+  latch: latchBarrierAction,
+  audit,
+  log
 });
+events.on('barrier_action', automation.onBarrierAction);
+events.on('barrier_input', automation.onBarrierInput);
 
-// Status
-app.get('/api/status', async (req, res) => {
-  try {
-    // Refresh coils from reachable boards
-    for (const [boardKey, cfg] of Object.entries(BOARDS)) {
-      const state = boardState[boardKey];
-      if (state.reachable && !state.commandLock) {
-        try {
-          state.coils = await readCoils(boardKey, 0, cfg.channels);
-        } catch (e) { state.reachable = false; }
-      }
-    }
-    res.json(getFullStatus());
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+// ─── Timed Lifts ────────────────────────────────────────────────────────────
+// A lift with a duration closes itself. Pending closes live in the state file
+// so a restart can't leave a contractor's barrier up all night.
+const TIMED_CLOSE_RETRY_MS = 5000;
+const TIMED_CLOSE_RETRY_MAX_MS = 5 * 60 * 1000;
+const store = createStore(STATE_FILE, log);
+const timedCloses = {};   // barrierId → { closeAt, liftedBy, durationSec, blocked, timer, attempts, error }
+
+function persistTimedCloses() {
+  const saved = {};
+  for (const [id, t] of Object.entries(timedCloses)) {
+    saved[id] = { closeAt: t.closeAt, liftedBy: t.liftedBy, durationSec: t.durationSec, blocked: t.blocked || null };
   }
-});
+  store.set('timedCloses', saved);
+}
 
-// Barrier action
-app.post('/api/barrier/:id/:action', async (req, res) => {
-  const barrierId = parseInt(req.params.id);
-  const action = req.params.action.toLowerCase();
-  const source = req.headers['x-source'] || 'api';
+// What a timer-driven command (timed close, output off) does when it fails.
+// A refusal (409: a hold, the interlock) won't clear without a person, so it
+// isn't retried: the entry is marked blocked for the status API and the
+// caller audits it. Anything else (board offline) is retried, backing off to
+// TIMED_CLOSE_RETRY_MAX_MS, with a warning for the first failure only.
+// Returns whether a retry was scheduled.
+function retryTimer(entry, what, err, retry) {
+  entry.attempts = (entry.attempts || 0) + 1;
+  entry.error = err.message;
+  if (err.status === 409) {
+    entry.blocked = { error: err.message, at: Date.now() };
+    log('WARN', `${what} refused: ${err.message} — not retrying`);
+    return false;
+  }
+  if (entry.attempts === 1) log('WARN', `${what} failed: ${err.message} — retrying`);
+  const delayMs = Math.min(TIMED_CLOSE_RETRY_MS * 2 ** (entry.attempts - 1), TIMED_CLOSE_RETRY_MAX_MS);
+  entry.timer = setTimeout(retry, delayMs);
+  return true;
+}
 
-  const barrier = BARRIERS[barrierId];
-  if (!barrier) return res.status(400).json({ error: `Unknown barrier: ${barrierId}` });
-  if (!['lift', 'close', 'stop'].includes(action)) return res.status(400).json({ error: `Unknown action: ${action}` });
+function armTimedClose(barrierId, entry) {
+  clearTimeout(entry.timer);
+  entry.timer = setTimeout(() => fireTimedClose(barrierId, entry), Math.max(0, entry.closeAt - Date.now()));
+}
+
+function scheduleTimedClose(barrierId, durationSec, liftedBy) {
+  if (timedCloses[barrierId]) clearTimeout(timedCloses[barrierId].timer);
+  const entry = { closeAt: Date.now() + durationSec * 1000, liftedBy, durationSec, timer: null };
+  timedCloses[barrierId] = entry;
+  armTimedClose(barrierId, entry);
+  persistTimedCloses();
+  return new Date(entry.closeAt).toISOString();
+}
 
+function clearTimedClose(barrierId) {
+  const entry = timedCloses[barrierId];
+  if (!entry) return null;
+  clearTimeout(entry.timer);
+  delete timedCloses[barrierId];
+  persistTimedCloses();
+  return entry;
+}
+
+// The close itself clears the entry (latchBarrierAction). A board that is
+// offline is retried (see retryTimer); a refused close stays pending, blocked,
+// until someone closes the barrier or cancels it.
+async function fireTimedClose(barrierId, entry) {
+  if (timedCloses[barrierId] !== entry) return;
   try {
-    await latchBarrierAction(barrierId, action, source);
-    res.json({ success: true, barrier: barrier.name, action, channel: barrier[action] + 1 });
+    await latchBarrierAction(barrierId, 'close', 'timer');
+    if (entry.attempts) log('INFO', `Timed close of barrier ${barrierId} done after ${entry.attempts + 1} attempts`);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    if (timedCloses[barrierId] !== entry) return;
+    if (retryTimer(entry, `Timed close of barrier ${barrierId}`, err, () => fireTimedClose(barrierId, entry))) return;
+    persistTimedCloses();
+    const barrier = BARRIERS[barrierId];
+    audit('timed_close_blocked', { barrier: barrier && barrier.name, barrierId: parseInt(barrierId), error: err.message }, 'timer');
   }
-});
+}
 
-// Emergency off
-app.post('/api/emergency-off', async (req, res) => {
-  const source = req.headers['x-source'] || 'api';
-  try {
-    await emergencyOff(source);
-    res.json({ success: true, action: 'emergency-off' });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+function timedCloseStatus(barrierId) {
+  const entry = timedCloses[barrierId];
+  if (!entry) return null;
+  return {
+    closeAt: new Date(entry.closeAt).toISOString(),
+    remainingMs: Math.max(0, entry.closeAt - Date.now()),
+    durationSec: entry.durationSec,
+    liftedBy: entry.liftedBy,
+    attempts: entry.attempts || 0,
+    error: entry.error || null,
+    blocked: !!entry.blocked
+  };
+}
+
+// Called once the site config is loaded; overdue closes fire straight away,
+// except blocked ones, which wait for a person as before the restart
+function restoreTimedCloses() {
+  for (const [id, saved] of Object.entries(store.get('timedCloses', {}))) {
+    if (!BARRIERS[id]) continue;
+    timedCloses[id] = { ...saved, error: saved.blocked ? saved.blocked.error : null, timer: null };
+    if (!saved.blocked) armTimedClose(id, timedCloses[id]);
+    log('INFO', `Restored timed close for ${BARRIERS[id].name} at ${new Date(saved.closeAt).toISOString()}${saved.blocked ? ' (blocked)' : ''}`);
   }
-});
+  persistTimedCloses();
+}
 
-// Audit log
-app.get('/api/audit', (req, res) => {
-  const limit = Math.min(parseInt(req.query.limit || '100'), MAX_AUDIT_ENTRIES);
-  res.json(auditEntries.slice(-limit));
-});
+function parseDuration(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const sec = Number(value);
+  if (!Number.isFinite(sec) || sec <= 0 || sec > MAX_LIFT_DURATION_S) {
+    const err = new Error(`duration must be between 1 and ${MAX_LIFT_DURATION_S} seconds`);
+    err.status = 400;
+    throw err;
+  }
+  return Math.round(sec);
+}
 
-// ─── Graceful Shutdown ──────────────────────────────────────────────────────
-async function shutdown(signal) {
-  log('INFO', `${signal} received — shutting down`);
-  // Stop heartbeats
-  for (const timer of Object.values(heartbeatTimers)) clearInterval(timer);
-  // Cancel close timers
-  for (const key of Object.keys(closeTimers)) {
-    if (closeTimers[key]) clearTimeout(closeTimers[key]);
+// ─── Holds ──────────────────────────────────────────────────────────────────
+// A barrier can be held open or locked closed for maintenance or an incident.
+// While held, every command is refused — UI, API, MCP, schedules, automation —
+// until the hold is released, expires, or emergency off clears it.
+const HOLD_MODES = { open: 'lift', closed: 'close' };
+const holds = {};   // barrierId → { mode, owner, reason, since, expiresAt, timer }
+
+function persistHolds() {
+  const saved = {};
+  for (const [id, h] of Object.entries(holds)) {
+    saved[id] = { mode: h.mode, owner: h.owner, reason: h.reason, since: h.since, expiresAt: h.expiresAt };
+  }
+  store.set('holds', saved);
+}
+
+function conflict(message) {
+  const err = new Error(message);
+  err.status = 409;
+  return err;
+}
+
+function assertNotHeld(barrierId) {
+  const hold = holds[barrierId];
+  if (!hold) return;
+  const name = BARRIERS[barrierId] ? BARRIERS[barrierId].name : `Barrier ${barrierId}`;
+  const until = hold.expiresAt ? ` until ${new Date(hold.expiresAt).toISOString()}` : '';
+  throw conflict(`${name} is ${hold.mode === 'open' ? 'held open' : 'locked closed'} by ${hold.owner}${until}: ${hold.reason}`);
+}
+
+function armHoldExpiry(barrierId, hold) {
+  clearTimeout(hold.timer);
+  if (!hold.expiresAt) return;
+  hold.timer = setTimeout(() => {
+    if (holds[barrierId] !== hold) return;
+    releaseHold(barrierId);
+    const barrier = BARRIERS[barrierId];
+    audit('hold_expired', { barrier: barrier ? barrier.name : undefined, barrierId: parseInt(barrierId), mode: hold.mode, owner: hold.owner }, 'system');
+  }, Math.max(0, hold.expiresAt - Date.now()));
+}
+
+// Moves the barrier into position first, so a hold that can't be applied
+// (board offline, interlock) is never recorded.
+async function placeHold(barrierId, { mode, owner, reason, durationSec }, source, user) {
+  assertNotHeld(barrierId);
+  await latchBarrierAction(barrierId, HOLD_MODES[mode], source, { user });
+  // The hold replaces any auto-close cycle or timed close the move started
+  automation.cancel(barrierId, null);
+  clearTimedClose(barrierId);
+  const hold = { mode, owner, reason, since: Date.now(), expiresAt: durationSec ? Date.now() + durationSec * 1000 : null, timer: null };
+  holds[barrierId] = hold;
+  armHoldExpiry(barrierId, hold);
+  persistHolds();
+  return holdStatus(barrierId);
+}
+
+function releaseHold(barrierId) {
+  const hold = holds[barrierId];
+  if (!hold) return null;
+  clearTimeout(hold.timer);
+  delete holds[barrierId];
+  persistHolds();
+  return hold;
+}
+
+function holdStatus(barrierId) {
+  const hold = holds[barrierId];
+  if (!hold) return null;
+  return {
+    mode: hold.mode,
+    owner: hold.owner,
+    reason: hold.reason,
+    since: new Date(hold.since).toISOString(),
+    expiresAt: hold.expiresAt ? new Date(hold.expiresAt).toISOString() : null
+  };
+}
+
+// Called once the site config is loaded; holds that expired while we were
+// down are dropped, the rest keep refusing commands
+function restoreHolds() {
+  for (const [id, saved] of Object.entries(store.get('holds', {}))) {
+    if (!BARRIERS[id]) continue;
+    if (saved.expiresAt && saved.expiresAt <= Date.now()) {
+      audit('hold_expired', { barrier: BARRIERS[id].name, barrierId: parseInt(id), mode: saved.mode, owner: saved.owner }, 'system');
+      continue;
+    }
+    holds[id] = { ...saved, timer: null };
+    armHoldExpiry(id, holds[id]);
+    log('INFO', `Restored hold on ${BARRIERS[id].name}: ${saved.mode} by ${saved.owner}`);
+  }
+  persistHolds();
+}
+
+// ─── Auxiliary Outputs ──────────────────────────────────────────────────────
+// Relays that aren't part of a barrier, named in the site config: lights,
+// signs, a buzzer. Latched outputs stay as switched, momentary ones pulse for
+// PULSE_MS and timed ones switch themselves off after their durationMs (or the
+// duration asked for). Writes go through setCoils, so the interlock applies as
+// for barrier commands; pending offs are kept in the state file like timed
+// closes, so a restart can't leave a sign lit.
+const OUTPUTS = {};   // key → { name, board, addr, mode, durationMs, site }
+const OUTPUT_ACTIONS = { latched: ['on', 'off'], momentary: ['pulse', 'off'], timed: ['on', 'off'] };
+const outputOffs = {};   // output key → { offAt, by, pulse, timer }
+const outputActions = metrics.counter('output_actions_total', 'Auxiliary output commands carried out, by output, action and source', ['output', 'action', 'source']);
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function outputAt(boardKey, addr) {
+  return Object.keys(OUTPUTS).find(key => OUTPUTS[key].board === boardKey && OUTPUTS[key].addr === addr) || null;
+}
+
+// What a board channel is for: "Barrier 1 lift", an output's name, or null
+function channelLabel(boardKey, addr) {
+  for (const barrier of Object.values(BARRIERS)) {
+    const role = barrier.board === boardKey && ROLES.find(r => barrier[r] === addr);
+    if (role) return `${barrier.name} ${role}`;
   }
-  // Turn off all relays
+  const output = outputAt(boardKey, addr);
+  return output ? OUTPUTS[output].name : null;
+}
+
+function persistOutputOffs() {
+  const saved = {};
+  for (const [key, o] of Object.entries(outputOffs)) saved[key] = { offAt: o.offAt, by: o.by, pulse: o.pulse, blocked: o.blocked || null };
+  store.set('outputOffs', saved);
+}
+
+function armOutputOff(key, entry) {
+  clearTimeout(entry.timer);
+  entry.timer = setTimeout(() => fireOutputOff(key, entry), Math.max(0, entry.offAt - Date.now()));
+}
+
+function scheduleOutputOff(key, ms, by, pulse = false) {
+  if (outputOffs[key]) clearTimeout(outputOffs[key].timer);
+  const entry = { offAt: Date.now() + ms, by, pulse, timer: null };
+  outputOffs[key] = entry;
+  armOutputOff(key, entry);
+  persistOutputOffs();
+  return new Date(entry.offAt).toISOString();
+}
+
+function clearOutputOff(key) {
+  const entry = outputOffs[key];
+  if (!entry) return null;
+  clearTimeout(entry.timer);
+  delete outputOffs[key];
+  persistOutputOffs();
+  return entry;
+}
+
+// The end of a pulse is part of the pulse and isn't audited again; a timed
+// output's off is. On failure the off stays pending and is retried as timed
+// closes are (see retryTimer).
+async function fireOutputOff(key, entry) {
+  if (outputOffs[key] !== entry) return;
   try {
-    for (const [boardKey, cfg] of Object.entries(BOARDS)) {
-      if (boardState[boardKey].reachable) {
-        for (let i = 0; i < cfg.channels; i++) {
-          try { await writeCoil(boardKey, i, false); } catch (e) { /* best effort */ }
-        }
-      }
+    if (entry.pulse) {
+      await writeOutput(key, false);
+      clearOutputOff(key);
+    } else {
+      await switchOutput(key, 'off', 'timer');
     }
-    log('INFO', 'All relays OFF');
-  } catch (e) { /* best effort */ }
-  process.exit(0);
+    if (entry.attempts) log('INFO', `Switching off output ${key} done after ${entry.attempts + 1} attempts`);
+  } catch (err) {
+    if (outputOffs[key] !== entry) return;
+    if (retryTimer(entry, `Switching off output ${key}`, err, () => fireOutputOff(key, entry))) return;
+    persistOutputOffs();
+    const output = OUTPUTS[key];
+    audit('output_off_blocked', { output: key, name: output && output.name, board: output && output.board, error: err.message }, 'timer');
+  }
 }
-process.on('SIGINT', () => shutdown('SIGINT'));
-process.on('SIGTERM', () => shutdown('SIGTERM'));
 
-// ─── Start ──────────────────────────────────────────────────────────────────
-app.listen(SERVER_PORT, '0.0.0.0', () => {
-  log('INFO', '🚧 Barrier Control Server');
-  log('INFO', `Web UI: http://localhost:${SERVER_PORT}`);
-  for (const [key, cfg] of Object.entries(BOARDS)) {
-    log('INFO', `${cfg.name}: ${cfg.host}:${cfg.port} (unit ${cfg.unitId})`);
+async function writeOutput(key, on) {
+  const output = OUTPUTS[key];
+  if (!output) throw new Error(`Unknown output: ${key}`);
+  if (!boardState[output.board].reachable) throw new Error(`${BOARDS[output.board].name} not connected`);
+  await withBoardLock(output.board, () => setCoils(output.board, [[output.addr, on]]));
+}
+
+// action: on | off for latched and timed outputs, pulse | off for momentary
+// ones. `durationSec` overrides a timed output's durationMs.
+async function switchOutput(key, action, source = 'ui', { durationSec, user = null } = {}) {
+  const output = OUTPUTS[key];
+  if (!output) throw new Error(`Unknown output: ${key}`);
+  const actions = OUTPUT_ACTIONS[output.mode];
+  if (!actions.includes(action)) throw badRequest(`${output.name} is ${output.mode} — use ${actions.join(' or ')}`);
+  if (durationSec && !(output.mode === 'timed' && action === 'on')) throw badRequest('duration only applies to turning on a timed output');
+
+  await writeOutput(key, action !== 'off');
+  const details = { output: key, name: output.name, board: output.board, site: output.site, channel: output.addr + 1 };
+  if (action === 'pulse') {
+    scheduleOutputOff(key, PULSE_MS, user || source, true);
+    details.pulseMs = PULSE_MS;
+  } else if (action === 'on' && output.mode === 'timed') {
+    const ms = durationSec ? durationSec * 1000 : output.durationMs;
+    Object.assign(details, { duration: ms / 1000, offAt: scheduleOutputOff(key, ms, user || source) });
+  } else {
+    clearOutputOff(key);
   }
-  log('INFO', `Barriers: ${Object.values(BARRIERS).map(b => b.name).join(', ')}`);
-  log('INFO', `Heartbeat: ${HEARTBEAT_MS / 1000}s | Close release: ${CLOSE_RELEASE_MS / 1000}s`);
-  if (API_KEY) log('INFO', 'API key auth enabled');
-  log('INFO', `Audit log: ${AUDIT_LOG_FILE}`);
-  startHeartbeats();
-});
+  audit(`output_${action}`, details, source, user);
+  outputActions.inc({ output: key, action, source });
+}
+
+// Raw relay control for commissioning and unmapped channels. Energising is
+// checked against the interlock, a held barrier's relays are refused, and an
+// output switched by hand loses its pending off.
+async function setChannel(boardKey, addr, on, source = 'ui', user = null) {
+  const barrierId = Object.keys(BARRIERS).find(id => BARRIERS[id].board === boardKey && ROLES.some(r => BARRIERS[id][r] === addr));
+  if (barrierId) assertNotHeld(barrierId);
+  if (!boardState[boardKey].reachable) throw new Error(`${BOARDS[boardKey].name} not connected`);
+  await withBoardLock(boardKey, () => setCoils(boardKey, [[addr, on]]));
+  const output = outputAt(boardKey, addr);
+  if (output) clearOutputOff(output);
+  const label = channelLabel(boardKey, addr);
+  audit('channel_set', { board: boardKey, site: BOARDS[boardKey].site, channel: addr + 1, on, label }, source, user);
+  return label;
+}
+
+function outputStatus(key) {
+  const output = OUTPUTS[key];
+  const entry = outputOffs[key];
+  return {
+    key,
+    name: output.name,
+    site: output.site,
+    board: output.board,
+    channel: output.addr + 1,
+    mode: output.mode,
+    actions: OUTPUT_ACTIONS[output.mode],
+    on: boardState[output.board].coils[output.addr] || false,
+    pulseMs: output.mode === 'momentary' ? PULSE_MS : null,
+    durationMs: output.durationMs || null,
+    offAt: entry ? new Date(entry.offAt).toISOString() : null,
+    remainingMs: entry ? Math.max(0, entry.offAt - Date.now()) : null,
+    offError: entry && entry.error ? entry.error : null,
+    offBlocked: !!(entry && entry.blocked)
+  };
+}
+
+function outputList(site) {
+  return Object.keys(OUTPUTS).filter(key => !site || OUTPUTS[key].site === site).map(outputStatus);
+}
+
+// Called once the site config is loaded; overdue offs fire straight away
+function restoreOutputOffs() {
+  for (const [key, saved] of Object.entries(store.get('outputOffs', {}))) {
+    if (!OUTPUTS[key]) continue;
+    outputOffs[key] = { ...saved, error: saved.blocked ? saved.blocked.error : null, timer: null };
+    if (!saved.blocked) armOutputOff(key, outputOffs[key]);
+    log('INFO', `Restored pending off for ${OUTPUTS[key].name} at ${new Date(saved.offAt).toISOString()}${saved.blocked ? ' (blocked)' : ''}`);
+  }
+  persistOutputOffs();
+}
+
+// ─── Occupancy ──────────────────────────────────────────────────────────────
+// Vehicles through entry and exit barriers (lib/occupancy), counted per site.
+// A barrier with a vehicle loop counts a car when it clears the loop with the
+// arm up; one without counts each opening, except those that leave it open —
+// scheduled, timed and held lifts. When full, entry barriers refuse
+// lifts from the sources below unless a supervisor has overridden it.
+const AUTOMATIC_SOURCES = ['anpr', 'schedule', 'mqtt', 'automation'];
+const occupancies = {};   // site → lib/occupancy
+const uncountedLifts = new Set();   // barrierIds whose last lift keeps them open
+
+// A single-site install's count stays in the `occupancy` section it had
+// before there were sites
+function occupancyFor(site) {
+  if (!occupancies[site]) {
+    occupancies[site] = createOccupancy({
+      store,
+      section: site === DEFAULT_SITE ? 'occupancy' : `occupancy.${site}`,
+      getCapacity: () => (SITES[site] && SITES[site].occupancy ? SITES[site].occupancy.capacity : null)
+    });
+  }
+  return occupancies[site];
+}
+
+function siteName(site) {
+  return SITES[site] ? SITES[site].name : site;
+}
+
+function occupancyChanged(site, wasFull, details) {
+  const status = occupancyFor(site).status();
+  broadcast({ type: 'occupancy', site, ...status, ...details });
+  if (status.full === wasFull) return;
+  const counts = { site, count: status.count, capacity: status.capacity };
+  if (status.full) {
+    audit('capacity_full', counts, 'system');
+    broadcast({ type: 'alarm', alarm: 'capacity_full', message: `${siteName(site)} full (${status.count}/${status.capacity}) — automatic entry lifts refused`, ...counts });
+  } else {
+    audit('capacity_available', counts, 'system');
+  }
+}
+
+function countVehicle(barrierId, method) {
+  const barrier = BARRIERS[barrierId];
+  if (!barrier || !barrier.direction) return;
+  const occupancy = occupancyFor(barrier.site);
+  const wasFull = occupancy.full();
+  occupancy.vehicle(barrier.direction);
+  occupancyChanged(barrier.site, wasFull, { barrierId, direction: barrier.direction, method });
+}
+
+events.on('barrier_input', ({ barrierId, signal, value, previous }) => {
+  if (signal !== 'vehicle' || value !== false || previous !== true) return;
+  if (['opening', 'open'].includes(barrierStates.status(barrierId).state)) countVehicle(barrierId, 'loop');
+});
+
+events.on('barrier_action', ({ barrierId, action, source, durationSec }) => {
+  if (action !== 'lift') return;
+  if (source === 'schedule' || durationSec) uncountedLifts.add(String(barrierId));
+  else uncountedLifts.delete(String(barrierId));
+});
+
+events.on('barrier_state', ({ barrierId, state, previous }) => {
+  const barrier = BARRIERS[barrierId];
+  if (!barrier || (barrier.inputs && barrier.inputs.vehicle)) return;
+  if (uncountedLifts.has(String(barrierId)) || holds[barrierId]) return;
+  if (state === 'open' && previous === 'opening') countVehicle(barrierId, 'cycle');
+});
+
+function assertCapacity(barrierId, source) {
+  const barrier = BARRIERS[barrierId];
+  const occupancy = occupancyFor(barrier.site);
+  if (barrier.direction !== 'entry' || !AUTOMATIC_SOURCES.includes(source) || !occupancy.refusesEntry()) return;
+  const { count, capacity } = occupancy.status();
+  audit('capacity_lift_refused', { barrier: barrier.name, barrierId, liftedBy: source, count, capacity }, 'system');
+  throw conflict(`${siteName(barrier.site)} full (${count}/${capacity}) — ${barrier.name} refuses automatic lifts`);
+}
+
+// ─── Scheduler ──────────────────────────────────────────────────────────────
+// Calendar rules (business hours, event days, overnight lock-up) and one-off
+// overrides, evaluated once a minute in server local time.
+const scheduler = createScheduler({
+  store,
+  getBarriers: () => BARRIERS,
+  latch: latchBarrierAction,
+  audit,
+  log
+});
+
+// ─── Webhooks ───────────────────────────────────────────────────────────────
+// Every audit action plus board_online / board_offline goes to the matching
+// subscriptions (lib/webhooks), signed and retried.
+const webhooks = createWebhooks({ store, log });
+
+// ─── Analytics ──────────────────────────────────────────────────────────────
+// Hourly aggregates of barrier commands, open times and board uptime for
+// /api/reports (lib/analytics), kept in their own file.
+const analytics = createAnalytics({ file: ANALYTICS_FILE, log, retentionDays: ANALYTICS_RETENTION_DAYS });
+
+events.on('barrier_state', ({ barrierId, state }) => analytics.barrierState(barrierId, state));
+
+// Without an analytics file (new install, or deleted) command counts are
+// rebuilt from the audit log; open times and uptime can only start now
+async function backfillAnalytics() {
+  const ids = Object.fromEntries(Object.entries(BARRIERS).map(([id, b]) => [b.name, parseInt(id, 10)]));
+  const { entries } = await auditLog.query({ actions: ['barrier_lift', 'barrier_close', 'barrier_stop'] }, { limit: Infinity });
+  for (const entry of entries) {
+    const details = entry.details || {};
+    analytics.recordAudit(entry, details.barrierId || ids[details.barrier]);
+  }
+  analytics.flush();
+  return entries.length;
+}
+
+// ─── MQTT Bridge ────────────────────────────────────────────────────────────
+// Retained board/barrier state, audit events and Home Assistant discovery on
+// MQTT; commands on <prefix>/barrier/<id>/set run with source 'mqtt'. Who may
+// send them is up to the broker's ACLs.
+const mqttBridge = MQTT_URL ? createMqttBridge({
+  url: MQTT_URL,
+  username: process.env.MQTT_USERNAME || undefined,
+  password: process.env.MQTT_PASSWORD || undefined,
+  clientId: process.env.MQTT_CLIENT_ID || undefined,
+  prefix: MQTT_PREFIX,
+  discoveryPrefix: MQTT_DISCOVERY_PREFIX,
+  getStatus: getFullStatus,
+  command: async (barrierId, action, { duration }) => {
+    const durationSec = parseDuration(duration);
+    if (durationSec && action !== 'lift') throw new Error('duration only applies to lift');
+    await latchBarrierAction(barrierId, action, 'mqtt', { durationSec });
+  },
+  log
+}) : null;
+
+if (mqttBridge) {
+  metrics.gauge('mqtt_connected', 'Whether the MQTT bridge is connected to its broker', [], () => [[{}, mqttBridge.connected ? 1 : 0]]);
+}
+
+// ─── ANPR Access Control ────────────────────────────────────────────────────
+// Cameras post plate reads; a plate with a valid permit lifts the barrier with
+// source 'anpr'. Every grant and denial is audited with the plate and permit.
+const accessControl = createAccessControl({ store, dedupMs: ANPR_DEDUP_MS, minConfidence: ANPR_MIN_CONFIDENCE });
+
+function barrierForCamera(camera, site) {
+  const entry = Object.entries(BARRIERS).find(([, b]) => b.site === site && (b.cameras || []).includes(camera));
+  return entry ? parseInt(entry[0], 10) : null;
+}
+
+// read: { plate, barrierId, camera, confidence }. Returns the decision; a
+// granted read whose lift failed carries the error.
+// Permits are checked against the server's clock, since that is when the
+// barrier lifts; the camera's own timestamp is only recorded as `readAt`
+async function handlePlateRead(read, source = 'anpr', user = null) {
+  const barrier = BARRIERS[read.barrierId];
+  const decision = accessControl.read({ plate: read.plate, barrierId: read.barrierId, confidence: read.confidence });
+  if (decision.duplicate) return decision;
+
+  const details = {
+    barrier: barrier.name,
+    barrierId: read.barrierId,
+    plate: decision.plate,
+    camera: read.camera || null,
+    confidence: read.confidence ?? null,
+    readAt: read.readAt || null,
+    permit: decision.permit,
+    holder: decision.holder
+  };
+  if (!decision.granted) {
+    audit('anpr_denied', { ...details, reason: decision.reason }, source, user);
+    return decision;
+  }
+  audit('anpr_granted', details, source, user);
+  try {
+    await latchBarrierAction(read.barrierId, 'lift', 'anpr', { user });
+  } catch (err) {
+    // Let the next read try again rather than report a lift that never happened
+    accessControl.forget(read.plate, read.barrierId);
+    audit('anpr_lift_failed', { ...details, error: err.message }, source, user);
+    return { ...decision, error: err.message, status: err.status || 500 };
+  }
+  return decision;
+}
+
+// ─── Help Points ────────────────────────────────────────────────────────────
+// A driver's help button (a `help` input) or POST /api/help queues a request
+// for the barrier (lib/help-requests); the UI alerts and an operator resolves
+// it as lifted, refused or redirected with a reason.
+const helpRequests = createHelpRequests({ store });
+const HELP_BUCKETS = [5, 10, 20, 30, 60, 120, 300, 600, 1800];
+const helpOpened = metrics.counter('help_requests_total', 'Help requests opened, by barrier and origin (input or api)', ['barrier', 'origin']);
+const helpResponse = metrics.histogram('help_response_seconds', 'Time from a help request to its resolution, by barrier and outcome', ['barrier', 'outcome'], HELP_BUCKETS);
+metrics.gauge('help_requests_pending', 'Help requests waiting for an operator', [], () => [[{}, helpRequests.pending().length]]);
+
+function helpView(request) {
+  const barrier = BARRIERS[request.barrierId];
+  const view = { ...request, barrier: barrier ? barrier.name : `Barrier ${request.barrierId}` };
+  if (!request.resolvedAt) view.waitingMs = Date.now() - Date.parse(request.createdAt);
+  return view;
+}
+
+function helpStatus(barrierId) {
+  const request = helpRequests.pending().find(r => r.barrierId === parseInt(barrierId, 10));
+  return request ? helpView(request) : null;
+}
+
+// request: { origin, point?, message? }. A press while one is pending is a
+// repeat: re-broadcast (the driver is still waiting) but not audited again.
+function requestHelp(barrierId, request, source, user = null) {
+  const barrier = BARRIERS[barrierId];
+  const { request: opened, repeat } = helpRequests.open({ barrierId, ...request });
+  const view = helpView(opened);
+  if (!repeat) {
+    helpOpened.inc({ barrier: barrierId, origin: opened.origin });
+    audit('help_requested', { barrier: barrier.name, barrierId, id: opened.id, origin: opened.origin, point: opened.point, message: opened.message }, source, user);
+  }
+  broadcast({ type: 'help_request', repeat, request: view });
+  return { request: view, repeat };
+}
+
+// A lifted outcome lifts first; if that fails the request stays pending
+async function resolveHelp(id, body, source, user = null) {
+  const { request, resolution } = helpRequests.check(id, body);
+  if (resolution.outcome === 'lifted') {
+    await latchBarrierAction(request.barrierId, 'lift', source, { user, reason: resolution.reason, helpRequest: id });
+  }
+  const resolved = helpRequests.resolve(id, resolution, user || source);
+  const view = helpView(resolved);
+  helpResponse.observe({ barrier: resolved.barrierId, outcome: resolved.outcome }, resolved.responseMs / 1000);
+  audit('help_resolved', {
+    barrier: view.barrier,
+    barrierId: resolved.barrierId,
+    id,
+    outcome: resolved.outcome,
+    reason: resolved.reason,
+    redirectTo: resolved.redirectTo,
+    responseSec: Math.round(resolved.responseMs / 1000),
+    presses: resolved.presses
+  }, source, user);
+  broadcast({ type: 'help_resolved', request: view });
+  return view;
+}
+
+events.on('barrier_input', ({ barrierId, signal, value, previous }) => {
+  if (signal === 'help' && value === true && previous === false) requestHelp(barrierId, { origin: 'input', point: 'input' }, 'help_point');
+});
+
+// ─── Open Too Long ──────────────────────────────────────────────────────────
+// A barrier that stays open past its openAlertMs raises one alarm per
+// opening. Holds and timed lifts keep barriers open on purpose and don't.
+const openAlertTimers = {};   // barrierId → timer
+
+events.on('barrier_state', ({ barrierId, state }) => {
+  clearTimeout(openAlertTimers[barrierId]);
+  delete openAlertTimers[barrierId];
+  const barrier = BARRIERS[barrierId];
+  if (state !== 'open' || !barrier) return;
+  const ms = barrier.openAlertMs !== undefined ? barrier.openAlertMs : OPEN_ALERT_MS;
+  if (!ms) return;
+  openAlertTimers[barrierId] = setTimeout(() => {
+    delete openAlertTimers[barrierId];
+    if (!BARRIERS[barrierId] || holds[barrierId] || timedCloses[barrierId]) return;
+    const details = { barrier: barrier.name, barrierId, openForSec: Math.round(ms / 1000) };
+    audit('barrier_left_open', details, 'system');
+    broadcast({ type: 'alarm', alarm: 'barrier_left_open', message: `${barrier.name} has been open for ${Math.round(ms / 60000)} min`, ...details });
+  }, ms);
+});
+
+// ─── Express App ────────────────────────────────────────────────────────────
+const app = express();
+app.use(cors());
+app.use(express.json());
+app.use(express.static(path.join(__dirname, 'public')));
+
+// ─── Authentication ─────────────────────────────────────────────────────────
+const auth = createAuth({ store, apiKey: API_KEY, log });
+auth.bootstrap(ADMIN_USER, ADMIN_PASSWORD);
+
+// Every API call needs an identity (the UI's assets don't). Browser sessions
+// are the UI; API clients may label themselves with X-Source (mcp, scripts),
+// but the audit trail records who they authenticated as.
+function apiAuth(req, res, next) {
+  if (!req.path.startsWith('/api/') || req.path === '/api/auth/login') return next();
+  const result = auth.authenticate(req);
+  if (!result) return res.status(401).json({ error: 'Authentication required' });
+  req.user = result.identity;
+  req.source = result.method === 'session' ? 'ui' : req.headers['x-source'] || 'api';
+  next();
+}
+app.use(apiAuth);
+
+// /api/sites/:site/<route> is <route> for that site: the prefix comes off here
+// and the site is kept in req.site
+app.use((req, res, next) => {
+  const m = /^\/api\/sites\/([^/?]+)(\/[^?]*)(\?.*)?$/.exec(req.url);
+  if (!m) return next();
+  req.site = decodeURIComponent(m[1]);
+  if (!SITES[req.site]) return res.status(404).json({ error: `No site ${req.site}` });
+  if (!canAccessSite(req.user, req.site)) return res.status(403).json({ error: `No access to site ${req.site}` });
+  req.url = `/api${m[2]}${m[3] || ''}`;
+  next();
+});
+
+// Routes about a site's barriers act on the default site without the prefix.
+// Accounts, tokens, webhooks, permits, the audit log and the event stream are
+// server-wide; so is emergency off unless given a site.
+app.use(['/api/status', '/api/barrier', '/api/schedules', '/api/anpr', '/api/occupancy', '/api/help', '/api/reports', '/api/boards', '/api/outputs'], (req, res, next) => {
+  if (req.site !== undefined) return next();
+  req.site = defaultSite;
+  if (!canAccessSite(req.user, req.site)) return res.status(403).json({ error: `No access to site ${req.site}` });
+  next();
+});
+
+function inSite(req, barrierId) {
+  return !!BARRIERS[barrierId] && BARRIERS[barrierId].site === req.site;
+}
+
+// Role check; with `barrierParam`, the barrier in :id must be in the caller's
+// scope and at the request's site
+function requireRole(role, { barrierParam = false } = {}) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, role)) return res.status(403).json({ error: `Requires ${role} role` });
+    if (barrierParam && !canAccess(req.user, req.params.id)) {
+      return res.status(403).json({ error: `No access to barrier ${req.params.id}` });
+    }
+    if (barrierParam && BARRIERS[req.params.id] && !inSite(req, req.params.id)) {
+      return res.status(400).json({ error: `Barrier ${req.params.id} is not at ${siteName(req.site)}` });
+    }
+    next();
+  };
+}
+
+function auditUser(req) {
+  return req.user.type === 'anonymous' ? null : req.user.name;
+}
+
+function sessionCookie(value, maxAgeSec) {
+  return `${SESSION_COOKIE}=${value}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAgeSec}`;
+}
+
+app.post('/api/auth/login', (req, res) => {
+  try {
+    const { sid, identity } = auth.login(req.body || {});
+    res.setHeader('Set-Cookie', sessionCookie(sid, SESSION_TTL_MS / 1000));
+    audit('login', { role: identity.role }, 'ui', identity.name);
+    res.json({ success: true, user: identity });
+  } catch (err) {
+    if (err.status === 401) audit('login_failed', { username: (req.body && req.body.username) || null, ip: req.ip }, 'ui');
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  auth.logout(req);
+  res.setHeader('Set-Cookie', sessionCookie('', 0));
+  audit('logout', {}, req.source, auditUser(req));
+  res.json({ success: true });
+});
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: req.user, authEnabled: auth.enabled() });
+});
+
+// Users and API tokens — admin only
+function adminRoute(action, fn) {
+  return [requireRole('admin'), (req, res) => {
+    try {
+      const result = fn(req);
+      const { token, secret, ...details } = result;   // never log a token or webhook secret
+      audit(action, details, req.source, auditUser(req));
+      res.json({ success: true, result });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }];
+}
+
+app.get('/api/users', requireRole('admin'), (req, res) => res.json(auth.listUsers()));
+app.post('/api/users', adminRoute('user_added', req => auth.addUser(req.body)));
+app.put('/api/users/:username', adminRoute('user_updated', req => auth.updateUser(req.params.username, req.body)));
+app.delete('/api/users/:username', adminRoute('user_deleted', req => auth.deleteUser(req.params.username)));
+app.get('/api/tokens', requireRole('admin'), (req, res) => res.json(auth.listTokens()));
+app.post('/api/tokens', adminRoute('token_created', req => auth.addToken(req.body, req.user.name)));
+app.delete('/api/tokens/:id', adminRoute('token_deleted', req => auth.deleteToken(req.params.id)));
+
+// Prometheus scrape. Once auth is on it needs a token like the API does
+// (any role) — give the scrape job a viewer token as its bearer token.
+app.get('/metrics', (req, res) => {
+  if (!auth.authenticate(req)) return res.status(401).type('text/plain').send('Authentication required\n');
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// Sites the caller may see
+app.get('/api/sites', (req, res) => {
+  res.json(siteList().filter(site => canAccessSite(req.user, site.key)).map(site => ({
+    ...site,
+    boards: Object.keys(BOARDS).filter(key => BOARDS[key].site === site.key),
+    barriers: Object.keys(BARRIERS).filter(id => BARRIERS[id].site === site.key).map(Number)
+  })));
+});
+
+// SSE endpoint — real-time event stream
+app.get('/api/events', (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.write(`data: ${JSON.stringify({ type: 'connected' })}\n\n`);
+  res.site = req.site || null;
+  res.user = req.user;
+  sseClients.add(res);
+  req.on('close', () => sseClients.delete(res));
+});
+
+// Status
+app.get('/api/status', async (req, res) => {
+  try {
+    // Refresh coils from the site's reachable boards
+    for (const [boardKey, cfg] of Object.entries(BOARDS)) {
+      const state = boardState[boardKey];
+      if (state.reachable && cfg.site === req.site) {
+        try {
+          state.coils = await readCoils(boardKey, 0, cfg.channels);
+        } catch (e) { state.reachable = false; }
+      }
+    }
+    const status = getFullStatus(req.site);
+    status.barriers = status.barriers.filter(b => canAccess(req.user, b.id));
+    status.sites = status.sites.filter(site => canAccessSite(req.user, site.key));
+    res.json(status);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Hold open / lock closed — body: { mode: 'open'|'closed', reason, owner?, duration? }
+app.post('/api/barrier/:id/hold', requireRole('supervisor', { barrierParam: true }), async (req, res) => {
+  const barrierId = parseInt(req.params.id);
+  const barrier = BARRIERS[barrierId];
+  if (!barrier) return res.status(400).json({ error: `Unknown barrier: ${barrierId}` });
+  const { mode, reason, owner, duration } = req.body || {};
+  if (!HOLD_MODES[mode]) return res.status(400).json({ error: 'mode must be "open" or "closed"' });
+  if (!reason || typeof reason !== 'string' || !reason.trim()) return res.status(400).json({ error: 'reason is required' });
+
+  try {
+    const durationSec = parseDuration(duration);
+    // Without accounts there is no identity to own the hold, so trust the body
+    const holder = req.user.type === 'anonymous' ? owner || req.source : req.user.name;
+    const hold = await placeHold(barrierId, { mode, reason: reason.trim(), owner: holder, durationSec }, req.source, auditUser(req));
+    audit('hold_placed', { barrier: barrier.name, barrierId, ...hold }, req.source, auditUser(req));
+    res.json({ success: true, barrier: barrier.name, hold });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/barrier/:id/hold', requireRole('supervisor', { barrierParam: true }), (req, res) => {
+  const barrierId = parseInt(req.params.id);
+  const barrier = BARRIERS[barrierId];
+  if (!barrier) return res.status(400).json({ error: `Unknown barrier: ${barrierId}` });
+  const hold = releaseHold(barrierId);
+  if (!hold) return res.status(404).json({ error: `${barrier.name} is not held` });
+  audit('hold_released', { barrier: barrier.name, barrierId, mode: hold.mode, owner: hold.owner, reason: hold.reason }, req.source, auditUser(req));
+  res.json({ success: true, barrier: barrier.name });
+});
+
+// Barrier action — body (optional): { duration?, reason? }
+app.post('/api/barrier/:id/:action', requireRole('operator', { barrierParam: true }), async (req, res) => {
+  const barrierId = parseInt(req.params.id);
+  const action = req.params.action.toLowerCase();
+
+  const barrier = BARRIERS[barrierId];
+  if (!barrier) return res.status(400).json({ error: `Unknown barrier: ${barrierId}` });
+  if (!['lift', 'close', 'stop'].includes(action)) return res.status(400).json({ error: `Unknown action: ${action}` });
+
+  try {
+    // Seconds, in the JSON body or as ?duration= — lift only
+    const durationSec = parseDuration((req.body && req.body.duration) ?? req.query.duration);
+    if (durationSec && action !== 'lift') return res.status(400).json({ error: 'duration only applies to lift' });
+    const reason = req.body && req.body.reason;
+    if (reason !== undefined && typeof reason !== 'string') return res.status(400).json({ error: 'reason must be a string' });
+    await latchBarrierAction(barrierId, action, req.source, { durationSec, user: auditUser(req), reason: reason && reason.trim() });
+    const result = { success: true, barrier: barrier.name, action, channel: barrier[action] + 1 };
+    if (durationSec) result.timedClose = timedCloseStatus(barrierId);
+    res.json(result);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Cancel a pending timed close — the barrier stays up
+app.delete('/api/barrier/:id/timed-close', requireRole('operator', { barrierParam: true }), (req, res) => {
+  const barrierId = parseInt(req.params.id);
+  const barrier = BARRIERS[barrierId];
+  if (!barrier) return res.status(400).json({ error: `Unknown barrier: ${barrierId}` });
+  const entry = clearTimedClose(barrierId);
+  if (!entry) return res.status(404).json({ error: `No timed close pending for ${barrier.name}` });
+  audit('timed_close_cancelled', { barrier: barrier.name, barrierId, closeAt: new Date(entry.closeAt).toISOString() }, req.source, auditUser(req));
+  res.json({ success: true, barrier: barrier.name });
+});
+
+// Emergency off — every site, or one under /api/sites/:site/emergency-off.
+// It switches off whole boards, so it needs every barrier in scope.
+app.post('/api/emergency-off', requireRole('supervisor'), async (req, res) => {
+  if (!canAccess(req.user, '*')) return res.status(403).json({ error: 'Emergency off needs access to every barrier' });
+  if (req.site === undefined && !Object.keys(SITES).every(site => canAccessSite(req.user, site))) {
+    return res.status(403).json({ error: 'No access to every site — turn off one site at a time' });
+  }
+  try {
+    await emergencyOff(req.source, auditUser(req), req.site || null);
+    res.json({ success: true, action: 'emergency-off', site: req.site || null });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Auxiliary outputs at the site. They aren't any one barrier's, so switching
+// them needs an identity that isn't limited to some barriers.
+app.get('/api/outputs', (req, res) => {
+  res.json(outputList(req.site));
+});
+
+// Output action — on | off | pulse, per the output's mode; body (optional):
+// { duration? } for a timed output
+app.post('/api/outputs/:key/:action', requireRole('operator'), async (req, res) => {
+  const output = OUTPUTS[req.params.key];
+  if (!output) return res.status(404).json({ error: `Unknown output: ${req.params.key}` });
+  if (output.site !== req.site) return res.status(400).json({ error: `Output ${req.params.key} is not at ${siteName(req.site)}` });
+  if (!canAccess(req.user, '*')) return res.status(403).json({ error: 'No access to outputs' });
+  const action = req.params.action.toLowerCase();
+  if (!['on', 'off', 'pulse'].includes(action)) return res.status(400).json({ error: `Unknown action: ${action}` });
+
+  try {
+    const durationSec = parseDuration((req.body && req.body.duration) ?? req.query.duration);
+    await switchOutput(req.params.key, action, req.source, { durationSec, user: auditUser(req) });
+    res.json({ success: true, action, output: outputStatus(req.params.key) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Audit log — ?from=&to= (ISO), barrier= (id or name), action=, source=,
+// user= (comma lists allowed), limit=, offset= (newest first), format=csv
+const MAX_AUDIT_PAGE = 1000;
+
+function auditFilter(query) {
+  const list = (v) => (v ? String(v).split(',').map(x => x.trim()).filter(Boolean) : null);
+  const time = (v, name) => {
+    if (!v) return null;
+    const t = new Date(v);
+    if (isNaN(t)) { const err = new Error(`${name} is not a valid date`); err.status = 400; throw err; }
+    return t.toISOString();
+  };
+  return {
+    from: time(query.from, 'from'),
+    to: time(query.to, 'to'),
+    barrier: query.barrier || null,
+    actions: list(query.action),
+    sources: list(query.source),
+    user: query.user || null
+  };
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+app.get('/api/audit', async (req, res) => {
+  try {
+    const filter = { ...auditFilter(req.query), visible: entry => visibleTo(req.user, entry) };
+    const csv = req.query.format === 'csv';
+    const offset = Math.max(parseInt(req.query.offset || '0', 10) || 0, 0);
+    // A CSV export takes everything that matches unless told otherwise
+    const limit = req.query.limit ? Math.min(Math.max(parseInt(req.query.limit, 10) || 1, 1), csv ? Infinity : MAX_AUDIT_PAGE)
+      : csv ? Infinity : 100;
+    const { total, entries } = await auditLog.query(filter, { offset, limit });
+    res.setHeader('X-Total-Count', String(total));
+
+    if (!csv) return res.json(entries);
+    const columns = ['seq', 'timestamp', 'action', 'source', 'user', 'barrier', 'details', 'hash'];
+    const rows = entries.map(e => [e.seq, e.timestamp, e.action, e.source, e.user, e.details && e.details.barrier, e.details, e.hash].map(csvField).join(','));
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.send([columns.join(','), ...rows].join('\r\n') + '\r\n');
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Re-checks the whole hash chain — edited, deleted or reordered lines. Reads
+// every file, so it is kept to supervisors, and as a read it isn't audited.
+app.get('/api/audit/verify', requireRole('supervisor'), async (req, res) => {
+  try {
+    res.json(await auditLog.verify());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Schedules — rules, one-off overrides and bank holidays. A rule or override
+// belongs to the site it was made at; older ones without a site show at every
+// site whose barriers they cover.
+function scheduleAtSite(item, site) {
+  if (item.site) return item.site === site;
+  return item.barriers === '*' || item.barriers.some(id => BARRIERS[id] && BARRIERS[id].site === site);
+}
+
+app.get('/api/schedules', (req, res) => {
+  const { rules, overrides, holidays } = scheduler.list();
+  res.json({ rules: rules.filter(r => scheduleAtSite(r, req.site)), overrides: overrides.filter(o => scheduleAtSite(o, req.site)), holidays });
+});
+
+app.get('/api/schedules/upcoming', (req, res) => {
+  const hours = Math.min(Math.max(parseInt(req.query.hours || '48') || 48, 1), 24 * 31);
+  res.json(scheduler.upcoming(hours)
+    .map(t => ({ ...t, barriers: t.barriers.filter(id => inSite(req, id)) }))
+    .filter(t => t.barriers.length > 0));
+});
+
+// New rules and overrides get the request's site; a change may not move one
+// to another site or name barriers elsewhere. Returns an error response or null.
+function checkScheduleSite(req) {
+  if (req.path.endsWith('/holidays')) return null;
+  const { rules, overrides } = scheduler.list();
+  const existing = [...rules, ...overrides].find(x => x.id === req.params.id);
+  if (req.params.id && existing && !scheduleAtSite(existing, req.site)) return [404, `No schedule entry ${req.params.id} at ${siteName(req.site)}`];
+  const body = req.body;
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return null;
+  if (req.method === 'POST' && body.site === undefined) body.site = req.site;
+  const site = body.site !== undefined ? body.site : existing && existing.site;
+  if (site !== undefined && site !== req.site) return [400, `site must be ${req.site}`];
+  const elsewhere = Array.isArray(body.barriers) ? body.barriers.filter(id => BARRIERS[id] && !inSite(req, id)) : [];
+  if (elsewhere.length) return [400, `Barrier ${elsewhere.join(', ')} is not at ${siteName(req.site)}`];
+  return null;
+}
+
+// Barriers a schedule change touches: what the body asks for and what the
+// rule or override covered before. Holidays affect every rule, hence '*'.
+function scheduleScope(req) {
+  if (req.path.endsWith('/holidays')) return ['*'];
+  const { rules, overrides } = scheduler.list();
+  const existing = [...rules, ...overrides].find(x => x.id === req.params.id);
+  return [req.body && req.body.barriers, existing && existing.barriers].filter(Boolean);
+}
+
+// Wraps a scheduler mutation: checks scope, runs it, audits it, reports validation errors
+function scheduleRoute(action, fn) {
+  return [requireRole('supervisor'), (req, res) => {
+    if (!scheduleScope(req).every(barriers => canAccess(req.user, barriers))) {
+      return res.status(403).json({ error: 'Schedule covers barriers outside your access' });
+    }
+    const wrongSite = checkScheduleSite(req);
+    if (wrongSite) return res.status(wrongSite[0]).json({ error: wrongSite[1] });
+    try {
+      const result = fn(req);
+      const details = Array.isArray(result) ? { count: result.length } : { id: result.id, name: result.name || result.reason, action: result.action };
+      audit(action, details, req.source, auditUser(req));
+      res.json({ success: true, result });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }];
+}
+
+app.post('/api/schedules/rules', scheduleRoute('schedule_rule_added', req => scheduler.addRule(req.body)));
+app.put('/api/schedules/rules/:id', scheduleRoute('schedule_rule_updated', req => scheduler.updateRule(req.params.id, req.body)));
+app.delete('/api/schedules/rules/:id', scheduleRoute('schedule_rule_deleted', req => scheduler.deleteRule(req.params.id)));
+app.post('/api/schedules/overrides', scheduleRoute('schedule_override_added', req => scheduler.addOverride(req.body)));
+app.delete('/api/schedules/overrides/:id', scheduleRoute('schedule_override_deleted', req => scheduler.deleteOverride(req.params.id)));
+app.put('/api/schedules/holidays', scheduleRoute('schedule_holidays_updated', req => scheduler.setHolidays(Array.isArray(req.body) ? req.body : req.body.holidays)));
+
+// Webhooks — admin only, since subscriptions hold their signing secrets.
+// The secret is in the POST response and nowhere else.
+app.get('/api/webhooks', requireRole('admin'), (req, res) => res.json(webhooks.list()));
+app.post('/api/webhooks', adminRoute('webhook_added', req => webhooks.add(req.body)));
+app.put('/api/webhooks/:id', adminRoute('webhook_updated', req => webhooks.update(req.params.id, req.body)));
+app.delete('/api/webhooks/:id', adminRoute('webhook_deleted', req => webhooks.remove(req.params.id)));
+
+app.post('/api/webhooks/:id/test', requireRole('admin'), (req, res) => {
+  try {
+    res.json({ success: true, delivery: webhooks.test(req.params.id) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Delivery log, newest first: ?webhook=&event=&status=pending|retrying|delivered|failed&limit=
+app.get('/api/webhooks/deliveries', requireRole('admin'), (req, res) => {
+  const { webhook, event, status } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+  res.json(webhooks.deliveryLog({ webhook, event, status }, limit));
+});
+
+app.post('/api/webhooks/deliveries/:id/redeliver', requireRole('admin'), (req, res) => {
+  try {
+    res.json({ success: true, delivery: webhooks.redeliver(req.params.id) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ANPR — plate reads from cameras. body: { plate, barrier? | camera?,
+// confidence?, timestamp? (audited, not decided on) }; a camera listed in a barrier's `cameras` config
+// needn't name the barrier. A denial is a normal answer, not an error.
+app.post('/api/anpr/read', requireRole('operator'), async (req, res) => {
+  const { plate, barrier, camera, confidence, timestamp } = req.body || {};
+  if (!plate || typeof plate !== 'string') return res.status(400).json({ error: 'plate is required' });
+  let barrierId = parseInt(barrier, 10);
+  if (barrier === undefined && camera) {
+    barrierId = barrierForCamera(String(camera), req.site);
+    if (barrierId === null) return res.status(400).json({ error: `Camera ${camera} is not assigned to a barrier at ${siteName(req.site)}` });
+  }
+  if (!BARRIERS[barrierId]) return res.status(400).json({ error: `Unknown barrier: ${barrier}` });
+  if (!inSite(req, barrierId)) return res.status(400).json({ error: `Barrier ${barrierId} is not at ${siteName(req.site)}` });
+  if (!canAccess(req.user, barrierId)) return res.status(403).json({ error: `No access to barrier ${barrierId}` });
+  if (confidence !== undefined && typeof confidence !== 'number') return res.status(400).json({ error: 'confidence must be a number' });
+  const readAt = timestamp ? new Date(timestamp) : null;
+  if (readAt && isNaN(readAt)) return res.status(400).json({ error: 'timestamp is not a valid date' });
+
+  const decision = await handlePlateRead({ plate, barrierId, camera: camera ? String(camera) : null, confidence, readAt: readAt && readAt.toISOString() }, 'anpr', auditUser(req));
+  if (decision.error) {
+    const { status, ...body } = decision;
+    return res.status(status).json(body);
+  }
+  res.json({ success: true, barrier: BARRIERS[barrierId].name, ...decision });
+});
+
+// Permits — the plate whitelist. A permit is in scope when its barriers are,
+// and so are their sites; '*' needs every barrier at every site.
+function permitInScope(user, barriers) {
+  if (!canAccess(user, barriers)) return false;
+  const sites = barriers === '*' ? Object.keys(SITES) : [].concat(barriers).filter(id => BARRIERS[id]).map(id => BARRIERS[id].site);
+  return sites.every(site => canAccessSite(user, site));
+}
+
+app.get('/api/access/permits', requireRole('supervisor'), (req, res) => {
+  res.json(accessControl.list({ plate: req.query.plate }).filter(p => permitInScope(req.user, p.barriers)));
+});
+
+// What a read would get, without lifting anything: ?plate=&barrier=&at=. The
+// barrier must be in scope, as for a read or a permit change.
+app.get('/api/access/check', requireRole('supervisor'), (req, res) => {
+  const barrierId = parseInt(req.query.barrier, 10);
+  if (!req.query.plate) return res.status(400).json({ error: 'plate is required' });
+  if (!BARRIERS[barrierId]) return res.status(400).json({ error: `Unknown barrier: ${req.query.barrier}` });
+  if (req.site !== undefined && !inSite(req, barrierId)) return res.status(400).json({ error: `Barrier ${barrierId} is not at ${siteName(req.site)}` });
+  if (!canAccess(req.user, barrierId) || !canAccessSite(req.user, BARRIERS[barrierId].site)) {
+    return res.status(403).json({ error: `No access to barrier ${barrierId}` });
+  }
+  const at = req.query.at ? new Date(req.query.at) : new Date();
+  if (isNaN(at)) return res.status(400).json({ error: 'at is not a valid date' });
+  res.json(accessControl.decide(req.query.plate, barrierId, at));
+});
+
+// Wraps a permit change like scheduleRoute: the barriers before and after must be in scope
+function permitRoute(action, fn) {
+  return [requireRole('supervisor'), (req, res) => {
+    const existing = req.params.id && accessControl.list().find(p => p.id === req.params.id);
+    const scope = [req.body && req.body.barriers, existing && existing.barriers].filter(Boolean);
+    if (!scope.every(barriers => permitInScope(req.user, barriers))) {
+      return res.status(403).json({ error: 'Permit covers barriers outside your access' });
+    }
+    try {
+      const permit = fn(req);
+      audit(action, { id: permit.id, plate: permit.plate, holder: permit.holder || null, barriers: permit.barriers }, req.source, auditUser(req));
+      res.json({ success: true, result: permit });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }];
+}
+
+app.post('/api/access/permits', permitRoute('permit_added', req => accessControl.add(req.body)));
+app.put('/api/access/permits/:id', permitRoute('permit_updated', req => accessControl.update(req.params.id, req.body)));
+app.delete('/api/access/permits/:id', permitRoute('permit_deleted', req => accessControl.remove(req.params.id)));
+
+// Reports — aggregates from lib/analytics. ?from=&to= (YYYY-MM-DD, inclusive,
+// or ISO times; default the last 7 days), group=hour|day|month|total,
+// barrier= (comma list), by=source|user (actions only), format=csv
+app.get('/api/reports', (req, res) => {
+  res.json(Object.entries(REPORTS).map(([id, description]) => ({ id, description })));
+});
+
+function reportRange(query) {
+  const parse = (value, name, endOfDay) => {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      const d = new Date(`${value}T00:00:00`);
+      if (endOfDay) d.setDate(d.getDate() + 1);
+      return d.getTime();
+    }
+    const t = Date.parse(value);
+    if (isNaN(t)) { const err = new Error(`${name} is not a valid date`); err.status = 400; throw err; }
+    return t;
+  };
+  const to = query.to ? parse(query.to, 'to', true) : Date.now();
+  const weekAgo = new Date(to);
+  weekAgo.setHours(0, 0, 0, 0);
+  weekAgo.setDate(weekAgo.getDate() - 6);
+  const from = query.from ? parse(query.from, 'from', false) : weekAgo.getTime();
+  return { from, to };
+}
+
+app.get('/api/reports/:report', (req, res) => {
+  try {
+    const { from, to } = reportRange(req.query);
+    const group = req.query.group || 'day';
+    const by = req.query.by || 'source';
+    if (!REPORT_GROUPS.includes(group)) return res.status(400).json({ error: `group must be one of ${REPORT_GROUPS.join(', ')}` });
+    if (!['source', 'user'].includes(by)) return res.status(400).json({ error: 'by must be source or user' });
+    const barriers = req.query.barrier ? String(req.query.barrier).split(',').map(id => parseInt(id, 10)) : null;
+
+    // Barriers and boards since removed from the config count at the default site
+    const atSite = (entry) => (entry ? entry.site === req.site : req.site === defaultSite);
+    const rows = analytics.report(req.params.report, { from, to, group, barriers, by })
+      .filter(r => (r.barrierId === undefined ? atSite(BOARDS[r.board]) : atSite(BARRIERS[r.barrierId]) && canAccess(req.user, r.barrierId)))
+      .map(({ period, barrierId, board, ...rest }) => (board !== undefined
+        ? { period, board, name: BOARDS[board] ? BOARDS[board].name : board, ...rest }
+        : { period, barrierId, barrier: BARRIERS[barrierId] ? BARRIERS[barrierId].name : `Barrier ${barrierId}`, ...rest }))
+      .sort((a, b) => a.period.localeCompare(b.period) || String(a.barrierId ?? a.board).localeCompare(String(b.barrierId ?? b.board), undefined, { numeric: true }));
+
+    if (req.query.format !== 'csv') {
+      return res.json({ report: req.params.report, from: new Date(from).toISOString(), to: new Date(to).toISOString(), group, rows });
+    }
+    const columns = rows.length ? Object.keys(rows[0]) : ['period'];
+    const lines = rows.map(r => columns.map(c => csvField(r[c])).join(','));
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="report-${req.params.report}-${new Date(from).toISOString().slice(0, 10)}.csv"`);
+    res.send([columns.join(','), ...lines].join('\r\n') + '\r\n');
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Occupancy — the count, daily history and corrections
+app.get('/api/occupancy', (req, res) => {
+  res.json(occupancyFor(req.site).status());
+});
+
+// ?from=&to= (YYYY-MM-DD, inclusive; default the last 31 days)
+app.get('/api/occupancy/history', (req, res) => {
+  const day = /^\d{4}-\d{2}-\d{2}$/;
+  if ([req.query.from, req.query.to].some(d => d && !day.test(d))) return res.status(400).json({ error: 'from and to must be YYYY-MM-DD' });
+  const from = req.query.from || new Date(Date.now() - 30 * 86400000).toISOString().slice(0, 10);
+  res.json(occupancyFor(req.site).history(from, req.query.to));
+});
+
+// body: { count } or { delta }, and a reason
+app.put('/api/occupancy', requireRole('operator'), (req, res) => {
+  const { count, delta, reason } = req.body || {};
+  const occupancy = occupancyFor(req.site);
+  try {
+    const wasFull = occupancy.full();
+    const result = occupancy.correct({ count, delta });
+    audit('occupancy_corrected', { site: req.site, ...result, reason: reason || null }, req.source, auditUser(req));
+    occupancyChanged(req.site, wasFull, { corrected: true });
+    res.json({ success: true, occupancy: occupancy.status() });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Let automatic lifts into a full car park — body: { reason, duration? (seconds) }
+app.put('/api/occupancy/override', requireRole('supervisor'), (req, res) => {
+  const { reason, duration } = req.body || {};
+  if (!reason || typeof reason !== 'string' || !reason.trim()) return res.status(400).json({ error: 'reason is required' });
+  try {
+    const durationSec = parseDuration(duration);
+    const until = durationSec ? new Date(Date.now() + durationSec * 1000).toISOString() : null;
+    const occupancy = occupancyFor(req.site);
+    const override = occupancy.setOverride({ reason: reason.trim(), by: auditUser(req) || req.source, until });
+    audit('capacity_override_set', { site: req.site, ...override }, req.source, auditUser(req));
+    occupancyChanged(req.site, occupancy.full(), {});
+    res.json({ success: true, override });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/occupancy/override', requireRole('supervisor'), (req, res) => {
+  const occupancy = occupancyFor(req.site);
+  const override = occupancy.clearOverride();
+  if (!override) return res.status(404).json({ error: 'No capacity override in effect' });
+  audit('capacity_override_cleared', { site: req.site, reason: override.reason, by: override.by }, req.source, auditUser(req));
+  occupancyChanged(req.site, occupancy.full(), {});
+  res.json({ success: true });
+});
+
+// Help requests — pending oldest first, then the latest resolved (?limit=)
+app.get('/api/help', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const scoped = requests => requests.filter(r => inSite(req, r.barrierId) && canAccess(req.user, r.barrierId)).map(helpView);
+  res.json({ pending: scoped(helpRequests.pending()), resolved: scoped(helpRequests.resolved(limit)) });
+});
+
+// An HTTP help point (intercom, kiosk) — body: { barrier, point?, message? }.
+// Queuing a request lifts nothing, so a viewer token will do.
+app.post('/api/help', requireRole('viewer'), (req, res) => {
+  const { barrier, point, message } = req.body || {};
+  const barrierId = parseInt(barrier, 10);
+  if (!BARRIERS[barrierId]) return res.status(400).json({ error: `Unknown barrier: ${barrier}` });
+  if (!inSite(req, barrierId)) return res.status(400).json({ error: `Barrier ${barrierId} is not at ${siteName(req.site)}` });
+  if (!canAccess(req.user, barrierId)) return res.status(403).json({ error: `No access to barrier ${barrierId}` });
+  if ([point, message].some(v => v !== undefined && typeof v !== 'string')) return res.status(400).json({ error: 'point and message must be strings' });
+  const result = requestHelp(barrierId, { origin: 'api', point: point || auditUser(req) || req.source, message: message || null }, req.source, auditUser(req));
+  res.status(result.repeat ? 200 : 201).json({ success: true, ...result });
+});
+
+// body: { outcome: 'lifted'|'refused'|'redirected', reason, redirectTo? }
+app.post('/api/help/:id/resolve', requireRole('operator'), async (req, res) => {
+  const request = helpRequests.pending().find(r => r.id === req.params.id);
+  if (request && !inSite(req, request.barrierId)) return res.status(404).json({ error: `No help request ${req.params.id} at ${siteName(req.site)}` });
+  if (request && !canAccess(req.user, request.barrierId)) return res.status(403).json({ error: `No access to barrier ${request.barrierId}` });
+  try {
+    const resolved = await resolveHelp(req.params.id, req.body, req.source, auditUser(req));
+    res.json({ success: true, request: resolved });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ─── Board Diagnostics ──────────────────────────────────────────────────────
+// Probes a board on sockets of its own (lib/diagnostics) and returns the raw
+// frames and timings. `exclusive` drops the live connection and holds the
+// board lock meanwhile, for boards that take one client at a time — barrier
+// commands wait until it's done. The write probe always runs exclusively, so
+// no command can change the relay between its read and the write-back.
+const diagnosing = new Set();
+
+// The board in :key if it's at the request's site; otherwise responds and
+// returns null
+function boardAtSite(req, res) {
+  const cfg = BOARDS[req.params.key];
+  if (!cfg) res.status(404).json({ error: `Unknown board: ${req.params.key}` });
+  else if (cfg.site !== req.site) res.status(400).json({ error: `Board ${req.params.key} is not at ${siteName(req.site)}` });
+  else return cfg;
+  return null;
+}
+
+// body: { unitIds?, timeoutMs?, exclusive?, write?: { channel } }
+app.post('/api/boards/:key/diagnose', requireRole('admin'), async (req, res) => {
+  const boardKey = req.params.key;
+  const cfg = boardAtSite(req, res);
+  if (!cfg) return;
+  if (diagnosing.has(boardKey)) return res.status(409).json({ error: `${cfg.name} is already being diagnosed` });
+  try {
+    const options = parseDiagnoseOptions(req.body, cfg.channels);
+    const exclusive = !!(options.exclusive || options.write);
+    diagnosing.add(boardKey);
+    let report;
+    try {
+      report = exclusive
+        ? await withBoardLock(boardKey, () => { connections[boardKey].reset(); return diagnose(cfg, options); })
+        : await diagnose(cfg, options);
+    } finally {
+      diagnosing.delete(boardKey);
+    }
+    const state = boardState[boardKey];
+    audit('board_diagnosed', {
+      board: boardKey, site: cfg.site, exclusive, write: options.write ? options.write.channel : null, advice: report.summary.advice
+    }, req.source, auditUser(req));
+    res.json({
+      board: boardKey,
+      name: cfg.name,
+      site: cfg.site,
+      configured: { unitId: cfg.unitId, channels: cfg.channels, inputs: cfg.inputs },
+      live: { reachable: state.reachable, mode: boardMode(boardKey), multiCoilWrite: state.multiCoilWrite, exclusive },
+      ...report
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ─── Traffic Capture ────────────────────────────────────────────────────────
+// Records a board's raw Modbus frames until stopped (lib/traffic-capture).
+// Download as JSON, or ?format=pcap; replay a JSON capture offline with
+// node lib/traffic-capture.js replay <file>.
+
+// body: { size? } — records kept, oldest dropped first. Restarting clears.
+app.put('/api/boards/:key/capture', requireRole('admin'), (req, res) => {
+  const cfg = boardAtSite(req, res);
+  if (!cfg) return;
+  const size = (req.body && req.body.size) ?? CAPTURE_SIZE;
+  if (!Number.isInteger(size) || size < 1 || size > MAX_CAPTURE_SIZE) {
+    return res.status(400).json({ error: `size must be a whole number from 1 to ${MAX_CAPTURE_SIZE}` });
+  }
+  captures[req.params.key] = createTrafficCapture({ size });
+  audit('capture_started', { board: req.params.key, site: cfg.site, size }, req.source, auditUser(req));
+  res.json({ success: true, board: req.params.key, size });
+});
+
+app.get('/api/boards/:key/capture', requireRole('admin'), (req, res) => {
+  if (!boardAtSite(req, res)) return;
+  const capture = captures[req.params.key];
+  if (!capture) return res.status(404).json({ error: `Board ${req.params.key} is not being captured` });
+  const name = `${req.params.key}-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  if (req.query.format === 'pcap') {
+    res.set('Content-Disposition', `attachment; filename="${name}.pcap"`);
+    return res.type('application/vnd.tcpdump.pcap').send(capture.toPcap());
+  }
+  if (req.query.format && req.query.format !== 'json') return res.status(400).json({ error: 'format must be json or pcap' });
+  if (req.query.format) res.set('Content-Disposition', `attachment; filename="${name}.json"`);
+  res.json({ board: req.params.key, ...capture.toJSON() });
+});
+
+// Stops recording and discards the capture — download it first
+app.delete('/api/boards/:key/capture', requireRole('admin'), (req, res) => {
+  const cfg = boardAtSite(req, res);
+  if (!cfg) return;
+  const capture = captures[req.params.key];
+  if (!capture) return res.status(404).json({ error: `Board ${req.params.key} is not being captured` });
+  delete captures[req.params.key];
+  audit('capture_stopped', { board: req.params.key, site: cfg.site, recorded: capture.recorded }, req.source, auditUser(req));
+  res.json({ success: true });
+});
+
+// ─── Relay Channels ─────────────────────────────────────────────────────────
+// Any channel of a board switched by hand, barrier relays included — for
+// commissioning and wiring checks. See setChannel.
+
+// body: { on: true|false }
+app.put('/api/boards/:key/channels/:channel', requireRole('admin'), async (req, res) => {
+  const cfg = boardAtSite(req, res);
+  if (!cfg) return;
+  const channel = Number(req.params.channel);
+  if (!Number.isInteger(channel) || channel < 1 || channel > cfg.channels) {
+    return res.status(400).json({ error: `channel must be from 1 to ${cfg.channels}` });
+  }
+  const on = req.body && req.body.on;
+  if (typeof on !== 'boolean') return res.status(400).json({ error: 'on must be true or false' });
+  try {
+    const label = await setChannel(req.params.key, channel - 1, on, req.source, auditUser(req));
+    res.json({ success: true, board: req.params.key, channel, on, label });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Simulator control — only in simulator mode
+function simulatorFor(req, res) {
+  const sim = simulators[req.params.board];
+  if (!sim) res.status(404).json({ error: `No simulated board ${req.params.board}` });
+  return sim;
+}
+
+if (SIMULATOR) {
+  app.get('/api/simulator', (req, res) => {
+    const boards = {};
+    for (const [key, sim] of Object.entries(simulators)) boards[key] = sim.status();
+    res.json(boards);
+  });
+
+  // Loop detectors and limit switches — input is 1-based like the config
+  app.put('/api/simulator/:board/inputs/:input', requireRole('admin'), (req, res) => {
+    const sim = simulatorFor(req, res);
+    if (!sim) return;
+    try {
+      sim.setInput(parseInt(req.params.input, 10) - 1, !!(req.body && req.body.active));
+      res.json({ success: true, inputs: sim.status().inputs });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // body: { type: timeout|crc|exception|drop, count?, fc?, code? }
+  app.post('/api/simulator/:board/faults', requireRole('admin'), (req, res) => {
+    const sim = simulatorFor(req, res);
+    if (!sim) return;
+    try {
+      const fault = sim.inject(req.body || {});
+      audit('simulator_fault_injected', { board: req.params.board, ...fault }, req.source, auditUser(req));
+      res.json({ success: true, fault });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  app.delete('/api/simulator/:board/faults', requireRole('admin'), (req, res) => {
+    const sim = simulatorFor(req, res);
+    if (!sim) return;
+    sim.clearFaults();
+    res.json({ success: true });
+  });
+
+  app.post('/api/simulator/:board/disconnect', requireRole('admin'), (req, res) => {
+    const sim = simulatorFor(req, res);
+    if (!sim) return;
+    sim.dropConnections();
+    res.json({ success: true });
+  });
+}
+
+// ─── Start / Stop ───────────────────────────────────────────────────────────
+// Requiring this file builds the app without touching the network; start()
+// connects the boards and, unless told otherwise, listens and begins the
+// heartbeats. Tests start with { listen: false, heartbeats: false } and drive
+// heartbeatBoard() themselves.
+let httpServer = null;
+let stopWatchingConfig = null;
+
+async function start({ listen = true, port = SERVER_PORT, host = '0.0.0.0', heartbeats = true } = {}) {
+  let initialConfig;
+  try {
+    initialConfig = loadSiteConfig(SITE_CONFIG_FILE);
+  } catch (err) {
+    throw new Error(`${SITE_CONFIG_FILE}: ${err.message}`);
+  }
+
+  await applySiteConfig(SIMULATOR ? await simulateBoards(initialConfig) : initialConfig);
+  if (!analytics.existed) log('INFO', `Analytics: rebuilt ${await backfillAnalytics()} barrier command(s) from the audit log`);
+  analytics.start();
+  restoreTimedCloses();
+  restoreOutputOffs();
+  restoreHolds();
+  scheduler.start();
+  if (mqttBridge) mqttBridge.start();
+  stopWatchingConfig = watchSiteConfig(configCandidates(__dirname), reloadSiteConfig, (err) => {
+    log('ERROR', `Site config not reloaded — ${err.message}`);
+  });
+
+  if (listen) {
+    httpServer = await new Promise((resolve, reject) => {
+      const server = app.listen(port, host, () => resolve(server));
+      server.once('error', reject);
+    });
+    log('INFO', '🚧 Barrier Control Server');
+    log('INFO', `Web UI: http://localhost:${httpServer.address().port}`);
+  }
+  log('INFO', `Site config: ${initialConfig.source}`);
+  if (SIMULATOR) log('WARN', `SIMULATOR MODE — no real relay boards (${SIMULATOR_MODE === 'rtu' ? 'RTU-over-TCP' : 'Modbus TCP'})`);
+  for (const [key, cfg] of Object.entries(BOARDS)) {
+    log('INFO', `${cfg.name}: ${cfg.host}:${cfg.port} (unit ${cfg.unitId})`);
+  }
+  if (Object.keys(SITES).length > 1) log('INFO', `Sites: ${Object.entries(SITES).map(([key, site]) => `${site.name} (${key}${key === defaultSite ? ', default' : ''})`).join(', ')}`);
+  log('INFO', `Barriers: ${Object.values(BARRIERS).map(b => b.name).join(', ')}`);
+  log('INFO', `Heartbeat: ${HEARTBEAT_MS / 1000}s | Close release: ${CLOSE_RELEASE_MS / 1000}s`);
+  if (!auth.enabled()) log('WARN', 'No users, tokens or API_KEY — the API is open to anyone who can reach it');
+  else if (API_KEY) log('INFO', 'API key auth enabled (admin)');
+  if (mqttBridge) log('INFO', `MQTT: ${MQTT_URL} (prefix ${MQTT_PREFIX}${MQTT_DISCOVERY_PREFIX ? `, Home Assistant discovery on ${MQTT_DISCOVERY_PREFIX}` : ''})`);
+  log('INFO', `Audit log: ${AUDIT_LOG_FILE} (${auditHistory.files} file(s), chain at seq ${auditHistory.head.seq})`);
+
+  if (heartbeats) startHeartbeats();
+  return { port: httpServer ? httpServer.address().port : null };
+}
+
+// Cancels every timer, turns all relays off and closes the board connections,
+// simulated boards and HTTP server. Timed closes, output offs and holds stay
+// in the state file and are picked up on the next start.
+async function stop() {
+  for (const boardKey of Object.keys(heartbeatTimers)) stopHeartbeat(boardKey);
+  heartbeatsRunning = false;
+  if (stopWatchingConfig) stopWatchingConfig();
+  stopWatchingConfig = null;
+  for (const key of Object.keys(closeTimers)) {
+    if (closeTimers[key]) clearTimeout(closeTimers[key]);
+    closeTimers[key] = null;
+  }
+  automation.cancelAll(null);
+  barrierStates.stopAll();
+  for (const entry of Object.values(timedCloses)) clearTimeout(entry.timer);
+  for (const entry of Object.values(outputOffs)) clearTimeout(entry.timer);
+  for (const hold of Object.values(holds)) clearTimeout(hold.timer);
+  for (const timer of Object.values(openAlertTimers)) clearTimeout(timer);
+  scheduler.stop();
+
+  for (const boardKey of Object.keys(BOARDS)) {
+    if (boardState[boardKey].reachable) {
+      try { await withBoardLock(boardKey, () => allCoilsOff(boardKey)); } catch (e) { /* best effort */ }
+    }
+    connections[boardKey].close();
+  }
+  log('INFO', 'All relays OFF');
+  webhooks.stop();
+  if (mqttBridge) await mqttBridge.stop();
+  analytics.stop();
+
+  for (const key of Object.keys(simulators)) { await simulators[key].stop(); delete simulators[key]; }
+  for (const res of sseClients) res.end();
+  sseClients.clear();
+  if (httpServer) {
+    const server = httpServer;
+    httpServer = null;
+    await new Promise(resolve => { server.close(() => resolve()); server.closeAllConnections(); });
+  }
+}
+
+async function shutdown(signal) {
+  log('INFO', `${signal} received — shutting down`);
+  await stop();
+  process.exit(0);
+}
+
+module.exports = {
+  app, start, stop, events,
+  BOARDS, BARRIERS, boardState, simulators,
+  heartbeatBoard, latchBarrierAction, emergencyOff, getFullStatus,
+  placeHold, releaseHold, audit, auditLog, handlePlateRead
+};
+
+if (require.main === module) {
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  start().catch((err) => {
+    log('ERROR', err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAccessControl, normalizePlate } = require('../lib/access-control');
+
+function memoryStore() {
+  const sections = {};
+  return { get: (name, fallback) => sections[name] || fallback, set: (name, value) => { sections[name] = JSON.parse(JSON.stringify(value)); } };
+}
+
+// Local time, like the permits' hours and days — 2026-03-04 is a Wednesday
+const at = (time, day = '2026-03-04') => new Date(`${day}T${time}:00`);
+
+test('plates are compared normalised', () => {
+  assert.equal(normalizePlate(' ab12 cde '), 'AB12CDE');
+  assert.equal(normalizePlate('AB-12-CDE'), 'AB12CDE');
+  const access = createAccessControl({ store: memoryStore() });
+  const permit = access.add({ plate: 'ab12 cde' });
+  assert.equal(permit.plate, 'AB12CDE');
+  assert.equal(access.decide('AB12CDE', 1).granted, true);
+  assert.deepEqual(access.list({ plate: 'ab12' }).map(p => p.id), [permit.id]);
+});
+
+test('an unknown plate is denied with no permit', () => {
+  const access = createAccessControl({ store: memoryStore() });
+  assert.deepEqual(access.decide('XY99ZZZ', 1), { granted: false, plate: 'XY99ZZZ', barrierId: 1, permit: null, holder: null, reason: 'no_permit' });
+});
+
+test('permits restrict barriers, validity, days and hours', () => {
+  const access = createAccessControl({ store: memoryStore() });
+  const { id } = access.add({
+    plate: 'AB12CDE',
+    holder: 'J. Smith',
+    barriers: [1],
+    validFrom: '2026-03-01',
+    validUntil: '2026-03-31',
+    days: ['mon', 'tue', 'wed', 'thu', 'fri'],
+    hours: { from: '07:00', until: '19:00' }
+  });
+  const decide = (barrier, when) => access.decide('AB12CDE', barrier, when);
+
+  const granted = decide(1, at('08:30'));
+  assert.equal(granted.granted, true);
+  assert.equal(granted.permit, id);
+  assert.equal(granted.holder, 'J. Smith');
+  assert.equal(decide(2, at('08:30')).reason, 'wrong_barrier');
+  assert.equal(decide(1, at('19:00')).reason, 'outside_hours');
+  assert.equal(decide(1, at('08:30', '2026-03-07')).reason, 'wrong_day');
+  assert.equal(decide(1, at('08:30', '2026-02-27')).reason, 'not_yet_valid');
+  assert.equal(decide(1, at('23:59', '2026-03-31')).reason, 'outside_hours');
+  assert.equal(decide(1, at('08:30', '2026-04-01')).reason, 'expired');
+
+  access.update(id, { enabled: false });
+  assert.equal(decide(1, at('08:30')).reason, 'disabled');
+});
+
+test('overnight hours wrap past midnight', () => {
+  const access = createAccessControl({ store: memoryStore() });
+  access.add({ plate: 'NIGHT1', hours: { from: '22:00', until: '06:00' } });
+  assert.equal(access.decide('NIGHT1', 1, at('23:30')).granted, true);
+  assert.equal(access.decide('NIGHT1', 1, at('05:59')).granted, true);
+  assert.equal(access.decide('NIGHT1', 1, at('12:00')).reason, 'outside_hours');
+});
+
+test('any permit for the plate may grant; a denial names the closest', () => {
+  const access = createAccessControl({ store: memoryStore() });
+  const expired = access.add({ plate: 'AB12CDE', validUntil: '2020-01-01T00:00:00Z' });
+  const other = access.add({ plate: 'AB12CDE', barriers: [2] });
+  assert.equal(access.decide('AB12CDE', 2).permit, other.id);
+  const denied = access.decide('AB12CDE', 1);
+  assert.equal(denied.reason, 'wrong_barrier');
+  assert.equal(denied.permit, other.id);
+  access.remove(other.id);
+  assert.deepEqual([access.decide('AB12CDE', 2).reason, access.decide('AB12CDE', 2).permit], ['expired', expired.id]);
+});
+
+test('repeated reads within the window are duplicates', () => {
+  const access = createAccessControl({ store: memoryStore(), dedupMs: 5000 });
+  access.add({ plate: 'AB12CDE' });
+  const t0 = new Date('2026-03-04T08:00:00Z');
+  assert.equal(access.read({ plate: 'AB12CDE', barrierId: 1, at: t0 }).duplicate, undefined);
+  assert.equal(access.read({ plate: 'ab12 cde', barrierId: 1, at: new Date(t0.getTime() + 2000) }).duplicate, true);
+  assert.equal(access.read({ plate: 'AB12CDE', barrierId: 2, at: new Date(t0.getTime() + 2000) }).duplicate, undefined);
+  assert.equal(access.read({ plate: 'AB12CDE', barrierId: 1, at: new Date(t0.getTime() + 6000) }).duplicate, undefined);
+
+  access.forget('AB12CDE', 1);
+  assert.equal(access.read({ plate: 'AB12CDE', barrierId: 1, at: new Date(t0.getTime() + 7000) }).duplicate, undefined);
+});
+
+test('low-confidence reads are refused and not remembered', () => {
+  const access = createAccessControl({ store: memoryStore(), minConfidence: 80 });
+  access.add({ plate: 'AB12CDE' });
+  assert.equal(access.read({ plate: 'AB12CDE', barrierId: 1, confidence: 60 }).reason, 'low_confidence');
+  const better = access.read({ plate: 'AB12CDE', barrierId: 1, confidence: 95 });
+  assert.equal(better.granted, true);
+  assert.equal(better.duplicate, undefined);
+});
+
+test('permits persist and are validated', () => {
+  const store = memoryStore();
+  const access = createAccessControl({ store });
+  access.add({ plate: 'AB12CDE', barriers: [1, 2] });
+  assert.equal(createAccessControl({ store }).list()[0].plate, 'AB12CDE');
+
+  assert.throws(() => access.add({ plate: '-' }), { status: 400 });
+  assert.throws(() => access.add({ plate: 'AB12', hours: { from: '7:00', until: '19:00' } }), { status: 400 });
+  assert.throws(() => access.add({ plate: 'AB12', days: ['funday'] }), { status: 400 });
+  assert.throws(() => access.add({ plate: 'AB12', colour: 'red' }), { status: 400 });
+  assert.throws(() => access.update('nope', {}), { status: 404 });
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAnalytics } = require('../lib/analytics');
+
+const HOUR = 3600 * 1000;
+const T0 = Date.parse('2026-03-04T08:00:00Z');
+
+function setup(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'analytics-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'analytics.json');
+  const logs = [];
+  return { file, logs, analytics: createAnalytics({ file, log: (level, msg) => logs.push(msg) }) };
+}
+
+function command(action, barrierId, source, user, at) {
+  return { action: `barrier_${action}`, source, user, timestamp: new Date(at).toISOString(), details: { barrierId } };
+}
+
+const range = { from: T0 - 24 * HOUR, to: T0 + 24 * HOUR };
+
+test('counts barrier commands by action, source and user', (t) => {
+  const { analytics } = setup(t);
+  analytics.recordAudit(command('lift', 2, 'ui', 'alice', T0 + 60000));
+  analytics.recordAudit(command('lift', 2, 'ui', 'bob', T0 + 120000));
+  analytics.recordAudit(command('lift', 2, 'anpr', null, T0 + HOUR));
+  analytics.recordAudit(command('close', 1, 'schedule', null, T0 + HOUR));
+  analytics.recordAudit({ action: 'emergency_off', source: 'ui', timestamp: new Date(T0).toISOString(), details: {} });
+
+  const bySource = analytics.report('actions', { ...range, group: 'total' });
+  const count = (rows, match) => rows.filter(r => Object.entries(match).every(([k, v]) => r[k] === v)).reduce((n, r) => n + r.count, 0);
+  assert.equal(count(bySource, { barrierId: 2, action: 'lift', source: 'ui' }), 2);
+  assert.equal(count(bySource, { barrierId: 2, action: 'lift', source: 'anpr' }), 1);
+  assert.equal(count(bySource, { barrierId: 1, action: 'close' }), 1);
+  assert.equal(bySource.length, 3);
+
+  const byUser = analytics.report('actions', { ...range, group: 'total', by: 'user', barriers: [2] });
+  assert.deepEqual(byUser.map(r => [r.user, r.count]).sort(), [['alice', 1], ['bob', 1]]);
+
+  const hourly = analytics.report('actions', { ...range, group: 'hour', barriers: [2] });
+  assert.equal(new Set(hourly.map(r => r.period)).size, 2);
+});
+
+test('measures how long barriers stay open', (t) => {
+  const { analytics } = setup(t);
+  analytics.barrierState(1, 'opening', T0);
+  analytics.barrierState(1, 'open', T0 + 5000);
+  analytics.barrierState(1, 'closing', T0 + 65000);
+  analytics.barrierState(1, 'open', T0 + 100000);
+  analytics.barrierState(1, 'stopped', T0 + 220000);
+  // Went offline while open: no duration to record
+  analytics.barrierState(1, 'open', T0 + 300000);
+  analytics.barrierState(1, 'unknown', T0 + 400000);
+
+  const [row] = analytics.report('open-time', { ...range, group: 'day' });
+  assert.equal(row.barrierId, 1);
+  assert.equal(row.opens, 2);
+  assert.equal(row.meanOpenSec, 90);
+  assert.equal(row.maxOpenSec, 120);
+  assert.equal(row.totalOpenSec, 180);
+});
+
+test('board uptime is split across hours', (t) => {
+  const { analytics } = setup(t);
+  analytics.boardLink('board1', true, T0 + HOUR / 2);
+  analytics.boardLink('board1', false, T0 + HOUR + HOUR / 4);
+  analytics.boardRemoved('board1', T0 + 2 * HOUR);
+
+  const hourly = analytics.report('uptime', { ...range, group: 'hour' });
+  assert.deepEqual(hourly.map(r => [r.upSec, r.downSec, r.uptimePct]), [[1800, 0, 100], [900, 2700, 25]]);
+  const [total] = analytics.report('uptime', { ...range, group: 'total' });
+  assert.equal(total.uptimePct, 50);
+});
+
+test('aggregates survive a restart and old hours are dropped', (t) => {
+  const { file, analytics } = setup(t);
+  assert.equal(analytics.existed, false);
+  analytics.recordAudit(command('lift', 1, 'ui', null, Date.now()));
+  analytics.recordAudit(command('lift', 1, 'ui', null, Date.now() - 500 * 24 * HOUR));
+  analytics.stop();
+
+  const again = createAnalytics({ file, log: () => {} });
+  assert.equal(again.existed, true);
+  const rows = again.report('actions', { from: 0, to: Date.now() + HOUR, group: 'total' });
+  assert.deepEqual(rows.map(r => r.count), [1]);
+});
+
+test('an unknown report is a 404', (t) => {
+  const { analytics } = setup(t);
+  assert.throws(() => analytics.report('nope', range), { status: 404 });
+});
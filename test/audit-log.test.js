@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { GENESIS, createAuditLog } = require('../lib/audit-log');
+
+function setup(t, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'audit.log');
+  const open = () => {
+    const auditLog = createAuditLog({ file, log: () => {}, ...options });
+    auditLog.open();
+    return auditLog;
+  };
+  return { dir, file, open };
+}
+
+function fill(auditLog, count) {
+  for (let i = 1; i <= count; i++) auditLog.append({ action: 'barrier_lift', source: 'test', details: { barrierId: i } });
+}
+
+function rewrite(file, edit) {
+  const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+  fs.writeFileSync(file, edit(lines).join('\n') + '\n');
+}
+
+const errors = (report) => report.problems.map(p => p.error);
+
+test('an untouched log verifies', async (t) => {
+  const { open } = setup(t);
+  const auditLog = open();
+  fill(auditLog, 5);
+  const report = await auditLog.verify();
+  assert.equal(report.ok, true);
+  assert.equal(report.checked, 5);
+  assert.equal(report.head.seq, 5);
+});
+
+test('the chain carries on across rotated files and restarts', async (t) => {
+  // Small enough that every entry lands in a file of its own, all within
+  // the same second, so the rotated names need their -n suffixes
+  const { file, open } = setup(t, { maxBytes: 100 });
+  fill(open(), 4);
+
+  const reopened = open();
+  fill(reopened, 2);
+  const report = await reopened.verify();
+  assert.equal(report.ok, true, JSON.stringify(report.problems));
+  assert.equal(report.checked, 6);
+  assert.equal(report.files.length, 6);
+  assert.deepEqual(report.files.map(f => f.firstSeq), [1, 2, 3, 4, 5, 6]);
+  assert.equal(reopened.files().at(-1), file);
+
+  const first = JSON.parse(fs.readFileSync(reopened.files()[0], 'utf8'));
+  assert.equal(first.prev, GENESIS);
+  assert.deepEqual((await reopened.query({})).entries.map(e => e.seq), [1, 2, 3, 4, 5, 6]);
+});
+
+test('an edited line fails its own hash', async (t) => {
+  const { file, open } = setup(t);
+  fill(open(), 5);
+  rewrite(file, lines => lines.map((line, i) => i === 2 ? line.replace('"barrierId":3', '"barrierId":9') : line));
+
+  const report = await open().verify();
+  assert.equal(report.ok, false);
+  assert.deepEqual(report.problems.map(p => [p.seq, p.error]), [[3, 'hash mismatch — entry edited']]);
+});
+
+test('a deleted middle line breaks the next link and the sequence', async (t) => {
+  const { file, open } = setup(t);
+  const auditLog = open();
+  fill(auditLog, 5);
+  rewrite(file, lines => lines.filter((line, i) => i !== 2));
+
+  const report = await auditLog.verify();
+  assert.equal(report.ok, false);
+  assert.deepEqual(errors(report), [
+    'previous hash mismatch — entry deleted, inserted or reordered',
+    'sequence jumps from 2 to 4'
+  ]);
+  assert.equal(report.problems[0].seq, 4);
+});
+
+test('a log whose files were all deleted does not verify', async (t) => {
+  const { open } = setup(t, { maxBytes: 100 });
+  const auditLog = open();
+  fill(auditLog, 3);
+  for (const f of auditLog.files()) fs.rmSync(f, { force: true });
+
+  const report = await auditLog.verify();
+  assert.equal(report.ok, false);
+  assert.equal(report.checked, 0);
+  assert.deepEqual(errors(report), ['no chained entries found but 3 entries were written']);
+});
+
+test('reordered lines break the links around them', async (t) => {
+  const { file, open } = setup(t);
+  fill(open(), 5);
+  rewrite(file, lines => [lines[0], lines[2], lines[1], lines[3], lines[4]]);
+
+  const report = await open().verify();
+  assert.equal(report.ok, false);
+  assert.ok(report.problems.every(p => !p.error.startsWith('hash mismatch')));
+  const broken = report.problems.filter(p => p.error.startsWith('previous hash mismatch')).map(p => p.seq);
+  assert.deepEqual(broken, [3, 2, 4]);
+});
+
+test('a page keeps only what it returns but counts every match', async (t) => {
+  const { open } = setup(t, { maxBytes: 300 });
+  const auditLog = open();
+  fill(auditLog, 10);
+  auditLog.append({ action: 'barrier_close', source: 'test', details: { barrierId: 1 } });
+
+  const page = await auditLog.query({ actions: ['barrier_lift'] }, { offset: 2, limit: 3 });
+  assert.equal(page.total, 10);
+  assert.deepEqual(page.entries.map(e => e.seq), [6, 7, 8]);
+  assert.equal((await auditLog.query({ barrier: '1' })).total, 2);
+  const visible = await auditLog.query({ visible: e => e.details.barrierId % 2 === 0 }, { limit: 2 });
+  assert.deepEqual([visible.total, visible.entries.map(e => e.seq)], [5, [8, 10]]);
+});
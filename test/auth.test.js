@@ -0,0 +1,212 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ROLES, SESSION_COOKIE, hasRole, canAccess, canAccessSite, createAuth } = require('../lib/auth');
+
+function memoryStore() {
+  const sections = {};
+  return { sections, get: (name, fallback) => sections[name] || fallback, set: (name, value) => { sections[name] = JSON.parse(JSON.stringify(value)); } };
+}
+
+function setup({ apiKey } = {}) {
+  const store = memoryStore();
+  const logs = [];
+  return { store, logs, auth: createAuth({ store, apiKey, log: (level, msg) => logs.push(msg) }) };
+}
+
+function request({ sid, bearer, apiKey, query = {} } = {}) {
+  const headers = {};
+  if (sid) headers.cookie = `theme=dark; ${SESSION_COOKIE}=${sid}`;
+  if (bearer) headers.authorization = `Bearer ${bearer}`;
+  if (apiKey) headers['x-api-key'] = apiKey;
+  return { headers, query };
+}
+
+const identity = (role, barriers = '*', sites = '*') => ({ role, barriers, sites });
+
+// ─── Permissions ────────────────────────────────────────────────────────────
+test('each role includes the ones below it', () => {
+  assert.deepEqual(ROLES, ['viewer', 'operator', 'supervisor', 'admin']);
+  for (const [i, have] of ROLES.entries()) {
+    for (const [j, need] of ROLES.entries()) {
+      assert.equal(hasRole(identity(have), need), i >= j, `${have} has ${need}`);
+    }
+  }
+  assert.equal(hasRole(identity('nobody'), 'viewer'), false);
+});
+
+test('a barrier list covers its own barriers but never "every barrier"', () => {
+  const scoped = identity('operator', [1, 3]);
+  assert.equal(canAccess(scoped, 1), true);
+  assert.equal(canAccess(scoped, '3'), true);
+  assert.equal(canAccess(scoped, [1, 3]), true);
+  assert.equal(canAccess(scoped, [1, 2]), false);
+  assert.equal(canAccess(scoped, 2), false);
+  assert.equal(canAccess(scoped, '*'), false);
+
+  const everything = identity('viewer');
+  assert.equal(canAccess(everything, '*'), true);
+  assert.equal(canAccess(everything, [7, 8]), true);
+  assert.equal(canAccess(identity('admin', []), 1), false);
+});
+
+test('site scope is a list of keys or *, and missing means every site', () => {
+  assert.equal(canAccessSite(identity('viewer', '*', ['north']), 'north'), true);
+  assert.equal(canAccessSite(identity('viewer', '*', ['north']), 'south'), false);
+  assert.equal(canAccessSite(identity('viewer', '*', '*'), 'south'), true);
+  assert.equal(canAccessSite({ role: 'viewer', barriers: '*' }, 'south'), true);
+});
+
+// ─── Resolving a request ────────────────────────────────────────────────────
+test('with no accounts and no API key every request is an anonymous admin', () => {
+  const { auth } = setup();
+  assert.equal(auth.enabled(), false);
+  for (const req of [request(), request({ bearer: 'whatever' }), request({ sid: 'stale' })]) {
+    assert.deepEqual(auth.authenticate(req), {
+      identity: { type: 'anonymous', name: 'anonymous', role: 'admin', barriers: '*', sites: '*' },
+      method: 'none'
+    });
+  }
+});
+
+test('the first account switches auth on', () => {
+  const { auth, logs } = setup();
+  auth.bootstrap('admin', 'correct horse');
+  assert.equal(auth.enabled(), true);
+  assert.equal(auth.authenticate(request()), null);
+  assert.deepEqual(logs, ['Created admin user "admin"']);
+
+  // Only on a first start, and only with a password
+  auth.bootstrap('second', 'another password');
+  assert.deepEqual(auth.listUsers().map(u => u.username), ['admin']);
+  const empty = setup().auth;
+  empty.bootstrap('admin', '');
+  assert.equal(empty.enabled(), false);
+});
+
+test('the legacy API key is an admin token by header, bearer, query or login', () => {
+  const { auth } = setup({ apiKey: 'legacy-key' });
+  assert.equal(auth.enabled(), true);
+  const admin = { type: 'api_key', name: 'api-key', role: 'admin', barriers: '*', sites: '*' };
+  assert.deepEqual(auth.authenticate(request({ apiKey: 'legacy-key' })), { identity: admin, method: 'api_key' });
+  assert.deepEqual(auth.authenticate(request({ bearer: 'legacy-key' })), { identity: admin, method: 'api_key' });
+  assert.deepEqual(auth.authenticate(request({ query: { api_key: 'legacy-key' } })), { identity: admin, method: 'api_key' });
+  assert.equal(auth.authenticate(request({ apiKey: 'legacy-kez' })), null);
+  assert.equal(auth.authenticate(request()), null);
+
+  const { sid } = auth.login({ token: 'legacy-key' });
+  assert.deepEqual(auth.authenticate(request({ sid })), { identity: admin, method: 'session' });
+  assert.throws(() => auth.login({ token: 'nope' }), { status: 401, message: 'Invalid token' });
+});
+
+test('tokens carry their own role and scope, and stop working when deleted', () => {
+  // A user keeps auth on once the only token is gone
+  const { auth, store } = setup();
+  auth.addUser({ username: 'admin', password: 'admin password', role: 'admin' });
+  const created = auth.addToken({ name: 'gate-kiosk', role: 'operator', barriers: [2], sites: ['north'] }, 'admin');
+  assert.match(created.token, /^bc_/);
+  assert.equal(store.sections.auth.tokens[0].hash.length, 64);
+  assert.ok(!JSON.stringify(store.sections.auth).includes(created.token));
+  assert.ok(!('hash' in auth.listTokens()[0]));
+
+  const { identity: found, method } = auth.authenticate(request({ bearer: created.token }));
+  assert.equal(method, 'token');
+  assert.deepEqual(found, { type: 'token', name: 'token:gate-kiosk', role: 'operator', barriers: [2], sites: ['north'] });
+
+  const { sid } = auth.login({ token: created.token });
+  auth.deleteToken(created.id);
+  assert.equal(auth.authenticate(request({ bearer: created.token })), null);
+  assert.equal(auth.authenticate(request({ sid })), null);
+});
+
+// ─── Users and sessions ─────────────────────────────────────────────────────
+test('a password logs in to a session; bad credentials all look the same', () => {
+  const { auth } = setup();
+  auth.addUser({ username: 'sam', password: 'correct horse', role: 'supervisor', barriers: [1, 2], sites: ['north'] });
+  assert.ok(!('passwordHash' in auth.listUsers()[0]));
+
+  const { sid, identity: who } = auth.login({ username: 'sam', password: 'correct horse' });
+  assert.deepEqual(who, { type: 'user', name: 'sam', role: 'supervisor', barriers: [1, 2], sites: ['north'] });
+  assert.deepEqual(auth.authenticate(request({ sid })), { identity: who, method: 'session' });
+
+  const invalid = { status: 401, message: 'Invalid username or password' };
+  assert.throws(() => auth.login({ username: 'sam', password: 'wrong horse' }), invalid);
+  assert.throws(() => auth.login({ username: 'alex', password: 'correct horse' }), invalid);
+  assert.throws(() => auth.login({}), invalid);
+
+  auth.logout(request({ sid }));
+  assert.equal(auth.authenticate(request({ sid })), null);
+});
+
+test('a password change ends the user\'s sessions and no one else\'s', () => {
+  const { auth } = setup();
+  auth.addUser({ username: 'admin', password: 'admin password', role: 'admin' });
+  auth.addUser({ username: 'sam', password: 'old password', role: 'operator' });
+  const sams = auth.login({ username: 'sam', password: 'old password' }).sid;
+  const admins = auth.login({ username: 'admin', password: 'admin password' }).sid;
+
+  // Other edits leave sessions alone and apply straight away
+  auth.updateUser('sam', { role: 'viewer' });
+  assert.equal(auth.authenticate(request({ sid: sams })).identity.role, 'viewer');
+
+  auth.updateUser('sam', { password: 'new password' });
+  assert.equal(auth.authenticate(request({ sid: sams })), null);
+  assert.ok(auth.authenticate(request({ sid: admins })));
+  assert.throws(() => auth.login({ username: 'sam', password: 'old password' }), { status: 401 });
+  assert.ok(auth.login({ username: 'sam', password: 'new password' }).sid);
+});
+
+test('disabling a user ends their sessions for good and blocks login', () => {
+  const { auth } = setup();
+  auth.addUser({ username: 'admin', password: 'admin password', role: 'admin' });
+  auth.addUser({ username: 'sam', password: 'sam password', role: 'operator' });
+  const { sid } = auth.login({ username: 'sam', password: 'sam password' });
+
+  // The session isn't used while disabled, so nothing else has cleared it
+  auth.updateUser('sam', { disabled: true });
+  assert.throws(() => auth.login({ username: 'sam', password: 'sam password' }), { status: 401 });
+  auth.updateUser('sam', { disabled: false });
+  assert.equal(auth.authenticate(request({ sid })), null);
+
+  const other = auth.login({ username: 'sam', password: 'sam password' }).sid;
+  auth.updateUser('sam', { disabled: true });
+  assert.equal(auth.authenticate(request({ sid: other })), null);
+  auth.updateUser('sam', { disabled: false });
+  assert.ok(auth.login({ username: 'sam', password: 'sam password' }).sid);
+
+  const again = auth.login({ username: 'sam', password: 'sam password' }).sid;
+  auth.deleteUser('sam');
+  assert.equal(auth.authenticate(request({ sid: again })), null);
+});
+
+test('the last enabled admin cannot be demoted, disabled or deleted', () => {
+  const { auth } = setup();
+  auth.addUser({ username: 'admin', password: 'admin password', role: 'admin' });
+  auth.addUser({ username: 'sam', password: 'sam password', role: 'operator' });
+  const lockout = { status: 409, message: 'At least one enabled admin user is required' };
+
+  assert.throws(() => auth.updateUser('admin', { role: 'supervisor' }), lockout);
+  assert.throws(() => auth.updateUser('admin', { disabled: true }), lockout);
+  assert.throws(() => auth.deleteUser('admin'), lockout);
+  assert.equal(auth.listUsers().find(u => u.username === 'admin').role, 'admin');
+
+  // With a second admin either one may go
+  auth.updateUser('sam', { role: 'admin' });
+  auth.updateUser('admin', { disabled: true });
+  assert.throws(() => auth.deleteUser('sam'), lockout);
+  auth.deleteUser('admin');
+  assert.deepEqual(auth.listUsers().map(u => u.username), ['sam']);
+});
+
+test('account edits are validated', () => {
+  const { auth } = setup();
+  auth.addUser({ username: 'admin', password: 'admin password', role: 'admin' });
+  assert.throws(() => auth.addUser({ username: 'admin', password: 'admin password', role: 'admin' }), { status: 409 });
+  assert.throws(() => auth.addUser({ username: 'x', password: 'long enough', role: 'viewer' }), (err) => err.status === 400 && /^username/.test(err.message));
+  assert.throws(() => auth.addUser({ username: 'sam', password: 'short', role: 'viewer' }), /password: at least 8 characters/);
+  assert.throws(() => auth.addUser({ username: 'sam', password: 'long enough', role: 'owner' }), /role: Invalid enum value/);
+  assert.throws(() => auth.addUser({ username: 'sam', password: 'long enough', role: 'viewer', sites: ['no spaces'] }), /not a site key/);
+  assert.throws(() => auth.updateUser('admin', { username: 'renamed' }), { status: 400 });
+  assert.throws(() => auth.updateUser('nobody', {}), { status: 404, message: 'No user nobody' });
+  assert.throws(() => auth.deleteToken('nope'), { status: 404 });
+  assert.throws(() => auth.addToken({ role: 'viewer' }), (err) => err.status === 400 && /^name/.test(err.message));
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAutomation } = require('../lib/automation');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// One barrier with a vehicle and a safety loop; `latch` closes unless told to fail
+function setup(t, { automation = {}, ...options } = {}) {
+  const barriers = { 1: { name: 'Barrier 1', automation: { autoClose: true, clearDelayMs: 20, arriveTimeoutMs: null, maxOpenMs: null, ...automation } } };
+  const sensors = { vehicle: false, safety: false };
+  const entries = [];
+  const closes = [];
+  const fake = { failWith: null };
+  const auto = createAutomation({
+    getBarriers: () => barriers,
+    getSensors: () => sensors,
+    latch: async (barrierId, action, source) => {
+      closes.push([barrierId, action, source]);
+      if (fake.failWith) throw new Error(fake.failWith);
+    },
+    audit: (action, details, source) => entries.push({ action, details, source }),
+    log: () => {},
+    retryMs: 10,
+    ...options
+  });
+  t.after(() => auto.cancelAll(null));
+  const actions = () => entries.map(e => e.action);
+  const input = (signal, value) => { sensors[signal] = value; auto.onBarrierInput({ barrierId: '1', signal, value }); };
+  return { auto, sensors, entries, closes, fake, actions, input };
+}
+
+test('a car through the loop closes the barrier once it has cleared', async (t) => {
+  const { auto, closes, entries, actions, input } = setup(t);
+  auto.onBarrierAction({ barrierId: '1', action: 'lift', source: 'anpr' });
+  assert.equal(auto.status('1').stage, 'waiting_vehicle');
+  input('vehicle', true);
+  input('vehicle', false);
+  assert.equal(auto.status('1').stage, 'clearing');
+  await sleep(50);
+
+  assert.deepEqual(closes, [['1', 'close', 'automation']]);
+  assert.deepEqual(actions(), ['auto_cycle_started', 'auto_vehicle_arrived', 'auto_vehicle_cleared', 'auto_close']);
+  assert.ok(entries.every(e => e.source === 'automation' && e.details.cycle === entries[0].details.cycle));
+  assert.deepEqual([entries[0].details.liftedBy, entries[3].details.reason], ['anpr', 'vehicle_passed']);
+  assert.deepEqual(auto.status('1'), { enabled: true, stage: 'idle' });
+});
+
+test('nobody driving through closes after arriveTimeoutMs', async (t) => {
+  const { auto, closes, actions, entries } = setup(t, { automation: { arriveTimeoutMs: 20 } });
+  auto.onBarrierAction({ barrierId: '1', action: 'lift', source: 'ui' });
+  await sleep(50);
+  assert.equal(closes.length, 1);
+  assert.deepEqual(actions(), ['auto_cycle_started', 'auto_no_vehicle', 'auto_close']);
+  assert.equal(entries[2].details.reason, 'no_vehicle');
+});
+
+test('an occupied or unreadable safety loop defers the close until it clears', async (t) => {
+  const { auto, closes, actions, input, sensors } = setup(t, { automation: { arriveTimeoutMs: 10 } });
+  sensors.safety = null;
+  auto.onBarrierAction({ barrierId: '1', action: 'lift', source: 'ui' });
+  await sleep(40);
+  assert.equal(auto.status('1').stage, 'waiting_safety');
+  assert.equal(closes.length, 0);
+  assert.equal(actions().filter(a => a === 'auto_close_deferred').length, 1, 'deferred once, however long it waits');
+
+  sensors.safety = true;
+  input('safety', false);
+  await sleep(10);
+  assert.equal(closes.length, 1);
+  assert.equal(actions().at(-1), 'auto_close');
+});
+
+test('a command from anyone else cancels the cycle', (t) => {
+  const { auto, entries } = setup(t);
+  auto.onBarrierAction({ barrierId: '1', action: 'lift', source: 'ui' });
+  auto.onBarrierAction({ barrierId: '1', action: 'stop', source: 'mcp' });
+  assert.deepEqual(entries.at(-1).details, { ...entries.at(-1).details, by: 'mcp', action: 'stop', stage: 'waiting_vehicle' });
+  assert.equal(entries.at(-1).action, 'auto_cycle_cancelled');
+  assert.deepEqual(auto.status('1'), { enabled: true, stage: 'idle' });
+  auto.onBarrierAction({ barrierId: '1', action: 'close', source: 'automation' });   // its own close ends nothing
+});
+
+test('a failing close is audited once, retried with backoff, and its recovery recorded', async (t) => {
+  const { auto, closes, fake, actions, entries } = setup(t, { automation: { arriveTimeoutMs: 5 }, maxRetryMs: 40 });
+  fake.failWith = 'Board 1 not connected';
+  auto.onBarrierAction({ barrierId: '1', action: 'lift', source: 'ui' });
+  await sleep(120);   // attempts at 5, 15, 35, 75, 115 ms: the delay doubles to the cap
+  const attempts = closes.length;
+  assert.ok(attempts >= 3 && attempts <= 6, `${attempts} attempts`);
+  assert.deepEqual(actions(), ['auto_cycle_started', 'auto_no_vehicle', 'auto_close_failed']);
+  assert.deepEqual([auto.status('1').stage, auto.status('1').error], ['retrying', 'Board 1 not connected']);
+
+  fake.failWith = null;
+  await sleep(60);
+  assert.equal(actions().at(-1), 'auto_close');
+  assert.equal(entries.at(-1).details.attempts, closes.length);
+  assert.deepEqual(auto.status('1'), { enabled: true, stage: 'idle' });
+});
+
+test('a close that keeps failing is given up after giveUpMs', async (t) => {
+  const { auto, fake, actions, entries } = setup(t, { automation: { arriveTimeoutMs: 5 }, giveUpMs: 30 });
+  fake.failWith = 'Interlock: refused';
+  auto.onBarrierAction({ barrierId: '1', action: 'lift', source: 'ui' });
+  await sleep(120);
+  assert.deepEqual(actions(), ['auto_cycle_started', 'auto_no_vehicle', 'auto_close_failed', 'auto_close_abandoned']);
+  assert.ok(entries.at(-1).details.attempts > 1);
+  assert.equal(entries.at(-1).details.error, 'Interlock: refused');
+  assert.deepEqual(auto.status('1'), { enabled: true, stage: 'idle' });
+});
+
+test('a scheduled or timed lift stays open and ends a running cycle', async (t) => {
+  const { auto, closes, entries, actions } = setup(t, { automation: { arriveTimeoutMs: 20 } });
+  auto.onBarrierAction({ barrierId: '1', action: 'lift', source: 'schedule' });
+  auto.onBarrierAction({ barrierId: '1', action: 'lift', source: 'ui', durationSec: 600 });
+  await sleep(50);
+  assert.deepEqual(closes, []);
+  assert.deepEqual(actions(), []);
+  assert.deepEqual(auto.status('1'), { enabled: true, stage: 'idle' });
+
+  auto.onBarrierAction({ barrierId: '1', action: 'lift', source: 'anpr' });
+  auto.onBarrierAction({ barrierId: '1', action: 'lift', source: 'schedule' });
+  await sleep(50);
+  assert.deepEqual(closes, []);
+  assert.deepEqual(actions(), ['auto_cycle_started', 'auto_cycle_cancelled']);
+  assert.deepEqual([entries[1].details.by, entries[1].details.action], ['schedule', 'lift']);
+});
+
+test('barriers without auto-close are left alone', (t) => {
+  const { auto, entries } = setup(t, { automation: { autoClose: false } });
+  auto.onBarrierAction({ barrierId: '1', action: 'lift', source: 'ui' });
+  assert.deepEqual(entries, []);
+  assert.equal(auto.status('1'), null);
+  assert.equal(auto.status('2'), null);
+});
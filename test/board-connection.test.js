@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { createBoardConnection } = require('../lib/board-connection');
+const { createSimulatedBoard } = require('../lib/simulator');
+const { readBitsRequest, writeCoilRequest, decodeBits } = require('../lib/modbus');
+
+async function setup(t, mode = 'tcp') {
+  const sim = createSimulatedBoard({ mode, channels: 8 });
+  await sim.start();
+  const conn = createBoardConnection({
+    getConfig: () => ({ host: '127.0.0.1', port: sim.port, unitId: 1 }),
+    isRTU: () => mode === 'rtu',
+    timeoutMs: 200,
+    reconnectMinMs: 20,
+    reconnectMaxMs: 100
+  });
+  t.after(async () => { conn.close(); await sim.stop(); });
+  return { sim, conn };
+}
+
+for (const mode of ['tcp', 'rtu']) {
+  test(`${mode}: reads and writes coils`, async (t) => {
+    const { sim, conn } = await setup(t, mode);
+    await conn.request(0x05, writeCoilRequest(2, true));
+    assert.equal(sim.coils[2], true);
+    const pdu = await conn.request(0x01, readBitsRequest(0, 8));
+    assert.deepEqual(decodeBits(pdu, 8), [false, false, true, false, false, false, false, false]);
+    assert.equal(conn.connected, true);
+    assert.equal(sim.connections, 1);
+  });
+
+  test(`${mode}: surfaces Modbus exceptions`, async (t) => {
+    const { sim, conn } = await setup(t, mode);
+    sim.inject({ type: 'exception', code: 2 });
+    await assert.rejects(conn.request(0x01, readBitsRequest(0, 8)), { exceptionCode: 2 });
+  });
+
+  test(`${mode}: times out, then recovers on a fresh socket`, async (t) => {
+    const { sim, conn } = await setup(t, mode);
+    sim.inject({ type: 'timeout' });
+    await assert.rejects(conn.request(0x01, readBitsRequest(0, 8)), /Modbus timeout/);
+    await conn.request(0x01, readBitsRequest(0, 8));
+    assert.equal(sim.connections, 2);
+  });
+
+  test(`${mode}: a dropped connection fails the request and reconnects`, async (t) => {
+    const { sim, conn } = await setup(t, mode);
+    await conn.request(0x01, readBitsRequest(0, 8));   // answered, so the drop reconnects at once
+    sim.inject({ type: 'drop' });
+    await assert.rejects(conn.request(0x01, readBitsRequest(0, 8)), /Socket closed/);
+    await conn.request(0x01, readBitsRequest(0, 8));
+    assert.equal(sim.connections, 2);
+  });
+}
+
+test('rtu: a corrupt CRC is rejected', async (t) => {
+  const { sim, conn } = await setup(t, 'rtu');
+  sim.inject({ type: 'crc' });
+  await assert.rejects(conn.request(0x01, readBitsRequest(0, 8)), /CRC mismatch/);
+  await conn.request(0x01, readBitsRequest(0, 8));
+});
+
+test('tcp: a late reply to a timed-out request is not taken for the next one', async (t) => {
+  const { sim, conn } = await setup(t, 'tcp');
+  sim.delayMs = 300;
+  await assert.rejects(conn.request(0x01, readBitsRequest(0, 8)), /Modbus timeout/);
+  sim.delayMs = 0;
+  sim.coils[0] = true;
+  const pdu = await conn.request(0x01, readBitsRequest(0, 8));
+  assert.equal(decodeBits(pdu, 8)[0], true);
+});
+
+test('requests queue and run one at a time', async (t) => {
+  const { sim, conn } = await setup(t, 'tcp');
+  const writes = [0, 1, 2, 3].map(addr => conn.request(0x05, writeCoilRequest(addr, true)));
+  assert.ok(conn.queueDepth >= 3);
+  await Promise.all(writes);
+  assert.deepEqual(sim.coils.slice(0, 4), [true, true, true, true]);
+  assert.equal(conn.queueDepth, 0);
+});
+
+test('backs off after a refused connect', async (t) => {
+  const { sim, conn } = await setup(t, 'tcp');
+  await sim.stop();
+  await assert.rejects(conn.request(0x01, readBitsRequest(0, 8)), /ECONNREFUSED/);
+  await assert.rejects(conn.request(0x01, readBitsRequest(0, 8)), /retry in/);
+});
+
+test('a board that closes every connection unanswered is retried with backoff', async (t) => {
+  // Accepts, then hangs up straight away: a full connection table or a reboot loop
+  let accepted = 0;
+  const server = net.createServer((socket) => { accepted++; socket.destroy(); });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const conn = createBoardConnection({
+    getConfig: () => ({ host: '127.0.0.1', port: server.address().port, unitId: 1 }),
+    isRTU: () => false,
+    timeoutMs: 200,
+    reconnectMinMs: 20,
+    reconnectMaxMs: 1000
+  });
+  t.after(() => { conn.close(); return new Promise(resolve => server.close(resolve)); });
+
+  await assert.rejects(conn.request(0x01, readBitsRequest(0, 8)), /Socket closed/);
+  await new Promise(resolve => setTimeout(resolve, 400));
+  // 20 + 40 + 80 + 160 ms of backoff fit in the wait: a handful, not a tight loop
+  assert.ok(accepted >= 3 && accepted <= 6, `${accepted} connections`);
+  await assert.rejects(conn.request(0x01, readBitsRequest(0, 8)), /Closed by the board before any reply \(retry in/);
+});
+
+test('close rejects queued requests', async (t) => {
+  const { conn } = await setup(t, 'tcp');
+  const pending = conn.request(0x01, readBitsRequest(0, 8));
+  conn.close();
+  await assert.rejects(pending, /Board connection closed/);
+  await assert.rejects(conn.request(0x01, readBitsRequest(0, 8)), /Board connection closed/);
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBoardIO, barrierCoilChanges } = require('../lib/board-io');
+const { createBoardConnection } = require('../lib/board-connection');
+const { createInterlock } = require('../lib/interlock');
+const { createSimulatedBoard } = require('../lib/simulator');
+
+const BARRIER = { name: 'Barrier 1', board: 'b1', lift: 0, close: 1, stop: 2 };
+
+// One simulated board wired up the way server.js wires the real ones
+async function setup(t, { mode = 'tcp', multiCoilWrite = true } = {}) {
+  const sim = createSimulatedBoard({ mode, channels: 4, multiCoilWrite });
+  await sim.start();
+  const boards = { b1: { name: 'Board 1', host: '127.0.0.1', port: sim.port, unitId: 1, channels: 4 } };
+  const states = { b1: { lock: Promise.resolve(), useRTU: false, multiCoilWrite: null, coils: [false, false, false, false] } };
+  const connections = {
+    b1: createBoardConnection({
+      getConfig: () => boards.b1,
+      isRTU: () => states.b1.useRTU,
+      timeoutMs: 150,
+      reconnectMinMs: 10,
+      reconnectMaxMs: 50
+    })
+  };
+  const logged = [];
+  const io = createBoardIO({
+    getBoard: key => boards[key],
+    getState: key => states[key],
+    getConnection: key => connections[key],
+    interlock: createInterlock(() => ({ 1: BARRIER })),
+    log: (level, msg) => logged.push(`${level} ${msg}`)
+  });
+  t.after(async () => { connections.b1.close(); await sim.stop(); });
+  return { sim, io, state: states.b1, logged };
+}
+
+test('barrierCoilChanges releases before it energises', () => {
+  assert.deepEqual(barrierCoilChanges(BARRIER, 'lift'), [[1, false], [2, false], [0, true]]);
+  assert.deepEqual(barrierCoilChanges(BARRIER, 'close'), [[0, false], [1, true]]);
+  assert.deepEqual(barrierCoilChanges(BARRIER, 'stop'), [[0, false], [1, false], [2, true]]);
+  assert.deepEqual(barrierCoilChanges(BARRIER, 'release'), [[1, false]]);
+  assert.throws(() => barrierCoilChanges(BARRIER, 'hold'), /Unknown action/);
+});
+
+test('auto-detects a Modbus TCP board', async (t) => {
+  const { io, state, logged } = await setup(t, { mode: 'tcp' });
+  assert.equal(await io.autoDetect('b1'), true);
+  assert.equal(state.useRTU, false);
+  assert.ok(logged.includes('INFO Board 1: TCP mode'));
+});
+
+test('auto-detects an RTU-over-TCP board after the TCP probe times out', async (t) => {
+  const { io, state, logged } = await setup(t, { mode: 'rtu' });
+  assert.equal(await io.autoDetect('b1'), true);
+  assert.equal(state.useRTU, true);
+  assert.ok(logged.includes('INFO Board 1: RTU mode'));
+});
+
+test('auto-detect fails when the board answers neither', async (t) => {
+  const { sim, io } = await setup(t);
+  sim.inject({ type: 'timeout', count: 2 });
+  assert.equal(await io.autoDetect('b1'), false);
+});
+
+test('setCoils applies a barrier command in one FC 0x0F write', async (t) => {
+  const { sim, io, state } = await setup(t);
+  sim.coils[1] = true;
+  await io.withBoardLock('b1', () => io.setCoils('b1', barrierCoilChanges(BARRIER, 'lift')));
+  assert.deepEqual(sim.coils, [true, false, false, false]);
+  assert.deepEqual(state.coils, [true, false, false, false]);
+  assert.equal(state.multiCoilWrite, true);
+});
+
+test('setCoils falls back to single-coil writes when FC 0x0F is rejected', async (t) => {
+  const { sim, io, state, logged } = await setup(t, { multiCoilWrite: false });
+  await io.setCoils('b1', barrierCoilChanges(BARRIER, 'close'));
+  assert.deepEqual(sim.coils, [false, true, false, false]);
+  assert.equal(state.multiCoilWrite, false);
+  assert.ok(logged.some(line => line.includes('falling back to single-coil writes')));
+});
+
+test('setCoils refuses a change the interlock forbids', async (t) => {
+  const { sim, io } = await setup(t);
+  sim.coils[1] = true;
+  await assert.rejects(io.setCoils('b1', [[0, true]]), { status: 409, message: /lift and close both ON/ });
+  assert.deepEqual(sim.coils, [false, true, false, false]);
+});
+
+test('allCoilsOff releases every relay', async (t) => {
+  const { sim, io } = await setup(t);
+  sim.coils.fill(true);
+  await io.allCoilsOff('b1');
+  assert.deepEqual(sim.coils, [false, false, false, false]);
+});
+
+test('withBoardLock runs callers one after another, even after a failure', async (t) => {
+  const { io } = await setup(t);
+  const order = [];
+  const first = io.withBoardLock('b1', async () => {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    order.push('first');
+    throw new Error('boom');
+  });
+  const second = io.withBoardLock('b1', async () => { order.push('second'); });
+  await assert.rejects(first, /boom/);
+  await second;
+  assert.deepEqual(order, ['first', 'second']);
+});
@@ -0,0 +1,189 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_SITE, validateSiteConfig, configCandidates, resolveConfigPath, watchSiteConfig } = require('../lib/config');
+
+const board = (extra = {}) => ({ name: 'Board', host: '10.0.0.1', channels: 6, ...extra });
+const barrier = (board, lift, extra = {}) => ({ name: `Barrier on ${board}`, board, lift, close: lift + 1, stop: lift + 2, ...extra });
+
+function issues(raw) {
+  try {
+    validateSiteConfig(raw);
+  } catch (err) {
+    return err.issues;
+  }
+  assert.fail('expected the config to be rejected');
+}
+
+test('a config without sites is the default site', () => {
+  const cfg = validateSiteConfig({ boards: { b1: board() }, barriers: { 1: barrier('b1', 1) }, occupancy: { capacity: 10 } });
+  assert.equal(cfg.defaultSite, DEFAULT_SITE);
+  assert.deepEqual(cfg.sites, { [DEFAULT_SITE]: { name: 'Car park', occupancy: { capacity: 10 } } });
+  assert.equal(cfg.boards.b1.site, DEFAULT_SITE);
+  assert.deepEqual([cfg.barriers[1].site, cfg.barriers[1].lift], [DEFAULT_SITE, 0]);
+});
+
+test('sites are flattened into one map of boards and barriers', () => {
+  const cfg = validateSiteConfig({
+    defaultSite: 'south',
+    sites: {
+      north: { name: 'North', boards: { n1: board() }, barriers: { 1: barrier('n1', 1) } },
+      south: { name: 'South', boards: { s1: board({ inputs: 2 }) }, barriers: { 2: barrier('s1', 1, { inputs: { help: 2 } }) }, occupancy: { capacity: 40 } }
+    }
+  });
+  assert.equal(cfg.defaultSite, 'south');
+  assert.deepEqual(cfg.sites, { north: { name: 'North', occupancy: null }, south: { name: 'South', occupancy: { capacity: 40 } } });
+  assert.deepEqual(Object.entries(cfg.boards).map(([key, b]) => [key, b.site]), [['n1', 'north'], ['s1', 'south']]);
+  assert.deepEqual(Object.entries(cfg.barriers).map(([id, b]) => [id, b.site]), [['1', 'north'], ['2', 'south']]);
+  assert.deepEqual(cfg.barriers[2].inputs.help, { addr: 1, activeLow: false });
+
+  const first = validateSiteConfig({ sites: { a: { name: 'A', boards: { b: board() }, barriers: {} } } });
+  assert.equal(first.defaultSite, 'a');
+});
+
+test('board keys, barrier ids and cameras are unique across sites', () => {
+  const found = issues({
+    defaultSite: 'east',
+    sites: {
+      north: { name: 'North', boards: { b1: board() }, barriers: { 1: barrier('b1', 1, { cameras: ['cam'] }) } },
+      south: { name: 'South', boards: { b1: board() }, barriers: { 1: barrier('b1', 4, { cameras: ['cam'] }) } }
+    }
+  });
+  assert.ok(found.includes('sites.south.boards.b1: board key "b1" already used by site north'));
+  assert.ok(found.includes('sites.south.barriers.1: barrier 1 already used by site north'));
+  assert.ok(found.includes('sites.south.barriers.1.cameras: camera "cam" already reads at barrier 1'));
+  assert.ok(found.includes('defaultSite: unknown site "east"'));
+});
+
+test('a barrier may only use its own site\'s boards', () => {
+  const found = issues({
+    sites: {
+      north: { name: 'North', boards: { n1: board() }, barriers: { 1: barrier('s1', 1) } },
+      south: { name: 'South', boards: { s1: board() }, barriers: {} }
+    }
+  });
+  assert.deepEqual(found, ['sites.north.barriers.1.board: unknown board "s1"']);
+  assert.ok(issues({ sites: {} }).some(i => i.includes('at least one site is required')));
+  assert.ok(issues({ sites: { a: { boards: { b: board() }, barriers: {} } } }).some(i => i.startsWith('sites.a.name')));
+});
+
+test('outputs take a free channel and become coil addresses', () => {
+  const cfg = validateSiteConfig({
+    boards: { b1: board({ channels: 8 }) },
+    barriers: { 1: barrier('b1', 1) },
+    outputs: {
+      light: { name: 'Gate light', board: 'b1', channel: 4 },
+      wash: { name: 'Jet wash', board: 'b1', channel: 8, mode: 'timed', durationMs: 60000 }
+    }
+  });
+  assert.deepEqual(cfg.outputs, {
+    light: { name: 'Gate light', board: 'b1', mode: 'latched', addr: 3, site: DEFAULT_SITE },
+    wash: { name: 'Jet wash', board: 'b1', mode: 'timed', durationMs: 60000, addr: 7, site: DEFAULT_SITE }
+  });
+  assert.deepEqual(validateSiteConfig({ boards: { b1: board() }, barriers: {} }).outputs, {});
+
+  const found = issues({
+    boards: { b1: board() },
+    barriers: { 1: barrier('b1', 1) },
+    outputs: {
+      light: { name: 'Light', board: 'b1', channel: 2 },
+      sign: { name: 'Sign', board: 'b1', channel: 7 },
+      horn: { name: 'Horn', board: 'b2', channel: 1 },
+      wash: { name: 'Wash', board: 'b1', channel: 5, mode: 'timed' },
+      buzzer: { name: 'Buzzer', board: 'b1', channel: 6, mode: 'momentary', durationMs: 5000 }
+    }
+  });
+  assert.deepEqual(found, [
+    'outputs.wash.durationMs: timed outputs need durationMs, and only they take it',
+    'outputs.buzzer.durationMs: timed outputs need durationMs, and only they take it',
+    'outputs.light.channel: b1 CH2 already used by barrier 1 close',
+    'outputs.sign.channel: channel 7 exceeds b1 channel count (6)',
+    'outputs.horn.board: unknown board "b2"'
+  ]);
+});
+
+test('output keys are unique across sites', () => {
+  const found = issues({
+    sites: {
+      north: { name: 'North', boards: { n1: board() }, barriers: {}, outputs: { light: { name: 'Light', board: 'n1', channel: 1 } } },
+      south: { name: 'South', boards: { s1: board() }, barriers: {}, outputs: { light: { name: 'Light', board: 's1', channel: 1 } } }
+    }
+  });
+  assert.deepEqual(found, ['sites.south.outputs.light: output key "light" already used by site north']);
+});
+
+// ─── Files ──────────────────────────────────────────────────────────────────
+function configDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'site-config-'));
+  const saved = process.env.SITE_CONFIG;
+  delete process.env.SITE_CONFIG;
+  t.after(() => {
+    if (saved === undefined) delete process.env.SITE_CONFIG;
+    else process.env.SITE_CONFIG = saved;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return dir;
+}
+
+// JSON is YAML too, so one text serves every candidate
+const siteText = (name) => JSON.stringify({ sites: { main: { name, boards: { b1: board() }, barriers: { 1: barrier('b1', 1) } } } });
+
+test('the config file is the first candidate that exists, or an explicit SITE_CONFIG', (t) => {
+  const dir = configDir(t);
+  const [json, yamlFile, yml] = configCandidates(dir);
+  assert.deepEqual([json, yamlFile, yml].map(f => path.basename(f)), ['site.json', 'site.yaml', 'site.yml']);
+  assert.equal(resolveConfigPath(dir), json);
+  fs.writeFileSync(yml, siteText('Yml'));
+  assert.equal(resolveConfigPath(dir), yml);
+  fs.writeFileSync(yamlFile, siteText('Yaml'));
+  assert.equal(resolveConfigPath(dir), yamlFile);
+
+  process.env.SITE_CONFIG = path.join(dir, 'elsewhere.json');
+  assert.deepEqual(configCandidates(dir), [process.env.SITE_CONFIG]);
+  assert.equal(resolveConfigPath(dir), process.env.SITE_CONFIG);
+});
+
+test('a config file created after start is picked up, whichever name it has', async (t) => {
+  const dir = configDir(t);
+  const [json, yamlFile] = configCandidates(dir);
+  const events = [];
+  let notify = () => {};
+  const stop = watchSiteConfig(configCandidates(dir), (cfg) => {
+    events.push(`${path.basename(cfg.source)} ${cfg.sites.main.name}`);
+    notify();
+  }, (err) => {
+    events.push(err.message.replace(`${dir}${path.sep}`, ''));
+    notify();
+  }, 20);
+  t.after(stop);
+  const settle = () => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`no change seen after ${events.join(', ')}`)), 2000);
+    notify = () => { clearTimeout(timer); resolve(); };
+  });
+  // Polling stat() only notices a change of mtime or size
+  const write = async (file, name) => {
+    const seen = settle();
+    fs.writeFileSync(file, siteText(name));
+    await seen;
+  };
+
+  await write(yamlFile, 'Created');
+  await write(yamlFile, 'Edited twice');
+  await write(json, 'Json');
+  const removed = settle();
+  fs.rmSync(json);
+  await removed;
+  const gone = settle();
+  fs.rmSync(yamlFile);
+  await gone;
+
+  assert.deepEqual(events, [
+    'site.yaml Created',
+    'site.yaml Edited twice',
+    'site.json Json',
+    'site.yaml Edited twice',
+    'site.yaml removed — keeping current config'
+  ]);
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { parseOptions, diagnose } = require('../lib/diagnostics');
+const { createSimulatedBoard } = require('../lib/simulator');
+
+async function simulator(t, options) {
+  const sim = createSimulatedBoard({ channels: 4, inputs: 2, ...options });
+  await sim.start();
+  t.after(() => sim.stop());
+  return sim;
+}
+
+const board = (sim, extra = {}) => ({ host: '127.0.0.1', port: sim.port, unitId: 1, channels: 4, inputs: 2, ...extra });
+const results = report => Object.fromEntries(report.probes.map(p => [p.label, p.result]));
+
+test('a Modbus TCP board answers the TCP probes at every unit and nothing else', async (t) => {
+  const sim = await simulator(t);
+  sim.coils[1] = true;
+  sim.inputs[0] = true;
+  const report = await diagnose(board(sim), { unitIds: [1, 0], timeoutMs: 150 });
+
+  assert.deepEqual(results(report), {
+    'TCP unit 1 — FC01 read coils': 'ok',
+    'RTU unit 1 — FC01 read coils': 'timeout',
+    'TCP unit 0 — FC01 read coils': 'ok',
+    'RTU unit 0 — FC01 read coils': 'timeout',
+    'TCP unit 1 — FC02 read inputs': 'ok',
+    'RTU unit 1 — FC02 read inputs': 'invalid',   // happens to parse as MBAP, and gets a TCP reply
+    'Waveshare protocol — read relays': 'timeout'
+  });
+  const [tcp] = report.probes;
+  assert.equal(tcp.request, '000100000006010100000004');
+  assert.equal(tcp.response, '00010000000401010102');
+  assert.deepEqual(tcp.values, [false, true, false, false]);
+  assert.ok(tcp.connectMs >= 0 && tcp.replyMs >= 0);
+  assert.deepEqual(report.probes[4].values, [true, false]);
+  assert.equal(report.writes, false);
+  assert.equal(report.summary.advice, 'Answers Modbus TCP at unit 1 as configured');
+  assert.equal(sim.coils[1], true);
+});
+
+test('an RTU board at another unit id is found and the unit suggested', async (t) => {
+  const sim = await simulator(t, { mode: 'rtu', unitId: 3 });
+  const report = await diagnose(board(sim), { unitIds: [3], timeoutMs: 150 });
+
+  const rtu = report.probes.find(p => p.label === 'RTU unit 3 — FC01 read coils');
+  assert.equal(rtu.result, 'ok');
+  assert.equal(rtu.request.slice(0, 12), '030100000004');
+  assert.equal(report.probes.find(p => p.label === 'RTU unit 1 — FC01 read coils').result, 'timeout');
+  assert.deepEqual(report.summary.answers, [{ protocol: 'rtu', unitId: 3, result: 'ok' }]);
+  assert.equal(report.summary.advice, 'No reply at unit 1, but unit 3 answers — set unitId: 3');
+});
+
+test('exceptions and corrupt replies are reported with the raw bytes', async (t) => {
+  const sim = await simulator(t, { mode: 'rtu' });
+  sim.inject({ type: 'exception', fc: 0x01, code: 4 });
+  sim.inject({ type: 'crc', fc: 0x02 });
+  const report = await diagnose(board(sim), { unitIds: [1], timeoutMs: 150 });
+
+  const read = report.probes.find(p => p.label === 'RTU unit 1 — FC01 read coils');
+  assert.equal(read.result, 'exception');
+  assert.match(read.error, /code=4/);
+  assert.equal(read.response.slice(0, 6), '018104');
+  const inputs = report.probes.find(p => p.label === 'RTU unit 1 — FC02 read inputs');
+  assert.deepEqual([inputs.result, inputs.error], ['invalid', 'CRC mismatch']);
+  assert.ok(inputs.response);
+});
+
+test('the write probe writes the relay back as it was read', async (t) => {
+  const sim = await simulator(t);
+  sim.coils[2] = true;
+  const report = await diagnose(board(sim), { unitIds: [1], timeoutMs: 150, write: { channel: 3 } });
+
+  const write = report.probes.at(-1);
+  assert.equal(write.label, 'TCP unit 1 — FC05 write coil — CH3 back to ON');
+  assert.equal(write.result, 'ok');
+  assert.equal(write.request.slice(14), '050002ff00');
+  assert.equal(report.writes, true);
+  assert.deepEqual(sim.coils, [false, false, true, false]);
+});
+
+test('without a read at the board\'s unit the write probe is skipped', async (t) => {
+  const sim = await simulator(t, { mode: 'rtu', unitId: 3 });
+  const report = await diagnose(board(sim), { unitIds: [3], timeoutMs: 100, write: { channel: 1 } });
+  const write = report.probes.at(-1);
+  assert.deepEqual([write.result, write.request], ['skipped', null]);
+  assert.equal(write.error, 'No FC01 reply at unit 1 to take the relay state from');
+  assert.equal(sim.requests, 1);   // the RTU read at unit 3, nothing written
+});
+
+test('a silent or absent board and the Waveshare protocol', async (t) => {
+  // Accepts the connection, replies to anything with a fixed non-Modbus frame
+  const server = net.createServer(socket => socket.on('data', () => socket.write(Buffer.from([0xFE, 0xFE, 0x00, 0x12, 0x01]))));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  const odd = await diagnose({ host: '127.0.0.1', port: server.address().port, unitId: 1, channels: 4 }, { unitIds: [1], timeoutMs: 150 });
+  const waveshare = odd.probes.find(p => p.protocol === 'waveshare');
+  assert.deepEqual([waveshare.result, waveshare.response], ['ok', 'fefe001201']);
+  assert.equal(odd.summary.waveshare, true);
+
+  const closed = net.createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  const port = closed.address().port;
+  await new Promise(resolve => closed.close(resolve));
+  const absent = await diagnose({ host: '127.0.0.1', port, unitId: 1, channels: 4 }, { unitIds: [1], timeoutMs: 150 });
+  assert.ok(absent.probes.every(p => p.result === 'error' && p.connectMs === null));
+  assert.equal(absent.summary.reachable, false);
+  assert.match(absent.summary.advice, /^Nothing accepts connections/);
+});
+
+test('options are checked', () => {
+  assert.deepEqual(parseOptions(undefined, 4), {});
+  assert.deepEqual(parseOptions({ unitIds: [2], write: { channel: 4 } }, 4), { unitIds: [2], write: { channel: 4 } });
+  assert.throws(() => parseOptions({ write: { channel: 5 } }, 4), { status: 400, message: 'write.channel: the board has 4 channels' });
+  assert.throws(() => parseOptions({ unitIds: [256] }, 4), { status: 400 });
+  assert.throws(() => parseOptions({ coils: true }, 4), { status: 400 });
+});
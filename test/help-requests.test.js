@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHelpRequests } = require('../lib/help-requests');
+
+function memoryStore() {
+  const sections = {};
+  return { get: (name, fallback) => sections[name] || fallback, set: (name, value) => { sections[name] = JSON.parse(JSON.stringify(value)); } };
+}
+
+const t0 = new Date('2026-03-04T08:00:00Z');
+const after = sec => new Date(t0.getTime() + sec * 1000);
+
+test('one pending request per barrier; repeat presses are counted', () => {
+  const help = createHelpRequests({ store: memoryStore() });
+  const first = help.open({ barrierId: 1, origin: 'input' }, t0);
+  assert.equal(first.repeat, false);
+  const again = help.open({ barrierId: 1, origin: 'input' }, after(10));
+  assert.deepEqual([again.repeat, again.request.id, again.request.presses, again.request.lastPressAt], [true, first.request.id, 2, after(10).toISOString()]);
+  help.open({ barrierId: 2, origin: 'api', point: 'intercom', message: 'lost ticket' }, after(20));
+  assert.deepEqual(help.pending().map(r => r.barrierId), [1, 2]);
+});
+
+test('resolving records the outcome, reason and response time', () => {
+  const help = createHelpRequests({ store: memoryStore() });
+  const { request } = help.open({ barrierId: 1, origin: 'input' }, t0);
+  const resolved = help.resolve(request.id, { outcome: 'refused', reason: ' no ticket ' }, 'alice', after(45));
+  assert.deepEqual(
+    [resolved.outcome, resolved.reason, resolved.redirectTo, resolved.resolvedBy, resolved.responseMs],
+    ['refused', 'no ticket', null, 'alice', 45000]
+  );
+  assert.deepEqual(help.pending(), []);
+  assert.equal(help.resolved()[0].id, request.id);
+  assert.throws(() => help.resolve(request.id, { outcome: 'lifted', reason: 'x' }, 'bob'), { status: 409 });
+  assert.throws(() => help.resolve('nope', { outcome: 'lifted', reason: 'x' }, 'bob'), { status: 404 });
+});
+
+test('resolutions are validated before anything changes', () => {
+  const help = createHelpRequests({ store: memoryStore() });
+  const { request } = help.open({ barrierId: 1, origin: 'input' }, t0);
+  assert.throws(() => help.check(request.id, { outcome: 'lifted' }), { status: 400 });
+  assert.throws(() => help.check(request.id, { outcome: 'lifted', reason: '   ' }), { status: 400 });
+  assert.throws(() => help.check(request.id, { outcome: 'ignored', reason: 'x' }), { status: 400 });
+  assert.throws(() => help.check(request.id, { outcome: 'refused', reason: 'x', redirectTo: 'office' }), { status: 400 });
+  assert.equal(help.check(request.id, { outcome: 'redirected', reason: 'x', redirectTo: 'office' }).resolution.redirectTo, 'office');
+  assert.equal(help.pending().length, 1);
+});
+
+test('requests persist, resolved ones up to a limit', () => {
+  const store = memoryStore();
+  const help = createHelpRequests({ store, keepResolved: 2 });
+  for (const barrierId of [1, 2, 3]) {
+    const { request } = help.open({ barrierId, origin: 'api' }, t0);
+    help.resolve(request.id, { outcome: 'lifted', reason: 'ok' }, 'alice', after(barrierId));
+  }
+  help.open({ barrierId: 4, origin: 'input' }, t0);
+  const reloaded = createHelpRequests({ store, keepResolved: 2 });
+  assert.deepEqual(reloaded.resolved().map(r => r.barrierId), [3, 2]);
+  assert.deepEqual(reloaded.pending().map(r => r.barrierId), [4]);
+  assert.equal(reloaded.drop(4).barrierId, 4);
+  assert.equal(reloaded.drop(4), null);
+  assert.deepEqual(createHelpRequests({ store }).pending(), []);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMetrics } = require('../lib/metrics');
+
+test('counters render with HELP, TYPE and labels', () => {
+  const metrics = createMetrics({ prefix: 'bc_' });
+  const actions = metrics.counter('actions_total', 'Barrier actions', ['barrier', 'source']);
+  actions.inc({ barrier: 1, source: 'ui' });
+  actions.inc({ barrier: 1, source: 'ui' });
+  actions.inc({ barrier: 2, source: 'api' }, 3);
+  assert.equal(metrics.render(), [
+    '# HELP bc_actions_total Barrier actions',
+    '# TYPE bc_actions_total counter',
+    'bc_actions_total{barrier="1",source="ui"} 2',
+    'bc_actions_total{barrier="2",source="api"} 3',
+    ''
+  ].join('\n'));
+});
+
+test('a metric with no series still declares itself', () => {
+  const metrics = createMetrics();
+  metrics.counter('emergency_off_total', 'Emergency all-off commands');
+  assert.equal(metrics.render(), '# HELP emergency_off_total Emergency all-off commands\n# TYPE emergency_off_total counter\n');
+});
+
+test('collected gauges are read on every render', () => {
+  const metrics = createMetrics();
+  let boards = { b1: 1, b2: 0 };
+  metrics.gauge('board_up', 'Board reachable', ['board'], () => Object.entries(boards).map(([board, up]) => [{ board }, up]));
+  assert.match(metrics.render(), /board_up\{board="b2"\} 0\n/);
+  boards = { b1: 1 };
+  assert.doesNotMatch(metrics.render(), /b2/);
+});
+
+test('histograms are cumulative with sum and count', () => {
+  const metrics = createMetrics();
+  const latency = metrics.histogram('latency_seconds', 'Latency', ['board'], [0.01, 0.1]);
+  latency.observe({ board: 'b1' }, 0.005);
+  latency.observe({ board: 'b1' }, 0.05);
+  latency.observe({ board: 'b1' }, 2);
+  const text = metrics.render();
+  assert.match(text, /latency_seconds_bucket\{board="b1",le="0.01"\} 1\n/);
+  assert.match(text, /latency_seconds_bucket\{board="b1",le="0.1"\} 2\n/);
+  assert.match(text, /latency_seconds_bucket\{board="b1",le="\+Inf"\} 3\n/);
+  assert.match(text, /latency_seconds_sum\{board="b1"\} 2.055\n/);
+  assert.match(text, /latency_seconds_count\{board="b1"\} 3\n/);
+});
+
+test('label values are escaped', () => {
+  const metrics = createMetrics();
+  metrics.gauge('info', 'Info', ['name']).set({ name: 'Gate "A"\\B\nC' }, 1);
+  assert.match(metrics.render(), /info\{name="Gate \\"A\\"\\\\B\\nC"\} 1/);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const modbus = require('../lib/modbus');
+
+const hex = (s) => Buffer.from(s.replace(/\s+/g, ''), 'hex');
+
+// Reference frames from the Modbus spec examples and Waveshare's manual
+test('crc16 matches published RTU frames', () => {
+  assert.equal(modbus.crc16(hex('01 03 00 00 00 0A')), 0xCDC5);
+  assert.deepEqual(modbus.appendCRC(hex('01 01 00 00 00 08')), hex('01 01 00 00 00 08 3D CC'));
+});
+
+test('verifyCRC accepts good frames and rejects corrupt or short ones', () => {
+  assert.equal(modbus.verifyCRC(hex('01 01 00 00 00 08 3D CC')), true);
+  assert.equal(modbus.verifyCRC(hex('01 01 00 00 00 08 3D CD')), false);
+  assert.equal(modbus.verifyCRC(hex('01 01 3D')), false);
+});
+
+test('buildTCPFrame writes the MBAP header', () => {
+  const frame = modbus.buildTCPFrame(0x1234, 1, 0x01, modbus.readBitsRequest(0, 8));
+  assert.deepEqual(frame, hex('12 34 00 00 00 06 01 01 00 00 00 08'));
+});
+
+test('buildTCPFrame wraps the transaction id at 16 bits', () => {
+  const frame = modbus.buildTCPFrame(0x10001, 1, 0x05, modbus.writeCoilRequest(2, true));
+  assert.equal(frame.readUInt16BE(0), 1);
+  assert.deepEqual(frame.slice(7), hex('05 00 02 FF 00'));
+});
+
+test('buildRTUFrame appends the CRC little-endian', () => {
+  assert.deepEqual(modbus.buildRTUFrame(1, 0x01, modbus.readBitsRequest(0, 8)), hex('01 01 00 00 00 08 3D CC'));
+});
+
+test('parseTCPResponse returns the PDU', () => {
+  const pdu = modbus.parseTCPResponse(hex('00 07 00 00 00 04 01 01 01 05'));
+  assert.deepEqual(pdu, hex('01 01 05'));
+  assert.deepEqual(modbus.decodeBits(pdu, 4), [true, false, true, false]);
+});
+
+test('parseTCPResponse returns null for a short frame', () => {
+  assert.equal(modbus.parseTCPResponse(hex('00 07 00 00 00 02 01 01')), null);
+});
+
+test('parseTCPResponse throws the exception code', () => {
+  assert.throws(() => modbus.parseTCPResponse(hex('00 07 00 00 00 03 01 8F 01')),
+    { functionCode: 0x0F, exceptionCode: 1 });
+});
+
+test('parseRTUResponse waits for a complete frame', () => {
+  const full = modbus.appendCRC(hex('01 01 01 05'));
+  for (let n = 0; n < full.length; n++) {
+    assert.equal(modbus.parseRTUResponse(full.slice(0, n)), null, `${n} bytes`);
+  }
+  assert.deepEqual(modbus.parseRTUResponse(full), hex('01 01 05'));
+});
+
+test('parseRTUResponse handles write echoes', () => {
+  const echo = modbus.appendCRC(hex('01 05 00 02 FF 00'));
+  assert.equal(modbus.parseRTUResponse(echo.slice(0, 7)), null);
+  assert.deepEqual(modbus.parseRTUResponse(echo), hex('05 00 02 FF 00'));
+});
+
+test('parseRTUResponse throws on an exception frame', () => {
+  const frame = modbus.appendCRC(hex('01 81 02'));
+  assert.throws(() => modbus.parseRTUResponse(frame), { functionCode: 1, exceptionCode: 2 });
+});
+
+test('parseRTUResponse ignores an exception frame until its CRC checks out', () => {
+  const frame = modbus.appendCRC(hex('01 81 02'));
+  frame[4] ^= 0xFF;
+  assert.equal(modbus.parseRTUResponse(frame), null);
+});
+
+test('parseRTUResponse throws on a CRC mismatch', () => {
+  const frame = modbus.appendCRC(hex('01 01 01 05'));
+  frame[frame.length - 1] ^= 0xFF;
+  assert.throws(() => modbus.parseRTUResponse(frame), /CRC mismatch/);
+});
+
+test('writeCoilsRequest packs coils LSB first', () => {
+  const values = [true, false, false, false, false, false, false, false, true];
+  assert.deepEqual(modbus.writeCoilsRequest(0, values), hex('00 00 00 09 02 01 01'));
+});
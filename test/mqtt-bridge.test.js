@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const mqtt = require('mqtt');
+const { createMqttBridge, parseCommand } = require('../lib/mqtt-bridge');
+
+function fakeStatus() {
+  return {
+    boards: [{ key: 'board1', name: 'Board 1', connected: true, mode: 'Modbus TCP', channels: [{ channel: 1, active: false }], inputs: [] }],
+    barriers: [{
+      id: 2, name: 'Barrier 2', board: 'board1', state: 'closed', stateSince: '2026-01-01T00:00:00.000Z',
+      timeInStateMs: 1000, stateReason: 'command', lift: false, close: false, stop: false,
+      sensors: {}, automation: null, timedClose: null, hold: null
+    }]
+  };
+}
+
+async function setup(t, options = {}) {
+  const broker = require('aedes')();
+  const server = net.createServer(broker.handle);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `mqtt://127.0.0.1:${server.address().port}`;
+
+  let status = fakeStatus();
+  const commands = [];
+  const bridge = createMqttBridge({
+    url,
+    prefix: 'site',
+    publishIntervalMs: 50,
+    getStatus: () => status,
+    command: async (barrierId, action, opts) => {
+      if (barrierId === 9) throw new Error('Unknown barrier: 9');
+      commands.push({ barrierId, action, ...opts });
+    },
+    log: () => {},
+    ...options
+  });
+
+  const observer = mqtt.connect(url);
+  const messages = [];
+  observer.on('message', (topic, payload, packet) => messages.push({ topic, text: payload.toString(), retain: packet.retain }));
+  await new Promise(resolve => observer.on('connect', resolve));
+  await observer.subscribeAsync('#');
+
+  t.after(async () => {
+    await bridge.stop();
+    await observer.endAsync();
+    await new Promise(resolve => broker.close(resolve));
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  bridge.start();
+  await waitFor(() => bridge.connected);
+  return { broker, bridge, observer, messages, commands, setStatus: (s) => { status = s; } };
+}
+
+async function waitFor(check, ms = 2000) {
+  const until = Date.now() + ms;
+  while (!check()) {
+    if (Date.now() > until) throw new Error('timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+const last = (messages, topic) => [...messages].reverse().find(m => m.topic === topic);
+
+test('parseCommand accepts plain and JSON commands', () => {
+  assert.deepEqual(parseCommand(' LIFT\n'), { action: 'lift' });
+  assert.deepEqual(parseCommand('{"action":"lift","duration":300}'), { action: 'lift', duration: 300 });
+  assert.throws(() => parseCommand('open'), /Unknown action "open"/);
+  assert.throws(() => parseCommand('{nope'), /Invalid JSON/);
+});
+
+test('publishes online status and retained state', async (t) => {
+  const { messages } = await setup(t);
+  await waitFor(() => last(messages, 'site/barrier/2/state'));
+  assert.equal(last(messages, 'site/status').text, 'online');
+  const barrier = JSON.parse(last(messages, 'site/barrier/2/state').text);
+  assert.equal(barrier.state, 'closed');
+  assert.equal(barrier.timeInStateMs, undefined);
+  const board = JSON.parse(last(messages, 'site/board/board1/state').text);
+  assert.deepEqual(board.channels, [false]);
+});
+
+test('publishes Home Assistant discovery for barriers and boards', async (t) => {
+  const { messages } = await setup(t);
+  const coverTopic = 'homeassistant/cover/barrier_control_site/barrier_2/config';
+  await waitFor(() => last(messages, coverTopic));
+  const cover = JSON.parse(last(messages, coverTopic).text);
+  assert.equal(cover.command_topic, 'site/barrier/2/set');
+  assert.equal(cover.state_topic, 'site/barrier/2/state');
+  assert.equal(cover.payload_open, 'lift');
+  assert.equal(cover.availability_topic, 'site/status');
+  assert.ok(last(messages, 'homeassistant/binary_sensor/barrier_control_site/board_board1/config'));
+});
+
+test('only republishes state that changed, and clears removed barriers', async (t) => {
+  const { bridge, messages, setStatus } = await setup(t);
+  await waitFor(() => last(messages, 'site/barrier/2/state'));
+  await new Promise(resolve => setTimeout(resolve, 150));
+  const before = messages.filter(m => m.topic === 'site/barrier/2/state').length;
+  assert.equal(before, 1);
+
+  const next = fakeStatus();
+  next.barriers[0].state = 'opening';
+  setStatus(next);
+  bridge.notify();
+  await waitFor(() => JSON.parse(last(messages, 'site/barrier/2/state').text).state === 'opening');
+
+  setStatus({ ...next, barriers: [] });
+  bridge.notify();
+  await waitFor(() => last(messages, 'site/barrier/2/state').text === '');
+  await waitFor(() => last(messages, 'homeassistant/cover/barrier_control_site/barrier_2/config').text === '');
+});
+
+test('routes commands and reports the result', async (t) => {
+  const { observer, messages, commands } = await setup(t);
+  await observer.publishAsync('site/barrier/2/set', 'lift');
+  await observer.publishAsync('site/barrier/2/set', JSON.stringify({ action: 'lift', duration: 60 }));
+  await waitFor(() => commands.length === 2);
+  assert.deepEqual(commands, [
+    { barrierId: 2, action: 'lift', duration: undefined },
+    { barrierId: 2, action: 'lift', duration: 60 }
+  ]);
+  await waitFor(() => messages.filter(m => m.topic === 'site/barrier/2/result').length === 2);
+  assert.equal(JSON.parse(last(messages, 'site/barrier/2/result').text).success, true);
+});
+
+test('reports failed commands', async (t) => {
+  const { observer, messages, commands } = await setup(t);
+  await observer.publishAsync('site/barrier/9/set', 'close');
+  await observer.publishAsync('site/barrier/2/set', 'raise');
+  await waitFor(() => last(messages, 'site/barrier/2/result') && last(messages, 'site/barrier/9/result'));
+  assert.match(JSON.parse(last(messages, 'site/barrier/9/result').text).error, /Unknown barrier/);
+  assert.match(JSON.parse(last(messages, 'site/barrier/2/result').text).error, /Unknown action/);
+  assert.deepEqual(commands, []);
+});
+
+test('publishes audit entries for barriers and boards only', async (t) => {
+  const { bridge, messages } = await setup(t);
+  await waitFor(() => last(messages, 'site/status'));
+  bridge.publishAudit({ seq: 1, action: 'login_failed', source: 'ui', details: { username: 'sam', ip: '10.0.0.9' } });
+  bridge.publishAudit({ seq: 2, action: 'anpr_granted', source: 'anpr', details: { plate: 'AB12CDE' } });
+  bridge.publishAudit({ seq: 3, action: 'barrier_lift', source: 'ui' });
+  bridge.publishAudit({ seq: 4, action: 'output_on', source: 'ui' });
+  bridge.publishAudit({ seq: 5, action: 'board_diagnosed', source: 'ui' });
+  await waitFor(() => last(messages, 'site/audit') && JSON.parse(last(messages, 'site/audit').text).seq === 5);
+  const entries = messages.filter(m => m.topic === 'site/audit');
+  assert.deepEqual(entries.map(m => JSON.parse(m.text).action), ['barrier_lift', 'output_on', 'board_diagnosed']);
+  assert.equal(entries[0].retain, false);
+});
+
+test('the Last Will marks the server offline if it drops off', async (t) => {
+  const { broker, messages } = await setup(t, { clientId: 'bridge-under-test' });
+  await waitFor(() => last(messages, 'site/status'));
+  // Drop the bridge's connection without a clean disconnect
+  broker.clients['bridge-under-test'].conn.destroy();
+  await waitFor(() => last(messages, 'site/status').text === 'offline');
+});
+
+test('stop publishes offline before disconnecting', async (t) => {
+  const { bridge, messages } = await setup(t);
+  await waitFor(() => last(messages, 'site/status'));
+  await bridge.stop();
+  assert.equal(bridge.connected, false);
+  await waitFor(() => last(messages, 'site/status').text === 'offline');
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createOccupancy } = require('../lib/occupancy');
+
+function memoryStore() {
+  const sections = {};
+  return { get: (name, fallback) => sections[name] || fallback, set: (name, value) => { sections[name] = JSON.parse(JSON.stringify(value)); } };
+}
+
+function setup(capacity = 3, store = memoryStore()) {
+  return createOccupancy({ store, getCapacity: () => capacity });
+}
+
+const at = (day, time = '12:00') => new Date(`${day}T${time}:00`);
+
+test('entries and exits move the count, never below zero', () => {
+  const occupancy = setup();
+  occupancy.vehicle('entry');
+  occupancy.vehicle('entry');
+  occupancy.vehicle('exit');
+  assert.equal(occupancy.status().count, 1);
+  occupancy.vehicle('exit');
+  occupancy.vehicle('exit');
+  const { count, today } = occupancy.status();
+  assert.equal(count, 0);
+  assert.deepEqual([today.entries, today.exits, today.peak, today.low], [2, 3, 2, 0]);
+});
+
+test('full at capacity, and entries are refused unless overridden', () => {
+  const occupancy = setup(2);
+  occupancy.vehicle('entry');
+  assert.equal(occupancy.refusesEntry(), false);
+  occupancy.vehicle('entry');
+  assert.deepEqual([occupancy.full(), occupancy.status().available], [true, 0]);
+  assert.equal(occupancy.refusesEntry(), true);
+
+  occupancy.setOverride({ reason: 'event day', by: 'sam' });
+  assert.equal(occupancy.refusesEntry(), false);
+  assert.equal(occupancy.clearOverride().reason, 'event day');
+  assert.equal(occupancy.refusesEntry(), true);
+  assert.equal(occupancy.clearOverride(), null);
+});
+
+test('an override lapses at its end time', () => {
+  const occupancy = setup(1);
+  occupancy.vehicle('entry');
+  occupancy.setOverride({ reason: 'match', by: 'sam', until: new Date(Date.now() - 1).toISOString() });
+  assert.equal(occupancy.status().override, null);
+  assert.equal(occupancy.refusesEntry(), true);
+});
+
+test('without a capacity it counts but is never full', () => {
+  const occupancy = setup(null);
+  for (let i = 0; i < 5; i++) occupancy.vehicle('entry');
+  assert.deepEqual([occupancy.status().count, occupancy.status().available, occupancy.full()], [5, null, false]);
+});
+
+test('manual corrections set or adjust the count', () => {
+  const occupancy = setup();
+  assert.deepEqual(occupancy.correct({ count: 10 }), { previous: 0, count: 10 });
+  assert.deepEqual(occupancy.correct({ delta: -3 }), { previous: 10, count: 7 });
+  assert.equal(occupancy.status().today.corrections, 2);
+  assert.throws(() => occupancy.correct({ delta: -8 }), { status: 400 });
+  assert.throws(() => occupancy.correct({ count: 1.5 }), { status: 400 });
+  assert.throws(() => occupancy.correct({}), /either count or delta/);
+  assert.throws(() => occupancy.correct({ count: 1, delta: 1 }), /either count or delta/);
+});
+
+test('daily history carries the count over and is kept for reporting', () => {
+  const store = memoryStore();
+  const occupancy = setup(null, store);
+  occupancy.vehicle('entry', at('2026-03-01', '08:00'));
+  occupancy.vehicle('entry', at('2026-03-01', '09:00'));
+  occupancy.vehicle('exit', at('2026-03-02', '17:00'));
+  occupancy.correct({ count: 0 }, at('2026-03-03'));
+
+  assert.deepEqual(setup(null, store).history('2026-03-02'), [
+    { date: '2026-03-02', entries: 0, exits: 1, corrections: 0, peak: 2, low: 1 },
+    { date: '2026-03-03', entries: 0, exits: 0, corrections: 1, peak: 1, low: 0 }
+  ]);
+  assert.equal(occupancy.history('2026-03-01', '2026-03-01')[0].peak, 2);
+});
+
+test('history is capped to the newest days', () => {
+  const occupancy = createOccupancy({ store: memoryStore(), getCapacity: () => null, historyDays: 2 });
+  for (const day of ['2026-03-01', '2026-03-02', '2026-03-03']) occupancy.vehicle('entry', at(day));
+  assert.deepEqual(occupancy.history().map(d => d.date), ['2026-03-02', '2026-03-03']);
+});
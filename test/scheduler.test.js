@@ -0,0 +1,262 @@
+// Local time matters here: pin it to a zone with DST before any Date is made
+process.env.TZ = 'Europe/London';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, cronMatches, cronTimes, createScheduler } = require('../lib/scheduler');
+
+function memoryStore(sections = {}) {
+  return { sections, get: (name, fallback) => sections[name] || fallback, set: (name, value) => { sections[name] = JSON.parse(JSON.stringify(value)); } };
+}
+
+// Barriers 1 and 2 at site a, 3 at site b
+function setup({ schedule, failing = [] } = {}) {
+  const store = memoryStore(schedule ? { schedule } : {});
+  const latched = [];
+  const audits = [];
+  const logs = [];
+  const scheduler = createScheduler({
+    store,
+    getBarriers: () => ({ 1: { site: 'a' }, 2: { site: 'a' }, 3: { site: 'b' } }),
+    latch: async (id, action, source) => {
+      if (failing.includes(id)) throw new Error('not connected');
+      latched.push([id, action, source]);
+    },
+    audit: (action, details, source) => audits.push({ action, details, source }),
+    log: (level, msg) => logs.push(`${level} ${msg}`)
+  });
+  return { scheduler, store, latched, audits, logs };
+}
+
+const at = (text) => new Date(text);
+const sorted = (set) => [...set].sort((a, b) => a - b);
+const local = (date) => date.toLocaleString('en-GB', { hour12: false });
+
+// ─── Cron ───────────────────────────────────────────────────────────────────
+test('cron fields take values, ranges, lists and steps', () => {
+  const cron = parseCron('*/15 8-10,17 1,15 * mon-fri');
+  assert.deepEqual(sorted(cron.minute), [0, 15, 30, 45]);
+  assert.deepEqual(sorted(cron.hour), [8, 9, 10, 17]);
+  assert.deepEqual(sorted(cron.dom), [1, 15]);
+  assert.equal(cron.month.size, 12);
+  assert.deepEqual(sorted(cron.dow), [1, 2, 3, 4, 5]);
+  assert.deepEqual([cron.domAny, cron.dowAny], [false, false]);
+
+  assert.deepEqual(sorted(parseCron('10-30/10 * * * *').minute), [10, 20, 30]);
+  // A start with a step runs on to the end of the field
+  assert.deepEqual(sorted(parseCron('0 20/2 * * *').hour), [20, 22]);
+  assert.deepEqual(sorted(parseCron('0 0 * JAN-mar,dec *').month), [1, 2, 3, 12]);
+});
+
+test('day of week 0 and 7 are both Sunday', () => {
+  for (const dow of ['0', '7', 'sun', '6-7']) {
+    const cron = parseCron(`0 12 * * ${dow}`);
+    assert.ok(cronMatches(cron, at('2026-03-08T12:00:00')), `${dow} matches a Sunday`);
+    assert.ok(!cronMatches(cron, at('2026-03-09T12:00:00')), `${dow} doesn't match a Monday`);
+  }
+  assert.deepEqual(sorted(parseCron('0 12 * * 5-7').dow), [0, 5, 6, 7]);
+});
+
+test('bad cron expressions say what is wrong', () => {
+  assert.throws(() => parseCron('0 12 * *'), /needs 5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /minute 60 out of range 0-59/);
+  assert.throws(() => parseCron('0 * 0 * *'), /day of month 0 out of range 1-31/);
+  assert.throws(() => parseCron('0 * * * 8'), /day of week 8 out of range 0-7/);
+  assert.throws(() => parseCron('0 10-8 * * *'), /bad range in hour "10-8"/);
+  assert.throws(() => parseCron('*/0 * * * *'), /bad step in minute/);
+  assert.throws(() => parseCron('0 * * foo *'), /bad month "foo"/);
+});
+
+test('day of month and day of week match either when both are set', () => {
+  // The 13th, or any Friday
+  const either = parseCron('0 9 13 * fri');
+  assert.ok(cronMatches(either, at('2026-03-13T09:00:00')));   // Friday the 13th
+  assert.ok(cronMatches(either, at('2026-03-06T09:00:00')));   // a Friday
+  assert.ok(cronMatches(either, at('2026-04-13T09:00:00')));   // a Monday the 13th
+  assert.ok(!cronMatches(either, at('2026-03-12T09:00:00')));
+
+  // Only one restricted: both must hold
+  const fridays = parseCron('0 9 * 3 fri');
+  assert.ok(cronMatches(fridays, at('2026-03-06T09:00:00')));
+  assert.ok(!cronMatches(fridays, at('2026-04-03T09:00:00')));
+  assert.ok(!cronMatches(fridays, at('2026-03-06T09:01:00')));
+});
+
+test('fire times are listed after the start, up to the end and the limit', () => {
+  const weekdays = parseCron('30 7 * * mon-fri');
+  const times = cronTimes(weekdays, at('2026-03-06T07:30:00'), at('2026-03-13T07:30:00'));
+  assert.deepEqual(times.map(local), [
+    '09/03/2026, 07:30:00', '10/03/2026, 07:30:00', '11/03/2026, 07:30:00', '12/03/2026, 07:30:00', '13/03/2026, 07:30:00'
+  ]);
+  assert.equal(cronTimes(parseCron('* * * * *'), at('2026-03-06T00:00:00'), at('2026-03-07T00:00:00'), 10).length, 10);
+});
+
+test('a fixed time inside the hour the clocks skip does not fire that day', () => {
+  // 29 March 2026: 01:00 GMT jumps to 02:00 BST
+  const times = cronTimes(parseCron('30 1 * * *'), at('2026-03-28T00:00:00'), at('2026-03-31T00:00:00'));
+  assert.deepEqual(times.map(local), ['28/03/2026, 01:30:00', '30/03/2026, 01:30:00']);
+  const hourly = cronTimes(parseCron('0 * * * *'), at('2026-03-28T23:30:00'), at('2026-03-29T23:30:00'));
+  assert.equal(hourly.length, 23);
+});
+
+test('a fixed time inside the hour the clocks repeat fires once, and one-offs still run', async () => {
+  // 25 October 2026: 02:00 BST goes back to 01:00 GMT
+  const times = cronTimes(parseCron('30 1 * * *'), at('2026-10-25T00:00:00'), at('2026-10-26T00:00:00'));
+  assert.deepEqual(times.map(t => t.toISOString()), ['2026-10-25T00:30:00.000Z']);
+
+  const { scheduler, latched } = setup({ schedule: { rules: [{ id: 'r1', name: 'late close', barriers: [1], action: 'close', cron: '30 1 * * *', holidays: 'any', enabled: true }] } });
+  // Due at 01:15 GMT, the second time round
+  scheduler.addOverride({ action: 'lift', barriers: [2], at: '2026-10-25T01:15:00Z' });
+  for (let t = Date.parse('2026-10-25T00:00:00Z'); t <= Date.parse('2026-10-25T02:00:00Z'); t += 60000) {
+    await scheduler.tick(new Date(t));
+    if (t === Date.parse('2026-10-25T01:15:00Z')) assert.deepEqual(latched.at(-1), [2, 'lift', 'schedule']);
+  }
+  assert.deepEqual(latched, [[1, 'close', 'schedule'], [2, 'lift', 'schedule']]);
+});
+
+// ─── Rules ──────────────────────────────────────────────────────────────────
+test('a rule runs on its minute, once, for the barriers it names', async () => {
+  const { scheduler, latched, audits } = setup();
+  const rule = scheduler.addRule({ name: 'Morning', barriers: [1, 2], action: 'lift', cron: '0 7 * * *' });
+  assert.deepEqual([rule.holidays, rule.enabled], ['skip', true]);
+
+  await scheduler.tick(at('2026-03-04T06:59:00'));
+  assert.deepEqual(latched, []);
+  await scheduler.tick(at('2026-03-04T07:00:05'));
+  await scheduler.tick(at('2026-03-04T07:00:40'));   // same minute again
+  assert.deepEqual(latched, [[1, 'lift', 'schedule'], [2, 'lift', 'schedule']]);
+  assert.deepEqual(audits, [{ action: 'schedule_triggered', details: { rule: rule.id, name: 'Morning', action: 'lift', barriers: [1, 2] }, source: 'schedule' }]);
+});
+
+test('a site rule with * covers only that site, and unknown barriers are dropped', async () => {
+  const { scheduler, latched } = setup();
+  scheduler.addRule({ name: 'Site b', site: 'b', barriers: '*', action: 'close', cron: '0 22 * * *' });
+  scheduler.addRule({ name: 'Site a', site: 'a', barriers: [2, 3, 9], action: 'lift', cron: '0 22 * * *' });
+  await scheduler.tick(at('2026-03-04T22:00:00'));
+  assert.deepEqual(latched, [[3, 'close', 'schedule'], [2, 'lift', 'schedule']]);
+});
+
+test('a failing barrier is audited and the rest still run', async () => {
+  const { scheduler, latched, audits, logs } = setup({ failing: [1] });
+  const rule = scheduler.addRule({ name: 'Night', barriers: '*', action: 'close', cron: '0 23 * * *' });
+  await scheduler.tick(at('2026-03-04T23:00:00'));
+  assert.deepEqual(latched.map(([id]) => id), [2, 3]);
+  assert.deepEqual(audits.find(a => a.action === 'schedule_failed').details, { rule: rule.id, name: 'Night', action: 'close', barrierId: 1, error: 'not connected' });
+  assert.match(logs[0], /^WARN Scheduled close of barrier 1 failed: not connected/);
+});
+
+test('date ranges and disabled rules', async () => {
+  const { scheduler, latched } = setup();
+  scheduler.addRule({ name: 'March only', barriers: [1], action: 'lift', cron: '0 8 * * *', from: '2026-03-01', until: '2026-03-31' });
+  const off = scheduler.addRule({ name: 'Off', barriers: [2], action: 'lift', cron: '0 8 * * *', enabled: false });
+
+  await scheduler.tick(at('2026-02-28T08:00:00'));
+  await scheduler.tick(at('2026-03-01T08:00:00'));
+  await scheduler.tick(at('2026-03-31T08:00:00'));
+  await scheduler.tick(at('2026-04-01T08:00:00'));
+  assert.deepEqual(latched, [[1, 'lift', 'schedule'], [1, 'lift', 'schedule']]);
+
+  scheduler.updateRule(off.id, { enabled: true });
+  await scheduler.tick(at('2026-04-02T08:00:00'));
+  assert.deepEqual(latched.slice(2), [[2, 'lift', 'schedule']]);
+});
+
+test('holidays are skipped, kept or the only days, per rule', async () => {
+  const { scheduler, latched } = setup();
+  scheduler.setHolidays([{ date: '2026-05-25', name: 'Spring bank holiday' }, { date: '2026-05-04' }]);
+  assert.deepEqual(scheduler.list().holidays.map(h => h.date), ['2026-05-04', '2026-05-25']);
+  scheduler.addRule({ name: 'Workdays', barriers: [1], action: 'lift', cron: '0 7 * * *' });
+  scheduler.addRule({ name: 'Always', barriers: [2], action: 'lift', cron: '0 7 * * *', holidays: 'any' });
+  scheduler.addRule({ name: 'Holidays', barriers: [3], action: 'lift', cron: '0 7 * * *', holidays: 'only' });
+
+  await scheduler.tick(at('2026-05-25T07:00:00'));
+  assert.deepEqual(latched.map(([id]) => id), [2, 3]);
+  latched.length = 0;
+  await scheduler.tick(at('2026-05-26T07:00:00'));
+  assert.deepEqual(latched.map(([id]) => id), [1, 2]);
+});
+
+// ─── Overrides ──────────────────────────────────────────────────────────────
+test('a one-off override fires once when due and is removed', async () => {
+  const { scheduler, store, latched, audits } = setup();
+  const override = scheduler.addOverride({ action: 'lift', barriers: [2], at: '2026-03-04T18:30:00Z', reason: 'delivery' });
+
+  await scheduler.tick(at('2026-03-04T18:29:00Z'));
+  assert.deepEqual(latched, []);
+  await scheduler.tick(at('2026-03-04T18:31:00Z'));
+  assert.deepEqual(latched, [[2, 'lift', 'schedule']]);
+  assert.deepEqual(audits[0].details, { override: override.id, reason: 'delivery', action: 'lift', barriers: [2] });
+  assert.deepEqual(store.sections.schedule.overrides, []);
+});
+
+test('a one-off missed by more than the grace period is dropped and audited', async () => {
+  const { scheduler, latched, audits } = setup();
+  const override = scheduler.addOverride({ action: 'close', barriers: '*', at: '2026-03-04T18:00:00Z' });
+  await scheduler.tick(at('2026-03-04T18:16:00Z'));
+  assert.deepEqual(latched, []);
+  assert.deepEqual(audits, [{ action: 'schedule_override_missed', details: { override: override.id, action: 'close', at: '2026-03-04T18:00:00Z' }, source: 'schedule' }]);
+  assert.deepEqual(scheduler.list().overrides, []);
+});
+
+test('a suspension holds rules off its barriers until it ends, then goes', async () => {
+  const { scheduler, latched, audits } = setup();
+  scheduler.addRule({ name: 'Hourly close', barriers: '*', action: 'close', cron: '0 * * * *' });
+  scheduler.addOverride({ action: 'suspend', site: 'a', barriers: [2], from: '2026-03-04T18:00:00Z', until: '2026-03-04T20:00:00Z', reason: 'event' });
+
+  await scheduler.tick(at('2026-03-04T18:00:00Z'));
+  assert.deepEqual(latched.map(([id]) => id), [1, 3]);
+  assert.deepEqual(audits[0].details.barriers, [1, 3]);
+  latched.length = 0;
+
+  // `until` is exclusive; the suspension is cleared on that tick
+  await scheduler.tick(at('2026-03-04T20:00:00Z'));
+  assert.deepEqual(latched.map(([id]) => id), [1, 2, 3]);
+  assert.deepEqual(scheduler.list().overrides, []);
+});
+
+test('suspensions and upcoming runs show in the upcoming list', () => {
+  const { scheduler } = setup();
+  const soon = new Date(Math.ceil(Date.now() / 3600000) * 3600000 + 3600000);
+  scheduler.addRule({ name: 'Hourly', site: 'a', barriers: '*', action: 'close', cron: '0 * * * *', holidays: 'any' });
+  scheduler.addOverride({ action: 'suspend', barriers: [1], from: new Date(soon.getTime() - 60000).toISOString(), until: new Date(soon.getTime() + 60000).toISOString() });
+  const override = scheduler.addOverride({ action: 'lift', barriers: [3], at: soon.toISOString() });
+
+  const list = scheduler.upcoming(3);
+  const atSoon = list.filter(item => item.at === soon.toISOString());
+  assert.deepEqual(atSoon.map(item => [item.name, item.barriers]), [['Hourly', [2]], ['One-off override', [3]]]);
+  assert.equal(atSoon[1].override, override.id);
+  assert.ok(list.every((item, i) => i === 0 || list[i - 1].at <= item.at));
+});
+
+// ─── Editing ────────────────────────────────────────────────────────────────
+test('edits are validated, with a 400 or 404 to hand back', () => {
+  const { scheduler, store } = setup();
+  const badRequest = (fn, pattern) => assert.throws(fn, (err) => err.status === 400 && pattern.test(err.message));
+
+  badRequest(() => scheduler.addRule({ name: 'x', barriers: [1], action: 'lift', cron: '0 25 * * *' }), /cron: hour 25 out of range/);
+  badRequest(() => scheduler.addRule({ name: 'x', barriers: [], action: 'lift', cron: '0 7 * * *' }), /^barriers/);
+  badRequest(() => scheduler.addRule({ name: 'x', barriers: [1], action: 'open', cron: '0 7 * * *' }), /^action/);
+  badRequest(() => scheduler.addOverride({ action: 'suspend', barriers: [1], from: '2026-03-04T20:00:00Z', until: '2026-03-04T18:00:00Z' }), /until: must be after from/);
+  badRequest(() => scheduler.setHolidays([{ date: '25/12/2026' }]), /expected YYYY-MM-DD/);
+
+  assert.throws(() => scheduler.updateRule('rule-nope', { enabled: false }), { status: 404, message: 'No rule rule-nope' });
+  assert.throws(() => scheduler.deleteOverride('ovr-nope'), { status: 404 });
+
+  const rule = scheduler.addRule({ name: 'Morning', barriers: [1], action: 'lift', cron: '0 7 * * *' });
+  const updated = scheduler.updateRule(rule.id, { cron: '30 7 * * *' });
+  assert.deepEqual([updated.id, updated.name, updated.cron], [rule.id, 'Morning', '30 7 * * *']);
+  badRequest(() => scheduler.updateRule(rule.id, { id: 'renamed' }), /Unrecognized key/);
+  assert.equal(store.sections.schedule.rules[0].cron, '30 7 * * *');
+  assert.equal(scheduler.deleteRule(rule.id).id, rule.id);
+  assert.deepEqual(store.sections.schedule.rules, []);
+});
+
+test('an edited cron takes effect on the next tick', async () => {
+  const { scheduler, latched } = setup();
+  const rule = scheduler.addRule({ name: 'Morning', barriers: [1], action: 'lift', cron: '0 7 * * *' });
+  await scheduler.tick(at('2026-03-04T07:00:00'));
+  scheduler.updateRule(rule.id, { cron: '0 8 * * *' });
+  await scheduler.tick(at('2026-03-05T07:00:00'));
+  await scheduler.tick(at('2026-03-05T08:00:00'));
+  assert.equal(latched.length, 2);
+});
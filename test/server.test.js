@@ -0,0 +1,644 @@
+// End-to-end: server.js in simulator mode, driven over its REST API. The
+// environment is read when server.js is loaded, so it is set up first.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'barrier-control-'));
+// Two sites; routes without /api/sites/:site act on the first, north
+fs.writeFileSync(path.join(dir, 'site.json'), JSON.stringify({
+  sites: {
+    north: {
+      name: 'North car park',
+      boards: { board1: { name: 'Board 1', host: '127.0.0.1', port: 4196, unitId: 1, channels: 6, inputs: 4 } },
+      barriers: {
+        1: { name: 'Barrier 1', board: 'board1', lift: 1, close: 2, stop: 3, direction: 'entry', travelMs: 500 },
+        2: { name: 'Barrier 2', board: 'board1', lift: 4, close: 5, stop: 6, cameras: ['exit-cam'], direction: 'exit', travelMs: 500, inputs: { help: 1 } }
+      },
+      occupancy: { capacity: 2 }
+    },
+    south: {
+      name: 'South car park',
+      boards: { board2: { name: 'Board 2', host: '127.0.0.1', port: 4197, unitId: 1, channels: 6 } },
+      barriers: { 3: { name: 'Barrier 3', board: 'board2', lift: 1, close: 2, stop: 3, direction: 'entry' } },
+      outputs: {
+        beacon: { name: 'Beacon', board: 'board2', channel: 4 },
+        buzzer: { name: 'Buzzer', board: 'board2', channel: 5, mode: 'momentary' },
+        wash: { name: 'Jet wash', board: 'board2', channel: 6, mode: 'timed', durationMs: 1000 }
+      },
+      occupancy: { capacity: 50 }
+    }
+  }
+}));
+Object.assign(process.env, {
+  SIMULATOR: '1',
+  SITE_CONFIG: path.join(dir, 'site.json'),
+  DATA_DIR: dir,
+  AUDIT_LOG: path.join(dir, 'audit.log'),
+  CLOSE_RELEASE_MS: '150',
+  PULSE_MS: '100',
+  MODBUS_TIMEOUT: '200',
+  RECONNECT_MIN_MS: '10'
+});
+delete process.env.API_KEY;
+delete process.env.ADMIN_PASSWORD;
+
+const server = require('../server');
+
+let base;
+let sim;
+let hookServer;
+const hookEvents = [];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function api(method, url, body, headers = {}) {
+  const res = await fetch(`${base}${url}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', 'X-Source': 'test', ...headers },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+// Tokens switch auth on for every later test, so each use makes its own admin
+// token and takes them all away again, however the test ends
+async function withTokens(fn) {
+  const admin = (await api('POST', '/api/tokens', { name: 'test-admin', role: 'admin' })).body.result;
+  const asAdmin = bearer(admin);
+  const tokens = [];
+  const create = async (fields) => {
+    tokens.push((await api('POST', '/api/tokens', fields, asAdmin)).body.result);
+    return tokens.at(-1);
+  };
+  try {
+    await fn({ admin, asAdmin, create });
+  } finally {
+    for (const token of tokens) await api('DELETE', `/api/tokens/${token.id}`, undefined, asAdmin);
+    await api('DELETE', `/api/tokens/${admin.id}`, undefined, asAdmin);
+  }
+  assert.equal((await api('GET', '/api/auth/me')).body.authEnabled, false);
+}
+
+const bearer = (token) => ({ Authorization: `Bearer ${token.token}` });
+
+// Collects an event stream's messages until closed
+async function openEvents(url, headers) {
+  const controller = new AbortController();
+  const res = await fetch(`${base}${url}`, { headers, signal: controller.signal });
+  const events = [];
+  const decoder = new TextDecoder();
+  let buffer = '';
+  (async () => {
+    for await (const chunk of res.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      for (let i; (i = buffer.indexOf('\n\n')) >= 0; buffer = buffer.slice(i + 2)) {
+        if (buffer.startsWith('data: ')) events.push(JSON.parse(buffer.slice(6, i)));
+      }
+    }
+  })().catch(() => { /* aborted */ });
+  return { events, close: () => controller.abort() };
+}
+
+async function auditActions() {
+  const { body } = await api('GET', '/api/audit?limit=1000');
+  return body.map(e => e.action);
+}
+
+test('loading server.js neither connects nor listens', () => {
+  assert.deepEqual(Object.keys(server.BOARDS), []);
+  assert.deepEqual(Object.keys(server.simulators), []);
+});
+
+test.describe('running server', () => {
+  test.before(async () => {
+    const { port } = await server.start({ port: 0, host: '127.0.0.1', heartbeats: false });
+    base = `http://127.0.0.1:${port}`;
+    sim = server.simulators.board1;
+    await server.heartbeatBoard('board1');
+
+    hookServer = http.createServer((req, res) => {
+      hookEvents.push(req.headers['x-barrier-event']);
+      res.end();
+    });
+    await new Promise(resolve => hookServer.listen(0, '127.0.0.1', resolve));
+    const hook = await api('POST', '/api/webhooks', { name: 'ops', url: `http://127.0.0.1:${hookServer.address().port}/`, events: ['board_*', 'emergency_off'] });
+    assert.equal(hook.status, 200);
+  });
+
+  test.after(async () => {
+    await server.stop();
+    await new Promise(resolve => hookServer.close(resolve));
+  });
+
+  test.beforeEach(async () => {
+    await server.emergencyOff('test');
+  });
+
+  test('a heartbeat brings the simulated board online', async () => {
+    const { body } = await api('GET', '/api/status');
+    assert.equal(body.boards[0].connected, true);
+    assert.equal(body.boards[0].mode, 'Modbus TCP');
+    assert.equal(server.boardState.board1.reachable, true);
+  });
+
+  test('lift energises the lift relay only', async () => {
+    const res = await api('POST', '/api/barrier/1/lift');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.channel, 1);
+    assert.deepEqual(sim.coils, [true, false, false, false, false, false]);
+  });
+
+  test('close drops the lift relay and auto-releases after CLOSE_RELEASE_MS', async () => {
+    await api('POST', '/api/barrier/1/lift');
+    await api('POST', '/api/barrier/1/close');
+    assert.deepEqual(sim.coils.slice(0, 3), [false, true, false]);
+    await sleep(80);
+    assert.equal(sim.coils[1], true, 'still pulsing before the release time');
+    await sleep(200);
+    assert.equal(sim.coils[1], false);
+    assert.ok((await auditActions()).includes('close_auto_release'));
+  });
+
+  test('a second command cancels the pending close release', async () => {
+    await api('POST', '/api/barrier/1/close');
+    await api('POST', '/api/barrier/1/stop');
+    await sleep(250);
+    assert.deepEqual(sim.coils.slice(0, 3), [false, false, true]);
+  });
+
+  test('barriers on the same board are independent', async () => {
+    await api('POST', '/api/barrier/1/lift');
+    await api('POST', '/api/barrier/2/lift');
+    assert.deepEqual(sim.coils, [true, false, false, true, false, false]);
+  });
+
+  test('emergency off releases relays, timed closes and holds', async () => {
+    await api('POST', '/api/barrier/1/lift', { duration: 60 });
+    const held = await api('POST', '/api/barrier/2/hold', { mode: 'open', reason: 'resurfacing' });
+    assert.equal(held.status, 200);
+    assert.equal(sim.coils[3], true);
+
+    const res = await api('POST', '/api/emergency-off');
+    assert.equal(res.status, 200);
+    assert.deepEqual(sim.coils, [false, false, false, false, false, false]);
+    const { body } = await api('GET', '/api/status');
+    assert.equal(body.barriers[0].timedClose, null);
+    assert.equal(body.barriers[1].hold, null);
+    const entries = (await api('GET', '/api/audit?action=emergency_off&limit=1')).body;
+    assert.deepEqual(entries[0].details.releasedHolds, [2]);
+    assert.equal(entries[0].source, 'test');
+  });
+
+  test('a held barrier refuses commands', async () => {
+    await api('POST', '/api/barrier/1/hold', { mode: 'closed', reason: 'incident' });
+    const res = await api('POST', '/api/barrier/1/lift');
+    assert.equal(res.status, 409);
+    assert.match(res.body.error, /locked closed/);
+    assert.equal(sim.coils[0], false);
+  });
+
+  test('the interlock is enforced even if the board reports both relays on', async () => {
+    sim.coils[0] = true;
+    sim.coils[1] = true;
+    await server.heartbeatBoard('board1');
+    assert.deepEqual(sim.coils.slice(0, 2), [false, false]);
+    assert.ok((await auditActions()).includes('interlock_fault'));
+  });
+
+  test('a board that stops answering goes offline and commands fail', async () => {
+    sim.inject({ type: 'timeout' });
+    await server.heartbeatBoard('board1');
+    assert.equal(server.boardState.board1.reachable, false);
+    const res = await api('POST', '/api/barrier/1/lift');
+    assert.equal(res.status, 500);
+    assert.match(res.body.error, /not connected/);
+
+    await server.heartbeatBoard('board1');
+    assert.equal(server.boardState.board1.reachable, true);
+
+    await sleep(100);
+    assert.deepEqual(hookEvents.filter(e => e.startsWith('board_')), ['board_offline', 'board_online']);
+    const log = (await api('GET', '/api/webhooks/deliveries?event=board_offline')).body;
+    assert.equal(log[0].status, 'delivered');
+    assert.equal(log[0].payload.data.board, 'board1');
+  });
+
+  test('webhook secrets stay out of the API and the audit log', async () => {
+    const list = (await api('GET', '/api/webhooks')).body;
+    assert.equal(list[0].secret, undefined);
+    const added = (await api('GET', '/api/audit?action=webhook_added')).body;
+    assert.equal(added[0].details.secret, undefined);
+    assert.ok(hookEvents.includes('emergency_off'));
+  });
+
+  test('/metrics exports board, Modbus and barrier metrics', async () => {
+    await api('POST', '/api/barrier/2/lift');
+    const res = await fetch(`${base}/metrics`);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/plain/);
+    const text = await res.text();
+    assert.match(text, /^barrier_control_board_up\{board="board1"\} 1$/m);
+    assert.match(text, /^barrier_control_board_mode\{board="board1",mode="tcp"\} 1$/m);
+    assert.match(text, /^barrier_control_board_disconnects_total\{board="board1"\} 1$/m);
+    assert.match(text, /^barrier_control_modbus_errors_total\{board="board1",kind="timeout"\} 1$/m);
+    assert.match(text, /^barrier_control_modbus_request_duration_seconds_count\{board="board1",function="write_coils"\} \d+$/m);
+    assert.match(text, /^barrier_control_barrier_actions_total\{barrier="2",action="lift",source="test"\} \d+$/m);
+    assert.match(text, /^barrier_control_emergency_off_total \d+$/m);
+    assert.match(text, /^barrier_control_sse_clients 0$/m);
+  });
+
+  test('a timed close on an offline board is retried quietly and shows why', async () => {
+    await api('POST', '/api/barrier/1/lift', { duration: 1 });
+    sim.inject({ type: 'timeout' });
+    await server.heartbeatBoard('board1');
+    await sleep(1200);
+    const { timedClose } = (await api('GET', '/api/status')).body.barriers[0];
+    assert.deepEqual([timedClose.blocked, timedClose.attempts], [false, 1]);
+    assert.match(timedClose.error, /not connected/);
+    assert.ok(!(await auditActions()).includes('timed_close_blocked'));
+
+    assert.equal((await api('DELETE', '/api/barrier/1/timed-close')).status, 200);
+    await server.heartbeatBoard('board1');
+    assert.equal(server.boardState.board1.reachable, true);
+  });
+
+  test('an ANPR read lifts for a permitted plate and audits denials', async () => {
+    const permit = await api('POST', '/api/access/permits', { plate: 'ab12 cde', holder: 'J. Smith', barriers: [2] });
+    assert.equal(permit.status, 200);
+
+    const granted = await api('POST', '/api/anpr/read', { plate: 'AB12CDE', camera: 'exit-cam', confidence: 92 });
+    assert.equal(granted.status, 200);
+    assert.equal(granted.body.granted, true);
+    assert.equal(sim.coils[3], true);
+    const lift = (await api('GET', '/api/audit?action=barrier_lift&limit=1')).body[0];
+    assert.equal(lift.source, 'anpr');
+    const grant = (await api('GET', '/api/audit?action=anpr_granted&limit=1')).body[0];
+    assert.deepEqual([grant.details.plate, grant.details.permit, grant.details.camera], ['AB12CDE', permit.body.result.id, 'exit-cam']);
+
+    const denied = await api('POST', '/api/anpr/read', { plate: 'AB12CDE', barrier: 1 });
+    assert.equal(denied.body.granted, false);
+    assert.equal(denied.body.reason, 'wrong_barrier');
+    assert.equal(sim.coils[0], false);
+    const denial = (await api('GET', '/api/audit?action=anpr_denied&limit=1')).body[0];
+    assert.deepEqual([denial.details.plate, denial.details.reason, denial.details.permit], ['AB12CDE', 'wrong_barrier', permit.body.result.id]);
+
+    assert.equal((await api('POST', '/api/anpr/read', { plate: 'AB12CDE', camera: 'nowhere' })).status, 400);
+  });
+
+  test('a read is decided by the server clock, not the camera timestamp', async () => {
+    // Permitted for an hour starting two hours from now; the camera claims it is inside it
+    const hhmm = (d) => d.toTimeString().slice(0, 5);
+    const later = new Date(Date.now() + 2 * 3600 * 1000);
+    await api('POST', '/api/access/permits', { plate: 'HOURS1', barriers: [1], hours: { from: hhmm(later), until: hhmm(new Date(later.getTime() + 3600 * 1000)) } });
+    const timestamp = new Date(later.getTime() + 30 * 60 * 1000).toISOString();
+
+    const read = await api('POST', '/api/anpr/read', { plate: 'HOURS1', barrier: 1, timestamp });
+    assert.deepEqual([read.status, read.body.granted, read.body.reason], [200, false, 'outside_hours']);
+    assert.equal(sim.coils[0], false);
+    const denial = (await api('GET', '/api/audit?action=anpr_denied&limit=1')).body[0];
+    assert.deepEqual([denial.details.plate, denial.details.readAt], ['HOURS1', timestamp]);
+    assert.equal((await api('POST', '/api/anpr/read', { plate: 'HOURS1', barrier: 1, timestamp: 'yesterday' })).status, 400);
+  });
+
+  test('a permit check needs the barrier and its site in scope', async () => {
+    await withTokens(async ({ admin, asAdmin, create }) => {
+      const barrierOne = await create({ name: 'barrier-one', role: 'supervisor', barriers: [1] });
+      const southOnly = await create({ name: 'south-only', role: 'supervisor', sites: ['south'] });
+      const check = (token, url) => api('GET', url, undefined, bearer(token));
+
+      assert.equal((await check(admin, '/api/access/check?plate=AB12CDE&barrier=2')).body.granted, true);
+      assert.equal((await check(barrierOne, '/api/access/check?plate=AB12CDE&barrier=1')).status, 200);
+      const outOfScope = await check(barrierOne, '/api/access/check?plate=AB12CDE&barrier=2');
+      assert.deepEqual([outOfScope.status, outOfScope.body.error], [403, 'No access to barrier 2']);
+
+      assert.equal((await check(southOnly, '/api/access/check?plate=AB12CDE&barrier=2')).status, 403);
+      assert.equal((await check(southOnly, '/api/access/check?plate=AB12CDE&barrier=3')).status, 200);
+      assert.equal((await check(southOnly, '/api/sites/south/access/check?plate=AB12CDE&barrier=3')).status, 200);
+      assert.equal((await check(southOnly, '/api/sites/south/access/check?plate=AB12CDE&barrier=1')).status, 400);
+      assert.equal((await check(southOnly, '/api/sites/north/access/check?plate=AB12CDE&barrier=1')).status, 403);
+
+      // The permit list only shows permits wholly in scope; '*' needs every site
+      const added = [];
+      for (const [plate, barriers] of [['SOUTH1', [3]], ['ANYWHERE', '*']]) {
+        added.push((await api('POST', '/api/access/permits', { plate, barriers }, asAdmin)).body.result);
+      }
+      const plates = async (token) => (await check(token, '/api/access/permits')).body.map(p => p.plate).sort();
+      assert.deepEqual(await plates(barrierOne), ['HOURS1']);
+      assert.deepEqual(await plates(southOnly), ['SOUTH1']);
+      assert.deepEqual(await plates(admin), ['AB12CDE', 'ANYWHERE', 'HOURS1', 'SOUTH1']);
+      const asSouth = bearer(southOnly);
+      assert.equal((await api('POST', '/api/access/permits', { plate: 'NORTH1', barriers: [1] }, asSouth)).status, 403);
+      assert.equal((await api('DELETE', `/api/access/permits/${added[1].id}`, undefined, asSouth)).status, 403);
+      for (const permit of added) await api('DELETE', `/api/access/permits/${permit.id}`, undefined, asAdmin);
+    });
+  });
+
+  test('openings of entry and exit barriers count vehicles', async () => {
+    await api('PUT', '/api/occupancy', { count: 1, reason: 'test' });
+    await api('POST', '/api/barrier/1/lift');
+    await sleep(700);
+    const { body } = await api('GET', '/api/status');
+    assert.deepEqual([body.occupancy.count, body.occupancy.full], [2, true]);
+    assert.ok((await auditActions()).includes('capacity_full'));
+
+    await api('POST', '/api/barrier/2/lift');
+    await sleep(700);
+    const after = (await api('GET', '/api/occupancy')).body;
+    assert.deepEqual([after.count, after.full], [1, false]);
+    assert.equal((await api('GET', '/api/occupancy/history')).body.at(-1).entries >= 1, true);
+
+    // Scheduled and timed lifts leave the barrier open, so they aren't a vehicle
+    const count = async () => (await api('GET', '/api/occupancy')).body.count;
+    await api('POST', '/api/barrier/1/close');
+    await sleep(700);
+    await server.latchBarrierAction('1', 'lift', 'schedule');
+    await sleep(700);
+    assert.equal(await count(), 1);
+    await api('POST', '/api/barrier/1/close');
+    await sleep(700);
+    await api('POST', '/api/barrier/1/lift', { duration: 300 });
+    await sleep(700);
+    assert.equal(await count(), 1);
+    await api('POST', '/api/barrier/1/close');
+  });
+
+  test('a full car park refuses automatic entry lifts until overridden', async () => {
+    await api('POST', '/api/access/permits', { plate: 'FULL1', barriers: [1] });
+    await api('PUT', '/api/occupancy', { count: 2 });
+
+    const refused = await api('POST', '/api/anpr/read', { plate: 'FULL1', barrier: 1 });
+    assert.equal(refused.status, 409);
+    assert.match(refused.body.error, /North car park full \(2\/2\)/);
+    assert.equal(sim.coils[0], false);
+    const entry = (await api('GET', '/api/audit?action=capacity_lift_refused&limit=1')).body[0];
+    assert.equal(entry.details.liftedBy, 'anpr');
+
+    assert.equal((await api('POST', '/api/barrier/1/lift')).status, 200, 'people may still lift it');
+    await server.emergencyOff('test');
+
+    assert.equal((await api('PUT', '/api/occupancy/override', { reason: 'event day' })).status, 200);
+    const granted = await api('POST', '/api/anpr/read', { plate: 'FULL1', barrier: 1 });
+    assert.equal(granted.status, 200);
+    assert.equal(sim.coils[0], true);
+    assert.equal((await api('DELETE', '/api/occupancy/override')).status, 200);
+    assert.equal((await api('DELETE', '/api/occupancy/override')).status, 404);
+    await api('PUT', '/api/occupancy', { count: 0 });
+  });
+
+  test('reports aggregate commands, open time and board uptime', async () => {
+    const actions = (await api('GET', '/api/reports/actions?group=total&barrier=2')).body;
+    const lifts = actions.rows.find(r => r.action === 'lift' && r.source === 'test');
+    assert.equal(lifts.barrier, 'Barrier 2');
+    assert.ok(lifts.count >= 3);
+    assert.ok(actions.rows.every(r => r.barrierId === 2));
+
+    const openTime = (await api('GET', '/api/reports/open-time?group=total')).body.rows;
+    assert.ok(openTime.find(r => r.barrierId === 1).opens >= 1);
+    const uptime = (await api('GET', '/api/reports/uptime?group=total')).body.rows;
+    assert.equal(uptime[0].board, 'board1');
+    assert.ok(uptime[0].uptimePct > 0 && uptime[0].uptimePct < 100);
+
+    const csv = await fetch(`${base}/api/reports/actions?group=day&format=csv`);
+    assert.match(csv.headers.get('content-type'), /^text\/csv/);
+    assert.match(await csv.text(), /^period,barrierId,barrier,action,source,count\r\n/);
+    assert.equal((await api('GET', '/api/reports/actions?group=week')).status, 400);
+    assert.equal((await api('GET', '/api/reports/nope')).status, 404);
+  });
+
+  test('a help point queues a request that an operator resolves with a reason', async () => {
+    const press = async () => {
+      sim.setInput(0, true);
+      await server.heartbeatBoard('board1');
+      sim.setInput(0, false);
+      await server.heartbeatBoard('board1');
+    };
+    await press();
+    await press();
+    const { pending } = (await api('GET', '/api/help')).body;
+    assert.equal(pending.length, 1);
+    const [request] = pending;
+    assert.deepEqual([request.barrierId, request.barrier, request.origin, request.presses], [2, 'Barrier 2', 'input', 2]);
+    assert.equal((await api('GET', '/api/status')).body.barriers[1].helpRequest.id, request.id);
+    const requested = (await api('GET', '/api/audit?action=help_requested')).body;
+    assert.deepEqual([requested.length, requested[0].source], [1, 'help_point']);
+
+    assert.equal((await api('POST', `/api/help/${request.id}/resolve`, { outcome: 'lifted' })).status, 400);
+    const lifted = await api('POST', `/api/help/${request.id}/resolve`, { outcome: 'lifted', reason: 'ticket machine jammed' });
+    assert.equal(lifted.status, 200);
+    assert.equal(sim.coils[3], true);
+    const lift = (await api('GET', '/api/audit?action=barrier_lift&limit=1')).body[0];
+    assert.deepEqual([lift.details.reason, lift.details.helpRequest], ['ticket machine jammed', request.id]);
+    const resolved = (await api('GET', '/api/audit?action=help_resolved&limit=1')).body[0];
+    assert.deepEqual([resolved.details.outcome, resolved.details.presses], ['lifted', 2]);
+    assert.equal((await api('POST', `/api/help/${request.id}/resolve`, { outcome: 'refused', reason: 'again' })).status, 409);
+    assert.equal((await api('POST', '/api/help/nope/resolve', { outcome: 'refused', reason: 'x' })).status, 404);
+
+    const call = await api('POST', '/api/help', { barrier: 1, point: 'intercom', message: 'lost ticket' });
+    assert.equal(call.status, 201);
+    const refused = await api('POST', `/api/help/${call.body.request.id}/resolve`, { outcome: 'redirected', reason: 'lost ticket', redirectTo: 'pay station' });
+    assert.equal(refused.body.request.redirectTo, 'pay station');
+    assert.equal(sim.coils[0], false);
+    const help = (await api('GET', '/api/help')).body;
+    assert.deepEqual([help.pending.length, help.resolved.length], [0, 2]);
+
+    const metrics = await (await fetch(`${base}/metrics`)).text();
+    assert.match(metrics, /barrier_control_help_response_seconds_count\{barrier="2",outcome="lifted"\} 1/);
+    assert.match(metrics, /barrier_control_help_requests_pending 0/);
+  });
+
+  test('sites scope the routes, occupancy, schedules and emergency off', async () => {
+    const sites = (await api('GET', '/api/sites')).body;
+    assert.deepEqual(sites.map(s => [s.key, s.default, s.barriers]), [['north', true, [1, 2]], ['south', false, [3]]]);
+    await server.heartbeatBoard('board2');
+    const south = server.simulators.board2;
+
+    assert.equal((await api('POST', '/api/sites/south/barrier/3/lift')).status, 200);
+    assert.equal(south.coils[0], true);
+    assert.equal((await api('POST', '/api/barrier/3/lift')).status, 400, 'the old routes are the default site');
+    assert.equal((await api('POST', '/api/sites/south/barrier/1/lift')).status, 400);
+    assert.equal((await api('GET', '/api/sites/west/status')).status, 404);
+    const status = (await api('GET', '/api/sites/south/status')).body;
+    assert.deepEqual([status.site, status.barriers.map(b => b.id), status.boards.map(b => b.key)], ['south', [3], ['board2']]);
+    assert.equal(status.occupancy.capacity, 50);
+
+    await api('PUT', '/api/sites/south/occupancy', { count: 7 });
+    assert.equal((await api('GET', '/api/sites/south/occupancy')).body.count, 7);
+    assert.notEqual((await api('GET', '/api/occupancy')).body.count, 7);
+
+    await api('POST', '/api/barrier/1/lift');
+    assert.equal((await api('POST', '/api/sites/south/emergency-off')).status, 200);
+    assert.deepEqual([south.coils[0], sim.coils[0]], [false, true]);
+    const off = (await api('GET', '/api/audit?action=emergency_off&limit=1')).body[0];
+    assert.deepEqual([off.details.site, off.details.boards], ['south', ['board2']]);
+    await api('POST', '/api/sites/south/barrier/3/lift');
+    assert.equal((await api('POST', '/api/emergency-off')).status, 200);
+    assert.deepEqual([south.coils[0], sim.coils[0]], [false, false]);
+
+    const rule = await api('POST', '/api/sites/south/schedules/rules', { name: 'Open south', barriers: '*', action: 'lift', cron: '0 7 * * *' });
+    assert.equal(rule.body.result.site, 'south');
+    assert.ok((await api('GET', '/api/sites/south/schedules')).body.rules.some(r => r.id === rule.body.result.id));
+    assert.ok(!(await api('GET', '/api/schedules')).body.rules.some(r => r.id === rule.body.result.id));
+    const upcoming = (await api('GET', '/api/sites/south/schedules/upcoming')).body;
+    assert.ok(upcoming.length > 0 && upcoming.every(t => t.barriers.join() === '3'));
+    assert.equal((await api('POST', '/api/sites/south/schedules/rules', { name: 'Wrong', barriers: [1], action: 'lift', cron: '0 7 * * *' })).status, 400);
+    assert.equal((await api('DELETE', `/api/schedules/rules/${rule.body.result.id}`)).status, 404);
+    assert.equal((await api('DELETE', `/api/sites/south/schedules/rules/${rule.body.result.id}`)).status, 200);
+
+    // Unprefixed, the event stream and the audit log still keep to the caller's scope
+    await withTokens(async ({ asAdmin, create }) => {
+      const southOnly = await create({ name: 'south-viewer', role: 'viewer', sites: ['south'] });
+      const stream = await openEvents('/api/events', bearer(southOnly));
+      try {
+        await api('POST', '/api/barrier/1/stop', undefined, asAdmin);
+        await api('POST', '/api/sites/south/barrier/3/stop', undefined, asAdmin);
+        await sleep(100);
+      } finally {
+        stream.close();
+      }
+      const stops = stream.events.filter(e => e.action === 'barrier_stop').map(e => e.details.barrierId);
+      assert.deepEqual(stops, [3]);
+      assert.ok(stream.events.every(e => e.barrierId === undefined || e.barrierId === 3));
+
+      const seen = await api('GET', '/api/audit?action=barrier_stop&limit=1000', undefined, bearer(southOnly));
+      assert.ok(seen.body.length > 0 && seen.body.every(e => e.details.barrierId === 3));
+      const all = await api('GET', '/api/audit?action=barrier_stop&limit=1000', undefined, asAdmin);
+      assert.ok(all.body.some(e => e.details.barrierId === 1));
+    });
+  });
+
+  test('emergency off needs every barrier, and every site unless given one', async () => {
+    await withTokens(async ({ create }) => {
+      const someBarriers = await create({ name: 'two-barriers', role: 'supervisor', barriers: [1, 2] });
+      const southOnly = await create({ name: 'south-supervisor', role: 'supervisor', sites: ['south'] });
+      const off = (token, url) => api('POST', url, undefined, bearer(token));
+
+      const refused = await off(someBarriers, '/api/emergency-off');
+      assert.deepEqual([refused.status, refused.body.error], [403, 'Emergency off needs access to every barrier']);
+      assert.equal((await off(someBarriers, '/api/sites/north/emergency-off')).status, 403);
+      assert.equal((await off(southOnly, '/api/emergency-off')).status, 403);
+      assert.equal((await off(southOnly, '/api/sites/north/emergency-off')).status, 403);
+      assert.equal((await off(southOnly, '/api/sites/south/emergency-off')).status, 200);
+    });
+    const last = (await api('GET', '/api/audit?action=emergency_off&limit=1')).body[0];
+    assert.deepEqual([last.details.site, last.user], ['south', 'token:south-supervisor']);
+  });
+
+  test('board diagnostics probe a board without moving its relays', async () => {
+    sim.coils[1] = true;
+    const { status, body } = await api('POST', '/api/boards/board1/diagnose', { unitIds: [1], timeoutMs: 100, write: { channel: 2 } });
+    assert.equal(status, 200);
+    assert.deepEqual([body.board, body.site, body.live.exclusive, body.writes], ['board1', 'north', true, true]);
+    assert.equal(body.summary.advice, 'Answers Modbus TCP at unit 1 as configured');
+    assert.deepEqual(body.probes.map(p => p.result), ['ok', 'timeout', 'ok', 'timeout', 'timeout', 'ok']);
+    assert.ok(body.probes[0].request && body.probes[0].response && body.probes[0].replyMs >= 0);
+    assert.deepEqual(sim.coils.slice(0, 3), [false, true, false]);
+    sim.coils[1] = false;
+
+    assert.equal((await api('POST', '/api/boards/board2/diagnose')).status, 400);
+    assert.equal((await api('POST', '/api/boards/nope/diagnose')).status, 404);
+    assert.equal((await api('POST', '/api/boards/board1/diagnose', { write: { channel: 7 } })).status, 400);
+    const south = await api('POST', '/api/sites/south/boards/board2/diagnose', { unitIds: [1], timeoutMs: 100 });
+    assert.deepEqual([south.status, south.body.writes, south.body.live.exclusive], [200, false, false]);
+    const entry = (await api('GET', '/api/audit?action=board_diagnosed&limit=1')).body[0];
+    assert.deepEqual([entry.details.board, entry.details.site, entry.details.write], ['board2', 'south', null]);
+  });
+
+  test('a traffic capture records a board\'s frames until stopped', async () => {
+    assert.equal((await api('GET', '/api/boards/board1/capture')).status, 404);
+    assert.equal((await api('PUT', '/api/boards/board1/capture', { size: 0 })).status, 400);
+    assert.equal((await api('PUT', '/api/boards/board1/capture', { size: 50 })).status, 200);
+    sim.inject({ type: 'crc', fc: 0x01 });
+    await server.heartbeatBoard('board1');
+    await server.heartbeatBoard('board1');
+
+    const { body } = await api('GET', '/api/boards/board1/capture');
+    assert.equal(body.size, 50);
+    // A truncated TCP reply never completes: a timeout, with the bytes that did come
+    assert.deepEqual([body.records[0].outcome, body.records[0].response.length > 0], ['timeout', true]);
+    assert.ok(body.records.slice(1).every(r => r.outcome === 'ok'));
+    assert.ok(body.records.every(r => r.protocol === 'tcp' && r.request));
+    assert.ok((await api('GET', '/api/status')).body.boards[0].capturing);
+
+    const pcap = await fetch(`${base}/api/boards/board1/capture?format=pcap`);
+    assert.equal(pcap.headers.get('content-type'), 'application/vnd.tcpdump.pcap');
+    assert.match(pcap.headers.get('content-disposition'), /board1-.*\.pcap/);
+    assert.equal(Buffer.from(await pcap.arrayBuffer()).readUInt32LE(20), 147);
+
+    assert.equal((await api('DELETE', '/api/boards/board1/capture')).status, 200);
+    assert.equal((await api('GET', '/api/boards/board1/capture')).status, 404);
+    const actions = await auditActions();
+    assert.ok(actions.includes('capture_started') && actions.includes('capture_stopped'));
+  });
+
+  test('auxiliary outputs switch per their mode', async () => {
+    await server.heartbeatBoard('board2');
+    const south = server.simulators.board2;
+    const outputs = (await api('GET', '/api/sites/south/outputs')).body;
+    assert.deepEqual(outputs.map(o => [o.key, o.channel, o.mode, o.actions.join()]), [
+      ['beacon', 4, 'latched', 'on,off'], ['buzzer', 5, 'momentary', 'pulse,off'], ['wash', 6, 'timed', 'on,off']
+    ]);
+    assert.deepEqual((await api('GET', '/api/outputs')).body, []);
+    assert.equal((await api('POST', '/api/outputs/beacon/on')).status, 400, 'not at the default site');
+    assert.equal((await api('POST', '/api/sites/south/outputs/nope/on')).status, 404);
+
+    assert.equal((await api('POST', '/api/sites/south/outputs/beacon/on')).status, 200);
+    assert.equal(south.coils[3], true);
+    assert.equal((await api('POST', '/api/sites/south/outputs/beacon/pulse')).status, 400);
+    assert.equal((await api('POST', '/api/sites/south/outputs/beacon/on', { duration: 5 })).status, 400);
+    assert.equal((await api('POST', '/api/sites/south/outputs/beacon/off')).status, 200);
+    assert.equal(south.coils[3], false);
+
+    const pulse = await api('POST', '/api/sites/south/outputs/buzzer/pulse');
+    assert.deepEqual([pulse.status, pulse.body.output.on, pulse.body.output.pulseMs], [200, true, 100]);
+    await sleep(250);
+    assert.equal(south.coils[4], false);
+
+    const wash = await api('POST', '/api/sites/south/outputs/wash/on');
+    assert.ok(wash.body.output.offAt && wash.body.output.remainingMs <= 1000);
+    assert.equal(south.coils[5], true);
+    await sleep(1200);
+    assert.equal(south.coils[5], false);
+    const entries = (await api('GET', '/api/audit?action=output_on,output_off,output_pulse&limit=10')).body;
+    assert.deepEqual(entries.map(e => [e.action, e.details.output, e.source]), [
+      ['output_on', 'beacon', 'test'], ['output_off', 'beacon', 'test'], ['output_pulse', 'buzzer', 'test'],
+      ['output_on', 'wash', 'test'], ['output_off', 'wash', 'timer']
+    ]);
+    assert.deepEqual([entries[3].details.duration, entries[3].details.site], [1, 'south']);
+
+    const board = (await api('GET', '/api/sites/south/status')).body.boards[0];
+    assert.deepEqual(board.channels.map(ch => ch.label), ['Barrier 3 lift', 'Barrier 3 close', 'Barrier 3 stop', 'Beacon', 'Buzzer', 'Jet wash']);
+    assert.equal(board.channels[3].output, 'beacon');
+  });
+
+  test('raw channel control goes through the interlock and holds', async () => {
+    const on = await api('PUT', '/api/boards/board1/channels/1', { on: true });
+    assert.deepEqual([on.status, on.body.label], [200, 'Barrier 1 lift']);
+    assert.equal(sim.coils[0], true);
+    const refused = await api('PUT', '/api/boards/board1/channels/2', { on: true });
+    assert.equal(refused.status, 409);
+    assert.match(refused.body.error, /Interlock/);
+    assert.equal(sim.coils[1], false);
+    assert.equal((await api('PUT', '/api/boards/board1/channels/1', { on: false })).status, 200);
+    assert.equal(sim.coils[0], false);
+
+    await api('POST', '/api/barrier/2/hold', { mode: 'closed', reason: 'incident' });
+    assert.equal((await api('PUT', '/api/boards/board1/channels/4', { on: true })).status, 409);
+    assert.equal((await api('PUT', '/api/boards/board1/channels/7', { on: true })).status, 400);
+    assert.equal((await api('PUT', '/api/boards/board1/channels/1', { on: 'yes' })).status, 400);
+    assert.equal((await api('PUT', '/api/boards/board2/channels/1', { on: true })).status, 400);
+    const entry = (await api('GET', '/api/audit?action=channel_set&limit=1')).body[0];
+    assert.deepEqual([entry.details.board, entry.details.channel, entry.details.on], ['board1', 1, false]);
+  });
+
+  test('the audit chain verifies', async () => {
+    const { body } = await api('GET', '/api/audit/verify');
+    assert.equal(body.ok, true);
+    assert.ok(body.checked > 0);
+  });
+});
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTrafficCapture, replay } = require('../lib/traffic-capture');
+const { createBoardConnection } = require('../lib/board-connection');
+const { createSimulatedBoard } = require('../lib/simulator');
+const { readBitsRequest } = require('../lib/modbus');
+
+// A simulated board whose connection records into a capture
+async function setup(t, mode = 'tcp', size) {
+  const sim = createSimulatedBoard({ mode, channels: 4 });
+  await sim.start();
+  const capture = createTrafficCapture({ size });
+  const conn = createBoardConnection({
+    getConfig: () => ({ host: '127.0.0.1', port: sim.port, unitId: 1 }),
+    isRTU: () => mode === 'rtu',
+    timeoutMs: 100,
+    reconnectMinMs: 10,
+    reconnectMaxMs: 50,
+    onTraffic: capture.record
+  });
+  t.after(async () => { conn.close(); await sim.stop(); });
+  return { sim, conn, capture };
+}
+
+const read = conn => conn.request(0x01, readBitsRequest(0, 4)).catch(err => err);
+
+test('records each request with its frames, latency and outcome', async (t) => {
+  const { sim, conn, capture } = await setup(t);
+  sim.coils[0] = true;
+  await read(conn);
+  sim.inject({ type: 'timeout' });
+  await read(conn);
+  sim.inject({ type: 'exception', code: 2 });
+  await read(conn);
+
+  const { records, recorded, dropped } = capture.toJSON();
+  assert.deepEqual([recorded, dropped], [3, 0]);
+  assert.deepEqual(records.map(r => r.outcome), ['ok', 'timeout', 'exception']);
+  assert.deepEqual(records[0], {
+    ...records[0],
+    seq: 1, protocol: 'tcp', unitId: 1, fc: 1,
+    request: '000100000006010100000004',
+    response: '00010000000401010101',
+    error: null
+  });
+  assert.equal(records[0].chunks.map(c => c.data).join(''), records[0].response);
+  assert.ok(records[0].latencyMs >= 0 && records[0].chunks[0].offsetMs <= records[0].latencyMs);
+  assert.deepEqual([records[1].response, records[1].error], [null, 'Modbus timeout']);
+  assert.match(records[2].error, /code=2/);
+});
+
+test('the ring buffer keeps the newest records', async (t) => {
+  const { conn, capture } = await setup(t, 'tcp', 2);
+  for (let i = 0; i < 3; i++) await read(conn);
+  const json = capture.toJSON();
+  assert.deepEqual(json.records.map(r => r.seq), [2, 3]);
+  assert.deepEqual([json.size, json.recorded, json.dropped, capture.length], [2, 3, 1, 2]);
+});
+
+test('requests that never reach the board are recorded without a frame', async (t) => {
+  const { sim, conn, capture } = await setup(t);
+  await sim.stop();
+  const err = await read(conn);
+  assert.ok(err instanceof Error);
+  const [r] = capture.toJSON().records;
+  assert.deepEqual([r.request, r.outcome, r.latencyMs], [null, 'connection', null]);
+  assert.equal(capture.toPcap().length, 24);   // nothing crossed the wire
+});
+
+test('pcap has a USER0 header and a packet per direction', async (t) => {
+  const { conn, capture } = await setup(t, 'rtu');
+  await read(conn);
+  const pcap = capture.toPcap();
+  assert.deepEqual([pcap.readUInt32LE(0), pcap.readUInt16LE(4), pcap.readUInt16LE(6), pcap.readUInt32LE(20)], [0xA1B2C3D4, 2, 4, 147]);
+
+  const { records: [r] } = capture.toJSON();
+  const packets = [];
+  for (let at = 24; at < pcap.length;) {
+    const len = pcap.readUInt32LE(at + 8);
+    packets.push(pcap.slice(at + 16, at + 16 + len));
+    at += 16 + len;
+  }
+  assert.equal(packets[0].toString('hex'), `00${r.request}`);
+  assert.equal(Buffer.concat(packets.slice(1).map(p => p.slice(1))).toString('hex'), r.response);
+  assert.ok(packets.slice(1).every(p => p[0] === 1));
+  assert.equal(pcap.readUInt32LE(24), Math.floor(Date.parse(r.at) / 1000));
+});
+
+test('replay reproduces the recorded outcomes from the frames alone', async (t) => {
+  const { sim, conn, capture } = await setup(t, 'rtu');
+  await read(conn);
+  sim.inject({ type: 'crc' });
+  await read(conn);
+  sim.inject({ type: 'timeout' });
+  await read(conn);
+
+  const results = replay(JSON.parse(JSON.stringify(capture.toJSON())));
+  assert.deepEqual(results.map(r => [r.recorded, r.replayed, r.matches]), [
+    ['ok', 'ok', true],
+    ['crc', 'crc', true],
+    ['timeout', 'incomplete', true]
+  ]);
+  assert.equal(results[0].pdu, '010100');
+  assert.equal(results[1].error, 'CRC mismatch');
+});
+
+test('replay feeds chunks one at a time and flags disagreements', () => {
+  // A TCP reply split mid-frame behind a late reply to an earlier transaction
+  const capture = {
+    records: [{
+      seq: 1,
+      at: '2026-10-19T08:00:00.000Z',
+      protocol: 'tcp',
+      request: '000500000006010100000004',
+      chunks: [
+        { offsetMs: 1, data: '0004000000040101010f' },
+        { offsetMs: 2, data: '00050000' },
+        { offsetMs: 3, data: '000401010103' }
+      ],
+      outcome: 'timeout'
+    }, {
+      seq: 2, at: '2026-10-19T08:00:01.000Z', protocol: 'tcp', request: null, chunks: [], outcome: 'connection'
+    }]
+  };
+  const [r] = replay(capture);
+  assert.deepEqual([r.replayed, r.pdu, r.matches], ['ok', '010103', false]);
+});
@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createWebhooks, eventMatches, sign } = require('../lib/webhooks');
+
+function memoryStore() {
+  const sections = {};
+  return { get: (name, fallback) => sections[name] || fallback, set: (name, value) => { sections[name] = JSON.parse(JSON.stringify(value)); } };
+}
+
+// Receiver answering with the queued status codes, then 200
+async function receiver(t, statuses = []) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(statuses.length ? statuses.shift() : 200);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, received };
+}
+
+function setup(t, options = {}) {
+  const webhooks = createWebhooks({ store: memoryStore(), log: () => {}, retryDelaysMs: [20, 20], timeoutMs: 500, ...options });
+  t.after(() => webhooks.stop());
+  return webhooks;
+}
+
+async function settled(delivery) {
+  for (let i = 0; i < 100 && !['delivered', 'failed'].includes(delivery.status); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return delivery;
+}
+
+test('eventMatches handles exact names, prefixes and *', () => {
+  assert.equal(eventMatches(['barrier_lift'], 'barrier_lift'), true);
+  assert.equal(eventMatches(['barrier_*'], 'barrier_close'), true);
+  assert.equal(eventMatches(['board_*'], 'barrier_close'), false);
+  assert.equal(eventMatches(['*'], 'anything'), true);
+});
+
+test('delivers a signed payload to matching subscriptions only', async (t) => {
+  const hook = await receiver(t);
+  const webhooks = setup(t);
+  const { secret } = webhooks.add({ name: 'ops', url: hook.url, events: ['board_*'] });
+  webhooks.add({ name: 'other', url: hook.url, events: ['barrier_lift'] });
+
+  const [delivery] = webhooks.dispatch('board_offline', { board: 'board1' });
+  await settled(delivery);
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(hook.received.length, 1);
+
+  const { headers, body } = hook.received[0];
+  assert.equal(headers['x-barrier-event'], 'board_offline');
+  assert.equal(headers['x-barrier-delivery'], delivery.id);
+  assert.equal(headers['x-barrier-signature'], sign(secret, body));
+  const payload = JSON.parse(body);
+  assert.equal(payload.event, 'board_offline');
+  assert.deepEqual(payload.data, { board: 'board1' });
+});
+
+test('retries server errors with backoff, then succeeds', async (t) => {
+  const hook = await receiver(t, [503, 500]);
+  const webhooks = setup(t);
+  webhooks.add({ name: 'ops', url: hook.url, events: ['*'] });
+  const [delivery] = webhooks.dispatch('emergency_off', {});
+  await settled(delivery);
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(delivery.attempts, 3);
+  assert.equal(hook.received.length, 3);
+});
+
+test('gives up after the last retry', async (t) => {
+  const hook = await receiver(t, [500, 500, 500, 500]);
+  const webhooks = setup(t);
+  webhooks.add({ name: 'ops', url: hook.url, events: ['*'] });
+  const [delivery] = webhooks.dispatch('emergency_off', {});
+  await settled(delivery);
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts, 3);
+  assert.equal(delivery.error, 'HTTP 500');
+});
+
+test('does not retry a client error', async (t) => {
+  const hook = await receiver(t, [404]);
+  const webhooks = setup(t);
+  webhooks.add({ name: 'ops', url: hook.url, events: ['*'] });
+  const [delivery] = webhooks.dispatch('emergency_off', {});
+  await settled(delivery);
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts, 1);
+  assert.equal(delivery.responseStatus, 404);
+});
+
+test('retries an unreachable endpoint', async (t) => {
+  const server = http.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+
+  const webhooks = setup(t);
+  webhooks.add({ name: 'ops', url: `http://127.0.0.1:${port}/hook`, events: ['*'] });
+  const [delivery] = webhooks.dispatch('emergency_off', {});
+  await settled(delivery);
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts, 3);
+  assert.match(delivery.error, /ECONNREFUSED/);
+});
+
+test('disabled subscriptions get nothing but can be tested', async (t) => {
+  const hook = await receiver(t);
+  const webhooks = setup(t);
+  const { id } = webhooks.add({ name: 'ops', url: hook.url, events: ['*'], enabled: false });
+  assert.deepEqual(webhooks.dispatch('emergency_off', {}), []);
+  const delivery = await settled(webhooks.test(id));
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(JSON.parse(hook.received[0].body).event, 'ping');
+});
+
+test('the secret is only returned on creation', (t) => {
+  const webhooks = setup(t);
+  const created = webhooks.add({ name: 'ops', url: 'https://example.com/hook', events: ['*'] });
+  assert.ok(created.secret.length >= 16);
+  assert.equal(webhooks.list()[0].secret, undefined);
+  assert.equal(webhooks.update(created.id, { enabled: false }).secret, undefined);
+});
+
+test('validates subscriptions', (t) => {
+  const webhooks = setup(t);
+  assert.throws(() => webhooks.add({ name: 'x', url: 'ftp://example.com', events: ['*'] }), { status: 400 });
+  assert.throws(() => webhooks.add({ name: 'x', url: 'https://example.com', events: [] }), { status: 400 });
+  assert.throws(() => webhooks.add({ name: 'x', url: 'https://example.com', events: ['Bad Event'] }), { status: 400 });
+  assert.throws(() => webhooks.remove('nope'), { status: 404 });
+});
+
+test('the delivery log filters and redelivers', async (t) => {
+  const hook = await receiver(t, [404]);
+  const webhooks = setup(t);
+  webhooks.add({ name: 'ops', url: hook.url, events: ['*'] });
+  const [first] = webhooks.dispatch('barrier_lift', { barrierId: 1 });
+  await settled(first);
+  await settled(webhooks.dispatch('barrier_close', { barrierId: 1 })[0]);
+
+  assert.deepEqual(webhooks.deliveryLog().map(d => d.event), ['barrier_close', 'barrier_lift']);
+  assert.deepEqual(webhooks.deliveryLog({ status: 'failed' }).map(d => d.id), [first.id]);
+
+  const again = await settled(webhooks.redeliver(first.id));
+  assert.equal(again.status, 'delivered');
+  assert.deepEqual(JSON.parse(hook.received[2].body).data, { barrierId: 1 });
+});